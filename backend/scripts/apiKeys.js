@@ -0,0 +1,74 @@
+// Manage the per-org API keys Apex signs backend requests with
+// Usage:
+//   cd backend
+//   node scripts/apiKeys.js list [orgId]
+//   node scripts/apiKeys.js create <orgId> [label]
+//   node scripts/apiKeys.js rotate <keyId>
+//   node scripts/apiKeys.js revoke <keyId>
+//
+// Keys are kept in API_KEYS_FILE (default ./data/api-keys.json); a running
+// backend picks up changes without a restart.
+
+require('dotenv').config();
+
+const {
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  listApiKeys
+} = require('../src/services/apiKeyService');
+
+const USAGE = 'Usage: node scripts/apiKeys.js <list [orgId] | create <orgId> [label] | rotate <keyId> | revoke <keyId>>';
+
+function printSecret(key) {
+  console.log('keyId  :', key.keyId);
+  console.log('orgId  :', key.orgId);
+  console.log('secret :', key.secret);
+  console.log('\nStore these in the org\'s KRNL API Credential custom setting (Key_Id__c, Secret__c).');
+  console.log('The secret is not shown again.');
+}
+
+async function main() {
+  const [command, arg, ...rest] = process.argv.slice(2);
+
+  switch (command) {
+    case 'list': {
+      const keys = await listApiKeys({ orgId: arg });
+      if (keys.length === 0) {
+        console.log('No API keys');
+      }
+      keys.forEach(key => {
+        const grace = key.previousSecretValidUntil ? ` (previous secret valid until ${key.previousSecretValidUntil})` : '';
+        console.log(`${key.keyId}  ${key.orgId}  ${key.status.padEnd(7)}  ${key.createdAt}  ${key.label || ''}${grace}`);
+      });
+      break;
+    }
+    case 'create':
+      if (!arg) {
+        throw new Error(USAGE);
+      }
+      printSecret(await createApiKey({ orgId: arg, label: rest.join(' ') || null }));
+      break;
+    case 'rotate':
+      if (!arg) {
+        throw new Error(USAGE);
+      }
+      printSecret(await rotateApiKey(arg));
+      break;
+    case 'revoke': {
+      if (!arg) {
+        throw new Error(USAGE);
+      }
+      const key = await revokeApiKey(arg);
+      console.log(`Revoked ${key.keyId} (${key.orgId}) at ${key.revokedAt}`);
+      break;
+    }
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+// Identify the viewer behind a leaked copy from its forensic watermark
+// Usage:
+//   cd backend
+//   node scripts/decodeWatermark.js leaked.pdf
+//   node scripts/decodeWatermark.js leaked-text.txt
+//   node scripts/decodeWatermark.js leaked.pdf --json
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { decodeLeakedDocument } = require('../src/services/forensicService');
+
+function printReport(report, index) {
+  const { mark, viewer, onChain } = report;
+
+  console.log(`\nMark #${index + 1} (${mark.source})`);
+  console.log('accessHash       :', mark.accessHash);
+  console.log('documentHash     :', report.documentHash || '(unknown)');
+  console.log('sessionId        :', mark.sessionId || '(not in watermark)');
+  console.log('salesforceUserId :', viewer.salesforceUserId || '(unknown)');
+  console.log('accessType       :', viewer.accessType || '(unknown)');
+  console.log('viewedAt         :', viewer.viewedAt || '(unknown)');
+  console.log('ipAddress        :', viewer.ipAddress || '(unknown)');
+  console.log('userAgent        :', viewer.userAgent || '(unknown)');
+  console.log('recordId         :', viewer.recordId || '(unknown)');
+  console.log('txHash           :', viewer.txHash || '(none)');
+
+  if (onChain.confirmed) {
+    console.log('\n✅ Access confirmed on-chain');
+  } else if (onChain.error) {
+    console.log(`\n⚠️  On-chain cross-check unavailable: ${onChain.error}`);
+  } else {
+    console.log('\n❌ Access not confirmed on-chain');
+  }
+
+  report.discrepancies.forEach(discrepancy => console.log(`   - ${discrepancy}`));
+}
+
+async function main() {
+  const file = process.argv[2];
+  const asJson = process.argv.includes('--json');
+
+  if (!file) {
+    console.error('Usage: node scripts/decodeWatermark.js <leaked.pdf|text file> [--json]');
+    process.exit(1);
+  }
+
+  const contents = fs.readFileSync(file);
+  const isPdf = path.extname(file).toLowerCase() === '.pdf' || contents.subarray(0, 5).toString() === '%PDF-';
+
+  const result = await decodeLeakedDocument(isPdf ? { pdf: contents } : { text: contents.toString('utf8') });
+
+  if (asJson) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  if (result.marks.length === 0) {
+    console.error('No forensic watermark found in', file);
+    process.exit(2);
+  }
+
+  console.log(`Found ${result.marks.length} forensic mark(s) in ${file}`);
+  result.reports.forEach(printReport);
+}
+
+main().catch((err) => {
+  console.error('Unhandled error:', err && err.stack ? err.stack : err);
+  process.exit(1);
+});
@@ -0,0 +1,84 @@
+/*
+ * Local stand-in for a Salesforce org's identity endpoints, so
+ * validateSalesforceToken can run in `verify` mode without a real org.
+ *
+ * Usage:
+ *   node scripts/mockSalesforceIdentityServer.js [port]
+ *
+ * Users come from MOCK_SALESFORCE_USERS, a JSON object keyed by session token:
+ *   MOCK_SALESFORCE_USERS='{"token-a":{"user_id":"005...","organization_id":"00D...","email":"a@example.com"}}'
+ * Without it a single user is served for the token "mock-session-token".
+ *
+ * Point the backend at it with:
+ *   SALESFORCE_AUTH_MODE=verify SALESFORCE_INSTANCE_HOSTS=localhost
+ * and send X-Salesforce-Instance-Url: http://localhost:<port>
+ */
+
+const express = require('express');
+
+const DEFAULT_USERS = {
+  'mock-session-token': {
+    user_id: '005000000000001AAA',
+    organization_id: '00D000000000001EAA',
+    email: 'mock.user@example.com',
+    name: 'Mock User'
+  }
+};
+
+/**
+ * Build the mock identity server app.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.users] - Userinfo responses keyed by session token
+ * @returns {import('express').Express}
+ */
+function createMockSalesforceIdentityServer({ users = DEFAULT_USERS } = {}) {
+  const app = express();
+
+  function authenticate(req, res) {
+    const token = (req.header('Authorization') || '').replace('Bearer ', '');
+    const user = users[token];
+    if (!user) {
+      // Same shape Salesforce returns for a bad or expired session id
+      res.status(401).json([{ message: 'Session expired or invalid', errorCode: 'INVALID_SESSION_ID' }]);
+      return null;
+    }
+    return user;
+  }
+
+  app.get('/services/oauth2/userinfo', (req, res) => {
+    const user = authenticate(req, res);
+    if (user) {
+      res.json({ preferred_username: user.email, ...user });
+    }
+  });
+
+  app.get('/services/data/:version/chatter/users/me', (req, res) => {
+    const user = authenticate(req, res);
+    if (user) {
+      res.json({
+        id: user.user_id,
+        email: user.email,
+        name: user.name,
+        organizationId: user.organization_id
+      });
+    }
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = Number.parseInt(process.argv[2] || process.env.PORT || '4010', 10);
+  const users = process.env.MOCK_SALESFORCE_USERS
+    ? JSON.parse(process.env.MOCK_SALESFORCE_USERS)
+    : DEFAULT_USERS;
+
+  createMockSalesforceIdentityServer({ users }).listen(port, () => {
+    console.log(`Mock Salesforce identity server on http://localhost:${port}`);
+    console.log(`Tokens: ${Object.keys(users).join(', ')}`);
+    console.log('Backend env: SALESFORCE_AUTH_MODE=verify SALESFORCE_INSTANCE_HOSTS=localhost');
+  });
+}
+
+module.exports = { createMockSalesforceIdentityServer };
@@ -1,19 +1,172 @@
 const express = require('express');
 const crypto = require('crypto');
 const KRNLService = require('../services/krnlService');
-const { validateSalesforceToken } = require('../middleware/auth');
+const { validateSalesforceToken, validateRequestSignature } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
-const { saveSession, loadSession, loadAccessEvent } = require('../services/sessionStore');
+const { saveSession, loadSession, loadAccessEvent, saveAccessEventFromSession } = require('../services/sessionStore');
+const { buildWatermarkClaim } = require('../services/watermarkService');
+const { getDownloadAllowance } = require('../services/viewerDocumentService');
+const { lookupDocumentClassification } = require('../services/documentIntegrityService');
+const { resolveTenant, partitionOrgId } = require('../services/orgRegistryService');
+const { getAccessLogBatch } = require('../services/directContractService');
+const {
+  resolveDocumentAccessLogMode,
+  recordAccessEvent,
+  findAccessEventInclusion,
+  verifyAccessEvent
+} = require('../services/accessLogService');
+const { findRevocation, refreshRevocations, matchesRevocation, onRevocation } = require('../services/revocationService');
+const {
+  SETTLED_STATES,
+  accessWorkflowStatus,
+  onAccessSessionUpdate,
+  waitForAccessSession
+} = require('../services/accessEventWatcher');
+const {
+  evaluateAccessPolicy,
+  recordAccessGrant,
+  recordPolicyDenial
+} = require('../services/accessPolicyService');
+const { getViewerTimeline } = require('../services/viewerTelemetryService');
 
 const router = express.Router();
 const krnlService = new KRNLService();
 
+// Keeps idle viewer streams open through proxies, and picks up revocations from other instances
+const STREAM_KEEPALIVE_MS = 25 * 1000;
+
+/**
+ * Check an access request against the document's access policy before any
+ * workflow starts. A denial is recorded as its own audit event and answered
+ * with 403.
+ *
+ * @returns {Promise<boolean>} true when the request may proceed
+ */
+async function enforceAccessPolicy(res, request) {
+  const decision = await evaluateAccessPolicy(request);
+  if (decision.allowed) {
+    recordAccessGrant(request);
+    return true;
+  }
+
+  const denialId = await recordPolicyDenial(request, decision);
+  res.status(403).json({
+    success: false,
+    error: 'Access denied by document policy',
+    policy: decision.policy,
+    reasons: decision.reasons,
+    denialId
+  });
+  return false;
+}
+
+/**
+ * The caller facts an access policy is evaluated on. Only a request signed
+ * with one of the org's API keys (see validateRequestSignature) comes from
+ * Apex, which may state the user's email, profile, role and IP, the
+ * document's classification and whether it may be downloaded. For any other
+ * caller the identity comes from the verified Salesforce claims, the IP from
+ * the connection and the classification from the document's registration,
+ * and downloads are refused.
+ *
+ * @returns {Promise<{userEmail: string|null, userProfile: string|null, userRole: string|null, clientIP: string, classification: string|null, allowDownload: boolean}>}
+ */
+async function resolveCallerContext(req, { documentHash, userEmail, userProfile, userRole, clientIP, classification, allowDownload }) {
+  // Identity proven by validateSalesforceToken wins over what the body claims
+  const verifiedUser = (req.user && req.user.verifiedBy) ? req.user : {};
+
+  if (req.apiKey) {
+    return {
+      userEmail: verifiedUser.email || userEmail || (req.user && req.user.email) || null,
+      userProfile: verifiedUser.profile || userProfile || null,
+      userRole: verifiedUser.role || userRole || null,
+      clientIP: clientIP || req.ip,
+      classification: classification || null,
+      allowDownload: allowDownload === true
+    };
+  }
+
+  return {
+    userEmail: verifiedUser.email || null,
+    userProfile: verifiedUser.profile || null,
+    userRole: verifiedUser.role || null,
+    clientIP: req.ip,
+    classification: await lookupDocumentClassification(documentHash, req.tenant),
+    allowDownload: false
+  };
+}
+
+/**
+ * Log an access off-chain (see accessLogService) instead of starting a KRNL
+ * workflow. The session is stored already settled, so a viewer token can be
+ * issued at once; the event's inclusion proof follows when its batch is
+ * anchored.
+ *
+ * @returns {Promise<Object>} The stored session
+ */
+async function logAccessOffChain(tenant, params) {
+  const event = await recordAccessEvent({
+    tenant,
+    sessionId: params.sessionId,
+    documentHash: params.documentHash,
+    documentId: params.documentId || params.recordId,
+    recordId: params.recordId,
+    userId: params.userId,
+    accessType: params.accessType,
+    classification: params.classification,
+    clientIP: params.clientIP,
+    userAgent: params.userAgent
+  });
+
+  const now = new Date().toISOString();
+  const session = {
+    ...params,
+    // Supabase/S3 file path used by /api/view
+    documentPath: params.documentId || null,
+    documentId: params.documentId || params.recordId,
+    orgId: tenant.orgId,
+    status: 'COMPLETED_WITH_EVENT',
+    // The signed event's hash stands in for the on-chain access hash
+    accessHash: event.eventHash,
+    txHash: null,
+    accessLog: {
+      mode: 'batch',
+      sequence: event.sequence,
+      eventHash: event.eventHash,
+      signer: event.signer,
+      batchId: event.batchId
+    },
+    startedAt: now,
+    updatedAt: now,
+    completedAt: now
+  };
+
+  await saveSession(session);
+  await saveAccessEventFromSession(session);
+  return session;
+}
+
+/**
+ * Whether a session belongs to the caller's org. Sessions of registered orgs
+ * are only visible to that org; single-tenant deployments see every session.
+ */
+async function sessionBelongsToTenant(tenant, sessionId) {
+  const orgId = partitionOrgId(tenant);
+  if (!orgId) {
+    return true;
+  }
+  return !!(await loadSession(sessionId, { orgId }));
+}
+
 /**
  * POST /api/access
  * Logs document access and returns time-limited viewer URL
- * Body: { documentHash, recordId, userId, accessType, clientIP?, userAgent? }
+ * Body: { documentHash, recordId, userId, accessType, clientIP?, userAgent?, allowDownload?,
+ *         classification?, userEmail?, userProfile?, userRole? }
+ * clientIP, classification, allowDownload and the user's email, profile and
+ * role are only taken from signed (Apex) requests; see resolveCallerContext.
  */
-router.post('/', validateSalesforceToken, async (req, res) => {
+router.post('/', validateSalesforceToken, validateRequestSignature, async (req, res) => {
   try {
     const {
       documentHash,
@@ -22,7 +175,14 @@ router.post('/', validateSalesforceToken, async (req, res) => {
       accessType,
       clientIP,
       userAgent,
-      documentId
+      documentId,
+      classification: claimedClassification,
+      userName,
+      userEmail,
+      recordName,
+      allowDownload,
+      userProfile,
+      userRole
     } = req.body;
 
     const salesforceInstanceUrl = req.header('X-Salesforce-Instance-Url') || (req.user && req.user.instanceUrl) || null;
@@ -55,76 +215,138 @@ router.post('/', validateSalesforceToken, async (req, res) => {
       });
     }
 
-    const sessionId = `access_${crypto.randomUUID()}`;
+    const caller = await resolveCallerContext(req, {
+      documentHash,
+      userEmail,
+      userProfile,
+      userRole,
+      clientIP,
+      classification: claimedClassification,
+      allowDownload
+    });
+    const callerEmail = caller.userEmail;
+    const classification = caller.classification;
 
-    logger.info('Logging document access', {
+    // Set per document by admins (Allow_Download__c on Blockchain_Document__c)
+    if (accessType === 'download' && !caller.allowDownload) {
+      logger.warn('Download refused: downloads are not allowed for this document', {
+        documentHash,
+        recordId,
+        userId,
+        signed: !!req.apiKey
+      });
+      return res.status(403).json({
+        success: false,
+        error: 'Downloads are not allowed for this document'
+      });
+    }
+
+    const allowedByPolicy = await enforceAccessPolicy(res, {
       documentHash,
       recordId,
+      classification,
       userId,
+      userEmail: callerEmail,
+      userProfile: caller.userProfile,
+      userRole: caller.userRole,
       accessType,
-      sessionId
+      clientIP: caller.clientIP,
+      orgId: (req.user && req.user.orgId) || null
     });
+    if (!allowedByPolicy) {
+      return;
+    }
 
-    // Start KRNL access logging workflow
-    // Use documentId from request if provided (file path), otherwise fall back to recordId
-    const finalDocumentId = documentId || recordId;
-    
-    logger.debug('Starting workflow with documentId', {
-      documentIdFromRequest: documentId,
-      recordId,
-      finalDocumentId
-    });
-    
-    const workflowStart = await krnlService.startAccessWorkflow({
+    const sessionId = `access_${crypto.randomUUID()}`;
+
+    logger.info('Logging document access', {
       documentHash,
       recordId,
       userId,
       accessType,
-      sessionId,
-      clientIP: clientIP || req.ip,
-      userAgent: userAgent || req.get('User-Agent'),
-      documentId: finalDocumentId,
-      salesforceInstanceUrl,
-      salesforceAccessToken
+      sessionId
     });
 
-    logger.info('KRNL access workflow started', {
-      sessionId,
-      workflowId: workflowStart.workflowId,
-      status: workflowStart.status
-    });
+    // Use documentId from request if provided (file path), otherwise fall back to recordId
+    const finalDocumentId = documentId || recordId;
 
-    // Wait for KRNL workflow completion and on-chain settlement (logDocumentAccessKRNL)
     let workflowStatus;
-    try {
-      workflowStatus = await krnlService.getWorkflowStatus(sessionId);
-    } catch (pollError) {
-      logger.error('KRNL access workflow polling failed', {
+    let offChainSession = null;
+    if (await resolveDocumentAccessLogMode(req.tenant, documentHash, classification) === 'batch') {
+      offChainSession = await logAccessOffChain(req.tenant, {
         sessionId,
-        error: pollError.message
+        documentHash,
+        documentId,
+        recordId,
+        userId,
+        accessType,
+        clientIP: caller.clientIP,
+        userAgent: userAgent || req.get('User-Agent'),
+        classification: classification || null,
+        userName: userName || null,
+        userEmail: callerEmail,
+        recordName: recordName || null
       });
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to complete access logging workflow',
-        details: pollError.message
+      workflowStatus = accessWorkflowStatus(offChainSession);
+    } else {
+      // Start KRNL access logging workflow
+      logger.debug('Starting workflow with documentId', {
+        documentIdFromRequest: documentId,
+        recordId,
+        finalDocumentId
       });
-    }
 
-    logger.info('KRNL access workflow completed', {
-      sessionId,
-      state: workflowStatus.state,
-      txHash: workflowStatus.txHash
-    });
+      const workflowStart = await krnlService.startAccessWorkflow({
+        documentHash,
+        recordId,
+        userId,
+        accessType,
+        sessionId,
+        clientIP: caller.clientIP,
+        userAgent: userAgent || req.get('User-Agent'),
+        documentId: finalDocumentId,
+        salesforceInstanceUrl,
+        salesforceAccessToken,
+        orgId: req.tenant.orgId
+      });
 
-    const okStates = ['COMPLETED', 'COMPLETED_WITH_EVENT'];
+      logger.info('KRNL access workflow started', {
+        sessionId,
+        workflowId: workflowStart.workflowId,
+        status: workflowStart.status
+      });
 
-    if (!okStates.includes(workflowStatus.state) || !workflowStatus.txHash) {
-      return res.status(500).json({
-        success: false,
-        error: 'Access logging workflow did not complete successfully',
+      // Wait for the access watcher to see on-chain settlement (logDocumentAccessKRNL)
+      try {
+        workflowStatus = await waitForAccessSession(sessionId);
+      } catch (waitError) {
+        logger.error('KRNL access workflow did not settle', {
+          sessionId,
+          error: waitError.message
+        });
+        return res.status(waitError.statusCode || 500).json({
+          success: false,
+          error: 'Failed to complete access logging workflow',
+          details: waitError.message
+        });
+      }
+
+      logger.info('KRNL access workflow completed', {
+        sessionId,
         state: workflowStatus.state,
-        txHash: workflowStatus.txHash || null
+        txHash: workflowStatus.txHash
       });
+
+      const okStates = ['COMPLETED', 'COMPLETED_WITH_EVENT'];
+
+      if (!okStates.includes(workflowStatus.state) || !workflowStatus.txHash) {
+        return res.status(500).json({
+          success: false,
+          error: 'Access logging workflow did not complete successfully',
+          state: workflowStatus.state,
+          txHash: workflowStatus.txHash || null
+        });
+      }
     }
 
     // Generate time-limited access token for document viewer. Include
@@ -138,7 +360,18 @@ router.post('/', validateSalesforceToken, async (req, res) => {
       documentId: workflowStatus.documentId,
       documentPath: finalDocumentId,
       recordId,
-      accessHash: workflowStatus.accessHash
+      accessHash: workflowStatus.accessHash,
+      orgId: req.tenant.orgId,
+      clientIP: caller.clientIP,
+      watermark: buildWatermarkClaim({
+        orgId: (req.user && req.user.orgId) || null,
+        orgTemplate: req.tenant.watermarkTemplate,
+        classification,
+        accessType,
+        userName,
+        userEmail: callerEmail,
+        recordName
+      })
     });
 
     // Align session expiry with viewer token expiry so Supabase can clean up
@@ -154,20 +387,29 @@ router.post('/', validateSalesforceToken, async (req, res) => {
     // Build full viewer URL with backend base URL, pointing to the secure HTML viewer
     const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
     const viewerUrl = `${baseUrl}/secure-viewer?token=${accessToken}`;
+    const downloadUrl = accessType === 'download' ? `${baseUrl}/api/view/download?token=${accessToken}` : null;
 
-    // Return access token and workflow info after on-chain settlement
+    // Return access token and workflow info after on-chain settlement, or
+    // right away for access logged off-chain
     res.status(200).json({
       success: true,
       accessHash: workflowStatus.accessHash,
       accessToken,
       documentId: workflowStatus.documentId,
       expiresIn: '60 minutes',
-      message: 'Document access logged on-chain',
+      message: offChainSession
+        ? 'Document access logged off-chain, to be anchored with the next access log batch'
+        : 'Document access logged on-chain',
       result: workflowStatus.result,
       sessionId,
       txHash: workflowStatus.txHash,
       viewerUrl,
-      workflowStatus: workflowStatus.state
+      downloadUrl,
+      // Non-empty when the token must be redeemed at /api/view/session first
+      binding: req.tenant.tokenBinding,
+      workflowStatus: workflowStatus.state,
+      // Sequence, event hash and batch of the signed event when logged off-chain
+      accessLog: offChainSession ? offChainSession.accessLog : null
     });
 
   } catch (error) {
@@ -186,7 +428,7 @@ router.post('/', validateSalesforceToken, async (req, res) => {
  * without waiting for on-chain completion. Intended for UIs (like the secure
  * viewer) that will poll session status and request a token separately.
  */
-router.post('/init', validateSalesforceToken, async (req, res) => {
+router.post('/init', validateSalesforceToken, validateRequestSignature, async (req, res) => {
   try {
     const {
       documentHash,
@@ -197,7 +439,14 @@ router.post('/init', validateSalesforceToken, async (req, res) => {
       userAgent,
       documentId,
       fileName,
-      accessLogId
+      accessLogId,
+      classification: claimedClassification,
+      userName,
+      userEmail,
+      recordName,
+      allowDownload,
+      userProfile,
+      userRole
     } = req.body || {};
 
     const salesforceInstanceUrl = req.header('X-Salesforce-Instance-Url') || (req.user && req.user.instanceUrl) || null;
@@ -229,38 +478,108 @@ router.post('/init', validateSalesforceToken, async (req, res) => {
       });
     }
 
-    const sessionId = `access_${crypto.randomUUID()}`;
+    const caller = await resolveCallerContext(req, {
+      documentHash,
+      userEmail,
+      userProfile,
+      userRole,
+      clientIP,
+      classification: claimedClassification,
+      allowDownload
+    });
+    const callerEmail = caller.userEmail;
+    const classification = caller.classification;
 
-    logger.info('Initializing document access workflow', {
+    // Set per document by admins (Allow_Download__c on Blockchain_Document__c)
+    if (accessType === 'download' && !caller.allowDownload) {
+      logger.warn('Download refused: downloads are not allowed for this document', {
+        documentHash,
+        recordId,
+        userId,
+        signed: !!req.apiKey
+      });
+      return res.status(403).json({
+        success: false,
+        error: 'Downloads are not allowed for this document'
+      });
+    }
+
+    const allowedByPolicy = await enforceAccessPolicy(res, {
       documentHash,
       recordId,
+      classification,
       userId,
+      userEmail: callerEmail,
+      userProfile: caller.userProfile,
+      userRole: caller.userRole,
       accessType,
-      sessionId
+      clientIP: caller.clientIP,
+      orgId: (req.user && req.user.orgId) || null
     });
+    if (!allowedByPolicy) {
+      return;
+    }
 
-    const finalDocumentId = documentId || recordId;
+    const sessionId = `access_${crypto.randomUUID()}`;
 
-    const workflowStart = await krnlService.startAccessWorkflow({
+    logger.info('Initializing document access workflow', {
       documentHash,
       recordId,
       userId,
       accessType,
-      sessionId,
-      clientIP: clientIP || req.ip,
-      userAgent: userAgent || req.get('User-Agent'),
-      documentId: finalDocumentId,
-      fileName: fileName || null,
-      accessLogId,
-      salesforceInstanceUrl,
-      salesforceAccessToken
+      sessionId
     });
 
-    logger.info('KRNL access workflow started (init)', {
-      sessionId,
-      workflowId: workflowStart.workflowId,
-      status: workflowStart.status
-    });
+    const finalDocumentId = documentId || recordId;
+
+    let workflowStart;
+    let offChainSession = null;
+    if (await resolveDocumentAccessLogMode(req.tenant, documentHash, classification) === 'batch') {
+      // Settled already: the viewer's stream reports completion as it connects
+      offChainSession = await logAccessOffChain(req.tenant, {
+        sessionId,
+        documentHash,
+        documentId,
+        recordId,
+        userId,
+        accessType,
+        clientIP: caller.clientIP,
+        userAgent: userAgent || req.get('User-Agent'),
+        fileName: fileName || null,
+        accessLogId: accessLogId || null,
+        classification: classification || null,
+        userName: userName || null,
+        userEmail: callerEmail,
+        recordName: recordName || null
+      });
+      workflowStart = { workflowId: null, status: offChainSession.status };
+    } else {
+      workflowStart = await krnlService.startAccessWorkflow({
+        documentHash,
+        recordId,
+        userId,
+        accessType,
+        sessionId,
+        clientIP: caller.clientIP,
+        userAgent: userAgent || req.get('User-Agent'),
+        documentId: finalDocumentId,
+        fileName: fileName || null,
+        accessLogId,
+        orgId: (req.user && req.user.orgId) || null,
+        classification: classification || null,
+        userName: userName || null,
+        userEmail: callerEmail,
+        recordName: recordName || null,
+        salesforceInstanceUrl,
+        salesforceAccessToken
+      });
+
+      logger.info('KRNL access workflow started (init)', {
+        sessionId,
+        workflowId: workflowStart.workflowId,
+        status: workflowStart.status
+      });
+    }
 
     // Viewer will connect via SSE (/api/access/stream/:sessionId) to get real-time progress
     
@@ -287,7 +606,8 @@ router.post('/init', validateSalesforceToken, async (req, res) => {
       accessType,
       workflowId: workflowStart.workflowId,
       state: workflowStart.status || 'RUNNING',
-      viewerSessionUrl
+      viewerSessionUrl,
+      accessLog: offChainSession ? offChainSession.accessLog : null
     });
 
   } catch (error) {
@@ -300,6 +620,87 @@ router.post('/init', validateSalesforceToken, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/access/validate
+ * Dry run of the document access policy for a prospective request of the
+ * caller's org; nothing is started or recorded. The optional caller facts
+ * are only taken from signed (Apex) requests, as for POST /api/access.
+ * Body: { documentHash, userId, accessType, classification?, userEmail?, userProfile?,
+ *         userRole?, clientIP?, context? }
+ */
+router.post('/validate', validateSalesforceToken, validateRequestSignature, async (req, res) => {
+  try {
+    const {
+      documentHash,
+      userId,
+      accessType,
+      classification,
+      userEmail,
+      userProfile,
+      userRole,
+      clientIP,
+      context
+    } = req.body || {};
+
+    if (!documentHash || !userId || !accessType) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: documentHash, userId, accessType'
+      });
+    }
+
+    const caller = await resolveCallerContext(req, {
+      documentHash,
+      userEmail,
+      userProfile,
+      userRole,
+      clientIP,
+      classification
+    });
+
+    const validAccessTypes = ['view', 'download', 'modify'];
+    const decision = validAccessTypes.includes(accessType)
+      ? await evaluateAccessPolicy({
+        documentHash,
+        classification: caller.classification,
+        userId,
+        userEmail: caller.userEmail,
+        userProfile: caller.userProfile,
+        userRole: caller.userRole,
+        accessType,
+        clientIP: caller.clientIP,
+        orgId: req.tenant.orgId
+      })
+      : {
+        allowed: false,
+        policy: null,
+        reasons: [{ code: 'INVALID_ACCESS_TYPE', message: `Access type must be one of: ${validAccessTypes.join(', ')}` }]
+      };
+
+    res.json({
+      success: true,
+      validation: {
+        documentHash,
+        userId,
+        accessType,
+        hasPermission: decision.allowed,
+        policy: decision.policy,
+        reasons: decision.reasons,
+        restrictions: decision.reasons.map(reason => reason.message),
+        validationTimestamp: new Date().toISOString(),
+        context: context || {}
+      }
+    });
+  } catch (error) {
+    logger.error('Access validation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to validate access',
+      details: error.message
+    });
+  }
+});
+
 /**
  * GET /api/access/history/:documentHash
  * Get access history for a document
@@ -377,7 +778,7 @@ router.get('/session/:sessionId', validateSalesforceToken, async (req, res) => {
     logger.info('Access session status requested', { sessionId });
 
     // Try to load from krnl_access_events first (for completed workflows)
-    const accessEvent = await loadAccessEvent(sessionId);
+    const accessEvent = await loadAccessEvent(sessionId, { orgId: partitionOrgId(req.tenant) });
 
     if (accessEvent) {
       logger.info('Access event found in krnl_access_events', {
@@ -397,7 +798,28 @@ router.get('/session/:sessionId', validateSalesforceToken, async (req, res) => {
         userId: accessEvent.user_id,
         fileName: accessEvent.file_name,
         timestamp: accessEvent.updated_at || accessEvent.created_at,
-        progress: {} // Not stored in access events table
+        progress: {}, // Not stored in access events table
+        // Pages served through /api/view/pages/:range (null until the first one)
+        readProgress: accessEvent.page_requests ? {
+          pageCount: accessEvent.page_count,
+          pagesDelivered: accessEvent.pages_delivered || [],
+          maxPageDelivered: accessEvent.max_page_delivered,
+          pageRequests: accessEvent.page_requests,
+          firstPageAt: accessEvent.first_page_at,
+          lastPageAt: accessEvent.last_page_at
+        } : null,
+        // Watermarked copies served through /api/view/download
+        downloads: accessEvent.access_type === 'download' ? {
+          used: accessEvent.download_count || 0,
+          lastDownloadAt: accessEvent.last_download_at || null
+        } : null
+      });
+    }
+
+    if (!(await sessionBelongsToTenant(req.tenant, sessionId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
       });
     }
 
@@ -429,13 +851,132 @@ router.get('/session/:sessionId', validateSalesforceToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/access/session/:sessionId/proof
+ * The signed access event of a session logged off-chain, with its inclusion
+ * proof once its batch is anchored. The event hash, signature and proof are
+ * checked here too, and the root against the registry, so the result can be
+ * compared with an offline check.
+ */
+router.get('/session/:sessionId/proof', validateSalesforceToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const inclusion = await findAccessEventInclusion(sessionId, { orgId: partitionOrgId(req.tenant) });
+    if (!inclusion) {
+      return res.status(404).json({
+        success: false,
+        error: 'No off-chain access event for this session'
+      });
+    }
+
+    const { eventHash, signer, proofValid } = verifyAccessEvent({
+      event: inclusion.event,
+      proof: inclusion.proof,
+      merkleRoot: inclusion.merkleRoot
+    });
+
+    // null when the registry could not be read
+    let anchoredOnChain = false;
+    let onChain = null;
+    if (inclusion.anchored) {
+      anchoredOnChain = null;
+      try {
+        onChain = await getAccessLogBatch(inclusion.merkleRoot, req.tenant);
+        anchoredOnChain = !!onChain;
+      } catch (error) {
+        logger.warn('Failed to read access log batch from registry', {
+          sessionId,
+          merkleRoot: inclusion.merkleRoot,
+          error: error.message
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      sessionId,
+      ...inclusion,
+      verification: {
+        eventHashValid: eventHash === inclusion.event.eventHash,
+        signatureValid: !!signer && signer === inclusion.event.signer,
+        proofValid,
+        anchoredOnChain,
+        anchoredBy: onChain ? onChain.anchoredBy : null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Access event proof error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get access event proof',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/access/session/:sessionId/timeline
+ * Read telemetry of a session, oldest first, with a summary of what the
+ * viewer actually read (pages viewed, time per page, scroll depth, focus
+ * losses, screenshot-shield triggers).
+ */
+router.get('/session/:sessionId/timeline', validateSalesforceToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!(await sessionBelongsToTenant(req.tenant, sessionId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    const timeline = await getViewerTimeline(sessionId);
+
+    res.json({
+      success: true,
+      sessionId,
+      ...timeline
+    });
+  } catch (error) {
+    logger.error('Viewer timeline error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load viewer timeline',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * What revocations are matched against for a stored session.
+ */
+function revocationSubject(sessionId, session) {
+  return {
+    sessionId,
+    userId: session && session.userId,
+    documentHash: session && session.documentHash,
+    orgId: session && session.orgId,
+    issuedAt: session && session.startedAt ? new Date(session.startedAt).getTime() : null
+  };
+}
+
 /**
  * GET /api/access/stream/:sessionId
  * Server-Sent Events endpoint for real-time workflow progress updates.
- * The viewer connects to this to get live updates instead of polling.
+ * The viewer connects to this to get live updates instead of polling; every
+ * state change the access watcher sees is pushed as it happens.
+ * Once the workflow has completed the stream stays open as the viewer's kill
+ * switch: a `revoked` event is sent if the session's access is revoked.
  */
 router.get('/stream/:sessionId', async (req, res) => {
   const { sessionId } = req.params;
+  let unsubscribe = null;
+  let stopWatching = null;
+  let settled = false;
+  let closed = false;
 
   logger.info('SSE connection established', { sessionId });
 
@@ -448,57 +989,142 @@ router.get('/stream/:sessionId', async (req, res) => {
   // Send initial connection event
   res.write(`data: ${JSON.stringify({ type: 'connected', sessionId })}\n\n`);
 
-  // Poll workflow status and send updates
-  const pollInterval = setInterval(async () => {
-    try {
-      const sessionStatus = await krnlService.getWorkflowStatus(sessionId);
+  const fail = message => {
+    settled = true;
+    unsubscribe();
+    if (closed) {
+      return;
+    }
+    res.write(`data: ${JSON.stringify({ type: 'error', error: message })}\n\n`);
+    res.end();
+  };
 
-      // Check if workflow is complete
-      const isComplete = ['COMPLETED_WITH_EVENT', 'FAILED'].includes(sessionStatus.state);
-      
-      const event = {
-        type: isComplete ? 'complete' : 'progress',
-        sessionId,
-        state: sessionStatus.state,
-        progress: sessionStatus.progress,
-        txHash: sessionStatus.txHash,
-        accessHash: sessionStatus.accessHash,
-        timestamp: new Date().toISOString()
-      };
+  const sendStatus = async sessionStatus => {
+    if (settled || closed) {
+      return;
+    }
+    if (sessionStatus.error) {
+      logger.warn('SSE workflow watch ended without settlement', { sessionId, error: sessionStatus.error });
+      return fail(sessionStatus.error);
+    }
 
-      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    const isComplete = SETTLED_STATES.includes(sessionStatus.state);
 
-      // If completed or failed, close connection
-      if (isComplete) {
-        logger.info('SSE workflow completed, closing connection', {
-          sessionId,
-          state: sessionStatus.state,
-          hasAccessHash: !!sessionStatus.accessHash
-        });
-        
-        clearInterval(pollInterval);
-        
-        // Give client time to process the event before closing
-        setTimeout(() => {
-          res.end();
-        }, 100);
+    res.write(`data: ${JSON.stringify({
+      type: isComplete ? 'complete' : 'progress',
+      sessionId,
+      state: sessionStatus.state,
+      progress: sessionStatus.progress,
+      txHash: sessionStatus.txHash,
+      accessHash: sessionStatus.accessHash,
+      timestamp: new Date().toISOString()
+    })}\n\n`);
+
+    if (!isComplete) {
+      return;
+    }
+
+    logger.info('SSE workflow completed', {
+      sessionId,
+      state: sessionStatus.state,
+      hasAccessHash: !!sessionStatus.accessHash
+    });
+    settled = true;
+    unsubscribe();
+
+    // If failed, close connection; if completed, keep it open for revocations
+    if (sessionStatus.state !== 'COMPLETED_WITH_EVENT') {
+      // Give client time to process the event before closing
+      setTimeout(() => {
+        res.end();
+      }, 100);
+    } else {
+      stopWatching = await watchForRevocation(sessionId, res);
+      if (closed) {
+        stopWatching();
       }
-    } catch (err) {
-      logger.error('SSE polling error', { sessionId, error: err.message });
-      res.write(`data: ${JSON.stringify({ type: 'error', error: err.message })}\n\n`);
-      clearInterval(pollInterval);
-      res.end();
     }
-  }, 2000); // Poll every 2 seconds
+  };
+
+  const onError = err => {
+    logger.error('SSE status error', { sessionId, error: err.message });
+    fail(err.message);
+  };
+
+  // Subscribe before reading the current state so no change falls in between
+  unsubscribe = onAccessSessionUpdate(sessionId, status => {
+    sendStatus(status).catch(onError);
+  });
 
   // Clean up on client disconnect
   req.on('close', () => {
     logger.info('SSE client disconnected', { sessionId });
-    clearInterval(pollInterval);
+    closed = true;
+    unsubscribe();
+    if (stopWatching) {
+      stopWatching();
+    }
     res.end();
   });
+
+  try {
+    await sendStatus(await krnlService.getWorkflowStatus(sessionId));
+  } catch (err) {
+    onError(err);
+  }
 });
 
+/**
+ * Send a `revoked` event and end the stream when the session's access is
+ * revoked, now or later.
+ *
+ * @returns {Promise<Function>} Stops watching
+ */
+async function watchForRevocation(sessionId, res) {
+  const subject = revocationSubject(sessionId, await loadSession(sessionId));
+  let keepAlive = null;
+  let unsubscribe = null;
+
+  const stop = () => {
+    clearInterval(keepAlive);
+    if (unsubscribe) {
+      unsubscribe();
+    }
+  };
+
+  const sendRevoked = revocation => {
+    logger.info('SSE notifying viewer of revoked access', { sessionId, revocationId: revocation.id });
+    res.write(`data: ${JSON.stringify({
+      type: 'revoked',
+      sessionId,
+      reason: revocation.reason,
+      revokedAt: revocation.revokedAt
+    })}\n\n`);
+    stop();
+    res.end();
+  };
+
+  const existing = await findRevocation(subject);
+  if (existing) {
+    sendRevoked(existing);
+    return stop;
+  }
+
+  unsubscribe = onRevocation(revocation => {
+    if (matchesRevocation(revocation, subject)) {
+      sendRevoked(revocation);
+    }
+  });
+  keepAlive = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    refreshRevocations().catch(err => {
+      logger.warn('Failed to refresh revocations', { sessionId, error: err.message });
+    });
+  }, STREAM_KEEPALIVE_MS);
+
+  return stop;
+}
+
 /**
  * GET /api/access/public-session/:sessionId
  * Public access session status for secure viewer polling (no Salesforce auth).
@@ -594,6 +1220,37 @@ router.post('/token', async (req, res) => {
       });
     }
 
+    const revocation = await findRevocation(revocationSubject(sessionId, session));
+    if (revocation) {
+      logger.warn('Viewer token refused for revoked session', { sessionId, revocationId: revocation.id });
+      return res.status(403).json({
+        success: false,
+        error: 'Access to this session has been revoked',
+        revoked: true,
+        reason: revocation.reason
+      });
+    }
+
+    // The org may have been removed from the registry since the session started
+    const tenant = resolveTenant(session.orgId);
+    if (!tenant) {
+      return res.status(403).json({
+        success: false,
+        error: `Salesforce org ${session.orgId || '(none)'} is not registered with this backend`
+      });
+    }
+
+    const watermark = buildWatermarkClaim({
+      orgId: session.orgId,
+      orgTemplate: tenant.watermarkTemplate,
+      classification: session.classification,
+      accessType: session.accessType,
+      userName: session.userName,
+      userEmail: session.userEmail,
+      recordName: session.recordName,
+      fileName: session.fileName
+    });
+
     const { token: accessToken, exp } = krnlService.generateAccessToken({
       documentHash: session.documentHash,
       userId: session.userId,
@@ -602,7 +1259,10 @@ router.post('/token', async (req, res) => {
       documentId: session.documentId,
       documentPath: session.documentPath || session.documentId || session.recordId,
       recordId: session.recordId,
-      accessHash: session.accessHash
+      accessHash: session.accessHash,
+      orgId: tenant.orgId,
+      clientIP: req.ip,
+      watermark
     });
 
     if (exp) {
@@ -616,6 +1276,7 @@ router.post('/token', async (req, res) => {
     });
 
     const baseUrl = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+    const isDownload = session.accessType === 'download';
 
     res.json({
       success: true,
@@ -624,8 +1285,15 @@ router.post('/token', async (req, res) => {
       sessionId,
       ready: true,
       status: session.status,
+      scope: isDownload ? 'download' : 'view',
+      viewMode: watermark.rasterize ? 'rasterized' : 'standard',
+      // Download sessions get a watermarked attachment instead of the viewer
+      downloads: isDownload ? await getDownloadAllowance(sessionId) : null,
+      // Non-empty when the token must be redeemed at /api/view/session first
+      binding: tenant.tokenBinding,
       accessToken,
       viewerUrl: `${baseUrl}/secure-viewer?token=${accessToken}`,
+      downloadUrl: isDownload ? `${baseUrl}/api/view/download?token=${accessToken}` : null,
       txHash: session.txHash || null
     });
 
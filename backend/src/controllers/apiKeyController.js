@@ -0,0 +1,82 @@
+const express = require('express');
+const { validateAdminToken } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const {
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  listApiKeys
+} = require('../services/apiKeyService');
+
+const router = express.Router();
+
+// Every route here is for operators only
+router.use(validateAdminToken);
+
+function sendApiKeyError(res, error, fallbackMessage) {
+  const status = error.statusCode || 500;
+  if (status === 500) {
+    logger.error(fallbackMessage, { error: error.message });
+  }
+  return res.status(status).json({
+    success: false,
+    error: status === 500 ? fallbackMessage : error.message
+  });
+}
+
+/**
+ * GET /api/admin/api-keys?orgId=
+ * List API keys, optionally for one org. Secrets are never returned here.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const keys = await listApiKeys({ orgId: req.query.orgId });
+    res.json({ success: true, keys });
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to list API keys');
+  }
+});
+
+/**
+ * POST /api/admin/api-keys
+ * Create an API key for an org. The secret is only returned in this response.
+ * Body: { orgId, label? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { orgId, label } = req.body || {};
+    const key = await createApiKey({ orgId, label });
+    res.status(201).json({ success: true, key });
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to create API key');
+  }
+});
+
+/**
+ * POST /api/admin/api-keys/:keyId/rotate
+ * Issue a new secret. The previous one stays valid for
+ * API_KEY_ROTATION_GRACE_SECONDS.
+ */
+router.post('/:keyId/rotate', async (req, res) => {
+  try {
+    const key = await rotateApiKey(req.params.keyId);
+    res.json({ success: true, key });
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to rotate API key');
+  }
+});
+
+/**
+ * POST /api/admin/api-keys/:keyId/revoke
+ * Revoke a key immediately.
+ */
+router.post('/:keyId/revoke', async (req, res) => {
+  try {
+    const key = await revokeApiKey(req.params.keyId);
+    res.json({ success: true, key });
+  } catch (error) {
+    sendApiKeyError(res, error, 'Failed to revoke API key');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,298 @@
+const express = require('express');
+const { logger } = require('../utils/logger');
+const { applyImageWatermark } = require('../services/watermarkService');
+const { MAX_EVENTS_PER_BATCH, recordViewerEvents } = require('../services/viewerTelemetryService');
+const {
+  viewerError,
+  assertNotRevoked,
+  resolveViewerDocument,
+  loadVerifiedBuffer,
+  getViewerPdf,
+  buildViewerWatermark,
+  isRasterized,
+  parsePageRange,
+  watermarkViewerPdf,
+  recordPageDelivery,
+  reserveDownload,
+  releaseDownload
+} = require('../services/viewerDocumentService');
+const {
+  redeemViewerToken,
+  viewerSessionCookieOptions,
+  authenticateViewerRequest
+} = require('../services/tokenBindingService');
+
+const router = express.Router();
+
+// The viewer's last batch (sent as the tab closes) may arrive after its token expired
+const TELEMETRY_TOKEN_GRACE_SECONDS = 10 * 60;
+
+function sendViewerError(res, error) {
+  if (error.fields) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      ...error.fields
+    });
+  }
+
+  logger.error('Document viewer error', { error: error.message, stack: error.stack });
+  return res.status([404, 503].includes(error.statusCode) ? error.statusCode : 500).json({
+    success: false,
+    error: 'Failed to process viewer request',
+    details: error.message
+  });
+}
+
+/**
+ * Watermark a whole document for one request: PDFs and images directly,
+ * Office documents after conversion to PDF.
+ *
+ * @returns {Promise<{ buffer: Buffer, contentType: string, fileName: string }>}
+ */
+async function watermarkWholeDocument(claims, document, requestIP) {
+  const watermark = buildViewerWatermark(claims, document, requestIP);
+
+  if (document.imageFormat) {
+    const buffer = await loadVerifiedBuffer(document);
+
+    try {
+      return {
+        buffer: await applyImageWatermark(buffer, { format: document.imageFormat, ...watermark }),
+        contentType: `image/${document.imageFormat}`,
+        fileName: document.fileName
+      };
+    } catch (err) {
+      logger.warn('Failed to watermark image; blocking viewer', { error: err.message });
+      throw viewerError('Unable to watermark image', 422, { details: err.message });
+    }
+  }
+
+  const viewerPdf = await getViewerPdf(document);
+  return {
+    buffer: await watermarkViewerPdf(viewerPdf, watermark, { rasterize: isRasterized(claims) }),
+    contentType: 'application/pdf',
+    fileName: viewerPdf.fileName
+  };
+}
+
+/**
+ * POST /api/view/session
+ * Redeem a bound viewer token (see VIEWER_TOKEN_BINDING) for a short-lived
+ * session cookie tied to this client. Each token can be redeemed once; the
+ * /api/view routes then take `?session=<sessionId>` instead of `?token=`.
+ * Body: { token, publicKey? } - publicKey (JWK) for proof-of-possession binding
+ */
+router.post('/session', async (req, res) => {
+  try {
+    const session = await redeemViewerToken(req);
+
+    res.cookie(session.cookieName, session.cookieValue, viewerSessionCookieOptions(session.maxAgeMs));
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({
+      success: true,
+      sessionId: session.sessionId,
+      expiresAt: session.expiresAt,
+      binding: session.binding
+    });
+  } catch (error) {
+    return sendViewerError(res, error);
+  }
+});
+
+/**
+ * GET /api/view?token=...
+ * Document viewer endpoint with JWT token authentication.
+ * Accepts a time-limited JWT token from /api/access, retrieves the file from
+ * storage and serves it whole, watermarked with the template in the token:
+ * PDFs and images directly, Office documents after conversion to PDF. Other
+ * types are refused.
+ *
+ * Here and on the routes below, `?session=<sessionId>` with the cookie from
+ * POST /api/view/session takes the place of the token.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const claims = await authenticateViewerRequest(req);
+    const document = await resolveViewerDocument(claims);
+
+    logger.info('Document viewer accessed', {
+      documentHash: document.documentHash,
+      sessionId: document.sessionId,
+      filePath: document.filePath,
+      accessHash: document.accessHash.substring(0, 10) + '...'
+    });
+
+    const file = await watermarkWholeDocument(claims, document, req.ip);
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `inline; filename="${file.fileName}"`);
+    return res.send(file.buffer);
+  } catch (error) {
+    return sendViewerError(res, error);
+  }
+});
+
+/**
+ * GET /api/view/download?token=...
+ * Watermarked copy of the document as an attachment. Requires a download
+ * token, issued only once a 'download' access has been logged on-chain, and
+ * counts against the session's MAX_DOWNLOADS_PER_SESSION.
+ */
+router.get('/download', async (req, res) => {
+  let reservedSessionId = null;
+
+  try {
+    const claims = await authenticateViewerRequest(req, { scope: 'download' });
+    const document = await resolveViewerDocument(claims);
+
+    const downloads = await reserveDownload(document.sessionId);
+    reservedSessionId = document.sessionId;
+
+    const file = await watermarkWholeDocument(claims, document, req.ip);
+
+    logger.info('Document downloaded', {
+      documentHash: document.documentHash,
+      sessionId: document.sessionId,
+      filePath: document.filePath,
+      accessHash: document.accessHash.substring(0, 10) + '...',
+      downloadsUsed: downloads.used,
+      downloadLimit: downloads.limit
+    });
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    // The secure viewer fetches the file itself and names the saved copy from this
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.send(file.buffer);
+  } catch (error) {
+    if (reservedSessionId) {
+      releaseDownload(reservedSessionId).catch((err) => {
+        logger.warn('Failed to release download', { sessionId: reservedSessionId, error: err.message });
+      });
+    }
+    return sendViewerError(res, error);
+  }
+});
+
+/**
+ * GET /api/view/pages?token=...
+ * Page count and page sizes (PDF points, as displayed) for page-by-page
+ * viewing. Images have no pages and are fetched whole from /api/view.
+ * Encrypted PDFs are only available whole.
+ */
+router.get('/pages', async (req, res) => {
+  try {
+    const claims = await authenticateViewerRequest(req);
+    const document = await resolveViewerDocument(claims);
+
+    if (document.imageFormat) {
+      return res.json({
+        success: true,
+        type: 'image',
+        fileName: document.fileName
+      });
+    }
+
+    const viewerPdf = await getViewerPdf(document);
+    const rasterize = isRasterized(claims);
+
+    res.json({
+      success: true,
+      type: 'pdf',
+      fileName: viewerPdf.fileName,
+      pageCount: viewerPdf.pages.length,
+      pages: viewerPdf.pages,
+      viewMode: rasterize ? 'rasterized' : 'standard',
+      // Rasterizing re-renders encrypted pages, so those can still be split
+      pageByPage: !viewerPdf.encrypted || rasterize
+    });
+  } catch (error) {
+    return sendViewerError(res, error);
+  }
+});
+
+/**
+ * GET /api/view/pages/:range?token=...
+ * One page (`3`) or a range of pages (`3-5`, at most
+ * VIEWER_MAX_PAGES_PER_REQUEST) as a standalone PDF, watermarked for this
+ * request. Every request is counted against the access session.
+ */
+router.get('/pages/:range', async (req, res) => {
+  try {
+    const claims = await authenticateViewerRequest(req);
+    const document = await resolveViewerDocument(claims);
+
+    if (document.imageFormat) {
+      return res.status(400).json({
+        success: false,
+        error: 'Images are not paged',
+        details: 'Fetch the image from /api/view instead.'
+      });
+    }
+
+    const viewerPdf = await getViewerPdf(document);
+    const pageCount = viewerPdf.pages.length;
+    const range = parsePageRange(req.params.range, pageCount);
+
+    const watermark = buildViewerWatermark(claims, document, req.ip);
+    const watermarkedPdf = await watermarkViewerPdf(viewerPdf, watermark, {
+      rasterize: isRasterized(claims),
+      range
+    });
+
+    logger.debug('Document pages served', {
+      sessionId: document.sessionId,
+      from: range.from,
+      to: range.to,
+      pageCount
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${viewerPdf.fileName.replace(/\.pdf$/i, '')}-p${req.params.range}.pdf"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(watermarkedPdf);
+
+    recordPageDelivery(document.sessionId, { range, pageCount }).catch((err) => {
+      logger.warn('Failed to record page delivery', { sessionId: document.sessionId, error: err.message });
+    });
+  } catch (error) {
+    return sendViewerError(res, error);
+  }
+});
+
+/**
+ * POST /api/view/events?token=...
+ * Batched read telemetry from the secure viewer: page views, time on page,
+ * scroll depth, focus/blur, screenshot-shield triggers and viewer close.
+ * Authenticated like the routes above, with some grace for the final batch,
+ * sent with a keepalive request as the tab closes. Revoked sessions can no
+ * longer report.
+ * Body: { events: [{ type, at, page?, durationMs?, scrollDepth?, reason? }] }
+ */
+router.post('/events', async (req, res) => {
+  try {
+    const claims = await authenticateViewerRequest(req, {
+      scope: null,
+      clockTolerance: TELEMETRY_TOKEN_GRACE_SECONDS
+    });
+    await assertNotRevoked(claims);
+
+    const { events } = req.body || {};
+    if (!Array.isArray(events) || events.length === 0 || events.length > MAX_EVENTS_PER_BATCH) {
+      throw viewerError(`events must be an array of 1 to ${MAX_EVENTS_PER_BATCH} viewer events`, 400);
+    }
+
+    const result = await recordViewerEvents(claims.sessionId, events);
+
+    return res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    return sendViewerError(res, error);
+  }
+});
+
+module.exports = router;
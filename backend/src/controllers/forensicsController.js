@@ -0,0 +1,103 @@
+const express = require('express');
+const { validateSalesforceToken } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const {
+  extractForensicMarks,
+  investigateForensicMark,
+  decodeLeakedDocument
+} = require('../services/forensicService');
+
+const router = express.Router();
+
+const HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// Leaked copies arrive as raw PDF bytes; JSON bodies are parsed by the app
+const rawPdfBody = express.raw({
+  type: req => !req.is('application/json'),
+  limit: process.env.MAX_FILE_UPLOAD_BYTES || '10485760' // 10 MB default
+});
+
+/**
+ * POST /api/forensics/decode
+ * Identify the viewer behind a leaked copy from its forensic watermark.
+ *
+ * Accepts one of:
+ * - the leaked PDF as the request body (any non-JSON Content-Type)
+ * - JSON { text } with text copied or OCR'd from the leaked copy
+ * - JSON { accessHash, documentHash?, sessionId? } for an already decoded mark
+ *
+ * Each mark found is resolved to its access session and cross-checked against
+ * the DocumentAccessLogged record on-chain.
+ */
+router.post('/decode', validateSalesforceToken, rawPdfBody, async (req, res) => {
+  try {
+    let result;
+
+    if (Buffer.isBuffer(req.body)) {
+      if (req.body.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'PDF body is required'
+        });
+      }
+
+      try {
+        result = await decodeLeakedDocument({ pdf: req.body, tenant: req.tenant });
+      } catch (error) {
+        logger.warn('Failed to read leaked PDF', { error: error.message });
+        return res.status(422).json({
+          success: false,
+          error: 'Could not read the PDF text layer'
+        });
+      }
+    } else {
+      const { text, accessHash, documentHash, sessionId } = req.body || {};
+
+      if (typeof text === 'string' && text.trim()) {
+        result = await decodeLeakedDocument({ text, tenant: req.tenant });
+      } else if (accessHash) {
+        if (!HASH_PATTERN.test(accessHash) || (documentHash && !HASH_PATTERN.test(documentHash))) {
+          return res.status(400).json({
+            success: false,
+            error: 'accessHash and documentHash must be 0x-prefixed 32-byte hex values'
+          });
+        }
+
+        // Normalise through the extractor so manual marks match decoded ones
+        const [mark] = extractForensicMarks(`KRNL:${accessHash}:${documentHash || ''}:${sessionId || ''}`);
+        result = { marks: [mark], reports: [await investigateForensicMark(mark, { tenant: req.tenant })] };
+      } else {
+        return res.status(400).json({
+          success: false,
+          error: 'Provide a PDF body, text or accessHash to decode'
+        });
+      }
+    }
+
+    if (result.marks.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No forensic watermark found in the document'
+      });
+    }
+
+    logger.info('Forensic decode completed', {
+      requestedBy: req.user && req.user.id,
+      marks: result.marks.length,
+      confirmed: result.reports.filter(report => report.confirmed).length
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Forensic decode failed', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to decode forensic watermark'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const { validateSalesforceToken } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { hashStream, hashStoredFile } = require('../services/fileStorageService');
+const { isRegistryConfigured } = require('../services/directContractService');
+const { verifyDocumentOnChain } = require('../services/documentIntegrityService');
+
+const router = express.Router();
+
+const HASH_PATTERN = /^(0x)?[0-9a-fA-F]{64}$/;
+
+/**
+ * Verifying a stored object reveals internal storage, so `path` lookups need a
+ * Salesforce caller. File and hash lookups are public: they only confirm what
+ * the caller already holds.
+ */
+const requireAuthForStoragePath = (req, res, next) => {
+  if (req.is('application/json') && req.body && req.body.path) {
+    return validateSalesforceToken(req, res, next);
+  }
+  next();
+};
+
+/**
+ * POST /api/integrity/verify
+ * Compute a document's SHA-256 and look it up in DocumentAccessRegistry.
+ *
+ * Accepts one of:
+ * - the raw file as the request body (any non-JSON Content-Type, optional X-File-Name)
+ * - JSON { documentHash } when the caller hashed the file itself
+ * - JSON { path } for a file already in storage (requires Salesforce auth)
+ *
+ * Returns the registration tx, block, registrant, active/deactivated state and
+ * metadata of the on-chain DocumentRecord.
+ */
+router.post('/verify', requireAuthForStoragePath, async (req, res) => {
+  let documentHash;
+  let size = null;
+  let source;
+
+  try {
+    if (req.is('application/json')) {
+      const { documentHash: suppliedHash, path } = req.body || {};
+
+      if (path) {
+        if (typeof path !== 'string' || !path.trim()) {
+          return res.status(400).json({
+            success: false,
+            error: 'path must be a non-empty string'
+          });
+        }
+        ({ hash: documentHash, size } = await hashStoredFile(path.trim(), { tenant: req.tenant }));
+        source = 'storage';
+      } else if (suppliedHash) {
+        if (typeof suppliedHash !== 'string' || !HASH_PATTERN.test(suppliedHash)) {
+          return res.status(400).json({
+            success: false,
+            error: 'documentHash must be a SHA-256 hex digest'
+          });
+        }
+        documentHash = `0x${suppliedHash.replace(/^0x/, '').toLowerCase()}`;
+        source = 'hash';
+      } else {
+        return res.status(400).json({
+          success: false,
+          error: 'Provide a file body, documentHash or path to verify'
+        });
+      }
+    } else {
+      // Hash the upload as it arrives; the file itself is never stored
+      ({ hash: documentHash, size } = await hashStream(req));
+      if (size === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'File body is required'
+        });
+      }
+      source = 'upload';
+    }
+  } catch (error) {
+    logger.error('Failed to hash document for verification', { error: error.message });
+    return res.status(error.statusCode === 404 ? 404 : 500).json({
+      success: false,
+      error: error.statusCode === 404 ? 'File not found in storage' : 'Failed to hash document'
+    });
+  }
+
+  // Salesforce callers are checked against their org's registry; public
+  // lookups use the registry from the environment
+  if (!isRegistryConfigured(req.tenant)) {
+    return res.status(503).json({
+      success: false,
+      error: 'On-chain verification is not configured on this server'
+    });
+  }
+
+  try {
+    const proof = await verifyDocumentOnChain(documentHash, { tenant: req.tenant });
+
+    logger.info('Document verification completed', {
+      documentHash,
+      source,
+      status: proof.status
+    });
+
+    res.json({
+      success: true,
+      source,
+      fileName: req.header('X-File-Name') || null,
+      size,
+      ...proof
+    });
+  } catch (error) {
+    logger.error('On-chain document verification failed', {
+      documentHash,
+      error: error.message
+    });
+    res.status(502).json({
+      success: false,
+      error: 'Failed to read document registry',
+      documentHash
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const { validateAdminToken } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const {
+  listRegistrationJobs,
+  getRegistrationJob,
+  retryRegistrationJob
+} = require('../services/registrationQueue');
+
+const router = express.Router();
+
+// Every route here is for operators only
+router.use(validateAdminToken);
+
+function sendJobError(res, error, fallbackMessage) {
+  const status = error.statusCode || 500;
+  if (status === 500) {
+    logger.error(fallbackMessage, { error: error.message });
+  }
+  return res.status(status).json({
+    success: false,
+    error: status === 500 ? fallbackMessage : error.message
+  });
+}
+
+/**
+ * GET /api/admin/registration-jobs?status=&orgId=
+ * List registration jobs, newest first. `status=Registration Failed` lists
+ * the dead letter queue.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const jobs = await listRegistrationJobs({ status: req.query.status, orgId: req.query.orgId });
+    res.json({ success: true, jobs });
+  } catch (error) {
+    sendJobError(res, error, 'Failed to list registration jobs');
+  }
+});
+
+/**
+ * GET /api/admin/registration-jobs/:jobId
+ */
+router.get('/:jobId', async (req, res) => {
+  try {
+    const job = await getRegistrationJob(req.params.jobId);
+    res.json({ success: true, job });
+  } catch (error) {
+    sendJobError(res, error, 'Failed to get registration job');
+  }
+});
+
+/**
+ * POST /api/admin/registration-jobs/:jobId/retry
+ * Put a dead-lettered job back in the queue.
+ */
+router.post('/:jobId/retry', async (req, res) => {
+  try {
+    const job = await retryRegistrationJob(req.params.jobId);
+    res.json({ success: true, job });
+  } catch (error) {
+    sendJobError(res, error, 'Failed to retry registration job');
+  }
+});
+
+module.exports = router;
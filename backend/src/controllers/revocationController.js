@@ -0,0 +1,80 @@
+const express = require('express');
+const { validateAdminToken } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { revokeAccess, listRevocations } = require('../services/revocationService');
+
+const router = express.Router();
+
+// Every route here is for operators only
+router.use(validateAdminToken);
+
+function sendRevocationError(res, error, fallbackMessage) {
+  const status = error.statusCode || 500;
+  if (status === 500) {
+    logger.error(fallbackMessage, { error: error.message });
+  }
+  return res.status(status).json({
+    success: false,
+    error: status === 500 ? fallbackMessage : error.message
+  });
+}
+
+/**
+ * GET /api/admin/revocations?orgId=
+ * List revocations, newest first, optionally for one org.
+ */
+router.get('/', async (req, res) => {
+  try {
+    const revocations = await listRevocations({ orgId: req.query.orgId });
+    res.json({ success: true, revocations });
+  } catch (error) {
+    sendRevocationError(res, error, 'Failed to list revocations');
+  }
+});
+
+/**
+ * Revoke by one scope. Body: { reason?, orgId?, revokedBy? }
+ */
+function revokeRoute(scope, param) {
+  return async (req, res) => {
+    try {
+      const { reason, orgId, revokedBy } = req.body || {};
+      const revocation = await revokeAccess({
+        scope,
+        value: req.params[param],
+        orgId,
+        reason,
+        revokedBy: revokedBy || 'admin-api'
+      });
+      res.status(201).json({ success: true, revocation });
+    } catch (error) {
+      sendRevocationError(res, error, 'Failed to revoke access');
+    }
+  };
+}
+
+/**
+ * POST /api/admin/revocations/session/:sessionId
+ * Revoke one access session. Its viewer is closed and no new token is issued.
+ */
+router.post('/session/:sessionId', revokeRoute('session', 'sessionId'));
+
+/**
+ * POST /api/admin/revocations/token/:jti
+ * Revoke one viewer token, leaving the session able to get a new one.
+ */
+router.post('/token/:jti', revokeRoute('token', 'jti'));
+
+/**
+ * POST /api/admin/revocations/user/:userId
+ * Revoke every session a Salesforce user has started so far.
+ */
+router.post('/user/:userId', revokeRoute('user', 'userId'));
+
+/**
+ * POST /api/admin/revocations/document/:documentHash
+ * Revoke every session started so far for a document.
+ */
+router.post('/document/:documentHash', revokeRoute('document', 'documentHash'));
+
+module.exports = router;
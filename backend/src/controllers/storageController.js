@@ -0,0 +1,68 @@
+const express = require('express');
+const { pipeline } = require('stream/promises');
+const { logger } = require('../utils/logger');
+const { getStorage } = require('../services/storage');
+
+const router = express.Router();
+
+/**
+ * GET /api/storage/local?token=...
+ * Serve a file from the local storage driver. This is the target of signed
+ * URLs created by the local driver; other drivers sign URLs against their own
+ * object store and never hit this route.
+ */
+router.get('/local', async (req, res) => {
+  const storage = getStorage();
+
+  if (storage.name !== 'local') {
+    return res.status(404).json({
+      success: false,
+      error: 'Local storage is not enabled'
+    });
+  }
+
+  const { token } = req.query;
+  if (!token || typeof token !== 'string') {
+    return res.status(401).json({
+      success: false,
+      error: 'Missing storage token'
+    });
+  }
+
+  let storagePath;
+  try {
+    storagePath = storage.verifySignedToken(token);
+  } catch (err) {
+    logger.warn('Invalid or expired local storage token', { error: err.message });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired storage token'
+    });
+  }
+
+  try {
+    const { stream, contentType, contentLength } = await storage.stream(storagePath);
+    const fileName = storagePath.split('/').pop() || 'document';
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+    if (contentLength !== null) {
+      res.setHeader('Content-Length', contentLength);
+    }
+
+    await pipeline(stream, res);
+  } catch (error) {
+    logger.error('Failed to serve file from local storage', {
+      path: storagePath,
+      error: error.message
+    });
+    if (!res.headersSent) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.statusCode === 404 ? 'File not found' : 'Failed to retrieve file'
+      });
+    }
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,539 @@
+const express = require('express');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { validateSalesforceToken, validateRequestSignature } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { storeFileAndHash, storeFileStreamAndHash } = require('../services/fileStorageService');
+const { isDocumentRegistered, getDocumentEvents } = require('../services/directContractService');
+const { resolveTenant, isOriginAllowed, partitionOrgId } = require('../services/orgRegistryService');
+const { REGISTRATION_STATUSES, enqueueRegistration, getRegistrationJob } = require('../services/registrationQueue');
+const { resolveAnchoringMode, findDocumentInclusion } = require('../services/documentBatchService');
+const {
+  defaultChunkSize,
+  maxChunkSize,
+  initChunkedUpload,
+  writeChunk,
+  getChunkedUploadStatus,
+  getChunkedUploadOwner,
+  assembleChunkedUpload,
+  completeChunkedUpload,
+  releaseChunkedUpload
+} = require('../services/chunkedUploadService');
+
+const router = express.Router();
+
+// Raw body parser for binary file uploads (Apex + LWC)
+// Use a broad type matcher so non-octet-stream content types (e.g. application/pdf)
+// are still treated as raw binary for these specific routes.
+const rawFileBody = express.raw({
+  type: () => true,
+  limit: process.env.MAX_FILE_UPLOAD_BYTES || '10485760' // 10 MB default
+});
+
+// Chunk bodies are bounded by the configured maximum chunk size.
+const rawChunkBody = express.raw({
+  type: () => true,
+  limit: maxChunkSize
+});
+
+/**
+ * Verify the signed upload token (query `token` or `X-Upload-Token` header)
+ * issued by /api/uploads/init and attach its claims as req.upload and the
+ * org it was issued for as req.uploadTenant.
+ */
+const requireUploadToken = (req, res, next) => {
+  const token = req.query.token || req.header('X-Upload-Token');
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Missing upload token'
+    });
+  }
+
+  // Tokens are signed with the secret of the org they were issued for
+  const unverified = jwt.decode(token);
+  const tenant = resolveTenant(unverified && unverified.orgId);
+  if (!tenant) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired upload token'
+    });
+  }
+
+  const secret = tenant.jwtSecret || 'test_secret_for_development';
+  let decoded;
+  try {
+    decoded = jwt.verify(token, secret);
+  } catch (err) {
+    logger.warn('Invalid or expired upload token', { error: err.message });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or expired upload token'
+    });
+  }
+
+  if (!decoded || decoded.uploadId !== req.params.uploadId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Upload token does not match uploadId'
+    });
+  }
+
+  if (!isOriginAllowed(tenant, req.get('origin'))) {
+    return res.status(403).json({
+      success: false,
+      error: 'Origin not allowed for this organization'
+    });
+  }
+
+  req.upload = decoded;
+  req.uploadTenant = tenant;
+  next();
+};
+
+/**
+ * The registration of a document already on-chain: the transaction that
+ * anchored its Merkle batch or registered it directly.
+ *
+ * @returns {Promise<{txHash: string|null, blockNumber: number|null, anchoring: 'batch'|'direct'} | null>}
+ *   null when the document is not registered
+ */
+async function findExistingRegistration(hash, tenant) {
+  const inclusion = await findDocumentInclusion(hash, { orgId: partitionOrgId(tenant) });
+  if (inclusion && inclusion.anchored) {
+    return { txHash: inclusion.txHash, blockNumber: inclusion.blockNumber, anchoring: 'batch' };
+  }
+  if (!(await isDocumentRegistered(hash, tenant))) {
+    return null;
+  }
+
+  const { registrations } = await getDocumentEvents(hash, tenant);
+  const latest = registrations[registrations.length - 1];
+  return {
+    txHash: latest ? latest.txHash : null,
+    blockNumber: latest ? latest.blockNumber : null,
+    anchoring: 'direct'
+  };
+}
+
+/**
+ * Store an uploaded file (from a Buffer or a Readable stream), queue the
+ * on-chain registration of its hash and build the response payload shared by
+ * the single-request and chunked upload flows. The response does not wait for
+ * the transaction: `blockchain` carries the registration job id and its
+ * 'Pending' status, and Salesforce is called back when the job ends.
+ * Documents whose classification the org anchors in batches wait for the
+ * next Merkle batch instead of a transaction of their own.
+ *
+ * `expectedHash` is the hash the caller computed of the same bytes (the
+ * assembled chunks); if the stored bytes hash differently nothing is
+ * registered and a 500 error is thrown.
+ */
+async function storeAndRegisterUpload({ uploadId, recordId, userId, orgId, tenant, classification, buffer, stream, fileName, contentType, expectedHash }) {
+  const storeParams = {
+    contentDocumentId: recordId,
+    fileName,
+    contentType,
+    tenant
+  };
+  const { hash, storage } = stream
+    ? await storeFileStreamAndHash({ ...storeParams, stream })
+    : await storeFileAndHash({ ...storeParams, buffer });
+
+  if (expectedHash && hash !== expectedHash) {
+    logger.error('Stored file hash does not match assembled chunk hash', {
+      uploadId,
+      assembledHash: expectedHash,
+      storedHash: hash
+    });
+    const error = new Error('Stored file does not match the uploaded chunks');
+    error.statusCode = 500;
+    throw error;
+  }
+
+  logger.info('Direct upload completed, queueing blockchain registration', {
+    uploadId,
+    recordId,
+    userId,
+    orgId,
+    hash,
+    storage
+  });
+
+  const response = {
+    success: true,
+    uploadId,
+    recordId,
+    userId,
+    orgId,
+    hash,
+    storage
+  };
+
+  // Identical bytes that are already registered do not need a second
+  // transaction (registering again would overwrite the original record).
+  // The existing registration is reported so Salesforce does not register
+  // the document itself.
+  if (storage && storage.deduplicated) {
+    try {
+      const existing = await findExistingRegistration(hash, tenant);
+      if (existing) {
+        logger.info('Duplicate upload of an already registered document, skipping registration', {
+          uploadId,
+          recordId,
+          hash,
+          txHash: existing.txHash
+        });
+        response.blockchain = {
+          success: true,
+          status: REGISTRATION_STATUSES.REGISTERED,
+          alreadyRegistered: true,
+          ...existing
+        };
+        return response;
+      }
+    } catch (lookupError) {
+      logger.warn('Could not check existing registration, registering again', {
+        uploadId,
+        hash,
+        error: lookupError.message
+      });
+    }
+  }
+
+  const anchoring = resolveAnchoringMode(tenant, classification);
+  const job = await enqueueRegistration({
+    documentHash: hash,
+    salesforceRecordId: recordId,
+    metadata: JSON.stringify({
+      fileName,
+      uploadId,
+      userId,
+      orgId,
+      classification: classification || null,
+      uploadedAt: new Date().toISOString()
+    }),
+    tenant,
+    uploadId,
+    anchoring
+  });
+
+  response.blockchain = {
+    status: job.status,
+    jobId: job.jobId,
+    anchoring
+  };
+
+  return response;
+}
+
+function sendUploadError(res, error, fallbackMessage) {
+  const status = error.statusCode || 500;
+  const body = {
+    success: false,
+    error: status === 500 ? fallbackMessage : error.message
+  };
+  if (error.missingChunks) {
+    body.missingChunks = error.missingChunks;
+  }
+  return res.status(status).json(body);
+}
+
+/**
+ * POST /api/uploads/init
+ * Initialize a direct upload session from Salesforce (Apex)
+ * Body: { recordId, userId?, uploadId?, classification? }
+ * Returns an uploadId and a short-lived uploadUrl that the LWC can call directly.
+ * Passing the uploadId of an unfinished chunked upload issues a fresh token for
+ * it so the client can resume instead of starting over. The classification
+ * decides whether the document is registered on its own or in a Merkle batch.
+ */
+router.post('/init', validateSalesforceToken, validateRequestSignature, async (req, res) => {
+  try {
+    const { recordId, userId, uploadId: resumeUploadId, classification } = req.body || {};
+
+    if (!recordId) {
+      return res.status(400).json({
+        success: false,
+        error: 'recordId is required to initialize upload session'
+      });
+    }
+
+    const effectiveUserId = userId
+      || (req.user && (req.user.salesforceId || req.user.id))
+      || null;
+
+    const orgId = req.tenant.orgId;
+
+    let uploadId = null;
+    let resumed = false;
+
+    if (resumeUploadId) {
+      const owner = await getChunkedUploadOwner(resumeUploadId);
+      if (owner && owner.recordId === recordId && owner.status !== 'FINALIZED') {
+        uploadId = resumeUploadId;
+        resumed = true;
+      } else {
+        logger.info('Requested upload cannot be resumed, starting a new one', {
+          resumeUploadId,
+          recordId,
+          found: !!owner
+        });
+      }
+    }
+
+    if (!uploadId) {
+      uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    const secret = req.tenant.jwtSecret || 'test_secret_for_development';
+    const expiresInSeconds = req.tenant.uploadTokenTtlSeconds; // 15 minutes default
+
+    const tokenPayload = {
+      uploadId,
+      recordId,
+      userId: effectiveUserId,
+      orgId,
+      classification: typeof classification === 'string' && classification.trim() ? classification.trim() : null
+    };
+
+    const token = jwt.sign(tokenPayload, secret, { expiresIn: expiresInSeconds });
+
+    const baseUrl = process.env.PUBLIC_BASE_URL || '';
+    const uploadBasePath = `/api/uploads/${uploadId}`;
+    const uploadPath = `${uploadBasePath}/file?token=${encodeURIComponent(token)}`;
+    const uploadUrl = baseUrl ? `${baseUrl}${uploadPath}` : uploadPath;
+    const uploadBaseUrl = baseUrl ? `${baseUrl}${uploadBasePath}` : uploadBasePath;
+
+    logger.info('Initialized direct upload session', {
+      uploadId,
+      recordId,
+      userId: effectiveUserId,
+      orgId,
+      resumed,
+      expiresInSeconds,
+      baseUrlConfigured: !!baseUrl
+    });
+
+    res.json({
+      success: true,
+      uploadId,
+      uploadUrl,
+      uploadPath,
+      uploadBaseUrl,
+      token,
+      chunkSize: defaultChunkSize,
+      maxChunkSize,
+      resumed,
+      expiresInSeconds
+    });
+
+  } catch (error) {
+    logger.error('Failed to initialize upload session', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to initialize upload session'
+    });
+  }
+});
+
+/**
+ * GET /api/uploads/registrations/:jobId
+ * Status of the blockchain registration queued for an upload: 'Pending',
+ * 'Registered' (with txHash and blockNumber) or 'Registration Failed'.
+ */
+router.get('/registrations/:jobId', validateSalesforceToken, async (req, res) => {
+  try {
+    const job = await getRegistrationJob(req.params.jobId, { orgId: partitionOrgId(req.tenant) });
+    res.json({ success: true, job });
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to get registration status');
+  }
+});
+
+/**
+ * PUT /api/uploads/:uploadId/file
+ * Direct binary upload endpoint for LWC (single request, bounded by MAX_FILE_UPLOAD_BYTES).
+ * Uses the signed token from /api/uploads/init to authorize the upload.
+ */
+router.put('/:uploadId/file', requireUploadToken, rawFileBody, async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'File body is required as application/octet-stream'
+      });
+    }
+
+    const fileNameHeader = req.header('X-File-Name') || req.header('x-file-name');
+    const fileName = fileNameHeader && fileNameHeader.trim().length > 0
+      ? fileNameHeader
+      : `upload-${uploadId}.bin`;
+
+    const contentType = req.header('Content-Type') || req.header('content-type') || 'application/octet-stream';
+
+    const response = await storeAndRegisterUpload({
+      uploadId,
+      recordId: req.upload.recordId,
+      userId: req.upload.userId,
+      orgId: req.upload.orgId || null,
+      tenant: req.uploadTenant,
+      classification: req.upload.classification,
+      buffer: req.body,
+      fileName,
+      contentType
+    });
+
+    res.json(response);
+
+  } catch (error) {
+    logger.error('Direct upload failed', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload file'
+    });
+  }
+});
+
+/**
+ * POST /api/uploads/:uploadId/chunked
+ * Start or resume a chunked upload.
+ * Body: { totalSize, chunkSize?, fileName?, contentType? }
+ * Returns the chunk layout plus receivedChunks / missingChunks.
+ */
+router.post('/:uploadId/chunked', requireUploadToken, async (req, res) => {
+  try {
+    const { totalSize, chunkSize, fileName, contentType } = req.body || {};
+
+    const status = await initChunkedUpload({
+      uploadId: req.params.uploadId,
+      recordId: req.upload.recordId,
+      userId: req.upload.userId,
+      orgId: req.upload.orgId || null,
+      totalSize,
+      chunkSize,
+      fileName,
+      contentType
+    });
+
+    res.json({
+      success: true,
+      ...status
+    });
+
+  } catch (error) {
+    logger.error('Failed to initialize chunked upload', {
+      uploadId: req.params.uploadId,
+      error: error.message
+    });
+    sendUploadError(res, error, 'Failed to initialize chunked upload');
+  }
+});
+
+/**
+ * PUT /api/uploads/:uploadId/chunks/:index
+ * Upload one chunk as a raw body.
+ * Headers: X-Chunk-Offset (byte offset), X-Chunk-Checksum (hex SHA-256 of the chunk)
+ */
+router.put('/:uploadId/chunks/:index', requireUploadToken, rawChunkBody, async (req, res) => {
+  try {
+    const offsetHeader = req.header('X-Chunk-Offset');
+
+    const result = await writeChunk({
+      uploadId: req.params.uploadId,
+      index: Number.parseInt(req.params.index, 10),
+      offset: typeof offsetHeader === 'undefined' ? null : Number.parseInt(offsetHeader, 10),
+      checksum: req.header('X-Chunk-Checksum'),
+      buffer: req.body
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    logger.warn('Chunk upload failed', {
+      uploadId: req.params.uploadId,
+      index: req.params.index,
+      error: error.message
+    });
+    sendUploadError(res, error, 'Failed to store chunk');
+  }
+});
+
+/**
+ * GET /api/uploads/:uploadId/status
+ * Report received and missing chunks so a client can resume after a network drop.
+ */
+router.get('/:uploadId/status', requireUploadToken, async (req, res) => {
+  try {
+    const status = await getChunkedUploadStatus(req.params.uploadId);
+
+    res.json({
+      success: true,
+      ...status
+    });
+
+  } catch (error) {
+    logger.error('Failed to get chunked upload status', {
+      uploadId: req.params.uploadId,
+      error: error.message
+    });
+    sendUploadError(res, error, 'Failed to get upload status');
+  }
+});
+
+/**
+ * POST /api/uploads/:uploadId/finalize
+ * Assemble all chunks, hash them incrementally, stream the file to storage and
+ * queue the on-chain registration of the hash. Repeating the call after success
+ * returns the same result (poll /api/uploads/registrations/:jobId for the registration).
+ */
+router.post('/:uploadId/finalize', requireUploadToken, async (req, res) => {
+  const { uploadId } = req.params;
+
+  try {
+    const current = await getChunkedUploadStatus(uploadId);
+    if (current.status === 'FINALIZED' && current.result) {
+      return res.json(current.result);
+    }
+
+    const { manifest, hash, assembledPath } = await assembleChunkedUpload(uploadId);
+
+    let response;
+    try {
+      response = await storeAndRegisterUpload({
+        uploadId,
+        recordId: manifest.recordId,
+        userId: manifest.userId,
+        orgId: manifest.orgId,
+        tenant: req.uploadTenant,
+        classification: req.upload.classification,
+        stream: fs.createReadStream(assembledPath),
+        fileName: manifest.fileName,
+        contentType: manifest.contentType,
+        expectedHash: hash
+      });
+    } catch (storeError) {
+      await releaseChunkedUpload(uploadId);
+      throw storeError;
+    }
+
+    await completeChunkedUpload(uploadId, response);
+
+    res.json(response);
+
+  } catch (error) {
+    logger.error('Chunked upload finalize failed', {
+      uploadId,
+      error: error.message
+    });
+    sendUploadError(res, error, 'Failed to finalize upload');
+  }
+});
+
+module.exports = router;
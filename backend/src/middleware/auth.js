@@ -1,6 +1,14 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const axios = require('axios');
 const { logger } = require('../utils/logger');
+const {
+  sameSalesforceId,
+  verifySalesforceSession,
+  isAssertionVerificationEnabled,
+  verifyIdentityAssertion
+} = require('../services/salesforceIdentityService');
+const { resolveTenant } = require('../services/orgRegistryService');
+const { verifySignedRequest } = require('../services/apiKeyService');
 
 /**
  * Validate JWT token middleware
@@ -29,93 +37,189 @@ const validateJWT = (req, res, next) => {
 };
 
 /**
- * Validate Salesforce token middleware.
+ * Pick the identity the request proves: a signed assertion from Apex when
+ * one is sent and a verification certificate is configured, otherwise the
+ * session token checked against the org's userinfo endpoint.
+ */
+async function resolveSalesforceIdentity(req) {
+  const assertion = req.header('X-Salesforce-Identity');
+  const instanceUrl = req.header('X-Salesforce-Instance-Url') || process.env.SALESFORCE_INSTANCE_URL || null;
+
+  if (assertion && isAssertionVerificationEnabled(assertion)) {
+    const identity = verifyIdentityAssertion(assertion);
+    return { ...identity, instanceUrl: identity.instanceUrl || instanceUrl };
+  }
+
+  return verifySalesforceSession(req.header('X-Salesforce-Token'), instanceUrl);
+}
+
+/**
+ * Resolve the caller's org in the org registry and set req.tenant. Orgs that
+ * are not registered (when a registry is configured) are refused, as are
+ * calls from an instance other than the one registered for the org.
  *
- * For this app we trust the headers/body coming from Apex/LWC instead of
- * doing an external REST call back to Salesforce. The middleware enforces
- * that a Salesforce session token header is present (in non-development
- * environments) and then populates req.user with basic context for logging
- * and multi-tenant routing.
+ * @returns {boolean} false when a 403 has been sent
  */
-const validateSalesforceToken = async (req, res, next) => {
-  const salesforceToken = req.header('X-Salesforce-Token');
+function attachTenant(req, res, orgId, instanceUrl) {
+  const tenant = resolveTenant(orgId);
+  const registeredInstance = tenant && tenant.instanceUrl && tenant.instanceUrl.replace(/\/+$/, '').toLowerCase();
 
-  // In non-development environments, require that a Salesforce session token
-  // header is present as a minimal guardrail.
-  if (!salesforceToken && process.env.NODE_ENV !== 'development') {
-    return res.status(401).json({
+  if (!tenant || (registeredInstance && instanceUrl && registeredInstance !== instanceUrl.toLowerCase())) {
+    logger.warn('Salesforce org not registered with this backend', { orgId, instanceUrl, path: req.originalUrl });
+    res.status(403).json({
       success: false,
-      error: 'Salesforce authentication required.'
+      error: `Salesforce org ${orgId} is not registered with this backend`
     });
+    return false;
   }
 
-  // In development mode, provide a fixed stub user for convenience.
-  if (process.env.NODE_ENV === 'development') {
+  req.tenant = { ...tenant, instanceUrl: instanceUrl || tenant.instanceUrl };
+  return true;
+}
+
+/**
+ * Validate Salesforce token middleware.
+ *
+ * In `verify` mode (SALESFORCE_AUTH_MODE, the default outside development)
+ * the caller's identity is proven server-side and req.user / req.tenant are
+ * built only from verified data. A userId or orgId in the body that names
+ * someone else is refused. In `stub` mode a fixed test user is used, in the
+ * org SALESFORCE_STUB_ORG_ID (default `test_org`).
+ *
+ * req.tenant carries the org's registry settings (see orgRegistryService).
+ */
+const validateSalesforceToken = async (req, res, next) => {
+  const mode = process.env.SALESFORCE_AUTH_MODE || (process.env.NODE_ENV === 'development' ? 'stub' : 'verify');
+
+  if (mode === 'stub') {
     req.user = {
       id: 'test_user_001',
       email: 'test@example.com',
       salesforceId: '0051234567890123',
-      orgId: 'test_org'
+      orgId: process.env.SALESFORCE_STUB_ORG_ID || 'test_org'
     };
-    return next();
+    return attachTenant(req, res, req.user.orgId, null) ? next() : undefined;
+  }
+
+  let identity;
+  try {
+    identity = await resolveSalesforceIdentity(req);
+  } catch (error) {
+    logger.warn('Salesforce identity verification failed', { error: error.message, path: req.originalUrl });
+    return res.status(error.statusCode || 401).json({
+      success: false,
+      error: error.statusCode === 503 ? error.message : 'Salesforce authentication required.',
+      details: error.message
+    });
   }
 
-  // In production/other environments, trust the context that Apex/LWC sends
-  // rather than calling Salesforce. We derive a minimal req.user from
-  // headers and body so downstream code has org / user context.
-  const instanceUrlHeader = req.header('X-Salesforce-Instance-Url') || process.env.SALESFORCE_INSTANCE_URL || null;
   const bodyUserId = (req.body && (req.body.userId || req.body.salesforceUserId)) || null;
-  const bodyUserEmail = (req.body && (req.body.userEmail || req.body.salesforceUserEmail)) || null;
   const bodyOrgId = (req.body && (req.body.orgId || req.body.salesforceOrgId)) || null;
 
+  if ((bodyUserId && !sameSalesforceId(bodyUserId, identity.userId)) ||
+      (bodyOrgId && !sameSalesforceId(bodyOrgId, identity.orgId))) {
+    logger.warn('Request body does not match verified Salesforce identity', {
+      verifiedUserId: identity.userId,
+      verifiedOrgId: identity.orgId,
+      bodyUserId,
+      bodyOrgId
+    });
+    return res.status(403).json({
+      success: false,
+      error: 'Request does not match the authenticated Salesforce user'
+    });
+  }
+
   req.user = {
-    id: bodyUserId,
-    email: bodyUserEmail,
-    salesforceId: bodyUserId,
-    orgId: bodyOrgId,
-    instanceUrl: instanceUrlHeader
+    id: identity.userId,
+    email: identity.email,
+    name: identity.name,
+    salesforceId: identity.userId,
+    orgId: identity.orgId,
+    instanceUrl: identity.instanceUrl,
+    profile: identity.profile || null,
+    role: identity.role || null,
+    verifiedBy: identity.verifiedBy
   };
 
-  // Optionally attach a simple tenant context keyed by instance URL.
-  if (instanceUrlHeader) {
-    req.tenant = { orgId: instanceUrlHeader };
+  return attachTenant(req, res, identity.orgId, identity.instanceUrl) ? next() : undefined;
+};
+
+/**
+ * Require an HMAC-signed request made with one of the caller org's API keys
+ * (see apiKeyService). Runs after validateSalesforceToken, and after the body
+ * parser on raw-body routes, since the signature covers the raw body.
+ *
+ * API_SIGNATURE_MODE is `enforce` (the default outside development) or `off`.
+ */
+const validateRequestSignature = async (req, res, next) => {
+  const mode = process.env.API_SIGNATURE_MODE || (process.env.NODE_ENV === 'development' ? 'off' : 'enforce');
+  if (mode === 'off') {
+    return next();
+  }
+
+  let apiKey;
+  try {
+    apiKey = await verifySignedRequest({
+      keyId: req.header('X-Krnl-Key-Id'),
+      timestamp: req.header('X-Krnl-Timestamp'),
+      nonce: req.header('X-Krnl-Nonce'),
+      signature: req.header('X-Krnl-Signature'),
+      method: req.method,
+      path: req.originalUrl,
+      body: Buffer.isBuffer(req.body) ? req.body : req.rawBody
+    });
+  } catch (error) {
+    logger.warn('Request signature rejected', { error: error.message, path: req.originalUrl });
+    return res.status(error.statusCode || 401).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (!req.tenant || apiKey.orgId !== req.tenant.orgId) {
+    logger.warn('API key used for another org', { keyId: apiKey.keyId, keyOrgId: apiKey.orgId, path: req.originalUrl });
+    return res.status(403).json({
+      success: false,
+      error: 'API key does not belong to the authenticated Salesforce org'
+    });
   }
 
+  req.apiKey = apiKey;
   return next();
 };
 
 /**
- * Mock Salesforce validation for testing
+ * Require the operator token (ADMIN_API_TOKEN) as a bearer token. Admin
+ * routes are disabled (503) until one is configured.
  */
-async function validateWithSalesforce(token, instanceUrlFromHeader) {
-  const baseUrl = instanceUrlFromHeader || process.env.SALESFORCE_INSTANCE_URL;
-  const apiVersion = process.env.SALESFORCE_API_VERSION || 'v60.0';
-
-  if (!baseUrl) {
-    throw new Error('SALESFORCE_INSTANCE_URL is not configured and no X-Salesforce-Instance-Url header was provided');
+const validateAdminToken = (req, res, next) => {
+  const expected = process.env.ADMIN_API_TOKEN;
+  if (!expected) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API is disabled (ADMIN_API_TOKEN is not set)'
+    });
   }
 
-  const url = `${baseUrl}/services/data/${apiVersion}/chatter/users/me`;
+  const token = req.header('Authorization')?.replace('Bearer ', '') || '';
+  const given = crypto.createHash('sha256').update(token).digest();
+  const wanted = crypto.createHash('sha256').update(expected).digest();
 
-  const response = await axios.get(url, {
-    headers: {
-      Authorization: `Bearer ${token}`
-    },
-    timeout: 5000
-  });
-
-  const data = response.data || {};
+  if (!token || !crypto.timingSafeEqual(given, wanted)) {
+    logger.warn('Admin API authentication failed', { path: req.originalUrl, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin token.'
+    });
+  }
 
-  return {
-    id: data.id || null,
-    email: data.email || null,
-    salesforceId: data.id || null,
-    orgId: data.organizationId || null,
-    instanceUrl: baseUrl
-  };
-}
+  return next();
+};
 
 module.exports = {
   validateJWT,
-  validateSalesforceToken
+  validateSalesforceToken,
+  validateRequestSignature,
+  validateAdminToken
 };
\ No newline at end of file
@@ -2,19 +2,37 @@ require('dotenv').config();
 const express = require('express');
 const helmet = require('helmet');
 const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
 const path = require('path');
 const { logger } = require('./utils/logger');
 const complianceRouter = require('./controllers/complianceController');
 const accessRouter = require('./controllers/accessController');
+const uploadRouter = require('./controllers/uploadController');
+const apiKeyRouter = require('./controllers/apiKeyController');
+const revocationRouter = require('./controllers/revocationController');
+const registrationJobRouter = require('./controllers/registrationJobController');
+const storageRouter = require('./controllers/storageController');
+const integrityRouter = require('./controllers/integrityController');
+const forensicsRouter = require('./controllers/forensicsController');
+const documentViewRouter = require('./controllers/documentViewController');
 const { initSmartAccountFromEnv } = require('./services/eip4337AccountService');
-const { storeFileAndHash, createSignedFileUrl } = require('./services/fileStorageService_s3');
-const { validateSalesforceToken } = require('./middleware/auth');
+const { storeFileAndHash, createSignedFileUrl } = require('./services/fileStorageService');
+const { validateSalesforceToken, validateRequestSignature } = require('./middleware/auth');
 const { registerDocumentDirect } = require('./services/directContractService');
+const { listAllowedOrigins } = require('./services/orgRegistryService');
+const { startRegistrationQueue } = require('./services/registrationQueue');
+const { startDocumentBatcher } = require('./services/documentBatchService');
+const { startAccessLogBatcher } = require('./services/accessLogService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy req.ip is the proxy's address unless it is trusted
+// to report the client's (needed for IP-bound viewer tokens)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy));
+}
+
 // Raw body parser for binary file uploads (Apex + LWC)
 // Use a broad type matcher so non-octet-stream content types (e.g. application/pdf)
 // are still treated as raw binary for these specific routes.
@@ -43,7 +61,8 @@ if (process.env.NODE_ENV === 'development') {
       'http://localhost:5173',  // Viewer app (dev)
       'http://localhost:3000',  // Same origin
       process.env.VIEWER_APP_URL,
-      process.env.PUBLIC_BASE_URL
+      process.env.PUBLIC_BASE_URL,
+      ...listAllowedOrigins()     // Origins of registered orgs
     ].filter(Boolean);
 
     // Also allow Salesforce origins
@@ -60,7 +79,7 @@ if (process.env.NODE_ENV === 'development') {
     }
 
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Salesforce-Token, X-Salesforce-Instance-Url');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Salesforce-Token, X-Salesforce-Instance-Url, X-File-Name, X-Upload-Token, X-Chunk-Offset, X-Chunk-Checksum, X-Krnl-Device, X-Krnl-Proof');
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     res.setHeader('Access-Control-Max-Age', '86400');
 
@@ -75,7 +94,12 @@ if (process.env.NODE_ENV === 'development') {
   logger.info('CORS middleware disabled - expecting reverse proxy to handle CORS');
 }
 
-app.use(express.json());
+// Keep the raw JSON body: request signatures (validateRequestSignature) cover it
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging middleware
@@ -112,213 +136,24 @@ app.use((req, res, next) => {
 // KRNL API routers (Salesforce integrations)
 app.use('/api/compliance', complianceRouter);
 app.use('/api/access', accessRouter);
+app.use('/api/integrity', integrityRouter);
+app.use('/api/forensics', forensicsRouter);
 
-// ---------------------------------------------------------------------------
-// Direct upload session endpoints for LWC -> backend file uploads
-// ---------------------------------------------------------------------------
-
-// Initialize a direct upload session from Salesforce (Apex)
-// Body: { recordId, userId? }
-// Returns an uploadId and a short-lived uploadUrl that the LWC can call directly.
-app.post('/api/uploads/init', validateSalesforceToken, (req, res) => {
-  try {
-    const { recordId, userId } = req.body || {};
-
-    if (!recordId) {
-      return res.status(400).json({
-        success: false,
-        error: 'recordId is required to initialize upload session'
-      });
-    }
-
-    const effectiveUserId = userId
-      || (req.user && (req.user.salesforceId || req.user.id))
-      || null;
-
-    const orgId = (req.tenant && req.tenant.orgId)
-      || (req.user && req.user.orgId)
-      || null;
-
-    const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-    const secret = process.env.JWT_SECRET || 'test_secret_for_development';
-    const expiresInSeconds = Number.parseInt(process.env.UPLOAD_TOKEN_TTL_SECONDS || '900', 10); // 15 minutes default
-
-    const tokenPayload = {
-      uploadId,
-      recordId,
-      userId: effectiveUserId,
-      orgId
-    };
-
-    const token = jwt.sign(tokenPayload, secret, { expiresIn: expiresInSeconds });
-
-    const baseUrl = process.env.PUBLIC_BASE_URL || '';
-    const uploadPath = `/api/uploads/${uploadId}/file?token=${encodeURIComponent(token)}`;
-    const uploadUrl = baseUrl ? `${baseUrl}${uploadPath}` : uploadPath;
-
-    logger.info('Initialized direct upload session', {
-      uploadId,
-      recordId,
-      userId: effectiveUserId,
-      orgId,
-      expiresInSeconds,
-      baseUrlConfigured: !!baseUrl
-    });
-
-    res.json({
-      success: true,
-      uploadId,
-      uploadUrl,
-      uploadPath,
-      expiresInSeconds
-    });
-
-  } catch (error) {
-    logger.error('Failed to initialize upload session', { error: error.message });
-    res.status(500).json({
-      success: false,
-      error: 'Failed to initialize upload session'
-    });
-  }
-});
-
-// Direct binary upload endpoint for LWC
-// Uses the signed token from /api/uploads/init to authorize the upload
-app.put('/api/uploads/:uploadId/file', rawFileBody, async (req, res) => {
-  try {
-    const { uploadId } = req.params;
-    const token = req.query.token;
-
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: 'Missing upload token'
-      });
-    }
-
-    const secret = process.env.JWT_SECRET || 'test_secret_for_development';
-    let decoded;
-    try {
-      decoded = jwt.verify(token, secret);
-    } catch (err) {
-      logger.warn('Invalid or expired upload token', { error: err.message });
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid or expired upload token'
-      });
-    }
+// Watermarked document delivery for the secure viewer (whole or page by page)
+app.use('/api/view', documentViewRouter);
 
-    if (!decoded || decoded.uploadId !== uploadId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Upload token does not match uploadId'
-      });
-    }
-
-    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'File body is required as application/octet-stream'
-      });
-    }
-
-    const fileNameHeader = req.header('X-File-Name') || req.header('x-file-name');
-    const fileName = fileNameHeader && fileNameHeader.trim().length > 0
-      ? fileNameHeader
-      : `upload-${uploadId}.bin`;
-
-    const contentType = req.header('Content-Type') || req.header('content-type') || 'application/octet-stream';
-
-    const recordId = decoded.recordId;
-    const userId = decoded.userId;
-    const orgId = decoded.orgId || null;
-
-    const { hash, storage } = await storeFileAndHash({
-      buffer: req.body,
-      contentDocumentId: recordId,
-      fileName,
-      contentType
-    });
-
-    logger.info('Direct upload completed, registering on blockchain', {
-      uploadId,
-      recordId,
-      userId,
-      orgId,
-      hash,
-      storage
-    });
+// Direct upload session endpoints for LWC -> backend file uploads
+// (single-request and resumable chunked uploads)
+app.use('/api/uploads', uploadRouter);
 
-    // Register document on blockchain before responding
-    let blockchainResult = null;
-    try {
-      blockchainResult = await registerDocumentDirect({
-        documentHash: hash,
-        salesforceRecordId: recordId,
-        metadata: JSON.stringify({
-          fileName,
-          uploadId,
-          userId,
-          orgId,
-          uploadedAt: new Date().toISOString()
-        })
-      });
+// Per-org API key management (create, rotate, revoke)
+app.use('/api/admin/api-keys', apiKeyRouter);
+app.use('/api/admin/revocations', revocationRouter);
+// Blockchain registration queue: dead letters and manual retries
+app.use('/api/admin/registration-jobs', registrationJobRouter);
 
-      logger.info('Blockchain registration completed during upload', {
-        uploadId,
-        recordId,
-        hash,
-        txHash: blockchainResult.txHash,
-        blockNumber: blockchainResult.blockNumber
-      });
-    } catch (blockchainError) {
-      logger.error('Blockchain registration failed during upload', {
-        uploadId,
-        recordId,
-        hash,
-        error: blockchainError.message
-      });
-      // Still return success for the upload, but include blockchain error
-      return res.json({
-        success: true,
-        uploadId,
-        recordId,
-        userId,
-        orgId,
-        hash,
-        storage,
-        blockchain: {
-          success: false,
-          error: blockchainError.message
-        }
-      });
-    }
-
-    res.json({
-      success: true,
-      uploadId,
-      recordId,
-      userId,
-      orgId,
-      hash,
-      storage,
-      blockchain: {
-        success: true,
-        txHash: blockchainResult.txHash,
-        blockNumber: blockchainResult.blockNumber,
-        gasUsed: blockchainResult.gasUsed
-      }
-    });
-
-  } catch (error) {
-    logger.error('Direct upload failed', { error: error.message });
-    res.status(500).json({
-      success: false,
-      error: 'Failed to upload file'
-    });
-  }
-});
+// Signed download URLs for the local storage driver
+app.use('/api/storage', storageRouter);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -397,8 +232,8 @@ app.post('/api/compliance/check', (req, res) => {
 });
 
 // File upload endpoint for Salesforce (Apex Blob)
-// Accepts raw octet-stream body, stores it in Supabase (when configured), and returns a deterministic hash
-app.post('/api/files/upload', rawFileBody, async (req, res) => {
+// Accepts raw octet-stream body, stores it in the calling org's storage, and returns a deterministic hash
+app.post('/api/files/upload', validateSalesforceToken, rawFileBody, validateRequestSignature, async (req, res) => {
   try {
     if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
       return res.status(400).json({
@@ -415,7 +250,8 @@ app.post('/api/files/upload', rawFileBody, async (req, res) => {
       buffer: req.body,
       contentDocumentId,
       fileName,
-      contentType
+      contentType,
+      tenant: req.tenant
     });
 
     logger.info('File uploaded and hashed successfully', {
@@ -439,218 +275,7 @@ app.post('/api/files/upload', rawFileBody, async (req, res) => {
   }
 });
 
-// Document viewer endpoint with JWT token authentication
-// Accepts a time-limited JWT token from /api/access, retrieves file from Supabase,
-// watermarks PDFs with the on-chain accessHash, and streams the content
-app.get('/api/view', async (req, res) => {
-  try {
-    const { token } = req.query;
-
-    if (!token) {
-      return res.status(400).json({
-        success: false,
-        error: 'Access token is required'
-      });
-    }
-
-    // Verify and decode JWT token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-for-development');
-    } catch (err) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid or expired access token'
-      });
-    }
-
-    const {
-      documentHash,
-      sessionId,
-      documentId: tokenDocumentId,
-      documentPath: tokenDocumentPath,
-      recordId: tokenRecordId,
-      accessHash: tokenAccessHash
-    } = decoded;
-
-    if (!documentHash || !sessionId) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid token payload'
-      });
-    }
-
-    // Start by trusting the file path and accessHash embedded in the token.
-    let filePath = tokenDocumentPath || tokenDocumentId || tokenRecordId || null;
-    let accessHash = tokenAccessHash || null;
-
-    // For older tokens (or if claims are missing), fall back to KRNL
-    // session status (persisted in Supabase) to resolve filePath/accessHash.
-    if (!filePath || !accessHash) {
-      const KRNLService = require('./services/krnlService');
-      const krnlService = new KRNLService();
-
-      try {
-        const statusResult = await krnlService.getWorkflowStatus(sessionId);
-
-        const sessionFilePath =
-          (statusResult && statusResult.documentId) || tokenDocumentPath || tokenDocumentId || tokenRecordId || null;
-        const sessionAccessHash = (statusResult && statusResult.accessHash) || null;
-
-        if (!sessionFilePath || !sessionAccessHash) {
-          return res.status(404).json({
-            success: false,
-            error: 'Session not found or missing file path/accessHash'
-          });
-        }
-
-        filePath = filePath || sessionFilePath;
-        accessHash = accessHash || sessionAccessHash;
-      } catch (err) {
-        logger.warn('Failed to retrieve session for viewer', { sessionId, error: err.message });
-
-        // If we still don't have enough information to serve the file, treat
-        // this as an expired session. Otherwise, fall through and use the
-        // token-derived values we already have.
-        if (!filePath || !accessHash) {
-          return res.status(404).json({
-            success: false,
-            error: 'Session not found or expired'
-          });
-        }
-      }
-    }
-
-    // At this point we must have a filePath and accessHash to proceed.
-    if (!filePath || !accessHash) {
-      return res.status(404).json({
-        success: false,
-        error: 'Session not found or missing file path/accessHash'
-      });
-    }
-
-    logger.info('Document viewer accessed', {
-      documentHash,
-      sessionId,
-      filePath,
-      accessHash: accessHash.substring(0, 10) + '...'
-    });
-
-    // Retrieve file from Supabase
-    const { getSupabaseFileBuffer } = require('./services/fileStorageService_s3');
-    const { buffer, contentType, fileName } = await getSupabaseFileBuffer(filePath);
-
-    // If PDF, try to watermark it with the accessHash. If anything fails
-    // (including encrypted PDFs), fall back to streaming the original file.
-    if (contentType === 'application/pdf' || fileName?.endsWith('.pdf')) {
-      try {
-        const { PDFDocument, rgb, degrees, StandardFonts } = require('pdf-lib');
-
-        // Use ignoreEncryption so encrypted PDFs can still be loaded. If
-        // this or any later step fails, we will just stream the original.
-        const pdfDoc = await PDFDocument.load(buffer, { ignoreEncryption: true });
-        const pages = pdfDoc.getPages();
-        const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-
-        // Watermark text: full hash only
-        const watermarkText = accessHash;
-        const forensicText = `KRNL:${accessHash}:${documentHash || ''}:${sessionId || ''}`;
-
-        for (const page of pages) {
-          const { width, height } = page.getSize();
-
-          // Calculate diagonal and font size to span corner to corner
-          const diagonal = Math.sqrt(width * width + height * height);
-          const margin = 100;
-          const targetLength = Math.max(0, diagonal - 2 * margin);
-
-          // Calculate font size based on text length
-          const baseWidth = font.widthOfTextAtSize(watermarkText, 1);
-          let fontSize = baseWidth > 0 ? targetLength / baseWidth : 20;
-          fontSize = Math.max(14, Math.min(28, fontSize * 0.95));
-
-          // Measure actual text dimensions
-          const textWidth = font.widthOfTextAtSize(watermarkText, fontSize);
-          const textHeight = font.heightAtSize(fontSize);
-
-          // For 45-degree rotation, calculate position so text center aligns with page center
-          // When rotated, we need to account for both x and y offsets
-          const angleRad = Math.PI / 4; // 45 degrees
-          const cos45 = Math.cos(angleRad);
-          const sin45 = Math.sin(angleRad);
-
-          // Calculate the center of the page
-          const pageCenterX = width / 2;
-          const pageCenterY = height / 2;
-
-          // Calculate text center point (before rotation)
-          const textCenterX = textWidth / 2;
-          const textCenterY = textHeight / 2;
-
-          // Apply rotation transformation to text center
-          // Then calculate starting position so rotated text center aligns with page center
-          const rotatedCenterX = textCenterX * cos45 - textCenterY * sin45;
-          const rotatedCenterY = textCenterX * sin45 + textCenterY * cos45;
-
-          const x = pageCenterX - rotatedCenterX;
-          const y = pageCenterY - rotatedCenterY;
-
-          page.drawText(watermarkText, {
-            x,
-            y,
-            size: fontSize,
-            font,
-            color: rgb(0.5, 0.5, 0.5),
-            opacity: 0.3,
-            rotate: degrees(45)
-          });
-
-          page.drawText(forensicText, {
-            x: 16,
-            y: 16,
-            size: 6,
-            font,
-            color: rgb(1, 1, 1),
-            opacity: 0.02,
-            rotate: degrees(0)
-          });
-        }
-
-        const watermarkedPdfBytes = await pdfDoc.save();
-
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `inline; filename="${fileName || 'document.pdf'}"`);
-        return res.send(Buffer.from(watermarkedPdfBytes));
-      } catch (err) {
-        // Watermarking is mandatory. If we cannot safely watermark the PDF
-        // (for example, because it is encrypted or malformed), do NOT stream
-        // the original document. Instead, return a clear error so the caller
-        // knows this document cannot be viewed.
-        logger.warn('Failed to watermark PDF; blocking viewer', { error: err.message });
-        return res.status(422).json({
-          success: false,
-          error: 'Unable to watermark PDF document',
-          details: err.message || 'The PDF may be encrypted or unsupported. Upload an unencrypted copy to view it.'
-        });
-      }
-    }
-
-    // For non-PDF files, stream as-is
-    res.setHeader('Content-Type', contentType || 'application/octet-stream');
-    res.setHeader('Content-Disposition', `inline; filename="${fileName || 'document'}"`);
-    res.send(buffer);
-
-  } catch (error) {
-    logger.error('Document viewer error', { error: error.message, stack: error.stack });
-    res.status(500).json({
-      success: false,
-      error: 'Failed to process viewer request',
-      details: error.message
-    });
-  }
-});
-
-// Viewer URL endpoint for Supabase-backed files
+// Viewer URL endpoint for stored files
 // Accepts a file path (and optional recordId for logging) and returns a short-lived signed URL
 app.post('/api/files/viewer-url', validateSalesforceToken, async (req, res) => {
   try {
@@ -667,10 +292,11 @@ app.post('/api/files/viewer-url', validateSalesforceToken, async (req, res) => {
 
     const { url } = await createSignedFileUrl({
       path: path.trim(),
-      expiresIn
+      expiresIn,
+      tenant: req.tenant
     });
 
-    logger.info('Generated viewer URL for Supabase file', {
+    logger.info('Generated viewer URL for stored file', {
       recordId: recordId || null,
       path: path.trim(),
       expiresIn
@@ -691,7 +317,7 @@ app.post('/api/files/viewer-url', validateSalesforceToken, async (req, res) => {
 });
 
 // Direct document registration endpoint (bypasses KRNL workflow)
-app.post('/api/documents/register-direct', validateSalesforceToken, async (req, res) => {
+app.post('/api/documents/register-direct', validateSalesforceToken, validateRequestSignature, async (req, res) => {
   try {
     const { documentHash, salesforceRecordId, metadata } = req.body || {};
 
@@ -713,14 +339,15 @@ app.post('/api/documents/register-direct', validateSalesforceToken, async (req,
       documentHash,
       salesforceRecordId,
       orgId: req.tenant?.orgId,
-      userId: req.user?.userId
+      userId: req.user?.id
     });
 
     // Call contract directly
     const result = await registerDocumentDirect({
       documentHash,
       salesforceRecordId,
-      metadata: metadata || '{}'
+      metadata: metadata || '{}',
+      tenant: req.tenant
     });
 
     logger.info('Direct document registration successful', {
@@ -803,94 +430,6 @@ app.post('/api/document/hash', (req, res) => {
   }
 });
 
-// Access validation endpoint
-app.post('/api/access/validate', (req, res) => {
-  try {
-    const { documentHash, userId, accessType, context } = req.body;
-
-    if (!documentHash || !userId || !accessType) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: documentHash, userId, accessType'
-      });
-    }
-
-    // Simulate access validation
-    const validAccessTypes = ['view', 'download', 'modify'];
-    const isValidAccessType = validAccessTypes.includes(accessType);
-    const hasPermission = Math.random() > 0.05; // 95% success rate
-
-    const validation = {
-      documentHash,
-      userId,
-      accessType,
-      hasPermission: isValidAccessType && hasPermission,
-      permissionLevel: hasPermission ? ['READ', 'WRITE', 'FULL'][Math.floor(Math.random() * 3)] : 'NONE',
-      validationTimestamp: new Date().toISOString(),
-      context: context || {},
-      restrictions: isValidAccessType && hasPermission ? [] : ['Invalid access type or insufficient permissions']
-    };
-
-    console.log('Access validation:', { documentHash, userId, accessType, hasPermission: validation.hasPermission });
-
-    res.json({
-      success: true,
-      validation
-    });
-
-  } catch (error) {
-    console.error('Access validation error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to validate access'
-    });
-  }
-});
-
-// Integrity validation endpoint
-app.post('/api/integrity/validate', (req, res) => {
-  try {
-    const { currentHash, storedHash, documentId } = req.body;
-
-    if (!currentHash || !storedHash) {
-      return res.status(400).json({
-        success: false,
-        error: 'Both current and stored hashes are required'
-      });
-    }
-
-    const hashesMatch = currentHash.toLowerCase() === storedHash.toLowerCase();
-    const integrityStatus = hashesMatch ? 'VALID' : 'COMPROMISED';
-    const confidenceScore = hashesMatch ? 100 : 0;
-
-    const validation = {
-      documentId,
-      currentHash,
-      storedHash,
-      hashesMatch,
-      integrityStatus,
-      confidenceScore,
-      validationTimestamp: new Date().toISOString(),
-      anomalies: hashesMatch ? [] : ['Hash mismatch detected'],
-      recommendation: hashesMatch ? 'Document integrity verified' : 'Document may have been tampered with'
-    };
-
-    console.log('Integrity validation:', { documentId, hashesMatch, integrityStatus });
-
-    res.json({
-      success: true,
-      validation
-    });
-
-  } catch (error) {
-    console.error('Integrity validation error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to validate document integrity'
-    });
-  }
-});
-
 // KRNL webhook endpoint for workflow results
 app.post('/webhook/krnl', (req, res) => {
   try {
@@ -963,6 +502,11 @@ async function startServer() {
       await initSmartAccountFromEnv();
     }
 
+    // Resume registrations, document batches and access log batches left before the last shutdown
+    await startRegistrationQueue();
+    await startDocumentBatcher();
+    await startAccessLogBatcher();
+
     app.listen(PORT, () => {
       console.log(`🚀 KRNL Compliance Server running on port ${PORT}`);
       console.log(`🏥 Health check: http://localhost:${PORT}/health`);
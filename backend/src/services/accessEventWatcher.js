@@ -0,0 +1,611 @@
+const axios = require('axios');
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+const { saveSession, saveAccessEventFromSession } = require('./sessionStore');
+const { requireTenant } = require('./orgRegistryService');
+
+const DOCUMENT_ACCESS_ABI = [
+  'event DocumentAccessLogged(string documentHash, address accessor, string salesforceUserId, string accessType, string documentId, bytes32 accessHash, uint256 timestamp)'
+];
+const accessLogInterface = new ethers.utils.Interface(DOCUMENT_ACCESS_ABI);
+const ACCESS_LOGGED_TOPIC = accessLogInterface.getEventTopic('DocumentAccessLogged');
+
+// States an access workflow does not leave once reached
+const SETTLED_STATES = [
+  'COMPLETED_WITH_EVENT',
+  'FAILED',
+  'INTENT_NOT_FOUND',
+  'WORKFLOW_NOT_FOUND',
+  'INVALID',
+  'CANCELLED',
+  'TIMED_OUT'
+];
+// Blocks searched before a session's start block, for reorgs
+const REORG_BUFFER_BLOCKS = 10;
+// Searched when a session has no start block (~25 min on Sepolia)
+const FALLBACK_WINDOW_BLOCKS = 500;
+
+function positiveIntegerEnv(name, fallback) {
+  const value = Number.parseInt(process.env[name] || '', 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// One tick checks KRNL intents and, for chains without a websocket, new blocks
+const pollIntervalMs = positiveIntegerEnv('ACCESS_WATCHER_POLL_MS', 3000);
+// Largest getLogs range per tick; a watcher further behind catches up over several ticks
+const maxBlockRange = positiveIntegerEnv('ACCESS_WATCHER_MAX_BLOCK_RANGE', 2000);
+// How long a session is watched before its waiters are told it timed out
+const watchTimeoutMs = positiveIntegerEnv('ACCESS_WORKFLOW_TIMEOUT_MS', 90000);
+
+// Sessions waiting for their DocumentAccessLogged event, in the order they started
+const pending = new Map();
+// One log subscription or block-range poller per registry contract
+const chains = new Map();
+// Block numbers of logs already matched to a session, by chain and
+// `<txHash>:<logIndex>`; kept across websocket reconnects and idle spells,
+// and only pruned below the earliest block a waiting session can match from
+const claimedLogs = new Map();
+const sessionUpdates = new EventEmitter();
+// One listener per waiting request and open stream
+sessionUpdates.setMaxListeners(0);
+
+let tickTimer = null;
+let ticking = false;
+
+/**
+ * The workflow status reported for an access session, as returned by
+ * KRNLService.getWorkflowStatus.
+ */
+function accessWorkflowStatus(session) {
+  return {
+    sessionId: session.sessionId,
+    state: session.status,
+    result: session.result || null,
+    txHash: session.txHash || null,
+    blockNumber: session.blockNumber || null,
+    documentId: session.documentId || null,
+    accessHash: session.accessHash || null,
+    timestamp: session.updatedAt || session.completedAt || session.startedAt || new Date().toISOString(),
+    progress: session.progress || {},
+    debug: session.debug || null
+  };
+}
+
+function isSettled(state) {
+  return SETTLED_STATES.includes(state);
+}
+
+function publish(entry, error = null) {
+  const status = accessWorkflowStatus(entry.session);
+  sessionUpdates.emit(entry.session.sessionId, error ? { ...status, error } : status);
+}
+
+async function persist(session) {
+  try {
+    await saveSession(session);
+  } catch (e) {
+    logger.error('Failed to persist access workflow session', {
+      sessionId: session.sessionId,
+      error: e.message
+    });
+  }
+}
+
+/**
+ * Record the final state of a watched session, stop watching it and tell
+ * everyone waiting.
+ */
+async function settle(entry, changes) {
+  if (entry.settling) {
+    return;
+  }
+  entry.settling = true;
+
+  const { session } = entry;
+  Object.assign(session, changes);
+  session.updatedAt = new Date().toISOString();
+  session.completedAt = session.updatedAt;
+
+  await persist(session);
+
+  if (session.status === 'COMPLETED_WITH_EVENT') {
+    try {
+      await saveAccessEventFromSession(session);
+      logger.info('Access event recorded', {
+        sessionId: session.sessionId,
+        accessHash: session.accessHash ? session.accessHash.substring(0, 10) + '...' : null
+      });
+    } catch (e) {
+      logger.error('Failed to persist access event from completed workflow', {
+        sessionId: session.sessionId,
+        error: e.message
+      });
+    }
+  }
+
+  pending.delete(session.sessionId);
+  publish(entry);
+}
+
+/**
+ * Give up on a watched session: store it as TIMED_OUT, so it is neither left
+ * RUNNING nor watched again, and tell everyone waiting with an error.
+ */
+async function expire(entry) {
+  entry.settling = true;
+
+  const { session } = entry;
+  const error = `Timed out after ${watchTimeoutMs}ms waiting for the access to be logged on-chain`;
+  logger.warn('Stopped watching access workflow', {
+    sessionId: session.sessionId,
+    state: session.status,
+    timeoutMs: watchTimeoutMs
+  });
+
+  session.status = 'TIMED_OUT';
+  session.result = { ...session.result, error };
+  session.updatedAt = new Date().toISOString();
+  session.completedAt = session.updatedAt;
+  await persist(session);
+
+  pending.delete(session.sessionId);
+  publish(entry, error);
+}
+
+function chainKey(chain) {
+  return `${chain.wsUrl || chain.rpcUrl}|${chain.registryContract.toLowerCase()}`;
+}
+
+function dropChain(chain) {
+  if (chains.get(chain.key) !== chain) {
+    return;
+  }
+  chains.delete(chain.key);
+  if (chain.websocket) {
+    chain.provider.destroy().catch(() => undefined);
+  }
+}
+
+/**
+ * Start watching a registry contract: subscribe to its logs over a websocket
+ * when the org has one (RPC_WS_URL), otherwise leave it to the block-range
+ * poller in tick().
+ */
+function openChain(key, chainConfig) {
+  const chain = {
+    key,
+    address: chainConfig.registryContract,
+    websocket: !!chainConfig.wsUrl,
+    provider: chainConfig.wsUrl
+      ? new ethers.providers.WebSocketProvider(chainConfig.wsUrl)
+      : new ethers.providers.StaticJsonRpcProvider(chainConfig.rpcUrl),
+    // Next block the poller (or websocket backfill) reads from
+    nextBlock: null,
+    // Websocket chains only backfill up to where the subscription took over
+    scanUntil: null,
+    claimed: claimedLogs.get(key) || new Map()
+  };
+  claimedLogs.set(key, chain.claimed);
+
+  if (chain.websocket) {
+    chain.provider.on({ address: chain.address, topics: [ACCESS_LOGGED_TOPIC] }, log => handleLog(chain, log));
+    chain.provider.websocket.onerror = (event) => {
+      logger.warn('Access event websocket error', { chain: key, error: event && event.message });
+    };
+    // Reopened (and backfilled) by the next tick while sessions are still waiting
+    chain.provider.websocket.onclose = () => {
+      logger.warn('Access event websocket closed', { chain: key });
+      dropChain(chain);
+    };
+    chain.provider.getBlockNumber()
+      .then(block => {
+        chain.scanUntil = block;
+      })
+      .catch(err => {
+        logger.warn('Failed to read block number over websocket', { chain: key, error: err.message });
+        dropChain(chain);
+      });
+  }
+
+  chains.set(key, chain);
+  logger.info('Watching DocumentAccessLogged events', {
+    chain: key,
+    contractAddress: chain.address,
+    mode: chain.websocket ? 'websocket' : 'polling'
+  });
+  return chain;
+}
+
+/**
+ * Earliest block a session's log can be in. The access is logged after the
+ * session started, so a log mined before its start block is another access
+ * (the reorg buffer only widens the scan); without a start block this is the
+ * fallback window, null until the first scan sets it.
+ */
+function matchFromBlock(entry) {
+  return entry.session.startBlock > 0 ? entry.session.startBlock : entry.fromBlock;
+}
+
+function matchesSession(entry, args, blockNumber) {
+  const { session } = entry;
+  const fromBlock = matchFromBlock(entry);
+  if (fromBlock !== null && blockNumber < fromBlock) {
+    return false;
+  }
+  return (!session.documentHash || args.documentHash === session.documentHash) &&
+    (!session.userId || args.salesforceUserId === session.userId) &&
+    (!session.accessType || args.accessType === session.accessType);
+}
+
+/**
+ * Settle the earliest waiting session a DocumentAccessLogged log belongs to.
+ * The log carries no session id: sessions match on document hash, user and
+ * access type, and each log settles at most one session.
+ */
+function handleLog(chain, log) {
+  const logId = `${log.transactionHash}:${log.logIndex}`;
+  if (chain.claimed.has(logId)) {
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = accessLogInterface.parseLog(log);
+  } catch (e) {
+    return;
+  }
+
+  for (const entry of pending.values()) {
+    if (entry.chainKey !== chain.key || entry.settling || !matchesSession(entry, parsed.args, log.blockNumber)) {
+      continue;
+    }
+
+    chain.claimed.set(logId, log.blockNumber);
+    logger.info('DocumentAccessLogged event confirmed on-chain', {
+      sessionId: entry.session.sessionId,
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      documentHash: parsed.args.documentHash,
+      accessHash: parsed.args.accessHash
+    });
+
+    settle(entry, {
+      status: 'COMPLETED_WITH_EVENT',
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      documentId: parsed.args.documentId,
+      accessHash: parsed.args.accessHash
+    }).catch(err => {
+      logger.error('Failed to settle access session', { sessionId: entry.session.sessionId, error: err.message });
+    });
+    return;
+  }
+}
+
+/**
+ * Read the next range of DocumentAccessLogged logs of a chain.
+ */
+async function scanChain(chain) {
+  const latest = chain.websocket ? chain.scanUntil : await chain.provider.getBlockNumber();
+  if (latest === null) {
+    return;
+  }
+
+  for (const entry of pending.values()) {
+    if (entry.chainKey === chain.key && entry.fromBlock === null) {
+      entry.fromBlock = Math.max(0, latest - FALLBACK_WINDOW_BLOCKS);
+      logger.warn('Start block not available, using fallback block window', {
+        sessionId: entry.session.sessionId,
+        fromBlock: entry.fromBlock
+      });
+    }
+    // Each session moves the scan back once per chain (again after a
+    // reconnect); after that the scan keeps moving forward
+    if (entry.chainKey === chain.key && entry.scannedBy !== chain) {
+      entry.scannedBy = chain;
+      if (chain.nextBlock === null || entry.fromBlock < chain.nextBlock) {
+        chain.nextBlock = entry.fromBlock;
+      }
+    }
+  }
+
+  // No waiting session can match a claimed log below every session's first block
+  const waiting = [...pending.values()].filter(entry => entry.chainKey === chain.key);
+  if (waiting.length > 0) {
+    const earliest = Math.min(...waiting.map(matchFromBlock));
+    for (const [logId, blockNumber] of chain.claimed) {
+      if (blockNumber < earliest) {
+        chain.claimed.delete(logId);
+      }
+    }
+  }
+
+  if (chain.nextBlock === null || chain.nextBlock > latest) {
+    return;
+  }
+
+  const fromBlock = chain.nextBlock;
+  const toBlock = Math.min(latest, fromBlock + maxBlockRange - 1);
+  const logs = await chain.provider.getLogs({
+    address: chain.address,
+    fromBlock,
+    toBlock,
+    topics: [ACCESS_LOGGED_TOPIC]
+  });
+
+  logger.debug('Polled for DocumentAccessLogged events', {
+    chain: chain.key,
+    fromBlock,
+    toBlock,
+    logsFound: logs.length
+  });
+
+  logs.forEach(log => handleLog(chain, log));
+  chain.nextBlock = toBlock + 1;
+}
+
+/**
+ * Map a krnl_workflowStatus result onto a session state. Codes follow the
+ * SDK: 0 = PENDING, 1 = PROCESSING, 2 = SUCCESS, >= 3 = error states.
+ */
+function intentState(result) {
+  const code = result && typeof result.code !== 'undefined' ? result.code : undefined;
+  const txHash = result && (result.txHash || result.transactionHash);
+
+  switch (code) {
+    case undefined:
+    case null:
+    case 0:
+    case 1:
+      return 'RUNNING';
+    case 2:
+      return 'COMPLETED';
+    case 3:
+      return 'FAILED';
+    case 4:
+      return 'INTENT_NOT_FOUND';
+    case 5:
+      return 'WORKFLOW_NOT_FOUND';
+    case 6:
+      return 'INVALID';
+    default:
+      if (typeof result.status === 'string') {
+        return result.status;
+      }
+      return txHash ? 'COMPLETED' : 'FAILED';
+  }
+}
+
+/**
+ * Check where KRNL is with a session's intent. A successful intent still
+ * waits for its DocumentAccessLogged event; a failed one settles the session.
+ */
+async function checkIntent(entry) {
+  const { session } = entry;
+  const resp = await axios.post(process.env.KRNL_NODE_URL || 'https://node.krnl.xyz', {
+    jsonrpc: '2.0',
+    method: 'krnl_workflowStatus',
+    params: [session.intentId],
+    id: 1
+  }, {
+    headers: { 'Content-Type': 'application/json' },
+    timeout: 30000
+  });
+
+  const data = resp && resp.data ? resp.data : null;
+  if (data && data.error) {
+    throw new Error(`KRNL workflowStatus error: ${data.error.code} ${data.error.message}`);
+  }
+
+  const result = data && data.result ? data.result : null;
+  const state = intentState(result);
+  if (state === entry.intentState) {
+    return;
+  }
+  entry.intentState = state;
+
+  logger.info('KRNL JSON-RPC workflow status changed', {
+    sessionId: session.sessionId,
+    intentId: session.intentId,
+    state,
+    raw: result
+  });
+
+  if (session.debug && Array.isArray(session.debug.pollingHistory)) {
+    session.debug.pollingHistory.push({
+      timestamp: new Date().toISOString(),
+      code: result ? result.code : undefined,
+      raw: result
+    });
+  }
+
+  if (state === 'RUNNING' || state === 'COMPLETED') {
+    session.status = state;
+    session.result = result;
+    session.updatedAt = new Date().toISOString();
+    await persist(session);
+    publish(entry);
+    return;
+  }
+
+  await settle(entry, { status: state, result });
+}
+
+async function tick() {
+  if (ticking) {
+    return;
+  }
+  ticking = true;
+
+  try {
+    const now = Date.now();
+    for (const entry of pending.values()) {
+      if (!entry.settling && now - entry.watchedAt > watchTimeoutMs) {
+        await expire(entry);
+      }
+    }
+
+    for (const entry of pending.values()) {
+      if (entry.chainConfig && !chains.has(entry.chainKey)) {
+        openChain(entry.chainKey, entry.chainConfig);
+      }
+    }
+
+    for (const chain of chains.values()) {
+      if (![...pending.values()].some(entry => entry.chainKey === chain.key)) {
+        dropChain(chain);
+        continue;
+      }
+      try {
+        await scanChain(chain);
+      } catch (err) {
+        logger.warn('Failed to read DocumentAccessLogged events', { chain: chain.key, error: err.message });
+      }
+    }
+
+    for (const entry of pending.values()) {
+      if (!entry.session.intentId || entry.settling || entry.intentState === 'COMPLETED') {
+        continue;
+      }
+      try {
+        await checkIntent(entry);
+      } catch (err) {
+        logger.warn('Failed to check KRNL workflow status', {
+          sessionId: entry.session.sessionId,
+          error: err.message
+        });
+      }
+    }
+  } finally {
+    ticking = false;
+    if (pending.size === 0 && tickTimer) {
+      clearInterval(tickTimer);
+      tickTimer = null;
+    }
+  }
+}
+
+/**
+ * Watch an access session until its DocumentAccessLogged event is seen or
+ * KRNL reports its intent failed. Every waiting request and stream shares one
+ * watcher: a single krnl_workflowStatus check per session and a single log
+ * subscription (or block-range poller) per registry contract, whatever the
+ * number of consumers. Watching a session already watched, or settled, does
+ * nothing.
+ *
+ * @param {Object} session - Stored access session; updated in place as it progresses
+ */
+function watchAccessSession(session) {
+  if (pending.has(session.sessionId) || isSettled(session.status)) {
+    return;
+  }
+
+  let chainConfig = null;
+  if (session.useJsonRpc && session.documentHash) {
+    const { chain } = requireTenant(session.orgId);
+    if (!chain.registryContract || !(chain.rpcUrl || chain.wsUrl)) {
+      throw new Error('RPC URL or contract address not configured for DocumentAccessLogged confirmation');
+    }
+    chainConfig = chain;
+  }
+
+  const entry = {
+    session,
+    chainConfig,
+    chainKey: chainConfig ? chainKey(chainConfig) : null,
+    fromBlock: session.startBlock > 0 ? Math.max(0, session.startBlock - REORG_BUFFER_BLOCKS) : null,
+    intentState: session.status === 'COMPLETED' ? 'COMPLETED' : null,
+    watchedAt: Date.now(),
+    // Chain whose scan has been moved back to this session's first block
+    scannedBy: null,
+    settling: false
+  };
+  pending.set(session.sessionId, entry);
+
+  logger.info('Watching access workflow', {
+    sessionId: session.sessionId,
+    intentId: session.intentId || null,
+    startBlock: session.startBlock || null
+  });
+
+  if (!tickTimer) {
+    tickTimer = setInterval(() => {
+      tick().catch(err => logger.error('Access watcher tick failed', { error: err.message }));
+    }, pollIntervalMs);
+  }
+}
+
+/**
+ * Settle a watched session from outside the watcher (mock workflows).
+ *
+ * @param {string} sessionId
+ * @param {Object} changes - Session fields to set, including the final `status`
+ */
+async function settleAccessSession(sessionId, changes) {
+  const entry = pending.get(sessionId);
+  if (entry) {
+    await settle(entry, changes);
+  }
+}
+
+/**
+ * Current status of a session being watched by this instance.
+ *
+ * @returns {Object|null} See accessWorkflowStatus; null when not watched here
+ */
+function getWatchedStatus(sessionId) {
+  const entry = pending.get(sessionId);
+  return entry ? accessWorkflowStatus(entry.session) : null;
+}
+
+/**
+ * Be told of every state change of a watched session. The last update has a
+ * settled state, or an `error` when the watcher gave up on the session.
+ *
+ * @param {string} sessionId
+ * @param {Function} listener - Called with the workflow status
+ * @returns {Function} Unsubscribe
+ */
+function onAccessSessionUpdate(sessionId, listener) {
+  sessionUpdates.on(sessionId, listener);
+  return () => sessionUpdates.off(sessionId, listener);
+}
+
+/**
+ * Wait until a watched session settles.
+ *
+ * @param {string} sessionId
+ * @returns {Promise<Object>} The settled workflow status
+ * @throws {Error} statusCode 504 when the watcher gives up on the session
+ */
+function waitForAccessSession(sessionId) {
+  const entry = pending.get(sessionId);
+  if (!entry) {
+    return Promise.reject(new Error(`Access session is not being watched: ${sessionId}`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const unsubscribe = onAccessSessionUpdate(sessionId, status => {
+      if (status.error) {
+        unsubscribe();
+        const error = new Error(status.error);
+        error.statusCode = 504;
+        reject(error);
+      } else if (isSettled(status.state)) {
+        unsubscribe();
+        resolve(status);
+      }
+    });
+  });
+}
+
+module.exports = {
+  SETTLED_STATES,
+  accessWorkflowStatus,
+  watchAccessSession,
+  settleAccessSession,
+  getWatchedStatus,
+  onAccessSessionUpdate,
+  waitForAccessSession
+};
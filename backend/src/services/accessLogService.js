@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const path = require('path');
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+const { hashLeaf, buildTree, verifyProof } = require('../utils/merkle');
+const { orgKey, partitionOrgId } = require('./orgRegistryService');
+const { getRegistrySigner, buildAccessLogAnchorRequest } = require('./directContractService');
+const { BATCH_STATUSES, createBatchAnchorer } = require('./persistedTransactionService');
+const { findDocumentInclusion } = require('./documentBatchService');
+
+// One JSON file per batch of access events. Anchored batches hold the
+// inclusion proof of every event in them and are never removed.
+const logDir = path.resolve(process.env.ACCESS_LOG_DIR || './data/access-log');
+
+const intervalMs = Number.parseInt(process.env.ACCESS_LOG_BATCH_INTERVAL_SECONDS || '900', 10) * 1000;
+const maxEvents = Number.parseInt(process.env.ACCESS_LOG_BATCH_MAX_EVENTS || '4096', 10);
+const pollIntervalMs = Number.parseInt(process.env.ACCESS_LOG_BATCH_POLL_MS || '5000', 10);
+const maxFailures = Number.parseInt(process.env.ACCESS_LOG_BATCH_MAX_ATTEMPTS || '8', 10);
+
+const BATCH_FILE_PATTERN = /^alb_[0-9a-f]{24}\.json$/;
+// Fields of an access event covered by its hash, in hashing order
+const EVENT_FIELDS = [
+  'orgId',
+  'sequence',
+  'prevHash',
+  'sessionId',
+  'documentHash',
+  'documentId',
+  'recordId',
+  'userId',
+  'accessType',
+  'classification',
+  'clientIP',
+  'userAgent',
+  'recordedAt'
+];
+// prevHash of an org's first event
+const GENESIS_HASH = ethers.constants.HashZero;
+
+// Batch ids by session id, oldest first
+const batchesBySession = new Map();
+// Session id by event hash, to resolve the bare accessHash of a watermark
+const sessionsByEventHash = new Map();
+// Latest event of each org's chain: `{ sequence, eventHash }`
+const heads = new Map();
+// Appends to each org's chain, one at a time
+const appends = new Map();
+
+function normalizeHash(hash) {
+  return `0x${String(hash).replace(/^0x/, '').toLowerCase()}`;
+}
+
+/**
+ * Hash of an access event: SHA-256 of the JSON array of its EVENT_FIELDS
+ * values, in that order (missing fields are null). The event's prevHash
+ * chains it to the org's previous event.
+ *
+ * @param {Object} event
+ * @returns {string} `0x`-prefixed hex
+ */
+function accessEventHash(event) {
+  const values = EVENT_FIELDS.map(field => (event[field] === undefined ? null : event[field]));
+  return `0x${crypto.createHash('sha256').update(JSON.stringify(values), 'utf8').digest('hex')}`;
+}
+
+/**
+ * Leaf of an access event in a batch tree (DocumentAccessRegistry.computeAccessLogLeaf)
+ *
+ * @param {string} eventHash - From accessEventHash
+ * @returns {string} `0x`-prefixed leaf hash
+ */
+function accessEventLeaf(eventHash) {
+  return hashLeaf(Buffer.from(eventHash.replace(/^0x/, ''), 'hex'));
+}
+
+/**
+ * Whether access to a document of this classification is logged by a KRNL
+ * workflow or off-chain in batches, per the org's accessLogMode and
+ * accessLogClassifications (classifications match case-insensitively).
+ *
+ * @param {Object} tenant - From orgRegistryService.resolveTenant
+ * @param {string} [classification]
+ * @returns {'krnl' | 'batch'}
+ */
+function resolveAccessLogMode(tenant, classification) {
+  const classifications = (tenant && tenant.accessLogClassifications) || {};
+  if (classification) {
+    const key = Object.keys(classifications).find(name => name.toLowerCase() === String(classification).toLowerCase());
+    if (key) {
+      return classifications[key];
+    }
+  }
+  return (tenant && tenant.accessLogMode) || 'krnl';
+}
+
+/**
+ * How access to a document is logged. A document anchored in a Merkle batch
+ * is not in the registry's documents mapping, so logDocumentAccessKRNL would
+ * revert for it: access to batched documents is always logged off-chain.
+ * Other documents follow resolveAccessLogMode.
+ *
+ * @param {Object} tenant - From orgRegistryService.resolveTenant
+ * @param {string} documentHash
+ * @param {string} [classification]
+ * @returns {Promise<'krnl' | 'batch'>}
+ */
+async function resolveDocumentAccessLogMode(tenant, documentHash, classification) {
+  if (await findDocumentInclusion(documentHash, { orgId: partitionOrgId(tenant) })) {
+    return 'batch';
+  }
+  return resolveAccessLogMode(tenant, classification);
+}
+
+/**
+ * The event as it was hashed and signed, without its place in a batch tree.
+ */
+function describeEvent(event) {
+  const described = {};
+  for (const field of EVENT_FIELDS) {
+    described[field] = event[field];
+  }
+  return {
+    ...described,
+    eventHash: event.eventHash,
+    signature: event.signature,
+    signer: event.signer
+  };
+}
+
+/**
+ * The org's open batch, opening one that closes after
+ * ACCESS_LOG_BATCH_INTERVAL_SECONDS if there is none (or it is full).
+ */
+function openBatchFor(owner) {
+  const open = [...batches.values()].find(candidate =>
+    candidate.status === BATCH_STATUSES.OPEN && candidate.orgId === owner && candidate.events.length < maxEvents);
+  if (open) {
+    return open;
+  }
+
+  const now = new Date();
+  const batch = {
+    batchId: `alb_${crypto.randomBytes(12).toString('hex')}`,
+    orgId: owner,
+    status: BATCH_STATUSES.OPEN,
+    events: [],
+    merkleRoot: null,
+    chainHead: null,
+    closesAt: new Date(now.getTime() + intervalMs).toISOString(),
+    closedAt: null,
+    nextAttemptAt: null,
+    failures: 0,
+    lastError: null,
+    tx: null,
+    result: null,
+    // Set when the batch failed and its events went into another
+    carriedTo: null,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    anchoredAt: null
+  };
+  anchorer.indexBatch(batch);
+  logger.info('Access log batch opened', { batchId: batch.batchId, orgId: owner, closesAt: batch.closesAt });
+  return batch;
+}
+
+/**
+ * Move the events of a batch that could not be anchored into the org's open
+ * batch, so they are anchored with the next one. Their hashes and signatures
+ * do not change; only their proofs do.
+ */
+async function carryOver(batch) {
+  const target = openBatchFor(batch.orgId);
+  const events = batch.events.map(({ leaf, proof, ...event }) => event);
+
+  target.events.unshift(...events);
+  anchorer.indexBatch(target);
+  await anchorer.writeBatch(target);
+
+  batch.carriedTo = target.batchId;
+  await anchorer.writeBatch(batch);
+  logger.warn('Access events of a failed batch carried into the next batch', {
+    batchId: batch.batchId,
+    carriedTo: target.batchId,
+    events: events.length
+  });
+}
+
+// Closes, anchors and retries the batches (see persistedTransactionService)
+const anchorer = createBatchAnchorer({
+  name: 'Access log batch',
+  dir: logDir,
+  filePattern: BATCH_FILE_PATTERN,
+  entriesKey: 'events',
+  intervalMs,
+  maxEntries: maxEvents,
+  pollIntervalMs,
+  maxFailures,
+  // The hash of the batch's latest event is anchored with it as the chain head
+  sealBatch(batch) {
+    const leaves = batch.events.map(event => accessEventLeaf(event.eventHash));
+    const { root, proofs } = buildTree(leaves);
+
+    batch.events.forEach((event, index) => {
+      event.leaf = leaves[index];
+      event.proof = proofs[index];
+    });
+    batch.merkleRoot = root;
+    batch.chainHead = batch.events.reduce((latest, event) => (event.sequence > latest.sequence ? event : latest)).eventHash;
+  },
+  buildRequest: (batch, tenant) => buildAccessLogAnchorRequest({
+    merkleRoot: batch.merkleRoot,
+    batchId: batch.batchId,
+    eventCount: batch.events.length,
+    chainHead: batch.chainHead,
+    tenant
+  }),
+  onIndex(batch) {
+    for (const event of batch.events) {
+      const ids = batchesBySession.get(event.sessionId) || [];
+      if (!ids.includes(batch.batchId)) {
+        ids.push(batch.batchId);
+        batchesBySession.set(event.sessionId, ids);
+      }
+      sessionsByEventHash.set(event.eventHash, event.sessionId);
+      const head = heads.get(event.orgId);
+      if (!head || event.sequence > head.sequence) {
+        heads.set(event.orgId, { sequence: event.sequence, eventHash: event.eventHash });
+      }
+    }
+  },
+  // Events of orgs no longer registered stay in the failed batch
+  onFailed: (batch, tenant) => (tenant ? carryOver(batch) : undefined)
+});
+const { batches } = anchorer;
+
+/**
+ * Load the batches on disk and close and anchor them as they fall due,
+ * checking every ACCESS_LOG_BATCH_POLL_MS. Safe to call more than once.
+ */
+function startAccessLogBatcher() {
+  return anchorer.start();
+}
+
+async function appendEvent(owner, wallet, fields) {
+  const head = heads.get(owner) || { sequence: 0, eventHash: GENESIS_HASH };
+  const event = {
+    orgId: owner,
+    sequence: head.sequence + 1,
+    prevHash: head.eventHash,
+    ...fields,
+    recordedAt: new Date().toISOString()
+  };
+  event.eventHash = accessEventHash(event);
+  event.signature = await wallet.signMessage(ethers.utils.arrayify(event.eventHash));
+  event.signer = wallet.address;
+
+  // Indexed before the write: an event whose write fails is still part of the
+  // chain and is written with the next one, though the access is refused
+  const batch = openBatchFor(owner);
+  batch.events.push(event);
+  anchorer.indexBatch(batch);
+  await anchorer.writeBatch(batch);
+
+  if (batch.events.length >= maxEvents) {
+    setImmediate(anchorer.runDueBatches);
+  }
+
+  logger.info('Access event logged off-chain', {
+    sessionId: event.sessionId,
+    orgId: owner,
+    sequence: event.sequence,
+    eventHash: event.eventHash,
+    batchId: batch.batchId
+  });
+  return { ...describeEvent(event), batchId: batch.batchId, closesAt: batch.closesAt };
+}
+
+/**
+ * Record an access event off-chain: append it to the org's hash chain, sign
+ * its hash with the key that anchors the org's batches, and add it to the
+ * org's open batch. The event counts as logged once this resolves; its
+ * inclusion proof follows when the batch is anchored.
+ *
+ * @param {Object} params
+ * @param {Object} params.tenant - Org whose chain and registry to use (from resolveTenant)
+ * @param {string} params.sessionId - Access session the event belongs to
+ * @param {string} params.documentHash
+ * @param {string} params.documentId - File path the viewer serves
+ * @param {string} params.recordId - Salesforce record ID
+ * @param {string} params.userId - Salesforce user ID
+ * @param {string} params.accessType - view, download or modify
+ * @param {string} [params.classification]
+ * @param {string} [params.clientIP]
+ * @param {string} [params.userAgent]
+ * @returns {Promise<Object>} The signed event, with the `batchId` and `closesAt` of its batch
+ */
+async function recordAccessEvent({
+  tenant,
+  sessionId,
+  documentHash,
+  documentId,
+  recordId,
+  userId,
+  accessType,
+  classification,
+  clientIP,
+  userAgent
+}) {
+  await startAccessLogBatcher();
+
+  const owner = tenant ? tenant.orgId : null;
+  const { wallet } = getRegistrySigner(tenant);
+  const fields = {
+    sessionId,
+    documentHash: normalizeHash(documentHash),
+    documentId: documentId || null,
+    recordId,
+    userId,
+    accessType,
+    classification: classification || null,
+    clientIP: clientIP || null,
+    userAgent: userAgent || null
+  };
+
+  const append = (appends.get(owner) || Promise.resolve()).then(() => appendEvent(owner, wallet, fields));
+  appends.set(owner, append.catch(() => undefined));
+  return append;
+}
+
+/**
+ * The inclusion proof of a session's access event in the anchored batch
+ * holding it, or the batch it is waiting in when that is not anchored yet.
+ *
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {string} [options.orgId] - Only look in this org's batches
+ * @returns {Promise<Object|null>} `{ anchored: true, event, batchId, orgId, merkleRoot, eventCount,
+ *   chainHead, leaf, proof, txHash, blockNumber, anchoredAt }`,
+ *   `{ anchored: false, event, batchId, orgId, status, closesAt }`, or null when
+ *   the session was not logged off-chain
+ */
+async function findAccessEventInclusion(sessionId, { orgId } = {}) {
+  await startAccessLogBatcher();
+
+  const owner = orgKey(orgId);
+  const candidates = (batchesBySession.get(sessionId) || [])
+    .map(batchId => batches.get(batchId))
+    .filter(batch => !owner || batch.orgId === owner);
+  const latest = candidates[candidates.length - 1];
+  if (!latest) {
+    return null;
+  }
+
+  const anchored = candidates.find(batch => batch.status === BATCH_STATUSES.ANCHORED);
+  if (anchored) {
+    const event = anchored.events.find(entry => entry.sessionId === sessionId);
+    return {
+      anchored: true,
+      event: describeEvent(event),
+      batchId: anchored.batchId,
+      orgId: anchored.orgId,
+      merkleRoot: anchored.merkleRoot,
+      eventCount: anchored.events.length,
+      chainHead: anchored.chainHead,
+      leaf: event.leaf,
+      proof: event.proof,
+      txHash: anchored.result.txHash,
+      blockNumber: anchored.result.blockNumber,
+      anchoredAt: anchored.anchoredAt
+    };
+  }
+
+  return {
+    anchored: false,
+    event: describeEvent(latest.events.find(entry => entry.sessionId === sessionId)),
+    batchId: latest.batchId,
+    orgId: latest.orgId,
+    status: latest.status,
+    closesAt: latest.status === BATCH_STATUSES.OPEN ? latest.closesAt : null
+  };
+}
+
+/**
+ * The session whose off-chain access event has this hash; a watermark shows
+ * the event hash as the session's accessHash.
+ *
+ * @param {string} eventHash
+ * @returns {Promise<string|null>} null when no event logged here has this hash
+ */
+async function findAccessEventSession(eventHash) {
+  await startAccessLogBatcher();
+
+  return sessionsByEventHash.get(String(eventHash || '').toLowerCase()) || null;
+}
+
+/**
+ * Check a signed access event without trusting the batch files: its hash is
+ * recomputed from its fields, the signer recovered from its signature, and
+ * the proof followed from the recomputed leaf. Whether the root is anchored,
+ * and by the signer, is checked separately.
+ *
+ * @param {Object} params
+ * @param {Object} params.event - Event fields (see EVENT_FIELDS) and signature
+ * @param {string[]} [params.proof]
+ * @param {string} [params.merkleRoot]
+ * @returns {{eventHash: string, signer: string|null, proofValid: boolean}}
+ */
+function verifyAccessEvent({ event, proof, merkleRoot }) {
+  const eventHash = accessEventHash(event);
+
+  let signer = null;
+  try {
+    signer = ethers.utils.verifyMessage(ethers.utils.arrayify(eventHash), event.signature);
+  } catch (error) {
+    // Malformed signature: no signer
+  }
+
+  return {
+    eventHash,
+    signer,
+    proofValid: !!(proof && merkleRoot) && verifyProof(accessEventLeaf(eventHash), proof, merkleRoot)
+  };
+}
+
+module.exports = {
+  accessEventHash,
+  accessEventLeaf,
+  resolveAccessLogMode,
+  resolveDocumentAccessLogMode,
+  startAccessLogBatcher,
+  recordAccessEvent,
+  findAccessEventInclusion,
+  findAccessEventSession,
+  verifyAccessEvent
+};
@@ -0,0 +1,423 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { countAccessEvents, savePolicyDenial } = require('./sessionStore');
+const { sameSalesforceId } = require('./salesforceIdentityService');
+
+const ACCESS_TYPES = ['view', 'download', 'modify'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const RULE_FIELDS = [
+  'allowedUsers',
+  'allowedProfiles',
+  'allowedRoles',
+  'accessTypes',
+  'timeWindows',
+  'ipRanges',
+  'maxViewsPerUser',
+  'expiresAt'
+];
+
+let cachedConfig = null;
+
+// Views granted by this process, for maxViewsPerUser when access events
+// cannot be counted in Supabase
+const grantedViews = new Map();
+
+function configError(message) {
+  const error = new Error(`Invalid access policy configuration: ${message}`);
+  error.statusCode = 500;
+  return error;
+}
+
+function parseTime(name, value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  if (!match) {
+    throw configError(`policy "${name}" time window times must be HH:MM`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function normalizeTimeWindow(name, window) {
+  if (!window || typeof window !== 'object') {
+    throw configError(`policy "${name}" time windows must be objects`);
+  }
+
+  const days = (window.days || WEEKDAYS).map(day => String(day).toLowerCase().substring(0, 3));
+  const unknownDays = days.filter(day => !WEEKDAYS.includes(day));
+  if (unknownDays.length > 0) {
+    throw configError(`policy "${name}" has unknown day(s): ${unknownDays.join(', ')}`);
+  }
+
+  const timeZone = window.timeZone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    throw configError(`policy "${name}" has unknown time zone "${timeZone}"`);
+  }
+
+  return {
+    days,
+    start: parseTime(name, window.start || '00:00'),
+    // 24:00 is not a valid HH:MM, so an open end means the end of the day
+    end: window.end ? parseTime(name, window.end) : 24 * 60,
+    timeZone
+  };
+}
+
+function buildIpRanges(name, ranges) {
+  const blockList = new net.BlockList();
+
+  for (const range of ranges) {
+    const [address, prefix] = String(range).split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (!net.isIP(address)) {
+      throw configError(`policy "${name}" has an invalid IP range "${range}"`);
+    }
+
+    if (prefix === undefined) {
+      blockList.addAddress(address, type);
+      continue;
+    }
+
+    const bits = Number(prefix);
+    if (!Number.isInteger(bits) || bits < 0 || bits > (type === 'ipv6' ? 128 : 32)) {
+      throw configError(`policy "${name}" has an invalid IP range "${range}"`);
+    }
+    blockList.addSubnet(address, bits, type);
+  }
+
+  return blockList;
+}
+
+function stringList(name, field, value) {
+  if (value === undefined) {
+    return null;
+  }
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+    throw configError(`policy "${name}" ${field} must be an array of strings`);
+  }
+  return value.map(item => item.trim());
+}
+
+/**
+ * Validate a policy from configuration. Rules that are left out do not
+ * restrict access.
+ */
+function normalizePolicy(name, policy) {
+  if (!policy || typeof policy !== 'object') {
+    throw configError(`policy "${name}" must be an object`);
+  }
+
+  const unknown = Object.keys(policy).filter(field => !RULE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw configError(`policy "${name}" has unknown rule(s): ${unknown.join(', ')}`);
+  }
+
+  const accessTypes = stringList(name, 'accessTypes', policy.accessTypes);
+  if (accessTypes && accessTypes.some(type => !ACCESS_TYPES.includes(type))) {
+    throw configError(`policy "${name}" accessTypes must be some of: ${ACCESS_TYPES.join(', ')}`);
+  }
+
+  if (policy.timeWindows !== undefined && (!Array.isArray(policy.timeWindows) || policy.timeWindows.length === 0)) {
+    throw configError(`policy "${name}" timeWindows must be a non-empty array`);
+  }
+
+  const ipRanges = stringList(name, 'ipRanges', policy.ipRanges);
+
+  if (policy.maxViewsPerUser !== undefined && (!Number.isInteger(policy.maxViewsPerUser) || policy.maxViewsPerUser < 0)) {
+    throw configError(`policy "${name}" maxViewsPerUser must be a non-negative integer`);
+  }
+
+  const expiresAt = policy.expiresAt !== undefined ? new Date(policy.expiresAt) : null;
+  if (expiresAt && Number.isNaN(expiresAt.getTime())) {
+    throw configError(`policy "${name}" expiresAt must be an ISO 8601 date`);
+  }
+
+  return {
+    name,
+    allowedUsers: stringList(name, 'allowedUsers', policy.allowedUsers),
+    allowedProfiles: stringList(name, 'allowedProfiles', policy.allowedProfiles),
+    allowedRoles: stringList(name, 'allowedRoles', policy.allowedRoles),
+    accessTypes,
+    timeWindows: policy.timeWindows ? policy.timeWindows.map(window => normalizeTimeWindow(name, window)) : null,
+    ipRanges: ipRanges ? buildIpRanges(name, ipRanges) : null,
+    maxViewsPerUser: policy.maxViewsPerUser !== undefined ? policy.maxViewsPerUser : null,
+    expiresAt
+  };
+}
+
+/**
+ * Load access policy configuration from ACCESS_POLICIES_FILE (a JSON file)
+ * or ACCESS_POLICIES (inline JSON):
+ *
+ * {
+ *   "policies": { "<name>": { allowedUsers, allowedProfiles, allowedRoles, accessTypes,
+ *                             timeWindows, ipRanges, maxViewsPerUser, expiresAt } },
+ *   "default": "<name>",
+ *   "classifications": { "<classification>": "<name>" },
+ *   "documents": { "<documentHash>": "<name>" }
+ * }
+ */
+function loadConfig() {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  let raw = null;
+  if (process.env.ACCESS_POLICIES_FILE) {
+    const file = path.resolve(process.env.ACCESS_POLICIES_FILE);
+    try {
+      raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw configError(`cannot read ${file}: ${error.message}`);
+    }
+  } else if (process.env.ACCESS_POLICIES) {
+    try {
+      raw = JSON.parse(process.env.ACCESS_POLICIES);
+    } catch (error) {
+      throw configError(`ACCESS_POLICIES is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const policies = {};
+  for (const [name, policy] of Object.entries((raw && raw.policies) || {})) {
+    policies[name] = normalizePolicy(name, policy);
+  }
+
+  const documents = {};
+  for (const [documentHash, name] of Object.entries((raw && raw.documents) || {})) {
+    documents[documentHash.toLowerCase()] = name;
+  }
+
+  const config = {
+    policies,
+    default: (raw && raw.default) || null,
+    classifications: (raw && raw.classifications) || {},
+    documents
+  };
+
+  const referenced = [
+    config.default,
+    ...Object.values(config.classifications),
+    ...Object.values(config.documents)
+  ].filter(Boolean);
+  const missing = referenced.filter(name => !policies[name]);
+  if (missing.length > 0) {
+    throw configError(`unknown policy(s) referenced: ${[...new Set(missing)].join(', ')}`);
+  }
+
+  logger.info('Access policies loaded', {
+    policies: Object.keys(policies),
+    documents: Object.keys(documents).length
+  });
+
+  cachedConfig = config;
+  return config;
+}
+
+function lookupClassification(map, classification) {
+  if (!classification || !map) {
+    return null;
+  }
+  const key = Object.keys(map).find(name => name.toLowerCase() === String(classification).toLowerCase());
+  return key ? map[key] : null;
+}
+
+/**
+ * Choose the access policy for a document. Most specific wins: the
+ * document's own policy, its classification's, then the default.
+ *
+ * @param {Object} params
+ * @param {string} [params.documentHash]
+ * @param {string} [params.classification]
+ * @returns {Object|null} Normalized policy, or null when none applies
+ */
+function resolveAccessPolicy({ documentHash, classification }) {
+  const config = loadConfig();
+
+  const name = (documentHash && config.documents[String(documentHash).toLowerCase()])
+    || lookupClassification(config.classifications, classification)
+    || config.default;
+
+  return name ? config.policies[name] : null;
+}
+
+function includesName(list, value) {
+  return !!value && list.some(item => item.toLowerCase() === String(value).toLowerCase());
+}
+
+function isPrincipalAllowed(policy, { userId, userEmail, userProfile, userRole }) {
+  const lists = [policy.allowedUsers, policy.allowedProfiles, policy.allowedRoles];
+  if (lists.every(list => !list)) {
+    return true;
+  }
+
+  return (policy.allowedUsers || []).some(user => (userId && sameSalesforceId(user, userId)) || includesName([user], userEmail))
+    || includesName(policy.allowedProfiles || [], userProfile)
+    || includesName(policy.allowedRoles || [], userRole);
+}
+
+function isInTimeWindow(window, now) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: window.timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value])
+  );
+
+  const day = parts.weekday.toLowerCase();
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+
+  if (window.start <= window.end) {
+    return window.days.includes(day) && minutes >= window.start && minutes < window.end;
+  }
+
+  // Overnight window (e.g. 22:00-06:00): the early hours belong to the previous day's window
+  const previousDay = WEEKDAYS[(WEEKDAYS.indexOf(day) + 6) % 7];
+  return (window.days.includes(day) && minutes >= window.start)
+    || (window.days.includes(previousDay) && minutes < window.end);
+}
+
+function isIpAllowed(blockList, clientIP) {
+  if (!clientIP) {
+    return false;
+  }
+
+  // Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+  const address = String(clientIP).replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  return net.isIP(address) !== 0 && blockList.check(address, type);
+}
+
+function viewCountKey({ documentHash, userId, orgId }) {
+  return `${orgId || ''}:${String(documentHash).toLowerCase()}:${userId}`;
+}
+
+async function countViews(request) {
+  const persisted = await countAccessEvents({
+    documentHash: request.documentHash,
+    userId: request.userId,
+    accessType: 'view',
+    orgId: request.orgId || null
+  });
+
+  return persisted !== null ? persisted : (grantedViews.get(viewCountKey(request)) || 0);
+}
+
+/**
+ * Check an access request against the document's policy.
+ *
+ * @param {Object} request
+ * @param {string} request.documentHash
+ * @param {string} [request.classification]
+ * @param {string} request.userId - Salesforce user id
+ * @param {string} [request.userEmail]
+ * @param {string} [request.userProfile] - Salesforce profile name
+ * @param {string} [request.userRole] - Salesforce role name
+ * @param {string} request.accessType
+ * @param {string} [request.clientIP]
+ * @param {string} [request.orgId] - Org whose views count towards maxViewsPerUser
+ * @param {Date} [request.now]
+ * @returns {Promise<{ allowed: boolean, policy: string|null, reasons: Array<{ code: string, message: string }> }>}
+ *   Every failed rule is listed in `reasons`
+ */
+async function evaluateAccessPolicy(request) {
+  const policy = resolveAccessPolicy(request);
+  if (!policy) {
+    return { allowed: true, policy: null, reasons: [] };
+  }
+
+  const now = request.now || new Date();
+  const reasons = [];
+  const deny = (code, message) => reasons.push({ code, message });
+
+  if (policy.expiresAt && now >= policy.expiresAt) {
+    deny('POLICY_EXPIRED', `Access to this document expired at ${policy.expiresAt.toISOString()}`);
+  }
+
+  if (!isPrincipalAllowed(policy, request)) {
+    deny('PRINCIPAL_NOT_ALLOWED', 'User, profile or role is not allowed to access this document');
+  }
+
+  if (policy.accessTypes && !policy.accessTypes.includes(request.accessType)) {
+    deny('ACCESS_TYPE_NOT_ALLOWED', `Access type "${request.accessType}" is not allowed for this document`);
+  }
+
+  if (policy.timeWindows && !policy.timeWindows.some(window => isInTimeWindow(window, now))) {
+    deny('OUTSIDE_TIME_WINDOW', 'This document cannot be accessed at this time');
+  }
+
+  if (policy.ipRanges && !isIpAllowed(policy.ipRanges, request.clientIP)) {
+    deny('IP_NOT_ALLOWED', `Client IP ${request.clientIP || '(unknown)'} is not in an allowed range`);
+  }
+
+  if (policy.maxViewsPerUser !== null && request.accessType === 'view') {
+    const views = await countViews(request);
+    if (views >= policy.maxViewsPerUser) {
+      deny('MAX_VIEWS_EXCEEDED', `View limit reached (${views} of ${policy.maxViewsPerUser})`);
+    }
+  }
+
+  return { allowed: reasons.length === 0, policy: policy.name, reasons };
+}
+
+/**
+ * Count a view allowed by evaluateAccessPolicy towards maxViewsPerUser, for
+ * when access events cannot be counted in Supabase.
+ *
+ * @param {Object} request - `{ documentHash, userId, accessType, orgId }`
+ */
+function recordAccessGrant(request) {
+  if (request.accessType !== 'view' || !request.documentHash || !request.userId) {
+    return;
+  }
+  const key = viewCountKey(request);
+  grantedViews.set(key, (grantedViews.get(key) || 0) + 1);
+}
+
+/**
+ * Log an access request refused by policy as its own audit event
+ * (krnl_policy_denials).
+ *
+ * @param {Object} request - As passed to evaluateAccessPolicy, plus `recordId` and `orgId`
+ * @param {Object} decision - From evaluateAccessPolicy
+ * @returns {Promise<string>} Denial id, returned to the caller for support
+ */
+async function recordPolicyDenial(request, decision) {
+  const denialId = `denial_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  logger.warn('Document access denied by policy', {
+    denialId,
+    policy: decision.policy,
+    reasons: decision.reasons.map(reason => reason.code),
+    documentHash: request.documentHash,
+    userId: request.userId,
+    accessType: request.accessType,
+    clientIP: request.clientIP
+  });
+
+  await savePolicyDenial({
+    denialId,
+    policy: decision.policy,
+    reasons: decision.reasons,
+    documentHash: request.documentHash,
+    recordId: request.recordId,
+    userId: request.userId,
+    orgId: request.orgId,
+    accessType: request.accessType,
+    clientIP: request.clientIP
+  });
+
+  return denialId;
+}
+
+module.exports = {
+  resolveAccessPolicy,
+  evaluateAccessPolicy,
+  recordAccessGrant,
+  recordPolicyDenial
+};
@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { orgKey, requireTenant } = require('./orgRegistryService');
+const { saveRequestNonce } = require('./sessionStore');
+
+// Keys live in a JSON file shared by the server and scripts/apiKeys.js; the
+// server picks up changes made by the CLI without a restart.
+const keysFile = path.resolve(process.env.API_KEYS_FILE || './data/api-keys.json');
+const rotationGraceSeconds = Number.parseInt(process.env.API_KEY_ROTATION_GRACE_SECONDS || '3600', 10);
+const maxSkewSeconds = Number.parseInt(process.env.API_SIGNATURE_MAX_SKEW_SECONDS || '300', 10);
+
+const KEY_ID_PATTERN = /^krnl_[0-9a-f]{16}$/;
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const MAX_NONCES = 100000;
+
+let cachedStore = null;
+let cachedMtimeMs = null;
+
+// Nonces seen by this instance (all of them without Supabase) within the
+// accepted clock skew, keyed by `${keyId}:${nonce}`
+const seenNonces = new Map();
+
+/**
+ * Build an Error carrying the HTTP status for the API key routes.
+ */
+function apiKeyError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+async function loadStore() {
+  let stat;
+  try {
+    stat = await fsp.stat(keysFile);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      cachedStore = { keys: {} };
+      cachedMtimeMs = null;
+      return cachedStore;
+    }
+    throw error;
+  }
+
+  if (cachedStore && cachedMtimeMs === stat.mtimeMs) {
+    return cachedStore;
+  }
+
+  cachedStore = JSON.parse(await fsp.readFile(keysFile, 'utf8'));
+  cachedMtimeMs = stat.mtimeMs;
+  return cachedStore;
+}
+
+async function writeStore(store) {
+  await fsp.mkdir(path.dirname(keysFile), { recursive: true });
+
+  // Write to a temp file and rename so a reader never sees a partial file
+  const tmp = `${keysFile}.${process.pid}.${Date.now()}.tmp`;
+  await fsp.writeFile(tmp, JSON.stringify(store, null, 2), { mode: 0o600 });
+  await fsp.rename(tmp, keysFile);
+
+  cachedStore = store;
+  cachedMtimeMs = fs.statSync(keysFile).mtimeMs;
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Key as returned by the admin API and CLI: never includes a secret.
+ */
+function describeKey(key) {
+  return {
+    keyId: key.keyId,
+    orgId: key.orgId,
+    label: key.label,
+    status: key.status,
+    createdAt: key.createdAt,
+    rotatedAt: key.rotatedAt || null,
+    revokedAt: key.revokedAt || null,
+    previousSecretValidUntil: key.previous ? key.previous.validUntil : null
+  };
+}
+
+function requireKey(store, keyId) {
+  const key = KEY_ID_PATTERN.test(keyId || '') ? store.keys[keyId] : null;
+  if (!key) {
+    throw apiKeyError(`API key ${keyId} not found`, 404);
+  }
+  return key;
+}
+
+/**
+ * Create an API key for an org. The secret is returned once; only its
+ * holder (the org's Apex, via the KRNL_Api_Credential__c setting) can sign
+ * requests with it.
+ *
+ * @param {Object} params
+ * @param {string} params.orgId - Salesforce org id (must be registered when an org registry is configured)
+ * @param {string} [params.label]
+ * @returns {Promise<Object>} The key description plus `secret`
+ */
+async function createApiKey({ orgId, label }) {
+  if (!orgId) {
+    throw apiKeyError('orgId is required', 400);
+  }
+  const tenant = requireTenant(orgId);
+
+  const store = await loadStore();
+  const key = {
+    keyId: `krnl_${crypto.randomBytes(8).toString('hex')}`,
+    orgId: tenant.orgId,
+    label: label || null,
+    status: 'active',
+    secret: generateSecret(),
+    createdAt: new Date().toISOString()
+  };
+
+  await writeStore({ ...store, keys: { ...store.keys, [key.keyId]: key } });
+  logger.info('API key created', { keyId: key.keyId, orgId: key.orgId });
+
+  return { ...describeKey(key), secret: key.secret };
+}
+
+/**
+ * Replace the secret of a key. The previous secret keeps working for
+ * API_KEY_ROTATION_GRACE_SECONDS (default 3600) so Salesforce can be updated
+ * without failed callouts.
+ *
+ * @returns {Promise<Object>} The key description plus the new `secret`
+ */
+async function rotateApiKey(keyId) {
+  const store = await loadStore();
+  const key = requireKey(store, keyId);
+  if (key.status !== 'active') {
+    throw apiKeyError(`API key ${keyId} is revoked`, 409);
+  }
+
+  const now = new Date();
+  const rotated = {
+    ...key,
+    secret: generateSecret(),
+    rotatedAt: now.toISOString(),
+    previous: {
+      secret: key.secret,
+      validUntil: new Date(now.getTime() + rotationGraceSeconds * 1000).toISOString()
+    }
+  };
+
+  await writeStore({ ...store, keys: { ...store.keys, [keyId]: rotated } });
+  logger.info('API key rotated', { keyId, orgId: key.orgId });
+
+  return { ...describeKey(rotated), secret: rotated.secret };
+}
+
+/**
+ * Revoke a key immediately, including a previous secret still in its grace
+ * period. Revoked keys are kept for the audit trail.
+ */
+async function revokeApiKey(keyId) {
+  const store = await loadStore();
+  const key = requireKey(store, keyId);
+
+  const revoked = {
+    ...key,
+    status: 'revoked',
+    revokedAt: key.revokedAt || new Date().toISOString(),
+    previous: null
+  };
+
+  await writeStore({ ...store, keys: { ...store.keys, [keyId]: revoked } });
+  logger.info('API key revoked', { keyId, orgId: key.orgId });
+
+  return describeKey(revoked);
+}
+
+/**
+ * List keys, optionally for one org. Secrets are never listed.
+ */
+async function listApiKeys({ orgId } = {}) {
+  const store = await loadStore();
+  const key = orgKey(orgId);
+
+  return Object.values(store.keys)
+    .filter(entry => !key || entry.orgId === key)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(describeKey);
+}
+
+/**
+ * The string a request signature covers. Apex (KrnlCalloutAuth.sign) builds
+ * the same string.
+ */
+function canonicalRequest({ method, path: requestPath, timestamp, nonce, bodyHash }) {
+  return [method.toUpperCase(), requestPath, timestamp, nonce, bodyHash].join('\n');
+}
+
+function hashBody(body) {
+  return crypto.createHash('sha256').update(body || Buffer.alloc(0)).digest('hex');
+}
+
+function signaturesMatch(secret, canonical, signature) {
+  const expected = crypto.createHmac('sha256', secret).update(canonical).digest();
+  const given = Buffer.from(signature, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Remember a nonce until its timestamp falls outside the accepted skew
+function rememberNonce(id, timestamp) {
+  const now = Date.now();
+  if (seenNonces.size >= MAX_NONCES) {
+    for (const [seenId, expiresAt] of seenNonces) {
+      if (expiresAt <= now) {
+        seenNonces.delete(seenId);
+      }
+    }
+  }
+  if (seenNonces.size >= MAX_NONCES) {
+    throw apiKeyError('Too many signed requests, try again shortly', 503);
+  }
+  seenNonces.set(id, (timestamp + maxSkewSeconds) * 1000);
+}
+
+/**
+ * Verify an HMAC-signed request. The signature is the hex HMAC-SHA256, under
+ * the key's secret, of:
+ *
+ *   METHOD \n path?query \n timestamp \n nonce \n sha256-hex(body)
+ *
+ * Requests older or newer than API_SIGNATURE_MAX_SKEW_SECONDS (default 300),
+ * and nonces already used within that window, are refused. Nonces are
+ * recorded in Supabase (see saveRequestNonce), so a request replayed to
+ * another backend instance is refused too.
+ *
+ * @param {Object} request
+ * @param {string} request.keyId - X-Krnl-Key-Id
+ * @param {string} request.timestamp - X-Krnl-Timestamp (unix seconds)
+ * @param {string} request.nonce - X-Krnl-Nonce
+ * @param {string} request.signature - X-Krnl-Signature
+ * @param {string} request.method
+ * @param {string} request.path - Path and query string as sent
+ * @param {Buffer} [request.body] - Raw request body
+ * @returns {Promise<Object>} The key description
+ * @throws {Error} statusCode 401 when the signature is missing, invalid, stale or replayed
+ */
+async function verifySignedRequest({ keyId, timestamp, nonce, signature, method, path: requestPath, body }) {
+  if (!keyId || !timestamp || !nonce || !signature) {
+    throw apiKeyError('Signed request required (X-Krnl-Key-Id, X-Krnl-Timestamp, X-Krnl-Nonce, X-Krnl-Signature)', 401);
+  }
+
+  const seconds = Number(timestamp);
+  if (!Number.isInteger(seconds) || Math.abs(Date.now() / 1000 - seconds) > maxSkewSeconds) {
+    throw apiKeyError('Request timestamp is missing or outside the allowed clock skew', 401);
+  }
+  if (!NONCE_PATTERN.test(nonce) || !/^[0-9a-fA-F]{64}$/.test(signature)) {
+    throw apiKeyError('Malformed request signature', 401);
+  }
+
+  const store = await loadStore();
+  const key = KEY_ID_PATTERN.test(keyId) ? store.keys[keyId] : null;
+  if (!key || key.status !== 'active') {
+    throw apiKeyError('Unknown or revoked API key', 401);
+  }
+
+  const canonical = canonicalRequest({ method, path: requestPath, timestamp, nonce, bodyHash: hashBody(body) });
+  const previousValid = key.previous && new Date(key.previous.validUntil).getTime() > Date.now();
+
+  if (!signaturesMatch(key.secret, canonical, signature) &&
+      !(previousValid && signaturesMatch(key.previous.secret, canonical, signature))) {
+    throw apiKeyError('Invalid request signature', 401);
+  }
+
+  const nonceId = `${keyId}:${nonce}`;
+  if (seenNonces.has(nonceId) && seenNonces.get(nonceId) > Date.now()) {
+    throw apiKeyError('Replayed request', 401);
+  }
+  rememberNonce(nonceId, seconds);
+  const expiresAt = new Date((seconds + maxSkewSeconds) * 1000).toISOString();
+  if (await saveRequestNonce({ nonceId, keyId, expiresAt }) === false) {
+    throw apiKeyError('Replayed request', 401);
+  }
+
+  return describeKey(key);
+}
+
+/**
+ * Sign a request the backend sends to an org (e.g. a callback to its Apex
+ * REST endpoint) with the org's newest active key, the same way Apex signs
+ * its callouts, so Apex can verify it with KRNL_Api_Credential__c.
+ *
+ * @param {Object} request
+ * @param {string} request.orgId - Salesforce org id
+ * @param {string} request.method
+ * @param {string} request.path - Path and query string as the receiver sees it
+ * @param {string|Buffer} [request.body]
+ * @returns {Promise<Object|null>} The X-Krnl-* headers, or null when the org has no active key
+ */
+async function signOutgoingRequest({ orgId, method, path: requestPath, body }) {
+  const store = await loadStore();
+  const owner = orgKey(orgId);
+  const key = Object.values(store.keys)
+    .filter(entry => entry.orgId === owner && entry.status === 'active')
+    .sort((a, b) => (b.rotatedAt || b.createdAt).localeCompare(a.rotatedAt || a.createdAt))[0];
+
+  if (!key) {
+    return null;
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const canonical = canonicalRequest({ method, path: requestPath, timestamp, nonce, bodyHash: hashBody(body) });
+
+  return {
+    'X-Krnl-Key-Id': key.keyId,
+    'X-Krnl-Timestamp': timestamp,
+    'X-Krnl-Nonce': nonce,
+    'X-Krnl-Signature': crypto.createHmac('sha256', key.secret).update(canonical).digest('hex')
+  };
+}
+
+module.exports = {
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  listApiKeys,
+  canonicalRequest,
+  verifySignedRequest,
+  signOutgoingRequest
+};
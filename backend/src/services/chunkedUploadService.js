@@ -0,0 +1,571 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+// Chunks are staged on local disk so an interrupted upload can be resumed
+// (even across process restarts) without re-sending what already arrived.
+const uploadRootDir = process.env.UPLOAD_CHUNK_DIR || path.join(os.tmpdir(), 'krnl-chunked-uploads');
+const defaultChunkSize = Number.parseInt(process.env.UPLOAD_CHUNK_SIZE_BYTES || '5242880', 10); // 5 MB
+const maxChunkSize = Number.parseInt(process.env.UPLOAD_CHUNK_MAX_BYTES || '8388608', 10); // 8 MB
+const maxTotalSize = Number.parseInt(process.env.UPLOAD_MAX_TOTAL_BYTES || '524288000', 10); // 500 MB
+const uploadTtlSeconds = Number.parseInt(process.env.UPLOAD_CHUNK_TTL_SECONDS || '86400', 10); // 24 hours
+const finalizeLockSeconds = Number.parseInt(process.env.UPLOAD_FINALIZE_LOCK_SECONDS || '3600', 10); // 1 hour
+
+const MANIFEST_FILE = 'manifest.json';
+const ASSEMBLED_FILE = 'assembled.bin';
+const FINALIZE_LOCK_FILE = 'finalize.lock';
+const UPLOAD_ID_PATTERN = /^upload_[A-Za-z0-9_]+$/;
+
+/**
+ * Build an Error carrying an HTTP status code for the upload routes.
+ */
+function uploadError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function getUploadDir(uploadId) {
+  if (!uploadId || !UPLOAD_ID_PATTERN.test(uploadId)) {
+    throw uploadError('Invalid uploadId', 400);
+  }
+  return path.join(uploadRootDir, uploadId);
+}
+
+function getChunkPath(uploadId, index) {
+  return path.join(getUploadDir(uploadId), `chunk_${index}`);
+}
+
+function expectedChunkLength(manifest, index) {
+  if (index < manifest.chunkCount - 1) {
+    return manifest.chunkSize;
+  }
+  return manifest.totalSize - manifest.chunkSize * (manifest.chunkCount - 1);
+}
+
+async function readManifest(uploadId) {
+  try {
+    const raw = await fsp.readFile(path.join(getUploadDir(uploadId), MANIFEST_FILE), 'utf8');
+    return JSON.parse(raw);
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return null;
+    }
+    throw e;
+  }
+}
+
+async function writeManifest(manifest) {
+  const dir = getUploadDir(manifest.uploadId);
+  const target = path.join(dir, MANIFEST_FILE);
+  const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+
+  manifest.updatedAt = new Date().toISOString();
+  await fsp.writeFile(tmp, JSON.stringify(manifest, null, 2));
+  await fsp.rename(tmp, target);
+}
+
+async function requireManifest(uploadId) {
+  const manifest = await readManifest(uploadId);
+  if (!manifest) {
+    throw uploadError('Chunked upload session not found', 404);
+  }
+  return manifest;
+}
+
+/**
+ * List the chunk indexes already stored for an upload, based on the chunk
+ * files present on disk with the expected length.
+ */
+async function listReceivedChunks(manifest) {
+  const dir = getUploadDir(manifest.uploadId);
+  let entries;
+  try {
+    entries = await fsp.readdir(dir);
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return [];
+    }
+    throw e;
+  }
+
+  const received = [];
+  for (const entry of entries) {
+    const match = /^chunk_(\d+)$/.exec(entry);
+    if (!match) {
+      continue;
+    }
+    const index = Number.parseInt(match[1], 10);
+    if (index >= manifest.chunkCount) {
+      continue;
+    }
+    const stat = await fsp.stat(path.join(dir, entry));
+    if (stat.size === expectedChunkLength(manifest, index)) {
+      received.push(index);
+    }
+  }
+
+  return received.sort((a, b) => a - b);
+}
+
+function buildStatus(manifest, receivedChunks) {
+  const receivedSet = new Set(receivedChunks);
+  const missingChunks = [];
+  let bytesReceived = 0;
+
+  for (let i = 0; i < manifest.chunkCount; i++) {
+    if (receivedSet.has(i)) {
+      bytesReceived += expectedChunkLength(manifest, i);
+    } else {
+      missingChunks.push(i);
+    }
+  }
+
+  return {
+    uploadId: manifest.uploadId,
+    status: manifest.status,
+    fileName: manifest.fileName,
+    totalSize: manifest.totalSize,
+    chunkSize: manifest.chunkSize,
+    chunkCount: manifest.chunkCount,
+    receivedChunks,
+    missingChunks,
+    bytesReceived,
+    result: manifest.result || null
+  };
+}
+
+/**
+ * Look up the recordId an existing chunked upload was started for. Used when a
+ * client asks for a fresh upload token to resume an interrupted upload.
+ *
+ * @param {string} uploadId
+ * @returns {Promise<{ recordId: string, status: string } | null>}
+ */
+async function getChunkedUploadOwner(uploadId) {
+  if (!uploadId || !UPLOAD_ID_PATTERN.test(uploadId)) {
+    return null;
+  }
+  const manifest = await readManifest(uploadId);
+  if (!manifest) {
+    return null;
+  }
+  return { recordId: manifest.recordId, status: manifest.status };
+}
+
+/**
+ * Start (or resume) a chunked upload. Calling this again for the same uploadId
+ * with the same file parameters returns the current progress so the client can
+ * send only the missing chunks.
+ *
+ * @param {Object} params
+ * @param {string} params.uploadId - Upload id issued by /api/uploads/init
+ * @param {string} params.recordId - Salesforce record the upload belongs to
+ * @param {string} [params.userId]
+ * @param {string} [params.orgId]
+ * @param {number} params.totalSize - Total file size in bytes
+ * @param {number} [params.chunkSize] - Chunk size in bytes (all chunks except the last)
+ * @param {string} [params.fileName]
+ * @param {string} [params.contentType]
+ * @returns {Promise<Object>} Upload status (see getChunkedUploadStatus)
+ */
+async function initChunkedUpload({ uploadId, recordId, userId, orgId, totalSize, chunkSize, fileName, contentType }) {
+  const size = Number(totalSize);
+  const requestedChunkSize = chunkSize ? Number(chunkSize) : defaultChunkSize;
+
+  if (!Number.isInteger(size) || size <= 0) {
+    throw uploadError('totalSize must be a positive integer', 400);
+  }
+  if (size > maxTotalSize) {
+    throw uploadError(`totalSize exceeds the maximum of ${maxTotalSize} bytes`, 413);
+  }
+  if (!Number.isInteger(requestedChunkSize) || requestedChunkSize <= 0 || requestedChunkSize > maxChunkSize) {
+    throw uploadError(`chunkSize must be between 1 and ${maxChunkSize} bytes`, 400);
+  }
+
+  const existing = await readManifest(uploadId);
+  if (existing) {
+    if (existing.totalSize !== size || existing.chunkSize !== requestedChunkSize) {
+      throw uploadError('Upload already initialized with a different totalSize or chunkSize', 409);
+    }
+    logger.info('Resuming chunked upload', { uploadId, status: existing.status });
+    return buildStatus(existing, await listReceivedChunks(existing));
+  }
+
+  await purgeExpiredUploads();
+
+  const manifest = {
+    uploadId,
+    recordId,
+    userId: userId || null,
+    orgId: orgId || null,
+    fileName: fileName || `upload-${uploadId}.bin`,
+    contentType: contentType || 'application/octet-stream',
+    totalSize: size,
+    chunkSize: requestedChunkSize,
+    chunkCount: Math.ceil(size / requestedChunkSize),
+    status: 'IN_PROGRESS',
+    createdAt: new Date().toISOString()
+  };
+
+  await fsp.mkdir(getUploadDir(uploadId), { recursive: true });
+  await writeManifest(manifest);
+
+  logger.info('Initialized chunked upload', {
+    uploadId,
+    recordId,
+    totalSize: manifest.totalSize,
+    chunkSize: manifest.chunkSize,
+    chunkCount: manifest.chunkCount
+  });
+
+  return buildStatus(manifest, []);
+}
+
+/**
+ * Store a single chunk after checking its offset, length and SHA-256 checksum.
+ * Re-sending a chunk that is already stored simply overwrites it.
+ *
+ * @param {Object} params
+ * @param {string} params.uploadId
+ * @param {number} params.index - Zero-based chunk index
+ * @param {number} [params.offset] - Byte offset of the chunk; must equal index * chunkSize
+ * @param {string} params.checksum - Hex SHA-256 of the chunk bytes (optionally 0x-prefixed)
+ * @param {Buffer} params.buffer - Chunk bytes
+ * @returns {Promise<{ index: number, size: number, bytesReceived: number, missingChunks: number[] }>}
+ */
+async function writeChunk({ uploadId, index, offset, checksum, buffer }) {
+  const manifest = await requireManifest(uploadId);
+
+  if (manifest.status !== 'IN_PROGRESS') {
+    throw uploadError(`Upload is ${manifest.status.toLowerCase()}, no more chunks are accepted`, 409);
+  }
+
+  const chunkIndex = Number(index);
+  if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= manifest.chunkCount) {
+    throw uploadError(`Chunk index must be between 0 and ${manifest.chunkCount - 1}`, 400);
+  }
+
+  if (typeof offset !== 'undefined' && offset !== null && Number(offset) !== chunkIndex * manifest.chunkSize) {
+    throw uploadError(`Chunk offset ${offset} does not match index ${chunkIndex}`, 400);
+  }
+
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw uploadError('Chunk body is required as application/octet-stream', 400);
+  }
+
+  const expectedLength = expectedChunkLength(manifest, chunkIndex);
+  if (buffer.length !== expectedLength) {
+    throw uploadError(`Chunk ${chunkIndex} must be ${expectedLength} bytes, got ${buffer.length}`, 400);
+  }
+
+  if (!checksum) {
+    throw uploadError('Chunk checksum is required', 400);
+  }
+
+  const actualChecksum = crypto.createHash('sha256').update(buffer).digest('hex');
+  const expectedChecksum = String(checksum).toLowerCase().replace(/^0x/, '');
+  if (actualChecksum !== expectedChecksum) {
+    throw uploadError(`Checksum mismatch for chunk ${chunkIndex}`, 422);
+  }
+
+  // Write to a temp file and rename so a dropped connection never leaves a
+  // half-written chunk that looks complete.
+  const chunkPath = getChunkPath(uploadId, chunkIndex);
+  const tmpPath = `${chunkPath}.${process.pid}.${Date.now()}.tmp`;
+  await fsp.writeFile(tmpPath, buffer);
+  await fsp.rename(tmpPath, chunkPath);
+
+  const status = buildStatus(manifest, await listReceivedChunks(manifest));
+
+  logger.debug('Stored upload chunk', {
+    uploadId,
+    index: chunkIndex,
+    size: buffer.length,
+    bytesReceived: status.bytesReceived,
+    remaining: status.missingChunks.length
+  });
+
+  return {
+    index: chunkIndex,
+    size: buffer.length,
+    bytesReceived: status.bytesReceived,
+    missingChunks: status.missingChunks
+  };
+}
+
+/**
+ * Report which chunks have been received and which are still missing.
+ *
+ * @param {string} uploadId
+ * @returns {Promise<Object>}
+ */
+async function getChunkedUploadStatus(uploadId) {
+  const manifest = await requireManifest(uploadId);
+  return buildStatus(manifest, await listReceivedChunks(manifest));
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * Whether a finalize lock was left by a finalize that will never finish: its
+ * process on this host is gone, or it is older than
+ * UPLOAD_FINALIZE_LOCK_SECONDS (the holder may run on another host).
+ */
+function isStaleClaim(content, modifiedAt) {
+  if (Date.now() - modifiedAt > finalizeLockSeconds * 1000) {
+    return true;
+  }
+  try {
+    const { host, pid } = JSON.parse(content);
+    return host === os.hostname() && !isProcessAlive(pid);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Remove a stale lock, unless another finalize replaced it in the meantime:
+ * the lock is moved aside first and put back if it is not the one found stale.
+ */
+async function removeStaleClaim(lockPath, staleContent) {
+  const moved = `${lockPath}.${process.pid}.${Date.now()}.stale`;
+  try {
+    await fsp.rename(lockPath, moved);
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return;
+    }
+    throw e;
+  }
+  if (await fsp.readFile(moved, 'utf8') !== staleContent) {
+    await fsp.link(moved, lockPath).catch(() => {});
+  }
+  await fsp.rm(moved, { force: true });
+}
+
+/**
+ * Claim an upload for finalizing by creating its lock file exclusively, so
+ * that of two concurrent finalize calls (in this process or another one
+ * sharing UPLOAD_CHUNK_DIR) only one proceeds. completeChunkedUpload and
+ * releaseChunkedUpload remove the lock; a lock whose finalize died (see
+ * isStaleClaim) is taken over.
+ */
+async function claimFinalize(uploadId) {
+  const lockPath = path.join(getUploadDir(uploadId), FINALIZE_LOCK_FILE);
+  const claim = JSON.stringify({ host: os.hostname(), pid: process.pid, claimedAt: new Date().toISOString() });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await fsp.writeFile(lockPath, claim, { flag: 'wx' });
+      return;
+    } catch (e) {
+      if (e.code !== 'EEXIST') {
+        throw e;
+      }
+    }
+
+    const content = await fsp.readFile(lockPath, 'utf8').catch(() => null);
+    const stat = await fsp.stat(lockPath).catch(() => null);
+    if (attempt > 0 || content === null || !stat || !isStaleClaim(content, stat.mtimeMs)) {
+      throw uploadError('Upload is already being finalized', 409);
+    }
+
+    logger.warn('Taking over a stale finalize lock', { uploadId, lock: content });
+    await removeStaleClaim(lockPath, content);
+  }
+}
+
+async function dropFinalizeClaim(uploadId) {
+  await fsp.rm(path.join(getUploadDir(uploadId), FINALIZE_LOCK_FILE), { force: true });
+}
+
+/**
+ * Concatenate all chunks into a single file, computing the SHA-256 hash while
+ * streaming so the whole file is never held in memory.
+ *
+ * The upload is claimed first (see claimFinalize), then the manifest moves to
+ * FINALIZING so no more chunks are accepted. The caller
+ * is expected to store/register the assembled file and then call
+ * completeChunkedUpload (or releaseChunkedUpload on failure).
+ *
+ * @param {string} uploadId
+ * @returns {Promise<{ manifest: Object, hash: string, assembledPath: string, size: number }>}
+ */
+async function assembleChunkedUpload(uploadId) {
+  await requireManifest(uploadId);
+  await claimFinalize(uploadId);
+
+  // Read again under the claim: a finalize that just finished has changed it
+  let manifest;
+  try {
+    manifest = await requireManifest(uploadId);
+
+    if (manifest.status === 'FINALIZED') {
+      throw uploadError('Upload has already been finalized', 409);
+    }
+    if (manifest.status === 'FINALIZING') {
+      // Only a finalize holding the claim sets FINALIZING: this one died
+      logger.warn('Resuming chunked upload left finalizing', { uploadId });
+    }
+
+    const status = buildStatus(manifest, await listReceivedChunks(manifest));
+    if (status.missingChunks.length > 0) {
+      const error = uploadError(`Upload is missing ${status.missingChunks.length} chunk(s)`, 409);
+      error.missingChunks = status.missingChunks;
+      throw error;
+    }
+
+    manifest.status = 'FINALIZING';
+    await writeManifest(manifest);
+  } catch (e) {
+    await dropFinalizeClaim(uploadId);
+    throw e;
+  }
+
+  const assembledPath = path.join(getUploadDir(uploadId), ASSEMBLED_FILE);
+  const hasher = crypto.createHash('sha256');
+  let output = null;
+
+  try {
+    output = await fsp.open(assembledPath, 'w');
+    for (let i = 0; i < manifest.chunkCount; i++) {
+      for await (const data of fs.createReadStream(getChunkPath(uploadId, i))) {
+        hasher.update(data);
+        await output.write(data);
+      }
+    }
+    await output.close();
+  } catch (e) {
+    if (output) {
+      await output.close().catch(() => {});
+    }
+    await releaseChunkedUpload(uploadId);
+    throw e;
+  }
+
+  const hash = `0x${hasher.digest('hex')}`;
+
+  logger.info('Assembled chunked upload', {
+    uploadId,
+    chunkCount: manifest.chunkCount,
+    totalSize: manifest.totalSize,
+    hash
+  });
+
+  return {
+    manifest,
+    hash,
+    assembledPath,
+    size: manifest.totalSize
+  };
+}
+
+/**
+ * Mark an upload as finalized, keep the result so repeated finalize calls are
+ * idempotent, and delete the staged chunk data and the finalize claim.
+ *
+ * @param {string} uploadId
+ * @param {Object} result - Response payload returned to the client
+ */
+async function completeChunkedUpload(uploadId, result) {
+  const manifest = await requireManifest(uploadId);
+  manifest.status = 'FINALIZED';
+  manifest.result = result;
+  manifest.finalizedAt = new Date().toISOString();
+  await writeManifest(manifest);
+
+  const dir = getUploadDir(uploadId);
+  const entries = await fsp.readdir(dir);
+  await Promise.all(entries
+    .filter((entry) => entry !== MANIFEST_FILE)
+    .map((entry) => fsp.rm(path.join(dir, entry), { force: true })));
+}
+
+/**
+ * Return a FINALIZING upload to IN_PROGRESS after a failed finalize attempt so
+ * the client can retry.
+ *
+ * @param {string} uploadId
+ */
+async function releaseChunkedUpload(uploadId) {
+  const manifest = await readManifest(uploadId);
+  if (manifest && manifest.status === 'FINALIZING') {
+    manifest.status = 'IN_PROGRESS';
+    await writeManifest(manifest);
+    await fsp.rm(path.join(getUploadDir(uploadId), ASSEMBLED_FILE), { force: true });
+  }
+  await dropFinalizeClaim(uploadId);
+}
+
+/**
+ * When an upload was last touched: its manifest or its newest staged file,
+ * since chunks arrive without the manifest being written.
+ */
+async function lastActivity(uploadId, manifest) {
+  const dir = getUploadDir(uploadId);
+  let latest = manifest ? new Date(manifest.updatedAt || manifest.createdAt).getTime() : 0;
+  for (const entry of await fsp.readdir(dir)) {
+    const stat = await fsp.stat(path.join(dir, entry)).catch(() => null);
+    if (stat && stat.mtimeMs > latest) {
+      latest = stat.mtimeMs;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Remove staged uploads that have not been touched within UPLOAD_CHUNK_TTL_SECONDS.
+ * Best-effort: failures are logged and never surface to callers.
+ */
+async function purgeExpiredUploads() {
+  let entries;
+  try {
+    entries = await fsp.readdir(uploadRootDir);
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      logger.warn('Failed to list chunked upload directory', { error: e.message });
+    }
+    return;
+  }
+
+  const cutoff = Date.now() - uploadTtlSeconds * 1000;
+
+  for (const entry of entries) {
+    if (!UPLOAD_ID_PATTERN.test(entry)) {
+      continue;
+    }
+    try {
+      const manifest = await readManifest(entry);
+      if (await lastActivity(entry, manifest) < cutoff) {
+        await fsp.rm(path.join(uploadRootDir, entry), { recursive: true, force: true });
+        logger.info('Purged expired chunked upload', { uploadId: entry });
+      }
+    } catch (e) {
+      logger.warn('Failed to purge chunked upload', { uploadId: entry, error: e.message });
+    }
+  }
+}
+
+module.exports = {
+  defaultChunkSize,
+  maxChunkSize,
+  initChunkedUpload,
+  writeChunk,
+  getChunkedUploadStatus,
+  getChunkedUploadOwner,
+  assembleChunkedUpload,
+  completeChunkedUpload,
+  releaseChunkedUpload,
+  purgeExpiredUploads
+};
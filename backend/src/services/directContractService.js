@@ -1,29 +1,57 @@
 const { ethers } = require('ethers');
 const { logger } = require('../utils/logger');
+const { getSigner, sendAndConfirm } = require('./signerService');
 
 // Contract ABI for direct registration (no KRNL AuthData)
 const DOCUMENT_REGISTRY_ABI = [
   'function registerDocumentDirect(string documentHash, string salesforceRecordId, string metadata) external',
-  'event DocumentRegistered(string indexed documentHash, string salesforceRecordId, address registeredBy, uint256 timestamp)'
+  'function documentExists(string documentHash) view returns (bool)',
+  'function getDocument(string documentHash) view returns (tuple(string documentHash, string salesforceRecordId, address registeredBy, uint256 registrationTimestamp, bool isActive, string metadata))',
+  'event DocumentRegistered(string indexed documentHash, string salesforceRecordId, address registeredBy, uint256 timestamp)',
+  'event DocumentDeactivated(string indexed documentHash, address deactivatedBy, uint256 timestamp)',
+  'function getDocumentAccessLogs(string documentHash) view returns (tuple(string documentHash, address accessor, string salesforceUserId, uint256 accessTimestamp, string accessType, string ipAddress, string userAgent, string documentId, bytes32 accessHash)[])',
+  'event DocumentAccessLogged(string documentHash, address accessor, string salesforceUserId, string accessType, string documentId, bytes32 accessHash, uint256 timestamp)',
+  'function anchorDocumentBatch(bytes32 merkleRoot, string batchId, uint256 documentCount) external',
+  'function documentBatches(bytes32 merkleRoot) view returns (bytes32 merkleRoot, string batchId, uint256 documentCount, address anchoredBy, uint256 anchoredAt)',
+  'event DocumentBatchAnchored(bytes32 indexed merkleRoot, string batchId, uint256 documentCount, address anchoredBy, uint256 timestamp)',
+  'function anchorAccessLogBatch(bytes32 merkleRoot, string batchId, uint256 eventCount, bytes32 chainHead) external',
+  'function accessLogBatches(bytes32 merkleRoot) view returns (bytes32 merkleRoot, string batchId, uint256 eventCount, bytes32 chainHead, address anchoredBy, uint256 anchoredAt)',
+  'event AccessLogBatchAnchored(bytes32 indexed merkleRoot, string batchId, uint256 eventCount, bytes32 chainHead, address anchoredBy, uint256 timestamp)'
 ];
+const registryInterface = new ethers.utils.Interface(DOCUMENT_REGISTRY_ABI);
 
 /**
- * Register a document directly on DocumentAccessRegistry contract
- * @param {Object} params
- * @param {string} params.documentHash - Document hash (0x prefixed hex)
- * @param {string} params.salesforceRecordId - Salesforce record ID
- * @param {string} params.metadata - JSON metadata string
- * @returns {Promise<{txHash: string, blockNumber: number}>}
- */
-async function registerDocumentDirect({ documentHash, salesforceRecordId, metadata = '{}' }) {
-  // Prefer existing KRNL env conventions:
-  // - RPC_SEPOLIA_URL is already set in .env
-  // - DOCUMENT_REGISTRY_CONTRACT holds the DocumentAccessRegistry address
-  // Fall back to RPC_URL / TARGET_CONTRACT_ADDRESS if present.
-  const rpcUrl = process.env.RPC_SEPOLIA_URL || process.env.RPC_URL;
-  const contractAddress =
-    process.env.DOCUMENT_REGISTRY_CONTRACT || process.env.TARGET_CONTRACT_ADDRESS;
-  const eoaPrivateKey = process.env.EOA_PRIVATE_KEY || process.env.CLIENT_PRIVATE_KEY;
+ * RPC endpoint, registry address and signer key for an org (see
+ * orgRegistryService), or from the environment when no org is given:
+ * - RPC_SEPOLIA_URL is already set in .env
+ * - DOCUMENT_REGISTRY_CONTRACT holds the DocumentAccessRegistry address
+ * Fall back to RPC_URL / TARGET_CONTRACT_ADDRESS if present.
+ * @param {Object} [tenant] - From orgRegistryService.resolveTenant
+ * @returns {{rpcUrl: string, contractAddress: string, eoaPrivateKey: string}}
+ */
+function registryConfig(tenant) {
+  if (tenant) {
+    return {
+      rpcUrl: tenant.chain.rpcUrl,
+      contractAddress: tenant.chain.registryContract,
+      eoaPrivateKey: tenant.chain.signerKey
+    };
+  }
+
+  return {
+    rpcUrl: process.env.RPC_SEPOLIA_URL || process.env.RPC_URL,
+    contractAddress: process.env.DOCUMENT_REGISTRY_CONTRACT || process.env.TARGET_CONTRACT_ADDRESS,
+    eoaPrivateKey: process.env.EOA_PRIVATE_KEY || process.env.CLIENT_PRIVATE_KEY
+  };
+}
+
+/**
+ * The shared signer (see signerService) that sends an org's registry transactions
+ * @param {Object} [tenant] - Org whose RPC endpoint and signer key to use
+ * @returns {Object} Signer handle
+ */
+function getRegistrySigner(tenant) {
+  const { rpcUrl, contractAddress, eoaPrivateKey } = registryConfig(tenant);
 
   if (!rpcUrl || !contractAddress || !eoaPrivateKey) {
     throw new Error(
@@ -33,35 +61,83 @@ async function registerDocumentDirect({ documentHash, salesforceRecordId, metada
     );
   }
 
+  return getSigner({ rpcUrl, privateKey: eoaPrivateKey });
+}
+
+/**
+ * The registerDocumentDirect call for an org's registry, ready for signerService
+ * @param {Object} params - As for registerDocumentDirect
+ * @returns {{to: string, data: string}}
+ */
+function buildRegistrationRequest({ documentHash, salesforceRecordId, metadata = '{}', tenant }) {
+  const { contractAddress } = registryConfig(tenant);
+
+  return {
+    to: contractAddress,
+    data: registryInterface.encodeFunctionData('registerDocumentDirect', [documentHash, salesforceRecordId, metadata])
+  };
+}
+
+/**
+ * The anchorDocumentBatch call for an org's registry, ready for signerService
+ * @param {Object} params
+ * @param {string} params.merkleRoot - Batch root (0x prefixed hex)
+ * @param {string} params.batchId - Backend batch id
+ * @param {number} params.documentCount - Number of documents in the batch
+ * @param {Object} [params.tenant] - Org whose registry to use
+ * @returns {{to: string, data: string}}
+ */
+function buildBatchAnchorRequest({ merkleRoot, batchId, documentCount, tenant }) {
+  const { contractAddress } = registryConfig(tenant);
+
+  return {
+    to: contractAddress,
+    data: registryInterface.encodeFunctionData('anchorDocumentBatch', [merkleRoot, batchId, documentCount])
+  };
+}
+
+/**
+ * The anchorAccessLogBatch call for an org's registry, ready for signerService
+ * @param {Object} params
+ * @param {string} params.merkleRoot - Batch root (0x prefixed hex)
+ * @param {string} params.batchId - Backend batch id
+ * @param {number} params.eventCount - Number of access events in the batch
+ * @param {string} params.chainHead - Hash of the latest event in the batch (0x prefixed hex)
+ * @param {Object} [params.tenant] - Org whose registry to use
+ * @returns {{to: string, data: string}}
+ */
+function buildAccessLogAnchorRequest({ merkleRoot, batchId, eventCount, chainHead, tenant }) {
+  const { contractAddress } = registryConfig(tenant);
+
+  return {
+    to: contractAddress,
+    data: registryInterface.encodeFunctionData('anchorAccessLogBatch', [merkleRoot, batchId, eventCount, chainHead])
+  };
+}
+
+/**
+ * Register a document directly on DocumentAccessRegistry contract and wait
+ * for it to be mined. Stuck transactions are replaced with higher fees.
+ * @param {Object} params
+ * @param {string} params.documentHash - Document hash (0x prefixed hex)
+ * @param {string} params.salesforceRecordId - Salesforce record ID
+ * @param {string} params.metadata - JSON metadata string
+ * @param {Object} [params.tenant] - Org whose registry and signer to use
+ * @returns {Promise<{txHash: string, blockNumber: number, gasUsed: string}>}
+ */
+async function registerDocumentDirect({ documentHash, salesforceRecordId, metadata = '{}', tenant }) {
+  const signer = getRegistrySigner(tenant);
+  const request = buildRegistrationRequest({ documentHash, salesforceRecordId, metadata, tenant });
+
   logger.info('Registering document directly on contract', {
     documentHash,
     salesforceRecordId,
-    contractAddress
-  });
-
-  // Initialize provider and wallet
-  const provider = ethers.providers?.JsonRpcProvider
-    ? new ethers.providers.JsonRpcProvider(rpcUrl)
-    : new ethers.JsonRpcProvider(rpcUrl);
-  
-  const wallet = new ethers.Wallet(eoaPrivateKey, provider);
-  
-  // Connect to contract
-  const contract = new ethers.Contract(contractAddress, DOCUMENT_REGISTRY_ABI, wallet);
-
-  // Send transaction directly (no KRNL auth)
-  const tx = await contract.registerDocumentDirect(documentHash, salesforceRecordId, metadata);
-  
-  logger.info('Document registration transaction sent', {
-    txHash: tx.hash,
-    documentHash,
-    salesforceRecordId
+    contractAddress: request.to,
+    orgId: tenant ? tenant.orgId : null
   });
 
-  // Wait for confirmation
-  const receipt = tx.wait
-    ? await tx.wait()
-    : await provider.waitForTransaction(tx.hash);
+  // Send transaction directly (no KRNL auth) and wait for confirmation
+  const { receipt } = await sendAndConfirm(signer, request);
 
   logger.info('Document registration confirmed', {
     txHash: receipt.transactionHash,
@@ -77,6 +153,256 @@ async function registerDocumentDirect({ documentHash, salesforceRecordId, metada
   };
 }
 
+/**
+ * Whether the RPC endpoint and registry address needed for read-only calls are configured
+ * @param {Object} [tenant] - Org whose registry to check
+ * @returns {boolean}
+ */
+function isRegistryConfigured(tenant) {
+  const { rpcUrl, contractAddress } = registryConfig(tenant);
+  return !!(rpcUrl && contractAddress);
+}
+
+/**
+ * Connect to DocumentAccessRegistry with a provider only (no signer), for view calls
+ * @param {Object} [tenant] - Org whose registry to connect to
+ * @returns {ethers.Contract}
+ */
+function getReadOnlyRegistry(tenant) {
+  const { rpcUrl, contractAddress } = registryConfig(tenant);
+
+  if (!rpcUrl || !contractAddress) {
+    throw new Error(
+      'Missing required environment variables: RPC_SEPOLIA_URL/RPC_URL and ' +
+      'DOCUMENT_REGISTRY_CONTRACT/TARGET_CONTRACT_ADDRESS'
+    );
+  }
+
+  const provider = ethers.providers?.JsonRpcProvider
+    ? new ethers.providers.JsonRpcProvider(rpcUrl)
+    : new ethers.JsonRpcProvider(rpcUrl);
+
+  return new ethers.Contract(contractAddress, DOCUMENT_REGISTRY_ABI, provider);
+}
+
+/**
+ * Check whether a document hash is already registered on DocumentAccessRegistry
+ * @param {string} documentHash - Document hash (0x prefixed hex)
+ * @param {Object} [tenant] - Org whose registry to read
+ * @returns {Promise<boolean>}
+ */
+async function isDocumentRegistered(documentHash, tenant) {
+  return getReadOnlyRegistry(tenant).documentExists(documentHash);
+}
+
+/**
+ * Read the on-chain DocumentRecord for a hash
+ * @param {string} documentHash - Document hash (0x prefixed hex)
+ * @param {Object} [tenant] - Org whose registry to read
+ * @returns {Promise<{documentHash: string, salesforceRecordId: string, registeredBy: string, registrationTimestamp: number, isActive: boolean, metadata: string} | null>}
+ *   null when the hash is not registered
+ */
+async function getDocumentRecord(documentHash, tenant) {
+  const registry = getReadOnlyRegistry(tenant);
+
+  if (!(await registry.documentExists(documentHash))) {
+    return null;
+  }
+
+  const record = await registry.getDocument(documentHash);
+
+  return {
+    documentHash: record.documentHash,
+    salesforceRecordId: record.salesforceRecordId,
+    registeredBy: record.registeredBy,
+    registrationTimestamp: Number(record.registrationTimestamp.toString()),
+    isActive: record.isActive,
+    metadata: record.metadata
+  };
+}
+
+/**
+ * Read an anchored document batch by its Merkle root
+ * @param {string} merkleRoot - Batch root (0x prefixed hex)
+ * @param {Object} [tenant] - Org whose registry to read
+ * @returns {Promise<{merkleRoot: string, batchId: string, documentCount: number, anchoredBy: string, anchoredAt: number} | null>}
+ *   null when the root is not anchored
+ */
+async function getDocumentBatch(merkleRoot, tenant) {
+  const batch = await getReadOnlyRegistry(tenant).documentBatches(merkleRoot);
+  const anchoredAt = Number(batch.anchoredAt.toString());
+
+  if (anchoredAt === 0) {
+    return null;
+  }
+
+  return {
+    merkleRoot: batch.merkleRoot,
+    batchId: batch.batchId,
+    documentCount: Number(batch.documentCount.toString()),
+    anchoredBy: batch.anchoredBy,
+    anchoredAt
+  };
+}
+
+/**
+ * Read an anchored access log batch by its Merkle root
+ * @param {string} merkleRoot - Batch root (0x prefixed hex)
+ * @param {Object} [tenant] - Org whose registry to read
+ * @returns {Promise<{merkleRoot: string, batchId: string, eventCount: number, chainHead: string, anchoredBy: string, anchoredAt: number} | null>}
+ *   null when the root is not anchored
+ */
+async function getAccessLogBatch(merkleRoot, tenant) {
+  const batch = await getReadOnlyRegistry(tenant).accessLogBatches(merkleRoot);
+  const anchoredAt = Number(batch.anchoredAt.toString());
+
+  if (anchoredAt === 0) {
+    return null;
+  }
+
+  return {
+    merkleRoot: batch.merkleRoot,
+    batchId: batch.batchId,
+    eventCount: Number(batch.eventCount.toString()),
+    chainHead: batch.chainHead,
+    anchoredBy: batch.anchoredBy,
+    anchoredAt
+  };
+}
+
+/**
+ * Find the registration and deactivation transactions for a document hash by
+ * scanning registry events from DOCUMENT_REGISTRY_DEPLOY_BLOCK onwards.
+ * @param {string} documentHash - Document hash (0x prefixed hex)
+ * @param {Object} [tenant] - Org whose registry to read
+ * @returns {Promise<{registrations: Array<{txHash: string, blockNumber: number, registeredBy: string}>, deactivations: Array<{txHash: string, blockNumber: number, deactivatedBy: string}>}>}
+ */
+async function getDocumentEvents(documentHash, tenant) {
+  const registry = getReadOnlyRegistry(tenant);
+  const fromBlock = Number.parseInt(process.env.DOCUMENT_REGISTRY_DEPLOY_BLOCK || '0', 10);
+
+  const [registered, deactivated] = await Promise.all([
+    registry.queryFilter(registry.filters.DocumentRegistered(documentHash), fromBlock, 'latest'),
+    registry.queryFilter(registry.filters.DocumentDeactivated(documentHash), fromBlock, 'latest')
+  ]);
+
+  return {
+    registrations: registered.map(event => ({
+      txHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      registeredBy: event.args.registeredBy
+    })),
+    deactivations: deactivated.map(event => ({
+      txHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      deactivatedBy: event.args.deactivatedBy
+    }))
+  };
+}
+
+/**
+ * Read the on-chain AccessLog entries for a document
+ * @param {string} documentHash - Document hash (0x prefixed hex)
+ * @param {Object} [tenant] - Org whose registry to read
+ * @returns {Promise<Array<{accessor: string, salesforceUserId: string, accessTimestamp: number, accessType: string, ipAddress: string, userAgent: string, documentId: string, accessHash: string}>>}
+ *   empty when the document is not registered
+ */
+async function getDocumentAccessLogs(documentHash, tenant) {
+  const registry = getReadOnlyRegistry(tenant);
+
+  if (!(await registry.documentExists(documentHash))) {
+    return [];
+  }
+
+  const logs = await registry.getDocumentAccessLogs(documentHash);
+
+  return logs.map(log => ({
+    documentHash: log.documentHash,
+    accessor: log.accessor,
+    salesforceUserId: log.salesforceUserId,
+    accessTimestamp: Number(log.accessTimestamp.toString()),
+    accessType: log.accessType,
+    ipAddress: log.ipAddress,
+    userAgent: log.userAgent,
+    documentId: log.documentId,
+    accessHash: log.accessHash
+  }));
+}
+
+/**
+ * Parse the DocumentAccessLogged events emitted by the registry in a transaction
+ * @param {string} txHash - Transaction hash
+ * @param {Object} [tenant] - Org whose registry emitted them
+ * @returns {Promise<Array<{documentHash: string, accessor: string, salesforceUserId: string, accessType: string, documentId: string, accessHash: string, timestamp: number, txHash: string, blockNumber: number}> | null>}
+ *   null when the transaction (receipt) is not found
+ */
+async function getAccessLoggedEvents(txHash, tenant) {
+  const registry = getReadOnlyRegistry(tenant);
+  const receipt = await registry.provider.getTransactionReceipt(txHash);
+
+  if (!receipt) {
+    return null;
+  }
+
+  const events = [];
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== registry.address.toLowerCase()) {
+      continue;
+    }
+
+    let parsed;
+    try {
+      parsed = registry.interface.parseLog(log);
+    } catch (e) {
+      continue;
+    }
+
+    if (parsed.name === 'DocumentAccessLogged') {
+      events.push({
+        documentHash: parsed.args.documentHash,
+        accessor: parsed.args.accessor,
+        salesforceUserId: parsed.args.salesforceUserId,
+        accessType: parsed.args.accessType,
+        documentId: parsed.args.documentId,
+        accessHash: parsed.args.accessHash,
+        timestamp: Number(parsed.args.timestamp.toString()),
+        txHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber
+      });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Describe the registry the backend reads from
+ * @param {Object} [tenant] - Org whose registry to describe
+ * @returns {Promise<{address: string, chainId: number}>}
+ */
+async function getRegistryInfo(tenant) {
+  const registry = getReadOnlyRegistry(tenant);
+  const network = await registry.provider.getNetwork();
+
+  return {
+    address: registry.address,
+    chainId: network.chainId
+  };
+}
+
 module.exports = {
-  registerDocumentDirect
+  getRegistrySigner,
+  buildRegistrationRequest,
+  buildBatchAnchorRequest,
+  buildAccessLogAnchorRequest,
+  registerDocumentDirect,
+  isRegistryConfigured,
+  isDocumentRegistered,
+  getDocumentRecord,
+  getDocumentBatch,
+  getAccessLogBatch,
+  getDocumentEvents,
+  getDocumentAccessLogs,
+  getAccessLoggedEvents,
+  getRegistryInfo
 };
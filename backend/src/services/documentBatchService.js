@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { hashLeaf, buildTree, verifyProof } = require('../utils/merkle');
+const { orgKey } = require('./orgRegistryService');
+const { buildBatchAnchorRequest } = require('./directContractService');
+const { BATCH_STATUSES, createBatchAnchorer } = require('./persistedTransactionService');
+
+// One JSON file per batch. Anchored batches hold the inclusion proof of
+// every document in them and are never removed.
+const batchDir = path.resolve(process.env.DOCUMENT_BATCH_DIR || './data/document-batches');
+
+const intervalMs = Number.parseInt(process.env.DOCUMENT_BATCH_INTERVAL_SECONDS || '3600', 10) * 1000;
+const maxDocuments = Number.parseInt(process.env.DOCUMENT_BATCH_MAX_DOCUMENTS || '4096', 10);
+const pollIntervalMs = Number.parseInt(process.env.DOCUMENT_BATCH_POLL_MS || '5000', 10);
+const maxFailures = Number.parseInt(process.env.DOCUMENT_BATCH_MAX_ATTEMPTS || '8', 10);
+
+const BATCH_FILE_PATTERN = /^batch_[0-9a-f]{24}\.json$/;
+
+// Batch ids by document hash, oldest first
+const batchesByHash = new Map();
+const batchEvents = new EventEmitter();
+
+function normalizeHash(hash) {
+  return `0x${String(hash).replace(/^0x/, '').toLowerCase()}`;
+}
+
+/**
+ * Leaf of a document in a batch tree: the document hash and the Salesforce
+ * record it was uploaded to (DocumentAccessRegistry.computeBatchLeaf).
+ *
+ * @param {string} documentHash - `0x`-prefixed SHA-256 of the document
+ * @param {string} salesforceRecordId
+ * @returns {string} `0x`-prefixed leaf hash
+ */
+function documentLeaf(documentHash, salesforceRecordId) {
+  return hashLeaf(Buffer.concat([
+    Buffer.from(documentHash.replace(/^0x/, ''), 'hex'),
+    Buffer.from(salesforceRecordId, 'utf8')
+  ]));
+}
+
+/**
+ * Whether a document of this classification is anchored in a batch or
+ * registered on its own, per the org's anchoringMode and
+ * anchoringClassifications (classifications match case-insensitively).
+ *
+ * @param {Object} tenant - From orgRegistryService.resolveTenant
+ * @param {string} [classification]
+ * @returns {'direct' | 'batch'}
+ */
+function resolveAnchoringMode(tenant, classification) {
+  const classifications = (tenant && tenant.anchoringClassifications) || {};
+  if (classification) {
+    const key = Object.keys(classifications).find(name => name.toLowerCase() === String(classification).toLowerCase());
+    if (key) {
+      return classifications[key];
+    }
+  }
+  return (tenant && tenant.anchoringMode) || 'direct';
+}
+
+/**
+ * Batch as the registration queue sees it: without its documents.
+ */
+function describeBatch(batch) {
+  return {
+    batchId: batch.batchId,
+    orgId: batch.orgId,
+    status: batch.status,
+    documentCount: batch.documents.length,
+    merkleRoot: batch.merkleRoot,
+    closesAt: batch.status === BATCH_STATUSES.OPEN ? batch.closesAt : null,
+    txHash: batch.result ? batch.result.txHash : (batch.tx ? batch.tx.hash : null),
+    blockNumber: batch.result ? batch.result.blockNumber : null,
+    failures: batch.failures,
+    lastError: batch.lastError,
+    createdAt: batch.createdAt,
+    anchoredAt: batch.anchoredAt
+  };
+}
+
+// Closes, anchors and retries the batches (see persistedTransactionService)
+const anchorer = createBatchAnchorer({
+  name: 'Document batch',
+  dir: batchDir,
+  filePattern: BATCH_FILE_PATTERN,
+  entriesKey: 'documents',
+  intervalMs,
+  maxEntries: maxDocuments,
+  pollIntervalMs,
+  maxFailures,
+  sealBatch(batch) {
+    const leaves = batch.documents.map(document => documentLeaf(document.documentHash, document.salesforceRecordId));
+    const { root, proofs } = buildTree(leaves);
+
+    batch.documents.forEach((document, index) => {
+      document.leaf = leaves[index];
+      document.proof = proofs[index];
+    });
+    batch.merkleRoot = root;
+  },
+  buildRequest: (batch, tenant) => buildBatchAnchorRequest({
+    merkleRoot: batch.merkleRoot,
+    batchId: batch.batchId,
+    documentCount: batch.documents.length,
+    tenant
+  }),
+  onIndex(batch) {
+    for (const document of batch.documents) {
+      const ids = batchesByHash.get(document.documentHash) || [];
+      if (!ids.includes(batch.batchId)) {
+        ids.push(batch.batchId);
+        batchesByHash.set(document.documentHash, ids);
+      }
+    }
+  },
+  onAnchored: batch => batchEvents.emit('settled', describeBatch(batch)),
+  onFailed: batch => batchEvents.emit('settled', describeBatch(batch))
+});
+const { batches } = anchorer;
+
+/**
+ * Load the batches on disk and close and anchor them as they fall due,
+ * checking every DOCUMENT_BATCH_POLL_MS. Safe to call more than once.
+ */
+function startDocumentBatcher() {
+  return anchorer.start();
+}
+
+/**
+ * Add a document to its org's open batch, opening one that closes after
+ * DOCUMENT_BATCH_INTERVAL_SECONDS (or at DOCUMENT_BATCH_MAX_DOCUMENTS) if
+ * there is none. A document already in the open batch is not added twice.
+ *
+ * @param {Object} params
+ * @param {string} params.documentHash - `0x`-prefixed SHA-256 of the document
+ * @param {string} params.salesforceRecordId - Salesforce record ID
+ * @param {string} [params.classification] - Document classification from the registration metadata
+ * @param {Object} params.tenant - Org whose registry anchors the batch (from resolveTenant)
+ * @param {string} [params.jobId] - Registration job waiting for the batch
+ * @returns {Promise<Object>} The batch description
+ */
+async function addToBatch({ documentHash, salesforceRecordId, classification, tenant, jobId }) {
+  await startDocumentBatcher();
+
+  const owner = tenant ? tenant.orgId : null;
+  const hash = normalizeHash(documentHash);
+  let batch = [...batches.values()].find(candidate =>
+    candidate.status === BATCH_STATUSES.OPEN && candidate.orgId === owner && candidate.documents.length < maxDocuments);
+
+  if (batch && batch.documents.some(document => document.documentHash === hash && document.salesforceRecordId === salesforceRecordId)) {
+    return describeBatch(batch);
+  }
+
+  if (!batch) {
+    const now = new Date();
+    // Indexed below before the first write, so concurrent calls share it
+    batch = {
+      batchId: `batch_${crypto.randomBytes(12).toString('hex')}`,
+      orgId: owner,
+      status: BATCH_STATUSES.OPEN,
+      documents: [],
+      merkleRoot: null,
+      closesAt: new Date(now.getTime() + intervalMs).toISOString(),
+      closedAt: null,
+      nextAttemptAt: null,
+      failures: 0,
+      lastError: null,
+      tx: null,
+      result: null,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      anchoredAt: null
+    };
+    anchorer.indexBatch(batch);
+    logger.info('Document batch opened', { batchId: batch.batchId, orgId: owner, closesAt: batch.closesAt });
+  }
+
+  batch.documents.push({
+    documentHash: hash,
+    salesforceRecordId,
+    // Access policies look it up here, as batched documents carry no on-chain metadata
+    classification: classification || null,
+    jobId: jobId || null,
+    addedAt: new Date().toISOString()
+  });
+  anchorer.indexBatch(batch);
+  await anchorer.writeBatch(batch);
+
+  if (batch.documents.length >= maxDocuments) {
+    setImmediate(anchorer.runDueBatches);
+  }
+  return describeBatch(batch);
+}
+
+/**
+ * @param {string} batchId
+ * @returns {Promise<Object|null>} The batch description, or null for an unknown batch
+ */
+async function getBatch(batchId) {
+  await startDocumentBatcher();
+
+  const batch = batches.get(batchId);
+  return batch ? describeBatch(batch) : null;
+}
+
+/**
+ * Subscribe to batches as they are anchored or given up on.
+ *
+ * @param {Function} listener - Called with the batch description
+ * @returns {Function} Unsubscribe
+ */
+function onBatchSettled(listener) {
+  batchEvents.on('settled', listener);
+  return () => batchEvents.off('settled', listener);
+}
+
+/**
+ * The inclusion proof of a document in the newest anchored batch holding
+ * it, or the batch it is waiting in when none is anchored yet.
+ *
+ * @param {string} documentHash - `0x`-prefixed SHA-256 of the document
+ * @param {Object} [options]
+ * @param {string} [options.orgId] - Only look in this org's batches
+ * @returns {Promise<Object|null>} `{ anchored: true, batchId, orgId, merkleRoot, documentCount,
+ *   salesforceRecordId, leaf, proof, txHash, blockNumber, anchoredAt }`,
+ *   `{ anchored: false, batchId, orgId, status, closesAt }`, or null when the
+ *   document was never batched
+ */
+async function findDocumentInclusion(documentHash, { orgId } = {}) {
+  await startDocumentBatcher();
+
+  const hash = normalizeHash(documentHash);
+  const owner = orgKey(orgId);
+  const candidates = (batchesByHash.get(hash) || [])
+    .map(batchId => batches.get(batchId))
+    .filter(batch => !owner || batch.orgId === owner);
+
+  const anchored = candidates.filter(batch => batch.status === BATCH_STATUSES.ANCHORED).pop();
+  if (anchored) {
+    const document = anchored.documents.find(entry => entry.documentHash === hash);
+    return {
+      anchored: true,
+      batchId: anchored.batchId,
+      orgId: anchored.orgId,
+      merkleRoot: anchored.merkleRoot,
+      documentCount: anchored.documents.length,
+      salesforceRecordId: document.salesforceRecordId,
+      classification: document.classification || null,
+      leaf: document.leaf,
+      proof: document.proof,
+      txHash: anchored.result.txHash,
+      blockNumber: anchored.result.blockNumber,
+      anchoredAt: anchored.anchoredAt
+    };
+  }
+
+  const waiting = candidates.filter(batch => batch.status !== BATCH_STATUSES.FAILED).pop();
+  if (waiting) {
+    const document = waiting.documents.find(entry => entry.documentHash === hash);
+    return {
+      anchored: false,
+      batchId: waiting.batchId,
+      orgId: waiting.orgId,
+      classification: document.classification || null,
+      status: waiting.status,
+      closesAt: waiting.status === BATCH_STATUSES.OPEN ? waiting.closesAt : null
+    };
+  }
+  return null;
+}
+
+/**
+ * Check an inclusion proof without trusting the batch files: the leaf is
+ * recomputed from the document hash and record id, and the proof must lead
+ * to the given root. Whether that root is anchored is checked separately.
+ *
+ * @returns {boolean}
+ */
+function verifyDocumentInclusion({ documentHash, salesforceRecordId, proof, merkleRoot }) {
+  return verifyProof(documentLeaf(normalizeHash(documentHash), salesforceRecordId), proof, merkleRoot);
+}
+
+module.exports = {
+  BATCH_STATUSES,
+  documentLeaf,
+  resolveAnchoringMode,
+  startDocumentBatcher,
+  addToBatch,
+  getBatch,
+  onBatchSettled,
+  findDocumentInclusion,
+  verifyDocumentInclusion
+};
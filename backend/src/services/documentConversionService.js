@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { pathToFileURL } = require('url');
+const { logger } = require('../utils/logger');
+
+const execFileAsync = promisify(execFile);
+
+// Office formats rendered to PDF before watermarking, by content type and extension
+const OFFICE_FORMATS = {
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  'application/msword': 'doc',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.ms-powerpoint': 'ppt'
+};
+const OFFICE_EXTENSIONS = new Set(Object.values(OFFICE_FORMATS));
+
+const sofficePath = process.env.LIBREOFFICE_PATH || 'soffice';
+const conversionTimeoutMs = Number.parseInt(process.env.OFFICE_CONVERSION_TIMEOUT_MS || '60000', 10);
+const maxConcurrentConversions = Math.max(1, Number.parseInt(process.env.OFFICE_CONVERSION_CONCURRENCY || '2', 10));
+
+// LibreOffice is CPU and memory heavy; cap how many run at once
+let activeConversions = 0;
+const waitingConversions = [];
+
+async function acquireConversionSlot() {
+  if (activeConversions < maxConcurrentConversions) {
+    activeConversions++;
+    return;
+  }
+  await new Promise(resolve => waitingConversions.push(resolve));
+}
+
+function releaseConversionSlot() {
+  const next = waitingConversions.shift();
+  if (next) {
+    next();
+  } else {
+    activeConversions--;
+  }
+}
+
+function conversionError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Office format of a stored file, or null when it is not a supported Office
+ * document.
+ *
+ * @param {string} contentType
+ * @param {string} fileName
+ * @returns {string | null} File extension LibreOffice should read it as
+ */
+function getOfficeFormat(contentType, fileName) {
+  const byType = OFFICE_FORMATS[String(contentType || '').split(';')[0].trim().toLowerCase()];
+  if (byType) {
+    return byType;
+  }
+
+  const extension = String(fileName || '').split('.').pop().toLowerCase();
+  return OFFICE_EXTENSIONS.has(extension) ? extension : null;
+}
+
+/**
+ * Render an Office document to PDF with LibreOffice in headless mode
+ * (LIBREOFFICE_PATH, default `soffice`).
+ *
+ * Each conversion runs in its own temporary directory with its own
+ * LibreOffice profile, so conversions do not contend for a profile lock.
+ *
+ * @param {Buffer} buffer - Document bytes
+ * @param {string} format - From getOfficeFormat
+ * @returns {Promise<Buffer>} PDF bytes
+ * @throws {Error} statusCode 503 when LibreOffice is not installed, 504 on
+ *   timeout, 422 when the document cannot be converted
+ */
+async function convertOfficeToPdf(buffer, format) {
+  await acquireConversionSlot();
+
+  const startedAt = Date.now();
+  let workDir = null;
+
+  try {
+    workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'krnl-convert-'));
+    const inputPath = path.join(workDir, `document.${format}`);
+    const outputPath = path.join(workDir, 'document.pdf');
+
+    await fs.promises.writeFile(inputPath, buffer);
+
+    try {
+      await execFileAsync(sofficePath, [
+        `-env:UserInstallation=${pathToFileURL(path.join(workDir, 'profile')).href}`,
+        '--headless',
+        '--norestore',
+        '--nolockcheck',
+        '--convert-to',
+        'pdf',
+        '--outdir',
+        workDir,
+        inputPath
+      ], {
+        timeout: conversionTimeoutMs,
+        killSignal: 'SIGKILL'
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw conversionError(`Office document conversion is unavailable: ${sofficePath} not found`, 503);
+      }
+      if (error.killed) {
+        throw conversionError(`Office document conversion timed out after ${conversionTimeoutMs} ms`, 504);
+      }
+      throw conversionError(`Office document conversion failed: ${(error.stderr || error.message).trim()}`, 422);
+    }
+
+    let pdf;
+    try {
+      pdf = await fs.promises.readFile(outputPath);
+    } catch {
+      // LibreOffice exits 0 without output for files it cannot open
+      throw conversionError('Office document conversion produced no PDF; the file may be corrupt or password protected', 422);
+    }
+
+    logger.info('Office document converted to PDF', {
+      format,
+      inputBytes: buffer.length,
+      outputBytes: pdf.length,
+      durationMs: Date.now() - startedAt
+    });
+
+    return pdf;
+  } finally {
+    releaseConversionSlot();
+    if (workDir) {
+      fs.promises.rm(workDir, { recursive: true, force: true }).catch((error) => {
+        logger.warn('Failed to clean up conversion directory', { workDir, error: error.message });
+      });
+    }
+  }
+}
+
+module.exports = {
+  getOfficeFormat,
+  convertOfficeToPdf
+};
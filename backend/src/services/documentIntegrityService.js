@@ -0,0 +1,379 @@
+const { logger } = require('../utils/logger');
+const {
+  isRegistryConfigured,
+  getDocumentRecord,
+  getDocumentBatch,
+  getDocumentEvents,
+  getRegistryInfo
+} = require('./directContractService');
+const { findDocumentInclusion, verifyDocumentInclusion } = require('./documentBatchService');
+const { resolveTenant, partitionOrgId } = require('./orgRegistryService');
+const { findPendingRegistration } = require('./registrationQueue');
+const { saveTamperEvent } = require('./sessionStore');
+
+/**
+ * Integrity failure codes returned to the viewer. Codes marked as tampering
+ * are recorded as tamper events.
+ */
+const INTEGRITY_FAILURES = {
+  HASH_MISMATCH: {
+    tamper: true,
+    message: 'The stored file does not match the registered document hash'
+  },
+  NOT_REGISTERED: {
+    tamper: true,
+    message: 'The document hash is not registered on-chain'
+  },
+  DOCUMENT_DEACTIVATED: {
+    tamper: false,
+    message: 'The document has been deactivated on-chain'
+  },
+  REGISTRATION_PENDING: {
+    tamper: false,
+    message: 'The document is still being registered on-chain'
+  }
+};
+
+function normalizeHash(hash) {
+  return String(hash || '').toLowerCase();
+}
+
+/**
+ * Look a document up in the anchored Merkle batches: the stored proof is
+ * checked again and its root read from the registry of the batch's org.
+ *
+ * @returns {Promise<{inclusion: Object, tenant: Object|null, batch: Object|null, valid: boolean} | null>}
+ *   null when the document is in no batch; `batch` is the on-chain record of
+ *   the root, null when it is not anchored
+ */
+async function lookupBatchInclusion(documentHash, orgId) {
+  const inclusion = await findDocumentInclusion(documentHash, { orgId });
+  if (!inclusion || !inclusion.anchored) {
+    return inclusion ? { inclusion, tenant: null, batch: null, valid: false } : null;
+  }
+
+  const tenant = resolveTenant(inclusion.orgId);
+  const batch = tenant ? await getDocumentBatch(inclusion.merkleRoot, tenant) : null;
+  const valid = !!batch && verifyDocumentInclusion({
+    documentHash,
+    salesforceRecordId: inclusion.salesforceRecordId,
+    proof: inclusion.proof,
+    merkleRoot: batch.merkleRoot
+  });
+
+  return { inclusion, tenant, batch, valid };
+}
+
+/**
+ * Check bytes that are about to be served against the hash in the viewer
+ * token and against the on-chain DocumentRecord.
+ *
+ * Documents anchored in a Merkle batch pass when their inclusion proof leads
+ * to a root anchored in the registry. A document without a record that is
+ * still queued for registration, or waiting in a batch, fails with
+ * REGISTRATION_PENDING rather than NOT_REGISTERED: it is not yet on-chain,
+ * which is no sign of tampering.
+ *
+ * The on-chain lookup is skipped when no registry is configured (local
+ * development). If the lookup itself fails, the document is still served on
+ * the strength of the token hash unless REQUIRE_ONCHAIN_VERIFICATION=true.
+ *
+ * @param {Object} params
+ * @param {string} params.documentHash - `0x`-prefixed hash from the viewer token
+ * @param {string} params.storedHash - `0x`-prefixed hash of the stored bytes
+ * @param {Object} [params.tenant] - Org whose registry the document is registered in
+ * @returns {Promise<{ ok: boolean, code?: string, message?: string, onChain: object | null, onChainChecked: boolean, pending?: { jobId: string | null, batchId: string | null } }>}
+ */
+async function checkDocumentIntegrity({ documentHash, storedHash, tenant }) {
+  if (normalizeHash(storedHash) !== normalizeHash(documentHash)) {
+    return {
+      ok: false,
+      code: 'HASH_MISMATCH',
+      message: INTEGRITY_FAILURES.HASH_MISMATCH.message,
+      onChain: null,
+      onChainChecked: false
+    };
+  }
+
+  if (!isRegistryConfigured(tenant)) {
+    logger.debug('Document registry not configured, skipping on-chain integrity check', { documentHash });
+    return { ok: true, onChain: null, onChainChecked: false };
+  }
+
+  let record;
+  let batched = null;
+  let pendingJob = null;
+  try {
+    record = await getDocumentRecord(documentHash, tenant);
+    if (!record) {
+      batched = await lookupBatchInclusion(documentHash, partitionOrgId(tenant));
+      pendingJob = await findPendingRegistration(documentHash, { orgId: partitionOrgId(tenant) });
+    }
+  } catch (error) {
+    if (process.env.REQUIRE_ONCHAIN_VERIFICATION === 'true') {
+      const unavailable = new Error(`On-chain verification unavailable: ${error.message}`);
+      unavailable.statusCode = 503;
+      throw unavailable;
+    }
+
+    logger.warn('On-chain integrity lookup failed, relying on token hash only', {
+      documentHash,
+      error: error.message
+    });
+    return { ok: true, onChain: null, onChainChecked: false };
+  }
+
+  if (batched && batched.valid) {
+    return {
+      ok: true,
+      onChain: {
+        anchoring: 'batch',
+        batchId: batched.inclusion.batchId,
+        merkleRoot: batched.batch.merkleRoot,
+        salesforceRecordId: batched.inclusion.salesforceRecordId,
+        anchoredBy: batched.batch.anchoredBy,
+        anchoredAt: batched.batch.anchoredAt
+      },
+      onChainChecked: true
+    };
+  }
+
+  if (!record && (pendingJob || (batched && !batched.inclusion.anchored))) {
+    return {
+      ok: false,
+      code: 'REGISTRATION_PENDING',
+      message: INTEGRITY_FAILURES.REGISTRATION_PENDING.message,
+      onChain: null,
+      onChainChecked: true,
+      pending: {
+        jobId: pendingJob ? pendingJob.jobId : null,
+        batchId: batched ? batched.inclusion.batchId : (pendingJob && pendingJob.batchId) || null
+      }
+    };
+  }
+
+  if (!record || normalizeHash(record.documentHash) !== normalizeHash(documentHash)) {
+    return {
+      ok: false,
+      code: 'NOT_REGISTERED',
+      message: INTEGRITY_FAILURES.NOT_REGISTERED.message,
+      onChain: record,
+      onChainChecked: true
+    };
+  }
+
+  if (!record.isActive) {
+    return {
+      ok: false,
+      code: 'DOCUMENT_DEACTIVATED',
+      message: INTEGRITY_FAILURES.DOCUMENT_DEACTIVATED.message,
+      onChain: record,
+      onChainChecked: true
+    };
+  }
+
+  return { ok: true, onChain: record, onChainChecked: true };
+}
+
+/**
+ * Record a tamper event for a failed integrity check. Returns the event id,
+ * or null when the failure is not a tampering signal.
+ *
+ * @param {Object} params
+ * @param {string} params.code - Failure code from checkDocumentIntegrity
+ * @param {string} [params.sessionId]
+ * @param {string} [params.documentHash]
+ * @param {string} [params.storedHash]
+ * @param {string} [params.filePath]
+ * @param {object} [params.onChain]
+ * @returns {Promise<string | null>}
+ */
+async function recordTamperEvent({ code, sessionId, documentHash, storedHash, filePath, onChain }) {
+  const failure = INTEGRITY_FAILURES[code];
+  if (!failure || !failure.tamper) {
+    return null;
+  }
+
+  const eventId = `tamper_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  logger.error('Document tamper event detected', {
+    eventId,
+    reason: code,
+    sessionId,
+    documentHash,
+    storedHash,
+    filePath
+  });
+
+  await saveTamperEvent({
+    eventId,
+    reason: code,
+    sessionId,
+    documentHash,
+    storedHash,
+    filePath,
+    details: onChain ? { onChain } : null
+  });
+
+  return eventId;
+}
+
+function parseMetadata(metadata) {
+  try {
+    return JSON.parse(metadata);
+  } catch {
+    return metadata || null;
+  }
+}
+
+/**
+ * The classification a document was registered with: taken from its Merkle
+ * batch entry, or from the metadata of its on-chain DocumentRecord.
+ *
+ * @param {string} documentHash - `0x`-prefixed document hash
+ * @param {Object} [tenant] - Org whose registry the document is registered in
+ * @returns {Promise<string|null>} null when the document is unknown, was
+ *   registered without a classification, or no registry is configured
+ */
+async function lookupDocumentClassification(documentHash, tenant) {
+  const inclusion = await findDocumentInclusion(documentHash, { orgId: partitionOrgId(tenant) });
+  if (inclusion) {
+    return inclusion.classification || null;
+  }
+
+  if (!isRegistryConfigured(tenant)) {
+    return null;
+  }
+  const record = await getDocumentRecord(documentHash, tenant);
+  const metadata = record ? parseMetadata(record.metadata) : null;
+  return (metadata && typeof metadata === 'object' && metadata.classification) || null;
+}
+
+/**
+ * Fill in a verification result for a document anchored in a Merkle batch.
+ * `inclusion` carries everything needed to check it offline: the leaf is
+ * SHA-256(0x00 || documentHash || salesforceRecordId), each proof step hashes
+ * SHA-256(0x01 || sorted pair), and the result must equal `merkleRoot`.
+ */
+async function applyBatchInclusion(proof, { inclusion, tenant, batch, valid }) {
+  if (!inclusion.anchored) {
+    proof.warnings.push(inclusion.closesAt
+      ? `The document is waiting in batch ${inclusion.batchId}, to be anchored after ${inclusion.closesAt}.`
+      : `The document is in batch ${inclusion.batchId}, which is being anchored.`);
+    return;
+  }
+
+  proof.anchoring = 'batch';
+  proof.inclusion = {
+    batchId: inclusion.batchId,
+    merkleRoot: inclusion.merkleRoot,
+    documentCount: inclusion.documentCount,
+    salesforceRecordId: inclusion.salesforceRecordId,
+    leaf: inclusion.leaf,
+    proof: inclusion.proof,
+    anchored: !!batch
+  };
+
+  if (!tenant) {
+    proof.warnings.push(`The org that anchored batch ${inclusion.batchId} is no longer registered with this backend.`);
+    return;
+  }
+  proof.registry = await getRegistryInfo(tenant);
+
+  if (!batch) {
+    proof.warnings.push(`Batch root ${inclusion.merkleRoot} is not anchored in the registry.`);
+    return;
+  }
+  if (!valid) {
+    proof.warnings.push(`The inclusion proof for batch ${inclusion.batchId} does not lead to its anchored root.`);
+    return;
+  }
+
+  proof.status = 'VERIFIED';
+  proof.verified = true;
+  proof.record = {
+    salesforceRecordId: inclusion.salesforceRecordId,
+    registeredBy: batch.anchoredBy,
+    registeredAt: new Date(batch.anchoredAt * 1000).toISOString(),
+    isActive: true,
+    metadata: null
+  };
+  proof.registration = {
+    txHash: inclusion.txHash,
+    blockNumber: inclusion.blockNumber,
+    registeredBy: batch.anchoredBy
+  };
+}
+
+/**
+ * Build a proof of authenticity for a document hash from DocumentAccessRegistry:
+ * the on-chain DocumentRecord plus the transactions that registered (and, if
+ * applicable, deactivated) it. A document without a record of its own is
+ * looked for in the anchored Merkle batches (see applyBatchInclusion).
+ *
+ * @param {string} documentHash - `0x`-prefixed SHA-256 of the document
+ * @param {Object} [options]
+ * @param {Object} [options.tenant] - Org whose registry to check
+ * @returns {Promise<Object>} Proof with `verified` true only for registered, active documents
+ */
+async function verifyDocumentOnChain(documentHash, { tenant } = {}) {
+  const [registry, record] = await Promise.all([
+    getRegistryInfo(tenant),
+    getDocumentRecord(documentHash, tenant)
+  ]);
+
+  const proof = {
+    documentHash,
+    verified: false,
+    status: 'NOT_REGISTERED',
+    anchoring: null,
+    registry,
+    record: null,
+    inclusion: null,
+    registration: null,
+    deactivation: null,
+    warnings: [],
+    checkedAt: new Date().toISOString()
+  };
+
+  if (!record) {
+    const batched = await lookupBatchInclusion(documentHash, partitionOrgId(tenant));
+    if (batched) {
+      await applyBatchInclusion(proof, batched);
+    }
+    return proof;
+  }
+
+  proof.anchoring = 'direct';
+  proof.status = record.isActive ? 'VERIFIED' : 'DEACTIVATED';
+  proof.verified = record.isActive;
+  proof.record = {
+    salesforceRecordId: record.salesforceRecordId,
+    registeredBy: record.registeredBy,
+    registeredAt: new Date(record.registrationTimestamp * 1000).toISOString(),
+    isActive: record.isActive,
+    metadata: parseMetadata(record.metadata)
+  };
+
+  try {
+    const { registrations, deactivations } = await getDocumentEvents(documentHash, tenant);
+    // The record reflects the latest registration, so report the latest event
+    proof.registration = registrations.length ? registrations[registrations.length - 1] : null;
+    proof.deactivation = deactivations.length ? deactivations[deactivations.length - 1] : null;
+  } catch (error) {
+    logger.warn('Failed to load registry events for document', {
+      documentHash,
+      error: error.message
+    });
+    proof.warnings.push(`Registration transaction lookup failed: ${error.message}`);
+  }
+
+  return proof;
+}
+
+module.exports = {
+  checkDocumentIntegrity,
+  recordTamperEvent,
+  lookupDocumentClassification,
+  verifyDocumentOnChain
+};
@@ -1,5 +1,6 @@
 const { logger } = require('../utils/logger');
 const { ethers } = require('ethers');
+const { getSigner, sendAndConfirm } = require('./signerService');
 
 /**
  * Initialize EIP-4337 smart account for the backend using the factory + EOA pattern.
@@ -27,10 +28,9 @@ async function initSmartAccountFromEnv() {
     factoryAddress
   });
 
-  const provider = ethers.providers?.JsonRpcProvider
-    ? new ethers.providers.JsonRpcProvider(rpcUrl)
-    : new ethers.JsonRpcProvider(rpcUrl);
-  const wallet = new ethers.Wallet(eoaPrivateKey, provider);
+  // Deployment goes through the shared signer so it cannot collide with other sends
+  const signer = getSigner({ rpcUrl, privateKey: eoaPrivateKey });
+  const { provider, wallet } = signer;
 
   // Minimal ABI for getDelegatedAccountAddress(owner, salt)
   const factoryAbi = [
@@ -39,7 +39,6 @@ async function initSmartAccountFromEnv() {
   ];
 
   const factory = new ethers.Contract(factoryAddress, factoryAbi, provider);
-  const factoryWithSigner = factory.connect(wallet);
 
   // Calculate salt: keccak256(eoaAddress + appSecret)
   const saltInput = `${wallet.address}${appSecret}`;
@@ -67,18 +66,13 @@ async function initSmartAccountFromEnv() {
     });
 
     try {
-      const tx = await factoryWithSigner.createDelegatedAccount(wallet.address, saltBytes32);
-
-      logger.info('Sent smart account deployment transaction', {
-        txHash: tx.hash
+      const { receipt } = await sendAndConfirm(signer, {
+        to: factoryAddress,
+        data: factory.interface.encodeFunctionData('createDelegatedAccount', [wallet.address, saltBytes32])
       });
 
-      const receipt = tx.wait
-        ? await tx.wait()
-        : await provider.waitForTransaction(tx.hash);
-
       logger.info('Smart account deployment transaction mined', {
-        txHash: receipt.transactionHash || tx.hash,
+        txHash: receipt.transactionHash,
         status: receipt.status
       });
 
@@ -90,11 +90,13 @@ function getFunctionSelector(functionSignature) {
  * Build and sign KRNL transaction intent using the exact EIP-4337 pattern from client-eoa-eip4337.ts.
  *
  * Returns an object compatible with existing intentBuilder output, plus extra debugging fields.
+ * `rpcUrl`, `eoaPrivateKey` and `senderAddress` options override the environment
+ * (per-org chain settings from the org registry).
  */
 async function buildTransactionIntent4337(options = {}) {
-  const rpcUrl = process.env.RPC_SEPOLIA_URL || process.env.RPC_URL;
-  const eoaPrivateKey = process.env.EOA_PRIVATE_KEY || process.env.CLIENT_PRIVATE_KEY;
-  const senderAddress = process.env.SENDER_ADDRESS;
+  const rpcUrl = options.rpcUrl || process.env.RPC_SEPOLIA_URL || process.env.RPC_URL;
+  const eoaPrivateKey = options.eoaPrivateKey || process.env.EOA_PRIVATE_KEY || process.env.CLIENT_PRIVATE_KEY;
+  const senderAddress = options.senderAddress || process.env.SENDER_ADDRESS;
   const delegateAddress = process.env.TARGET_CONTRACT_OWNER || senderAddress;
   const targetContract = options.targetContract || process.env.DOCUMENT_REGISTRY_CONTRACT;
   const functionSignature = options.functionSignature;
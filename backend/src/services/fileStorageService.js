@@ -1,30 +1,205 @@
-const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const { logger } = require('../utils/logger');
+const { getStorage } = require('./storage');
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY;
-const supabaseBucket = process.env.SUPABASE_BUCKET || 'documents';
+// Objects are stored under their SHA-256 (`sha256/<hex>`); the path clients
+// know a file by (`<recordId>/<fileName>`) is a reference to that object.
+const CONTENT_PREFIX = 'sha256/';
+const REFERENCE_PREFIX = 'refs/';
+const STAGING_PREFIX = 'staging/';
+const CONTENT_PATH_PATTERN = /^sha256\/([0-9a-f]{64})$/;
 
-let supabase = null;
+// Reference updates in progress per driver, by storage path: each waits for
+// the one before it (see writeReference)
+const referenceWrites = new WeakMap();
 
-if (!supabaseUrl || !supabaseKey) {
-  logger.warn('Supabase configuration missing (SUPABASE_URL / SUPABASE_SERVICE_KEY), file storage uploads will be skipped');
-} else {
-  supabase = createClient(supabaseUrl, supabaseKey);
+/**
+ * Build the reference path for a file: `<contentDocumentId>/<sanitized file name>`.
+ */
+function buildStoragePath(contentDocumentId, fileName) {
+  const safeDocId = contentDocumentId || 'unknown';
+  const safeFileName = fileName && fileName.trim().length > 0
+    ? fileName.replace(/[^A-Za-z0-9._-]/g, '_')
+    : `${safeDocId}.bin`;
+
+  return `${safeDocId}/${safeFileName}`;
+}
+
+/**
+ * Content-addressed object path for a `0x`-prefixed SHA-256 hash.
+ */
+function buildContentPath(hash) {
+  return `${CONTENT_PREFIX}${hash.replace(/^0x/, '').toLowerCase()}`;
+}
+
+function buildReferencePath(storagePath) {
+  return `${REFERENCE_PREFIX}${storagePath}.json`;
+}
+
+/**
+ * Read the reference record for a storage path, or null if there is none.
+ */
+async function readReference(storage, storagePath) {
+  const referencePath = buildReferencePath(storagePath);
+
+  if (!(await storage.head(referencePath))) {
+    return null;
+  }
+
+  const { buffer } = await storage.get(referencePath);
+  return JSON.parse(buffer.toString('utf8'));
+}
+
+/**
+ * Point a storage path at a content-addressed object. Hashes the path
+ * previously referenced are kept in `previousHashes`; their objects are never
+ * removed, so documents registered on-chain stay viewable after an overwrite.
+ *
+ * Updates of the same path are serialized, so two uploads overwriting it at
+ * once cannot both read the same reference and drop each other's hash. This
+ * holds within one backend process.
+ */
+function writeReference(storage, reference) {
+  if (!referenceWrites.has(storage)) {
+    referenceWrites.set(storage, new Map());
+  }
+  const pending = referenceWrites.get(storage);
+  const { storagePath } = reference;
+
+  const run = (pending.get(storagePath) || Promise.resolve()).then(() => updateReference(storage, reference));
+  const settled = run.catch(() => undefined);
+  pending.set(storagePath, settled);
+  settled.then(() => {
+    if (pending.get(storagePath) === settled) {
+      pending.delete(storagePath);
+    }
+  });
+  return run;
+}
+
+async function updateReference(storage, { storagePath, hash, contentType, size }) {
+  const existing = await readReference(storage, storagePath);
+  const now = new Date().toISOString();
+
+  if (existing && existing.hash === hash) {
+    return existing;
+  }
+
+  const previousHashes = existing
+    ? [...(existing.previousHashes || []).filter(h => h !== hash), existing.hash]
+    : [];
+
+  if (existing) {
+    logger.info('Storage reference now points at new content; previous version retained', {
+      path: storagePath,
+      previousHash: existing.hash,
+      hash
+    });
+  }
+
+  const reference = {
+    path: storagePath,
+    hash,
+    objectPath: buildContentPath(hash),
+    contentType: contentType || 'application/octet-stream',
+    size,
+    previousHashes,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  await storage.put({
+    path: buildReferencePath(storagePath),
+    body: Buffer.from(JSON.stringify(reference)),
+    contentType: 'application/json'
+  });
+
+  return reference;
+}
+
+/**
+ * Resolve a storage path to the object that holds its bytes.
+ *
+ * - `sha256/<hex>` paths are used as-is.
+ * - Reference paths resolve to the referenced object. When `expectedHash` is
+ *   an earlier version of the reference, that version is returned instead of
+ *   the current one.
+ * - Paths without a reference are treated as legacy objects stored directly
+ *   at that path (hash unknown).
+ *
+ * @param {Object} storage - Driver from getStorage
+ * @param {string} storagePath
+ * @param {string} [expectedHash] - `0x`-prefixed hash the caller expects
+ * @returns {Promise<{ objectPath: string, hash: string | null, contentType: string | null }>}
+ */
+async function resolveStoredFile(storage, storagePath, expectedHash) {
+  const contentMatch = CONTENT_PATH_PATTERN.exec(storagePath);
+  if (contentMatch) {
+    return { objectPath: storagePath, hash: `0x${contentMatch[1]}`, contentType: null };
+  }
+
+  const reference = await readReference(storage, storagePath);
+  if (!reference) {
+    return { objectPath: storagePath, hash: null, contentType: null };
+  }
+
+  const wanted = expectedHash ? expectedHash.toLowerCase() : null;
+  if (wanted && wanted !== reference.hash && (reference.previousHashes || []).includes(wanted)) {
+    return { objectPath: buildContentPath(wanted), hash: wanted, contentType: reference.contentType };
+  }
+
+  return { objectPath: reference.objectPath, hash: reference.hash, contentType: reference.contentType };
+}
+
+/**
+ * @typedef {Object} StorageDescriptor
+ * @property {string} driver - Storage driver name
+ * @property {string} bucket - Bucket (or `local`)
+ * @property {string} path - Reference path clients use (`<recordId>/<fileName>`)
+ * @property {string} objectPath - Content-addressed object holding the bytes
+ * @property {boolean} deduplicated - True when identical bytes were already stored
+ */
+
+/**
+ * Transform stream that passes bytes through unchanged while feeding them
+ * into a SHA-256 hash and counting them.
+ */
+function createHashingStream() {
+  const hasher = crypto.createHash('sha256');
+  let size = 0;
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hasher.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    }
+  });
+
+  return {
+    stream,
+    // Same `0x`-prefixed hex format as storeFileAndHash
+    digest: () => `0x${hasher.digest('hex')}`,
+    getSize: () => size
+  };
 }
 
 /**
- * Store a file buffer in Supabase Storage and compute a deterministic SHA-256 hash.
+ * Store a file buffer in the configured storage backend and compute a
+ * deterministic SHA-256 hash. The bytes are written once under their hash;
+ * identical re-uploads only update the reference.
  *
  * @param {Object} params
  * @param {Buffer} params.buffer - Raw file bytes
  * @param {string} [params.contentDocumentId] - Salesforce ContentDocument Id
  * @param {string} [params.fileName] - Original file name
  * @param {string} [params.contentType] - MIME type
- * @returns {Promise<{ hash: string, storage: { bucket: string, path: string } | null }>}
+ * @param {Object} [params.tenant] - Org the file belongs to (see getStorage)
+ * @returns {Promise<{ hash: string, storage: StorageDescriptor }>}
  */
-async function storeFileAndHash({ buffer, contentDocumentId, fileName, contentType }) {
+async function storeFileAndHash({ buffer, contentDocumentId, fileName, contentType, tenant }) {
   if (!buffer || !buffer.length) {
     throw new Error('File buffer is required for storage and hashing');
   }
@@ -33,96 +208,382 @@ async function storeFileAndHash({ buffer, contentDocumentId, fileName, contentTy
   const hashHex = crypto.createHash('sha256').update(buffer).digest('hex');
   const hash = `0x${hashHex}`;
 
-  if (!supabase) {
-    logger.warn('Supabase client not initialized, skipping upload but returning hash', {
-      contentDocumentId
+  const storage = getStorage(tenant);
+  const path = buildStoragePath(contentDocumentId, fileName);
+  const objectPath = buildContentPath(hash);
+
+  logger.info('Uploading file to storage', {
+    driver: storage.name,
+    bucket: storage.bucket,
+    path,
+    objectPath,
+    contentDocumentId: contentDocumentId || 'unknown'
+  });
+
+  try {
+    const deduplicated = !!(await storage.head(objectPath));
+
+    if (!deduplicated) {
+      await storage.put({
+        path: objectPath,
+        body: buffer,
+        contentType
+      });
+    }
+
+    await writeReference(storage, { storagePath: path, hash, contentType, size: buffer.length });
+
+    logger.info('Storage upload successful', {
+      driver: storage.name,
+      path,
+      objectPath,
+      deduplicated
     });
+
     return {
       hash,
-      storage: null
+      storage: {
+        driver: storage.name,
+        bucket: storage.bucket,
+        path,
+        objectPath,
+        deduplicated
+      }
     };
+  } catch (error) {
+    logger.error('Storage upload failed', {
+      error: error.message,
+      errorCode: error.Code || error.code || error.name,
+      driver: storage.name,
+      bucket: storage.bucket,
+      path
+    });
+    throw new Error(`Storage upload failed: ${error.message}`);
   }
+}
 
-  const safeDocId = contentDocumentId || 'unknown';
-  const safeFileName = fileName && fileName.trim().length > 0
-    ? fileName.replace(/[^A-Za-z0-9._-]/g, '_')
-    : `${safeDocId}.bin`;
+/**
+ * Stream a file into the configured storage backend (multipart upload for S3
+ * drivers) while computing its SHA-256 hash, so large files are never held in
+ * memory. The hash is identical to the one storeFileAndHash produces for the
+ * same bytes.
+ *
+ * The stream is written to a staging object first because its hash is only
+ * known at the end; it is then moved under its hash, or dropped when identical
+ * content is already stored.
+ *
+ * @param {Object} params
+ * @param {import('stream').Readable} params.stream - Readable stream of raw file bytes
+ * @param {string} [params.contentDocumentId] - Salesforce ContentDocument Id
+ * @param {string} [params.fileName] - Original file name
+ * @param {string} [params.contentType] - MIME type
+ * @param {Object} [params.tenant] - Org the file belongs to (see getStorage)
+ * @returns {Promise<{ hash: string, size: number, storage: StorageDescriptor }>}
+ */
+async function storeFileStreamAndHash({ stream, contentDocumentId, fileName, contentType, tenant }) {
+  if (!stream || typeof stream.pipe !== 'function') {
+    throw new Error('Readable stream is required for storage and hashing');
+  }
 
-  const path = `${safeDocId}/${safeFileName}`;
+  const storage = getStorage(tenant);
+  const hashing = createHashingStream();
+  const path = buildStoragePath(contentDocumentId, fileName);
+  const stagingPath = `${STAGING_PREFIX}${crypto.randomUUID()}`;
 
-  logger.info('Uploading file to Supabase Storage', {
-    bucket: supabaseBucket,
+  logger.info('Streaming file to storage', {
+    driver: storage.name,
+    bucket: storage.bucket,
     path,
-    contentDocumentId: safeDocId
+    stagingPath,
+    contentDocumentId: contentDocumentId || 'unknown'
   });
 
-  const { error } = await supabase
-    .storage
-    .from(supabaseBucket)
-    .upload(path, buffer, {
-      contentType: contentType || 'application/octet-stream',
-      upsert: true
+  try {
+    await Promise.all([
+      pipeline(stream, hashing.stream),
+      storage.put({
+        path: stagingPath,
+        body: hashing.stream,
+        contentType
+      })
+    ]);
+  } catch (error) {
+    logger.error('Storage streaming upload failed', {
+      error: error.message,
+      errorCode: error.Code || error.code || error.name,
+      driver: storage.name,
+      bucket: storage.bucket,
+      path
     });
+    hashing.stream.destroy();
+    if (typeof stream.destroy === 'function') {
+      stream.destroy();
+    }
+    await storage.delete(stagingPath).catch(() => {});
+    throw new Error(`Storage upload failed: ${error.message}`);
+  }
+
+  if (hashing.getSize() === 0) {
+    await storage.delete(stagingPath).catch(() => {});
+    throw new Error('File stream is empty');
+  }
+
+  const hash = hashing.digest();
+  const size = hashing.getSize();
+  const objectPath = buildContentPath(hash);
+
+  let deduplicated;
+  try {
+    deduplicated = !!(await storage.head(objectPath));
 
-  if (error) {
-    logger.error('Supabase upload failed', {
+    if (deduplicated) {
+      await storage.delete(stagingPath);
+    } else {
+      await storage.move(stagingPath, objectPath);
+    }
+
+    await writeReference(storage, { storagePath: path, hash, contentType, size });
+  } catch (error) {
+    logger.error('Failed to commit streamed upload', {
       error: error.message,
-      bucket: supabaseBucket,
-      path
+      driver: storage.name,
+      stagingPath,
+      objectPath
     });
-    throw new Error(`Supabase upload failed: ${error.message}`);
+    await storage.delete(stagingPath).catch(() => {});
+    throw new Error(`Storage upload failed: ${error.message}`);
   }
 
+  logger.info('Storage streaming upload successful', {
+    driver: storage.name,
+    path,
+    objectPath,
+    size,
+    hash,
+    deduplicated
+  });
+
   return {
     hash,
+    size,
     storage: {
-      bucket: supabaseBucket,
-      path
+      driver: storage.name,
+      bucket: storage.bucket,
+      path,
+      objectPath,
+      deduplicated
     }
   };
 }
 
 /**
- * Create a short-lived signed URL for a file stored in Supabase Storage.
+ * Create a short-lived signed URL for a stored file.
  *
  * @param {Object} params
- * @param {string} params.path - Path of the file within the bucket
+ * @param {string} params.path - Path of the file within the storage backend
  * @param {number} [params.expiresIn] - Expiration in seconds (default: 3600)
+ * @param {Object} [params.tenant] - Org the file belongs to (see getStorage)
  * @returns {Promise<{ url: string }>} Signed URL payload
  */
-async function createSignedFileUrl({ path, expiresIn = 3600 }) {
-  if (!supabase) {
-    throw new Error('Supabase client not initialized, cannot create signed URL');
-  }
-
+async function createSignedFileUrl({ path, expiresIn = 3600, tenant }) {
   if (!path || typeof path !== 'string' || !path.trim()) {
     throw new Error('Path is required to create a signed URL');
   }
 
+  const storage = getStorage(tenant);
   const cleanedPath = path.trim();
 
-  const { data, error } = await supabase
-    .storage
-    .from(supabaseBucket)
-    .createSignedUrl(cleanedPath, expiresIn);
+  logger.info('Creating signed URL', {
+    driver: storage.name,
+    bucket: storage.bucket,
+    path: cleanedPath,
+    expiresIn
+  });
+
+  try {
+    const { objectPath } = await resolveStoredFile(storage, cleanedPath);
+    const { url } = await storage.signUrl({ path: objectPath, expiresIn });
+
+    logger.info('Signed URL created', {
+      driver: storage.name,
+      path: cleanedPath,
+      objectPath
+    });
 
-  if (error) {
-    logger.error('Supabase createSignedUrl failed', {
+    return { url };
+  } catch (error) {
+    logger.error('Signed URL creation failed', {
       error: error.message,
-      bucket: supabaseBucket,
+      errorCode: error.Code || error.code || error.name,
+      driver: storage.name,
       path: cleanedPath
     });
-    throw new Error(`Supabase signed URL creation failed: ${error.message}`);
+    throw new Error(`Signed URL creation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Open a read stream for a stored file without buffering it, e.g. to pipe
+ * non-PDF documents straight to the HTTP response. Reference paths are
+ * resolved to their content-addressed object first.
+ *
+ * @param {string} path - File path in storage (e.g., "recordId/filename.pdf")
+ * @param {Object} [options]
+ * @param {string} [options.expectedHash] - Prefer this version when the path has been overwritten
+ * @param {Object} [options.tenant] - Org the file belongs to (see getStorage)
+ * @returns {Promise<{ stream: import('stream').Readable, contentType: string, contentLength: number | null, fileName: string, hash: string | null, objectPath: string }>}
+ *   `hash` is the content address of the object, or null for legacy objects stored by path
+ */
+async function getStoredFileStream(path, { expectedHash, tenant } = {}) {
+  if (!path || typeof path !== 'string') {
+    throw new Error('File path is required');
   }
 
-  if (!data || !data.signedUrl) {
-    throw new Error('Supabase did not return a signedUrl');
+  const storage = getStorage(tenant);
+
+  logger.info('Opening file stream from storage', {
+    driver: storage.name,
+    bucket: storage.bucket,
+    path
+  });
+
+  try {
+    const resolved = await resolveStoredFile(storage, path, expectedHash);
+    const { stream, contentType, contentLength } = await storage.stream(resolved.objectPath);
+
+    return {
+      stream,
+      contentType: resolved.contentType || contentType,
+      contentLength,
+      fileName: path.split('/').pop() || 'document',
+      hash: resolved.hash,
+      objectPath: resolved.objectPath
+    };
+  } catch (error) {
+    logger.error('Failed to open file stream from storage', {
+      error: error.message,
+      driver: storage.name,
+      path
+    });
+    const wrapped = new Error(`Failed to retrieve file from storage: ${error.message}`);
+    wrapped.statusCode = error.statusCode;
+    throw wrapped;
   }
+}
 
-  return { url: data.signedUrl };
+/**
+ * Collect a readable stream into a single Buffer.
+ *
+ * @param {import('stream').Readable} stream
+ * @returns {Promise<Buffer>}
+ */
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Retrieve a stored file into memory.
+ *
+ * @param {string} path - File path in storage (e.g., "recordId/filename.pdf")
+ * @param {Object} [options] - See getStoredFileStream
+ * @returns {Promise<{ buffer: Buffer, contentType: string, fileName: string }>}
+ */
+async function getStoredFileBuffer(path, options) {
+  const { stream, contentType, fileName } = await getStoredFileStream(path, options);
+
+  try {
+    const buffer = await streamToBuffer(stream);
+
+    logger.info('File retrieved successfully from storage', {
+      path,
+      size: buffer.length,
+      contentType
+    });
+
+    return {
+      buffer,
+      contentType,
+      fileName
+    };
+  } catch (error) {
+    logger.error('Failed to retrieve file from storage', {
+      error: error.message,
+      path
+    });
+    throw new Error(`Failed to retrieve file from storage: ${error.message}`);
+  }
+}
+
+/**
+ * Compute the SHA-256 of a stored file by streaming it, without holding it in
+ * memory.
+ *
+ * @param {string} path - File path in storage
+ * @param {Object} [options] - See getStoredFileStream
+ * @returns {Promise<{ hash: string, size: number }>} `0x`-prefixed hash
+ */
+async function hashStoredFile(path, options) {
+  const { stream } = await getStoredFileStream(path, options);
+  return hashStream(stream);
+}
+
+/**
+ * Compute the SHA-256 of a readable stream (e.g. an HTTP request body)
+ * without buffering it.
+ *
+ * @param {import('stream').Readable} stream
+ * @returns {Promise<{ hash: string, size: number }>} `0x`-prefixed hash
+ */
+async function hashStream(stream) {
+  const hashing = createHashingStream();
+
+  hashing.stream.resume();
+  await pipeline(stream, hashing.stream);
+
+  return {
+    hash: hashing.digest(),
+    size: hashing.getSize()
+  };
+}
+
+/**
+ * Look up a stored file's metadata.
+ *
+ * @param {string} path - File path in storage
+ * @param {Object} [options]
+ * @param {string} [options.expectedHash] - Prefer this version when the path has been overwritten
+ * @param {Object} [options.tenant] - Org the file belongs to (see getStorage)
+ * @returns {Promise<{ contentType: string, contentLength: number | null, lastModified: string | null, hash: string | null } | null>}
+ *   null when the file does not exist
+ */
+async function headStoredFile(path, { expectedHash, tenant } = {}) {
+  const storage = getStorage(tenant);
+  const resolved = await resolveStoredFile(storage, path, expectedHash);
+  const info = await storage.head(resolved.objectPath);
+
+  if (!info) {
+    return null;
+  }
+
+  return {
+    ...info,
+    contentType: resolved.contentType || info.contentType,
+    hash: resolved.hash
+  };
 }
 
 module.exports = {
   storeFileAndHash,
-  createSignedFileUrl
+  storeFileStreamAndHash,
+  createSignedFileUrl,
+  getStoredFileBuffer,
+  getStoredFileStream,
+  hashStoredFile,
+  hashStream,
+  headStoredFile,
+  streamToBuffer
 };
@@ -0,0 +1,353 @@
+const { logger } = require('../utils/logger');
+const { openPdf } = require('./pdfjsLoader');
+const { loadSession, loadAccessEvent } = require('./sessionStore');
+const { partitionOrgId } = require('./orgRegistryService');
+const {
+  isRegistryConfigured,
+  getDocumentAccessLogs,
+  getAccessLoggedEvents,
+  getAccessLogBatch
+} = require('./directContractService');
+const {
+  findAccessEventInclusion,
+  findAccessEventSession,
+  verifyAccessEvent
+} = require('./accessLogService');
+
+// Forensic footer stamped on every page by /api/view:
+//   KRNL:<accessHash>:<documentHash>:<sessionId>
+const FORENSIC_MARK_PATTERN = /KRNL:(0x[0-9a-fA-F]{64}):(0x[0-9a-fA-F]{64})?:([A-Za-z0-9_.-]*)/g;
+// Watermark templates using {accessHash} (and copies made before templates)
+// show the bare accessHash
+const ACCESS_HASH_PATTERN = /0x[0-9a-fA-F]{64}/g;
+
+/**
+ * Extract the text layer of a PDF, page by page. Rasterized (view-only)
+ * copies have no text layer but carry the forensic string in their
+ * Keywords metadata, which is returned as an extra entry.
+ *
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<string[]>} Text of each page
+ */
+async function extractPdfText(buffer) {
+  const pdf = await openPdf(buffer);
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      pages.push(content.items.map(item => item.str || '').join('\n'));
+    }
+
+    const { info } = await pdf.getMetadata();
+    if (info && info.Keywords) {
+      pages.push(String(info.Keywords));
+    }
+
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Find forensic watermark marks in text pulled from a leaked document.
+ *
+ * Full `KRNL:` footers are preferred. When none survive (e.g. the footer was
+ * cropped), bare access hashes from the visible watermark are returned
+ * instead, without a sessionId.
+ *
+ * @param {string} text
+ * @returns {Array<{ accessHash: string, documentHash: string | null, sessionId: string | null, source: 'forensic' | 'diagonal' }>}
+ */
+function extractForensicMarks(text) {
+  // OCR and copy/paste can break the footer across spaces or lines; only fall
+  // back to a whitespace-free copy when the text as given has no full mark
+  const candidates = [text, text.replace(/\s+/g, '')];
+  const marks = new Map();
+
+  for (const candidate of candidates) {
+    if (marks.size > 0) {
+      break;
+    }
+    for (const match of candidate.matchAll(FORENSIC_MARK_PATTERN)) {
+      const [, accessHash, documentHash, sessionId] = match;
+      const key = `${accessHash.toLowerCase()}:${sessionId}`;
+      if (!marks.has(key)) {
+        marks.set(key, {
+          accessHash: accessHash.toLowerCase(),
+          documentHash: documentHash ? documentHash.toLowerCase() : null,
+          sessionId: sessionId || null,
+          source: 'forensic'
+        });
+      }
+    }
+  }
+
+  if (marks.size > 0) {
+    return [...marks.values()];
+  }
+
+  const accessHashes = new Set();
+  for (const candidate of candidates) {
+    for (const [hash] of candidate.matchAll(ACCESS_HASH_PATTERN)) {
+      accessHashes.add(hash.toLowerCase());
+    }
+  }
+
+  return [...accessHashes].map(accessHash => ({
+    accessHash,
+    documentHash: null,
+    sessionId: null,
+    source: 'diagonal'
+  }));
+}
+
+function sameHash(a, b) {
+  return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Check an access logged off-chain (see accessLogService), whose watermark
+ * shows the signed event's hash as accessHash: the event hash is recomputed,
+ * its signature checked, and its inclusion proof followed to a root that must
+ * be anchored in the registry's accessLogBatches.
+ *
+ * @returns {Promise<Object|null>} null when the access was not logged off-chain
+ */
+async function crossCheckAccessLog({ accessHash, sessionId, tenant }) {
+  const orgId = partitionOrgId(tenant);
+  const eventSessionId = sessionId || await findAccessEventSession(accessHash);
+  const inclusion = eventSessionId ? await findAccessEventInclusion(eventSessionId, { orgId }) : null;
+  if (!inclusion || !sameHash(inclusion.event.eventHash, accessHash)) {
+    return null;
+  }
+
+  const { eventHash, signer, proofValid } = verifyAccessEvent({
+    event: inclusion.event,
+    proof: inclusion.proof,
+    merkleRoot: inclusion.merkleRoot
+  });
+  const batch = inclusion.anchored ? await getAccessLogBatch(inclusion.merkleRoot, tenant) : null;
+
+  return {
+    event: inclusion.event,
+    batchId: inclusion.batchId,
+    merkleRoot: inclusion.merkleRoot || null,
+    anchored: inclusion.anchored,
+    eventHashValid: sameHash(eventHash, accessHash),
+    signatureValid: !!signer && signer === inclusion.event.signer,
+    proofValid,
+    anchoredOnChain: !!batch,
+    anchoredBy: batch ? batch.anchoredBy : null,
+    txHash: inclusion.txHash || null,
+    blockNumber: inclusion.blockNumber || null,
+    anchoredAt: inclusion.anchoredAt || null
+  };
+}
+
+/**
+ * Look the access up on-chain: the AccessLog entry stored for the document
+ * (which carries IP and user agent) and, when the session recorded a tx hash,
+ * the DocumentAccessLogged event in that transaction. Accesses logged
+ * off-chain are checked against their anchored access log batch instead.
+ */
+async function crossCheckOnChain({ accessHash, documentHash, txHash, sessionId, tenant }) {
+  const onChain = {
+    checked: false,
+    confirmed: false,
+    accessLog: null,
+    event: null,
+    offChainLog: null,
+    error: null
+  };
+
+  if (!isRegistryConfigured(tenant)) {
+    onChain.error = 'Document registry is not configured';
+    return onChain;
+  }
+
+  try {
+    onChain.offChainLog = await crossCheckAccessLog({ accessHash, sessionId, tenant });
+    if (onChain.offChainLog) {
+      const log = onChain.offChainLog;
+      onChain.checked = true;
+      onChain.confirmed = log.eventHashValid && log.signatureValid && log.proofValid && log.anchoredOnChain;
+      return onChain;
+    }
+
+    if (documentHash) {
+      const logs = await getDocumentAccessLogs(documentHash, tenant);
+      const log = logs.find(entry => sameHash(entry.accessHash, accessHash));
+      if (log) {
+        onChain.accessLog = {
+          ...log,
+          accessedAt: new Date(log.accessTimestamp * 1000).toISOString()
+        };
+      }
+    }
+
+    if (txHash) {
+      const events = await getAccessLoggedEvents(txHash, tenant);
+      const event = (events || []).find(entry => sameHash(entry.accessHash, accessHash));
+      if (event) {
+        onChain.event = {
+          ...event,
+          loggedAt: new Date(event.timestamp * 1000).toISOString()
+        };
+      }
+    }
+
+    onChain.checked = true;
+    onChain.confirmed = !!(onChain.accessLog || onChain.event);
+  } catch (error) {
+    logger.warn('On-chain cross-check for forensic mark failed', {
+      accessHash,
+      documentHash,
+      txHash,
+      error: error.message
+    });
+    onChain.error = error.message;
+  }
+
+  return onChain;
+}
+
+/**
+ * Resolve a forensic mark to the access session that produced it and
+ * cross-check it on-chain.
+ *
+ * @param {Object} mark - From extractForensicMarks
+ * @param {Object} [options]
+ * @param {Object} [options.tenant] - Org investigating; only its sessions and registry are consulted
+ * @returns {Promise<Object>} Investigation report with `viewer` summarising
+ *   who viewed the document, when, from which IP / user agent, and the
+ *   proving transaction
+ */
+async function investigateForensicMark(mark, { tenant } = {}) {
+  const { accessHash, sessionId } = mark;
+  const orgId = partitionOrgId(tenant);
+
+  const [session, accessEvent] = sessionId
+    ? await Promise.all([loadSession(sessionId, { orgId }), loadAccessEvent(sessionId, { orgId })])
+    : [null, null];
+
+  const documentHash = mark.documentHash
+    || (session && session.documentHash)
+    || (accessEvent && accessEvent.document_hash)
+    || null;
+  const txHash = (session && session.txHash) || (accessEvent && accessEvent.tx_hash) || null;
+
+  const discrepancies = [];
+  const sessionAccessHash = (session && session.accessHash) || (accessEvent && accessEvent.access_hash) || null;
+  if (sessionId && !session && !accessEvent) {
+    discrepancies.push('No access session found for the sessionId in the watermark');
+  }
+  if (sessionAccessHash && !sameHash(sessionAccessHash, accessHash)) {
+    discrepancies.push('Watermark accessHash does not match the access session');
+  }
+  if (mark.documentHash && session && session.documentHash && !sameHash(session.documentHash, mark.documentHash)) {
+    discrepancies.push('Watermark documentHash does not match the access session');
+  }
+
+  const onChain = await crossCheckOnChain({ accessHash, documentHash, txHash, sessionId, tenant });
+  const offChainLog = onChain.offChainLog;
+  if (offChainLog) {
+    if (!offChainLog.eventHashValid || !offChainLog.signatureValid) {
+      discrepancies.push('The off-chain access event does not match its hash or signature');
+    } else if (!offChainLog.anchored) {
+      discrepancies.push(`The access event is logged off-chain in batch ${offChainLog.batchId}, which is not anchored yet`);
+    } else if (!offChainLog.proofValid) {
+      discrepancies.push('The inclusion proof of the access event does not lead to its batch root');
+    } else if (!offChainLog.anchoredOnChain) {
+      discrepancies.push('The access log batch holding the event is not anchored on-chain');
+    }
+  } else if (onChain.checked && !onChain.confirmed) {
+    discrepancies.push('No matching DocumentAccessLogged record found on-chain');
+  }
+
+  const chainLog = onChain.accessLog;
+  const chainEvent = onChain.event;
+  // Signed fields of an access logged off-chain, checked like an on-chain record
+  const loggedEvent = offChainLog && offChainLog.eventHashValid && offChainLog.signatureValid ? offChainLog.event : null;
+  if (loggedEvent && mark.documentHash && !sameHash(loggedEvent.documentHash, mark.documentHash)) {
+    discrepancies.push('Watermark documentHash does not match the signed access event');
+  }
+
+  const report = {
+    mark,
+    documentHash: documentHash || (loggedEvent && loggedEvent.documentHash) || null,
+    viewer: {
+      salesforceUserId: (chainLog && chainLog.salesforceUserId)
+        || (chainEvent && chainEvent.salesforceUserId)
+        || (loggedEvent && loggedEvent.userId)
+        || (session && session.userId)
+        || (accessEvent && accessEvent.user_id)
+        || null,
+      accessType: (chainLog && chainLog.accessType) || (loggedEvent && loggedEvent.accessType)
+        || (session && session.accessType) || (accessEvent && accessEvent.access_type) || null,
+      viewedAt: (chainLog && chainLog.accessedAt) || (chainEvent && chainEvent.loggedAt)
+        || (loggedEvent && loggedEvent.recordedAt) || (session && session.startedAt) || null,
+      ipAddress: (chainLog && chainLog.ipAddress) || (loggedEvent && loggedEvent.clientIP) || (session && session.clientIP) || null,
+      userAgent: (chainLog && chainLog.userAgent) || (loggedEvent && loggedEvent.userAgent) || (session && session.userAgent) || null,
+      recordId: (loggedEvent && loggedEvent.recordId) || (session && session.recordId) || (accessEvent && accessEvent.record_id) || null,
+      fileName: (session && session.fileName) || (accessEvent && accessEvent.file_name) || null,
+      txHash: (chainEvent && chainEvent.txHash) || (offChainLog && offChainLog.txHash) || txHash,
+      blockNumber: (chainEvent && chainEvent.blockNumber) || (offChainLog && offChainLog.blockNumber) || null
+    },
+    session: session
+      ? {
+        sessionId: session.sessionId,
+        status: session.status,
+        startedAt: session.startedAt || null,
+        updatedAt: session.updatedAt || null
+      }
+      : null,
+    onChain,
+    confirmed: onChain.confirmed && discrepancies.length === 0,
+    discrepancies
+  };
+
+  logger.info('Forensic mark investigated', {
+    accessHash,
+    sessionId,
+    confirmed: report.confirmed,
+    discrepancies: discrepancies.length
+  });
+
+  return report;
+}
+
+/**
+ * Decode a leaked document: extract every forensic mark and investigate each.
+ *
+ * @param {Object} params
+ * @param {Buffer} [params.pdf] - Leaked PDF bytes
+ * @param {string} [params.text] - Text already pulled from the leaked copy
+ * @param {Object} [params.tenant] - Org investigating (see investigateForensicMark)
+ * @returns {Promise<{ marks: Object[], reports: Object[] }>}
+ */
+async function decodeLeakedDocument({ pdf, text, tenant }) {
+  let sourceText = text || '';
+
+  if (pdf) {
+    const pages = await extractPdfText(pdf);
+    sourceText = `${sourceText}\n${pages.join('\n')}`;
+  }
+
+  const marks = extractForensicMarks(sourceText);
+  const reports = [];
+  for (const mark of marks) {
+    reports.push(await investigateForensicMark(mark, { tenant }));
+  }
+
+  return { marks, reports };
+}
+
+module.exports = {
+  extractPdfText,
+  extractForensicMarks,
+  investigateForensicMark,
+  decodeLeakedDocument
+};
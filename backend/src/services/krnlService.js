@@ -5,6 +5,14 @@ const { ethers } = require('ethers');
 const { buildTransactionIntent } = require('./intentBuilder');
 const { buildTransactionIntent4337 } = require('./eip4337IntentBuilder');
 const { saveSession, loadSession, saveAccessEventFromSession } = require('./sessionStore');
+const { requireTenant } = require('./orgRegistryService');
+const {
+  SETTLED_STATES,
+  accessWorkflowStatus,
+  watchAccessSession,
+  settleAccessSession,
+  getWatchedStatus
+} = require('./accessEventWatcher');
 
 class KRNLService {
   constructor() {
@@ -170,12 +178,20 @@ class KRNLService {
       documentId,
       fileName,
       accessLogId,
+      orgId,
+      classification,
+      userName,
+      userEmail,
+      recordName,
       salesforceInstanceUrl,
       salesforceAccessToken
     } = params;
 
     logger.info(`Starting access workflow for document: ${documentHash}, user: ${userId}, record: ${recordId}`);
 
+    // Registry, RPC and signer of the org the access is logged for
+    const { chain } = requireTenant(orgId);
+
     if (this.mockMode) {
       return this._mockAccessWorkflow(sessionId, params);
     }
@@ -186,7 +202,10 @@ class KRNLService {
       let intent;
       try {
         intent = await buildTransactionIntent4337({
-          targetContract: process.env.DOCUMENT_REGISTRY_CONTRACT,
+          targetContract: chain.registryContract,
+          rpcUrl: chain.rpcUrl,
+          eoaPrivateKey: chain.signerKey,
+          senderAddress: chain.senderAddress,
           functionSignature: 'logDocumentAccessKRNL((uint256,uint256,bytes32,(bytes32,bytes,bytes)[],bytes,bool,bytes))'
         });
       } catch (e) {
@@ -198,8 +217,8 @@ class KRNLService {
 
       const workflowParams = {
         ENV: {
-          SENDER_ADDRESS: process.env.SENDER_ADDRESS,
-          DOCUMENT_REGISTRY_CONTRACT: process.env.DOCUMENT_REGISTRY_CONTRACT,
+          SENDER_ADDRESS: chain.senderAddress,
+          DOCUMENT_REGISTRY_CONTRACT: chain.registryContract,
           ATTESTOR_ADDRESS: process.env.ATTESTOR_ADDRESS
         },
         DOCUMENT_ID: documentId || recordId,
@@ -226,8 +245,8 @@ class KRNLService {
 
       // Build a concrete DSL by applying replacements, matching testAccessWorkflow.js
       const replacements = {
-        '{{ENV.SENDER_ADDRESS}}': process.env.SENDER_ADDRESS || '',
-        '{{ENV.DOCUMENT_REGISTRY_CONTRACT}}': process.env.DOCUMENT_REGISTRY_CONTRACT || '',
+        '{{ENV.SENDER_ADDRESS}}': chain.senderAddress || '',
+        '{{ENV.DOCUMENT_REGISTRY_CONTRACT}}': chain.registryContract || '',
         '{{ENV.ATTESTOR_ADDRESS}}': process.env.ATTESTOR_ADDRESS || '',
         '{{TRANSACTION_INTENT_DELEGATE}}': intent.delegate,
         '{{TRANSACTION_INTENT_ID}}': intent.id,
@@ -272,17 +291,17 @@ class KRNLService {
         throw new Error('KRNL executeWorkflow did not return an intentId');
       }
 
-      // Store session so callers can poll for completion / on-chain settlement via JSON-RPC
-      // Get current block number for efficient event polling
+      // Store session so callers can follow completion / on-chain settlement.
+      // The start block bounds how far back the watcher looks for its event.
       let startBlock = null;
       try {
-        const rpcUrl = process.env.RPC_SEPOLIA_URL || process.env.RPC_URL;
+        const rpcUrl = chain.rpcUrl;
         if (rpcUrl) {
           const provider = ethers.providers?.JsonRpcProvider
             ? new ethers.providers.JsonRpcProvider(rpcUrl)
             : new ethers.JsonRpcProvider(rpcUrl);
           startBlock = await provider.getBlockNumber();
-          logger.info('Captured start block for event polling', { sessionId, startBlock });
+          logger.info('Captured start block for event watching', { sessionId, startBlock });
         }
       } catch (e) {
         logger.warn('Failed to get start block number', { error: e.message });
@@ -301,6 +320,12 @@ class KRNLService {
         clientIP,
         userAgent,
         accessLogId: accessLogId || null,
+        // Watermark template selection and placeholder values (see watermarkService)
+        orgId: orgId || null,
+        classification: classification || null,
+        userName: userName || null,
+        userEmail: userEmail || null,
+        recordName: recordName || null,
         salesforceInstanceUrl: salesforceInstanceUrl || process.env.SALESFORCE_INSTANCE_URL || null,
         salesforceAccessToken: salesforceAccessToken || process.env.SALESFORCE_ACCESS_TOKEN || null,
         status: 'RUNNING',
@@ -326,6 +351,8 @@ class KRNLService {
         });
       }
 
+      watchAccessSession(session);
+
       return {
         sessionId,
         workflowId: intentId,
@@ -456,276 +483,18 @@ class KRNLService {
   }
 
   /**
-   * Poll KRNL workflow status via JSON-RPC krnl_workflowStatus (used for access logging)
-   */
-  async _pollKRNLWorkflowStatusJsonRpc(intentId, timeoutMs = 30000, intervalMs = 2000, session) {
-    const startTime = Date.now();
-    let lastResult = null;
-
-    const envTimeout = process.env.KRNL_POLL_TIMEOUT_MS
-      ? parseInt(process.env.KRNL_POLL_TIMEOUT_MS, 10)
-      : NaN;
-    const effectiveTimeoutMs = Number.isFinite(envTimeout) && envTimeout > 0
-      ? envTimeout
-      : timeoutMs;
-
-    // eslint-disable-next-line no-constant-condition
-    while (true) {
-      const elapsed = Date.now() - startTime;
-      if (elapsed > effectiveTimeoutMs) {
-        const code = lastResult && typeof lastResult.code !== 'undefined' ? lastResult.code : 'UNKNOWN';
-        let lastSummary = '';
-        if (lastResult) {
-          try {
-            lastSummary = JSON.stringify(lastResult);
-          } catch (e) {
-            lastSummary = String(lastResult);
-          }
-        }
-        throw new Error(
-          `Workflow polling (JSON-RPC) timed out after ${effectiveTimeoutMs}ms (last code: ${code}, last result: ${lastSummary})`
-        );
-      }
-
-      const resp = await axios.post(this.nodeUrl, {
-        jsonrpc: '2.0',
-        method: 'krnl_workflowStatus',
-        params: [intentId],
-        id: 1
-      }, {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 30000
-      });
-
-      const data = resp && resp.data ? resp.data : null;
-      if (data && data.error) {
-        throw new Error(`KRNL workflowStatus error: ${data.error.code} ${data.error.message}`);
-      }
-
-      const result = data && data.result ? data.result : null;
-      lastResult = result;
-
-      const code = result && typeof result.code !== 'undefined' ? result.code : undefined;
-
-      if (session && session.debug && Array.isArray(session.debug.pollingHistory)) {
-        session.debug.pollingHistory.push({
-          timestamp: new Date().toISOString(),
-          code,
-          raw: result
-        });
-      }
-
-      logger.debug('KRNL JSON-RPC workflow status poll result', {
-        intentId,
-        code,
-        elapsedMs: elapsed,
-        raw: result
-      });
-
-      // Interpret workflow status codes according to SDK:
-      // 0 = PENDING, 1 = PROCESSING, 2 = SUCCESS, >=3 = error states
-      if (code === undefined || code === null || code === 0 || code === 1) {
-        logger.info('KRNL JSON-RPC workflow still in progress', {
-          intentId,
-          code,
-          elapsedMs: elapsed
-        });
-        await new Promise((resolve) => setTimeout(resolve, intervalMs));
-        continue;
-      }
-
-      logger.info('KRNL JSON-RPC workflow reached terminal status', {
-        intentId,
-        code,
-        elapsedMs: elapsed,
-        raw: result
-      });
-
-      const txHash = result && (result.txHash || result.transactionHash) ? (result.txHash || result.transactionHash) : null;
-      let status = 'UNKNOWN';
-
-      if (code === 2) {
-        status = 'COMPLETED';
-      } else if (code === 3) {
-        status = 'FAILED';
-      } else if (code === 4) {
-        status = 'INTENT_NOT_FOUND';
-      } else if (code === 5) {
-        status = 'WORKFLOW_NOT_FOUND';
-      } else if (code === 6) {
-        status = 'INVALID';
-      } else if (result && typeof result.status === 'string') {
-        status = result.status;
-      } else if (txHash) {
-        status = 'COMPLETED';
-      } else {
-        status = 'FAILED';
-      }
-
-      return {
-        status,
-        txHash,
-        result
-      };
-    }
-  }
-
-  /**
-   * Wait for the on-chain transaction to be mined and confirm a DocumentAccessLogged event.
-   * This provides an additional assurance layer beyond KRNL SUCCESS code.
-   */
-  async _waitForDocumentAccessLogged(txHash, documentHash, userId = null, accessType = null, startBlock = null) {
-    if (!txHash) {
-      logger.warn('No txHash provided to _waitForDocumentAccessLogged; will rely solely on event logs', {
-        documentHash,
-        userId,
-        accessType
-      });
-    }
-
-    const rpcUrl = process.env.RPC_SEPOLIA_URL || process.env.RPC_URL;
-    const contractAddress =
-      process.env.DOCUMENT_REGISTRY_CONTRACT || process.env.TARGET_CONTRACT_ADDRESS;
-
-    if (!rpcUrl || !contractAddress) {
-      throw new Error('RPC URL or contract address not configured for DocumentAccessLogged confirmation');
-    }
-
-    // Minimal ABI for the event we care about
-    const DOCUMENT_ACCESS_ABI = [
-      'event DocumentAccessLogged(string documentHash, address accessor, string salesforceUserId, string accessType, string documentId, bytes32 accessHash, uint256 timestamp)'
-    ];
-
-    logger.info('Waiting for DocumentAccessLogged event', {
-      txHash,
-      documentHash,
-      userId,
-      accessType,
-      contractAddress,
-      startBlock
-    });
-
-    const provider = ethers.providers?.JsonRpcProvider
-      ? new ethers.providers.JsonRpcProvider(rpcUrl)
-      : new ethers.JsonRpcProvider(rpcUrl);
-
-    // We don't reliably get a txHash back from KRNL's JSON-RPC API, so we
-    // poll for the DocumentAccessLogged event around the current block and
-    // derive the txHash from the event log itself.
-
-    // Search from the block when the workflow started, or a narrow window if not available.
-    // This dramatically reduces the number of events we need to process.
-    const currentBlock = await provider.getBlockNumber();
-    let fromBlock;
-    if (startBlock && startBlock > 0) {
-      // Search from workflow start block (most efficient)
-      fromBlock = Math.max(0, startBlock - 10); // Small buffer for reorgs
-      logger.info('Using workflow start block for event search', { fromBlock, startBlock });
-    } else {
-      // Fallback: search last 500 blocks (~25 min on Sepolia, 8 min on faster chains)
-      fromBlock = Math.max(0, currentBlock - 500);
-      logger.warn('Start block not available, using 500 block window', { fromBlock, currentBlock });
-    }
-
-    const iface = new ethers.utils.Interface(DOCUMENT_ACCESS_ABI);
-    const eventTopic = iface.getEventTopic('DocumentAccessLogged');
-
-    const timeoutMs = 60000;
-    const intervalMs = 3000;
-    const deadline = Date.now() + timeoutMs;
-
-    while (true) {
-      if (Date.now() > deadline) {
-        throw new Error('Timed out waiting for DocumentAccessLogged event');
-      }
-
-      const logs = await provider.getLogs({
-        address: contractAddress,
-        fromBlock,
-        toBlock: 'latest',
-        topics: [eventTopic]
-      });
-
-      const latestBlock = await provider.getBlockNumber();
-      logger.debug('Polled for DocumentAccessLogged events', {
-        fromBlock,
-        toBlock: latestBlock,
-        blockRange: latestBlock - fromBlock,
-        logsFound: logs.length,
-        targetDocumentHash: documentHash
-      });
-
-      // Update fromBlock for next iteration (like SDK does)
-      fromBlock = latestBlock;
-
-      for (const log of logs) {
-        try {
-          const parsed = iface.parseLog(log);
-          if (parsed && parsed.name === 'DocumentAccessLogged') {
-            const loggedHash = parsed.args.documentHash;
-            const loggedUserId = parsed.args.salesforceUserId;
-            const loggedAccessType = parsed.args.accessType;
-            
-            logger.debug('Found DocumentAccessLogged event', {
-              loggedHash,
-              loggedUserId,
-              loggedAccessType,
-              targetHash: documentHash,
-              targetUserId: userId,
-              targetAccessType: accessType,
-              blockNumber: log.blockNumber,
-              txHash: log.transactionHash
-            });
-            
-            // Match by documentHash AND userId AND accessType to uniquely identify this session's event.
-            // Since events are chronologically ordered and we search from our workflow's startBlock,
-            // the FIRST matching event is guaranteed to be ours. The on-chain accessHash (which includes
-            // block.timestamp) provides uniqueness - we just need to find the right event to extract it from.
-            const hashMatch = !documentHash || loggedHash === documentHash;
-            const userMatch = !userId || loggedUserId === userId;
-            const typeMatch = !accessType || loggedAccessType === accessType;
-            
-            if (hashMatch && userMatch && typeMatch) {
-              const documentIdFromEvent = parsed.args.documentId;
-              const accessHashFromEvent = parsed.args.accessHash;
-
-              logger.info('DocumentAccessLogged event confirmed on-chain', {
-                txHashFromEvent: log.transactionHash,
-                blockNumber: log.blockNumber,
-                documentHash: loggedHash,
-                userId: loggedUserId,
-                accessType: loggedAccessType,
-                documentId: documentIdFromEvent,
-                accessHash: accessHashFromEvent,
-                isFirstMatch: true
-              });
-
-              // Return immediately - this is the earliest (and correct) matching event
-              return {
-                eventConfirmed: true,
-                reason: 'ok',
-                txHash: log.transactionHash,
-                blockNumber: log.blockNumber,
-                documentId: documentIdFromEvent,
-                accessHash: accessHashFromEvent
-              };
-            }
-          }
-        } catch (e) {
-          // Not our event, ignore
-        }
-      }
-
-      await new Promise((resolve) => setTimeout(resolve, intervalMs));
-    }
-  }
-
-  /**
-   * Get workflow status
+   * Get workflow status. Access workflows are reported as they stand and
+   * never block: they settle through the shared accessEventWatcher, which
+   * callers wait on or subscribe to.
    */
   async getWorkflowStatus(sessionId) {
     logger.info(`Getting workflow status for session: ${sessionId}`);
 
+    const watched = getWatchedStatus(sessionId);
+    if (watched) {
+      return watched;
+    }
+
     let session = await loadSession(sessionId);
 
     if (!session) {
@@ -735,16 +504,8 @@ class KRNLService {
     // If the session is already in a terminal state, avoid calling KRNL again.
     // This covers both success (COMPLETED_WITH_EVENT) and error cases where
     // the node has forgotten the intent (e.g. WORKFLOW_NOT_FOUND).
-    const terminalStates = [
-      'COMPLETED_WITH_EVENT',
-      'FAILED',
-      'INTENT_NOT_FOUND',
-      'WORKFLOW_NOT_FOUND',
-      'CANCELLED'
-    ];
-
-    if (terminalStates.includes(session.status)) {
-      // Ensure access event is persisted for terminal states (may already be done above)
+    if (SETTLED_STATES.includes(session.status)) {
+      // Ensure access event is persisted for terminal states
       // This covers edge cases where session was loaded from DB in a terminal state
       if (session.accessHash || session.status === 'COMPLETED_WITH_EVENT') {
         try {
@@ -757,17 +518,14 @@ class KRNLService {
         }
       }
 
-      return {
-        sessionId,
-        state: session.status,
-        result: session.result || null,
-        txHash: session.txHash || null,
-        documentId: session.documentId || null,
-        accessHash: session.accessHash || null,
-        timestamp: session.updatedAt || session.completedAt || new Date().toISOString(),
-        progress: session.progress || {},
-        debug: session.debug || null
-      };
+      return accessWorkflowStatus(session);
+    }
+
+    // An access workflow started by another instance, or before a restart:
+    // watch it here too and report where it is
+    if (session.useJsonRpc && session.intentId) {
+      watchAccessSession(session);
+      return accessWorkflowStatus(session);
     }
 
     if (this.mockMode) {
@@ -776,50 +534,15 @@ class KRNLService {
 
     try {
       // In production, query KRNL node for workflow status
-      let statusObj;
-      if (session.useJsonRpc && session.intentId) {
-        statusObj = await this._pollKRNLWorkflowStatusJsonRpc(session.intentId, undefined, undefined, session);
-      } else {
-        statusObj = await this._pollKRNLWorkflowUntilComplete(sessionId, session.workflowId, undefined, undefined, session);
-      }
+      const statusObj = await this._pollKRNLWorkflowUntilComplete(sessionId, session.workflowId, undefined, undefined, session);
 
       // Update session with latest status from KRNL
       session.status = statusObj.status;
       session.result = statusObj.result;
-      let txHash = statusObj.txHash
+      const txHash = statusObj.txHash
         || (statusObj.result && (statusObj.result.txHash || statusObj.result.transactionHash))
         || null;
 
-      // For access logging workflows using JSON-RPC, wait for the on-chain
-      // DocumentAccessLogged event. KRNL's JSON-RPC API does not currently
-      // return a transaction hash from krnl_workflowStatus, so we derive the
-      // txHash (and capture documentId/accessHash) from the event logs instead.
-      // Only check for the event once - if we already have accessHash, skip this step.
-      if (session.useJsonRpc && session.documentHash && session.status === 'COMPLETED' && !session.accessHash) {
-        const eventResult = await this._waitForDocumentAccessLogged(
-          txHash,
-          session.documentHash,
-          session.userId,
-          session.accessType,
-          session.startBlock
-        );
-        if (eventResult && eventResult.eventConfirmed) {
-          session.status = 'COMPLETED_WITH_EVENT';
-          if (eventResult.txHash) {
-            txHash = eventResult.txHash;
-          }
-          if (eventResult.documentId) {
-            session.documentId = eventResult.documentId;
-          }
-          if (eventResult.accessHash) {
-            session.accessHash = eventResult.accessHash;
-          }
-        }
-      } else if (session.accessHash) {
-        // Event was already found in a previous poll - preserve COMPLETED_WITH_EVENT status
-        session.status = 'COMPLETED_WITH_EVENT';
-      }
-
       session.txHash = txHash;
       session.updatedAt = new Date().toISOString();
 
@@ -835,15 +558,9 @@ class KRNLService {
       }
 
       // Write to krnl_access_events for LWC/Apex consumption when workflow completes
-      const completedStates = ['COMPLETED', 'COMPLETED_WITH_EVENT'];
-      if (completedStates.includes(session.status)) {
+      if (session.status === 'COMPLETED') {
         try {
           await saveAccessEventFromSession(session);
-          logger.info('Access event recorded', {
-            sessionId,
-            status: session.status,
-            accessHash: session.accessHash ? session.accessHash.substring(0, 10) + '...' : null
-          });
         } catch (e) {
           logger.error('Failed to persist access event from completed workflow', {
             sessionId,
@@ -944,20 +661,21 @@ class KRNLService {
         error: e.message
       });
     });
+    watchAccessSession(session);
 
-    // Simulate completion for access logging
-    const txHash = `0x${Math.random().toString(16).substr(2, 64)}`;
-
+    // Simulate the DocumentAccessLogged event settling the session
     setTimeout(() => {
-      session.status = 'COMPLETED';
-      session.result = {
-        accessLogged: true,
-        complianceStatus: 'COMPLIANT'
-      };
-      session.txHash = txHash;
-      session.completedAt = new Date().toISOString();
-      saveSession(session).catch((e) => {
-        logger.error('Failed to persist completed mock access session', {
+      settleAccessSession(sessionId, {
+        status: 'COMPLETED_WITH_EVENT',
+        result: {
+          accessLogged: true,
+          complianceStatus: 'COMPLIANT'
+        },
+        txHash: `0x${crypto.randomBytes(32).toString('hex')}`,
+        documentId: params.recordId || null,
+        accessHash: `0x${crypto.randomBytes(32).toString('hex')}`
+      }).catch((e) => {
+        logger.error('Failed to settle mock access session', {
           sessionId,
           error: e.message
         });
@@ -1105,11 +823,16 @@ class KRNLService {
       documentId,
       documentPath,
       recordId,
-      accessHash
+      accessHash,
+      watermark,
+      orgId,
+      clientIP
     } = params;
     const jwt = require('jsonwebtoken');
 
-    const ttlSeconds = Number.parseInt(process.env.VIEWER_TOKEN_TTL_SECONDS || '3600', 10);
+    // Signing secret and lifetime come from the org registry (or the environment)
+    const tenant = requireTenant(orgId);
+    const ttlSeconds = tenant.viewerTokenTtlSeconds;
     const issuedAt = Math.floor(Date.now() / 1000);
     const exp = issuedAt + ttlSeconds;
 
@@ -1118,18 +841,34 @@ class KRNLService {
       userId,
       sessionId,
       accessType,
+      // Download tokens only work on /api/view/download, view tokens everywhere else
+      scope: accessType === 'download' ? 'download' : 'view',
       documentId: documentId || null,
       documentPath: documentPath || null,
       recordId: recordId || null,
       accessHash: accessHash || null,
+      watermark: watermark || null,
+      // Tells verifiers which org's secret and storage the token belongs to
+      org: tenant.orgId,
+      // Lets a single token be revoked (see revocationService)
+      jti: crypto.randomUUID(),
       iat: issuedAt,
       exp
     };
 
-    const secret = process.env.JWT_SECRET || 'test_secret_for_development';
+    // Bound tokens must be redeemed for a client-bound session before use
+    // (see tokenBindingService)
+    if (tenant.tokenBinding.length > 0) {
+      payload.bnd = tenant.tokenBinding;
+      if (tenant.tokenBinding.includes('ip') && clientIP) {
+        payload.cip = clientIP;
+      }
+    }
+
+    const secret = tenant.jwtSecret || 'test_secret_for_development';
     const token = jwt.sign(payload, secret);
 
-    return { token, exp, ttlSeconds };
+    return { token, exp, ttlSeconds, jti: payload.jti };
   }
 
   /**
@@ -0,0 +1,457 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+const ORG_FIELDS = [
+  'name',
+  'instanceUrl',
+  'storage',
+  'rpcUrl',
+  'rpcWsUrl',
+  'registryContract',
+  'signerKeyEnv',
+  'senderAddress',
+  'jwtSecretEnv',
+  'viewerTokenTtlSeconds',
+  'uploadTokenTtlSeconds',
+  'watermarkTemplate',
+  'allowedOrigins',
+  'tokenBinding',
+  'registrationCallbackUrl',
+  'anchoringMode',
+  'anchoringClassifications',
+  'accessLogMode',
+  'accessLogClassifications',
+  'identityCert',
+  'identityCertFile'
+];
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+// How viewer tokens can be tied to the client that redeems them (see tokenBindingService)
+const TOKEN_BINDING_MODES = ['ip', 'device', 'pop', 'single-use'];
+// How uploaded documents are put on-chain (see documentBatchService)
+const ANCHORING_MODES = ['direct', 'batch'];
+// How document access is logged: by a KRNL workflow per access, or off-chain
+// and anchored in Merkle batches (see accessLogService)
+const ACCESS_LOG_MODES = ['krnl', 'batch'];
+
+let cachedConfig = null;
+let cachedEnvIdentityCert;
+
+function configError(message) {
+  const error = new Error(`Invalid org registry configuration: ${message}`);
+  error.statusCode = 500;
+  return error;
+}
+
+function tenantError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Registry key for a Salesforce org id: the 15-character form, so 15- and
+ * 18-character ids of the same org resolve to the same entry.
+ */
+function orgKey(orgId) {
+  return orgId ? String(orgId).substring(0, 15) : null;
+}
+
+// Secrets are never written into the registry itself, only the name of the
+// environment variable holding them
+function secretFromEnv(key, field, envName) {
+  if (envName === undefined) {
+    return null;
+  }
+  if (typeof envName !== 'string' || !process.env[envName]) {
+    throw configError(`org "${key}" ${field} names an unset environment variable "${envName}"`);
+  }
+  return process.env[envName];
+}
+
+function positiveInteger(key, field, value) {
+  if (value === undefined) {
+    return null;
+  }
+  if (!Number.isInteger(value) || value <= 0) {
+    throw configError(`org "${key}" ${field} must be a positive integer`);
+  }
+  return value;
+}
+
+function normalizeStorage(key, storage = {}) {
+  if (typeof storage !== 'object' || storage === null) {
+    throw configError(`org "${key}" storage must be an object`);
+  }
+
+  const prefix = storage.prefix !== undefined ? storage.prefix : `orgs/${key}/`;
+  if (typeof prefix !== 'string' || !prefix.trim() || prefix.split('/').some(segment => segment === '..' || segment === '.')) {
+    throw configError(`org "${key}" storage prefix must be a non-empty relative path`);
+  }
+
+  return {
+    bucket: storage.bucket || null,
+    prefix: prefix.replace(/^\/+/, '').replace(/\/*$/, '/')
+  };
+}
+
+function tokenBindingModes(source, modes) {
+  if (!Array.isArray(modes) || modes.some(mode => !TOKEN_BINDING_MODES.includes(mode))) {
+    throw configError(`${source} must list token binding modes from: ${TOKEN_BINDING_MODES.join(', ')}`);
+  }
+  return [...new Set(modes)];
+}
+
+// VIEWER_TOKEN_BINDING applies to orgs that do not set tokenBinding
+function envTokenBinding() {
+  const value = process.env.VIEWER_TOKEN_BINDING || '';
+  const modes = value.split(',').map(mode => mode.trim()).filter(Boolean);
+  return tokenBindingModes('VIEWER_TOKEN_BINDING', modes);
+}
+
+function modeOf(source, modes, mode) {
+  if (!modes.includes(mode)) {
+    throw configError(`${source} must be one of: ${modes.join(', ')}`);
+  }
+  return mode;
+}
+
+function classificationModes(source, modes, map) {
+  if (!map || typeof map !== 'object' || Array.isArray(map)) {
+    throw configError(`${source} must map classifications to a mode`);
+  }
+  for (const [classification, mode] of Object.entries(map)) {
+    modeOf(`${source} "${classification}"`, modes, mode);
+  }
+  return map;
+}
+
+function envClassificationModes(name, modes) {
+  const value = process.env[name];
+  if (!value) {
+    return {};
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw configError(`${name} is not valid JSON: ${error.message}`);
+  }
+  return classificationModes(name, modes, parsed);
+}
+
+// DOCUMENT_ANCHORING_MODE and DOCUMENT_ANCHORING_CLASSIFICATIONS apply to orgs that do not set their own
+function envAnchoringMode() {
+  return modeOf('DOCUMENT_ANCHORING_MODE', ANCHORING_MODES, process.env.DOCUMENT_ANCHORING_MODE || 'direct');
+}
+
+function envAnchoringClassifications() {
+  return envClassificationModes('DOCUMENT_ANCHORING_CLASSIFICATIONS', ANCHORING_MODES);
+}
+
+// ACCESS_LOG_MODE and ACCESS_LOG_CLASSIFICATIONS likewise
+function envAccessLogMode() {
+  return modeOf('ACCESS_LOG_MODE', ACCESS_LOG_MODES, process.env.ACCESS_LOG_MODE || 'krnl');
+}
+
+function envAccessLogClassifications() {
+  return envClassificationModes('ACCESS_LOG_CLASSIFICATIONS', ACCESS_LOG_MODES);
+}
+
+// SALESFORCE_IDENTITY_CERT (PEM) or SALESFORCE_IDENTITY_CERT_FILE applies to orgs that do not set their own
+function envIdentityCert() {
+  if (cachedEnvIdentityCert !== undefined) {
+    return cachedEnvIdentityCert;
+  }
+
+  if (process.env.SALESFORCE_IDENTITY_CERT) {
+    cachedEnvIdentityCert = process.env.SALESFORCE_IDENTITY_CERT.replace(/\\n/g, '\n');
+  } else if (process.env.SALESFORCE_IDENTITY_CERT_FILE) {
+    try {
+      cachedEnvIdentityCert = fs.readFileSync(process.env.SALESFORCE_IDENTITY_CERT_FILE, 'utf8');
+    } catch (error) {
+      throw configError(`cannot read SALESFORCE_IDENTITY_CERT_FILE: ${error.message}`);
+    }
+  } else {
+    cachedEnvIdentityCert = null;
+  }
+  return cachedEnvIdentityCert;
+}
+
+// The certificate the org's Apex signs identity assertions with, as PEM text
+// or a file; certificates are public, so unlike secrets they may be inlined
+function identityCert(key, org) {
+  if (org.identityCert !== undefined && org.identityCertFile !== undefined) {
+    throw configError(`org "${key}" must set only one of identityCert and identityCertFile`);
+  }
+  if (org.identityCertFile !== undefined) {
+    try {
+      return fs.readFileSync(path.resolve(org.identityCertFile), 'utf8');
+    } catch (error) {
+      throw configError(`org "${key}" identityCertFile cannot be read: ${error.message}`);
+    }
+  }
+  if (org.identityCert !== undefined) {
+    if (typeof org.identityCert !== 'string' || !org.identityCert.includes('-----BEGIN')) {
+      throw configError(`org "${key}" identityCert must be a PEM certificate`);
+    }
+    return org.identityCert.replace(/\\n/g, '\n');
+  }
+  return null;
+}
+
+/**
+ * Validate an org entry from configuration and resolve its secrets.
+ */
+function normalizeOrg(key, org) {
+  if (!org || typeof org !== 'object') {
+    throw configError(`org "${key}" must be an object`);
+  }
+
+  const unknown = Object.keys(org).filter(field => !ORG_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw configError(`org "${key}" has unknown field(s): ${unknown.join(', ')}`);
+  }
+
+  for (const field of ['registryContract', 'senderAddress']) {
+    if (org[field] !== undefined && !ADDRESS_PATTERN.test(org[field])) {
+      throw configError(`org "${key}" ${field} must be a 0x-prefixed address`);
+    }
+  }
+
+  if (org.allowedOrigins !== undefined &&
+      (!Array.isArray(org.allowedOrigins) || org.allowedOrigins.some(origin => typeof origin !== 'string'))) {
+    throw configError(`org "${key}" allowedOrigins must be an array of strings`);
+  }
+
+  if (org.rpcWsUrl !== undefined && !/^wss?:\/\//.test(org.rpcWsUrl)) {
+    throw configError(`org "${key}" rpcWsUrl must be a ws:// or wss:// URL`);
+  }
+
+  if (org.registrationCallbackUrl !== undefined && !/^https?:\/\//.test(org.registrationCallbackUrl)) {
+    throw configError(`org "${key}" registrationCallbackUrl must be an http:// or https:// URL`);
+  }
+
+  return {
+    name: org.name || key,
+    instanceUrl: org.instanceUrl || null,
+    storage: normalizeStorage(key, org.storage),
+    rpcUrl: org.rpcUrl || null,
+    rpcWsUrl: org.rpcWsUrl || null,
+    registryContract: org.registryContract || null,
+    signerKey: secretFromEnv(key, 'signerKeyEnv', org.signerKeyEnv),
+    senderAddress: org.senderAddress || null,
+    jwtSecret: secretFromEnv(key, 'jwtSecretEnv', org.jwtSecretEnv),
+    viewerTokenTtlSeconds: positiveInteger(key, 'viewerTokenTtlSeconds', org.viewerTokenTtlSeconds),
+    uploadTokenTtlSeconds: positiveInteger(key, 'uploadTokenTtlSeconds', org.uploadTokenTtlSeconds),
+    watermarkTemplate: org.watermarkTemplate || null,
+    allowedOrigins: (org.allowedOrigins || []).map(origin => origin.replace(/\/+$/, '')),
+    tokenBinding: org.tokenBinding !== undefined ? tokenBindingModes(`org "${key}" tokenBinding`, org.tokenBinding) : null,
+    registrationCallbackUrl: org.registrationCallbackUrl || null,
+    anchoringMode: org.anchoringMode !== undefined
+      ? modeOf(`org "${key}" anchoringMode`, ANCHORING_MODES, org.anchoringMode)
+      : null,
+    anchoringClassifications: org.anchoringClassifications !== undefined
+      ? classificationModes(`org "${key}" anchoringClassifications`, ANCHORING_MODES, org.anchoringClassifications)
+      : null,
+    accessLogMode: org.accessLogMode !== undefined
+      ? modeOf(`org "${key}" accessLogMode`, ACCESS_LOG_MODES, org.accessLogMode)
+      : null,
+    accessLogClassifications: org.accessLogClassifications !== undefined
+      ? classificationModes(`org "${key}" accessLogClassifications`, ACCESS_LOG_MODES, org.accessLogClassifications)
+      : null,
+    identityCert: identityCert(key, org)
+  };
+}
+
+/**
+ * Two orgs must never be able to address the same objects: within a bucket
+ * no prefix may contain another.
+ */
+function assertDisjointStorage(orgs) {
+  const entries = Object.entries(orgs);
+  for (const [keyA, a] of entries) {
+    for (const [keyB, b] of entries) {
+      if (keyA < keyB && a.storage.bucket === b.storage.bucket &&
+          (a.storage.prefix.startsWith(b.storage.prefix) || b.storage.prefix.startsWith(a.storage.prefix))) {
+        throw configError(`orgs "${keyA}" and "${keyB}" have overlapping storage prefixes`);
+      }
+    }
+  }
+}
+
+/**
+ * Load the org registry from ORG_REGISTRY_FILE (a JSON file) or ORG_REGISTRY
+ * (inline JSON):
+ *
+ * {
+ *   "orgs": {
+ *     "<orgId>": { name, instanceUrl, storage: { bucket, prefix }, rpcUrl, rpcWsUrl, registryContract,
+ *                  signerKeyEnv, senderAddress, jwtSecretEnv, viewerTokenTtlSeconds,
+ *                  uploadTokenTtlSeconds, watermarkTemplate, allowedOrigins, tokenBinding,
+ *                  registrationCallbackUrl, anchoringMode, anchoringClassifications,
+ *                  accessLogMode, accessLogClassifications, identityCert | identityCertFile }
+ *   }
+ * }
+ *
+ * Without a registry the backend is single-tenant and every org shares the
+ * settings from the environment, as before.
+ */
+function loadConfig() {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  let raw = null;
+  if (process.env.ORG_REGISTRY_FILE) {
+    const file = path.resolve(process.env.ORG_REGISTRY_FILE);
+    try {
+      raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw configError(`cannot read ${file}: ${error.message}`);
+    }
+  } else if (process.env.ORG_REGISTRY) {
+    try {
+      raw = JSON.parse(process.env.ORG_REGISTRY);
+    } catch (error) {
+      throw configError(`ORG_REGISTRY is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const orgs = {};
+  for (const [orgId, org] of Object.entries((raw && raw.orgs) || {})) {
+    const key = orgKey(orgId);
+    if (orgs[key]) {
+      throw configError(`org "${key}" is listed more than once`);
+    }
+    orgs[key] = normalizeOrg(key, org);
+  }
+  assertDisjointStorage(orgs);
+
+  if (Object.keys(orgs).length > 0) {
+    logger.info('Org registry loaded', { orgs: Object.keys(orgs) });
+  }
+
+  cachedConfig = { orgs };
+  return cachedConfig;
+}
+
+/**
+ * Whether an org registry is configured. In multi-tenant mode only
+ * registered orgs are served and each is confined to its own storage prefix.
+ */
+function isMultiTenant() {
+  return Object.keys(loadConfig().orgs).length > 0;
+}
+
+/**
+ * Resolve the settings for an org. Fields an org does not set fall back to
+ * the environment (JWT_SECRET, RPC_SEPOLIA_URL, DOCUMENT_REGISTRY_CONTRACT, ...).
+ *
+ * @param {string} orgId - Salesforce org id (15 or 18 characters)
+ * @returns {Object|null} `{ orgId, name, registered, instanceUrl, storage,
+ *   chain: { rpcUrl, wsUrl, registryContract, signerKey, senderAddress }, jwtSecret,
+ *   viewerTokenTtlSeconds, uploadTokenTtlSeconds, watermarkTemplate, allowedOrigins, tokenBinding,
+ *   registrationCallbackUrl, anchoringMode, anchoringClassifications, accessLogMode,
+ *   accessLogClassifications, identityCert }`,
+ *   or null in multi-tenant mode when the org is not registered
+ */
+function resolveTenant(orgId) {
+  const config = loadConfig();
+  const key = orgKey(orgId);
+  const org = key ? config.orgs[key] : null;
+
+  if (!org && isMultiTenant()) {
+    return null;
+  }
+
+  const entry = org || {};
+
+  return {
+    orgId: key,
+    name: entry.name || key,
+    // Sessions and storage are partitioned only for registered orgs;
+    // single-tenant deployments keep their existing unprefixed data
+    registered: !!org,
+    instanceUrl: entry.instanceUrl || null,
+    storage: entry.storage || null,
+    chain: {
+      rpcUrl: entry.rpcUrl || process.env.RPC_SEPOLIA_URL || process.env.RPC_URL || null,
+      // Where DocumentAccessLogged events are subscribed to (see accessEventWatcher)
+      wsUrl: entry.rpcWsUrl || (entry.rpcUrl ? null : process.env.RPC_WS_URL) || null,
+      registryContract: entry.registryContract ||
+        process.env.DOCUMENT_REGISTRY_CONTRACT || process.env.TARGET_CONTRACT_ADDRESS || null,
+      signerKey: entry.signerKey || process.env.EOA_PRIVATE_KEY || process.env.CLIENT_PRIVATE_KEY || null,
+      senderAddress: entry.senderAddress || process.env.SENDER_ADDRESS || null
+    },
+    jwtSecret: entry.jwtSecret || process.env.JWT_SECRET || null,
+    viewerTokenTtlSeconds: entry.viewerTokenTtlSeconds ||
+      Number.parseInt(process.env.VIEWER_TOKEN_TTL_SECONDS || '3600', 10),
+    uploadTokenTtlSeconds: entry.uploadTokenTtlSeconds ||
+      Number.parseInt(process.env.UPLOAD_TOKEN_TTL_SECONDS || '900', 10),
+    watermarkTemplate: entry.watermarkTemplate || null,
+    allowedOrigins: entry.allowedOrigins || [],
+    // An empty list turns binding off for the org
+    tokenBinding: entry.tokenBinding || envTokenBinding(),
+    // Where the registration queue reports finished jobs (see registrationQueue)
+    registrationCallbackUrl: entry.registrationCallbackUrl || process.env.REGISTRATION_CALLBACK_URL || null,
+    // Whether uploads are registered one by one or anchored in Merkle batches (see documentBatchService)
+    anchoringMode: entry.anchoringMode || envAnchoringMode(),
+    anchoringClassifications: entry.anchoringClassifications || envAnchoringClassifications(),
+    // Whether access is logged by a KRNL workflow each time or off-chain in Merkle batches (see accessLogService)
+    accessLogMode: entry.accessLogMode || envAccessLogMode(),
+    accessLogClassifications: entry.accessLogClassifications || envAccessLogClassifications(),
+    // Verifies the org's signed identity assertions (see salesforceIdentityService)
+    identityCert: entry.identityCert || envIdentityCert()
+  };
+}
+
+/**
+ * Like resolveTenant, but throw when the org cannot be served.
+ *
+ * @throws {Error} statusCode 403 when the org is not registered
+ */
+function requireTenant(orgId) {
+  const tenant = resolveTenant(orgId);
+  if (!tenant) {
+    throw tenantError(`Salesforce org ${orgId || '(none)'} is not registered with this backend`, 403);
+  }
+  return tenant;
+}
+
+/**
+ * Whether a browser origin may call the backend on behalf of an org. Requests
+ * without an Origin header (server to server, same origin) are always allowed,
+ * as are all origins for orgs that do not restrict them.
+ */
+function isOriginAllowed(tenant, origin) {
+  if (!origin || !tenant || tenant.allowedOrigins.length === 0) {
+    return true;
+  }
+  return tenant.allowedOrigins.includes(origin.replace(/\/+$/, ''));
+}
+
+/**
+ * Every origin any registered org allows, for the CORS allow-list.
+ */
+function listAllowedOrigins() {
+  return [...new Set(Object.values(loadConfig().orgs).flatMap(org => org.allowedOrigins))];
+}
+
+/**
+ * Org id to store on session rows and filter them by: the registry key for
+ * registered orgs, null (no filtering) otherwise.
+ */
+function partitionOrgId(tenant) {
+  return tenant && tenant.registered ? tenant.orgId : null;
+}
+
+module.exports = {
+  orgKey,
+  isMultiTenant,
+  resolveTenant,
+  requireTenant,
+  isOriginAllowed,
+  listAllowedOrigins,
+  partitionOrgId
+};
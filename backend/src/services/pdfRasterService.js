@@ -0,0 +1,104 @@
+const { PDFDocument } = require('pdf-lib');
+const { logger } = require('../utils/logger');
+const { openPdf } = require('./pdfjsLoader');
+const { drawCanvasWatermark } = require('./watermarkService');
+
+const rasterDpi = Number.parseInt(process.env.RASTER_DPI || '150', 10);
+const rasterJpegQuality = Number.parseInt(process.env.RASTER_JPEG_QUALITY || '85', 10);
+
+/**
+ * Render one page of an open pdfjs document to a watermarked JPEG.
+ *
+ * @param {import('pdfjs-dist').PDFDocumentProxy} pdf
+ * @param {number} pageNumber - 1-based
+ * @param {Object} watermark - `{ template, values, forensicText }` for drawCanvasWatermark
+ * @returns {Promise<{ jpeg: Buffer, width: number, height: number }>} Page size in PDF points
+ */
+async function renderWatermarkedPage(pdf, pageNumber, watermark) {
+  const page = await pdf.getPage(pageNumber);
+  const scale = rasterDpi / 72;
+  const pageSize = page.getViewport({ scale: 1 });
+  const viewport = page.getViewport({ scale });
+  const { canvas, context } = pdf.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+  try {
+    // JPEG has no alpha: start from white like a printed page
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({ canvasContext: context, viewport }).promise;
+
+    drawCanvasWatermark(context, {
+      width: canvas.width,
+      height: canvas.height,
+      scale,
+      ...watermark
+    });
+
+    return {
+      jpeg: canvas.toBuffer('image/jpeg', rasterJpegQuality),
+      width: pageSize.width,
+      height: pageSize.height
+    };
+  } finally {
+    page.cleanup();
+    pdf.canvasFactory.destroy({ canvas, context });
+  }
+}
+
+/**
+ * Build a view-only copy of a PDF (or of a range of its pages): every page
+ * is rendered to an image with the watermark burned into the pixels, and the
+ * images are assembled into a new PDF. The result has no text, fonts or vector content to extract, and
+ * the watermark cannot be removed as a separate object.
+ *
+ * The forensic string is burned into each page and also stored in the
+ * document's Keywords so the forensic decoder can read it back.
+ *
+ * @param {Buffer} buffer - Source PDF bytes
+ * @param {Object} watermark
+ * @param {Object} [watermark.template] - Template from the token
+ * @param {Object} watermark.values - From buildWatermarkValues
+ * @param {string} watermark.forensicText - `KRNL:<accessHash>:<documentHash>:<sessionId>`
+ * @param {{ from: number, to: number }} [range] - 1-based, inclusive; all pages by default
+ * @returns {Promise<Buffer>} Image-only PDF bytes
+ */
+async function rasterizePdf(buffer, watermark, range) {
+  const startedAt = Date.now();
+  const pdf = await openPdf(buffer);
+
+  try {
+    const from = range ? range.from : 1;
+    const to = range ? Math.min(range.to, pdf.numPages) : pdf.numPages;
+
+    const output = await PDFDocument.create();
+    output.setKeywords([watermark.forensicText]);
+    output.setProducer('KRNL secure viewer');
+
+    // Pages are rendered one at a time so only one canvas is in memory
+    for (let pageNumber = from; pageNumber <= to; pageNumber++) {
+      const { jpeg, width, height } = await renderWatermarkedPage(pdf, pageNumber, watermark);
+      const image = await output.embedJpg(jpeg);
+      output.addPage([width, height]).drawImage(image, { x: 0, y: 0, width, height });
+    }
+
+    const bytes = Buffer.from(await output.save());
+
+    logger.info('PDF rasterized for view-only delivery', {
+      pages: to - from + 1,
+      dpi: rasterDpi,
+      inputBytes: buffer.length,
+      outputBytes: bytes.length,
+      durationMs: Date.now() - startedAt
+    });
+
+    return bytes;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+module.exports = {
+  renderWatermarkedPage,
+  rasterizePdf
+};
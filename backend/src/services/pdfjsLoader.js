@@ -0,0 +1,30 @@
+const path = require('path');
+
+const standardFontDataUrl = `${path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts')}${path.sep}`;
+
+/**
+ * Open a PDF with pdfjs-dist for text extraction or rendering. Callers must
+ * `destroy()` the returned document.
+ *
+ * In Node, pdfjs renders through its own canvas factory
+ * (`pdf.canvasFactory`, backed by @napi-rs/canvas).
+ *
+ * @param {Buffer} buffer - PDF bytes
+ * @returns {Promise<import('pdfjs-dist').PDFDocumentProxy>}
+ */
+async function openPdf(buffer) {
+  // pdfjs-dist only ships ES modules
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+  return pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl,
+    disableFontFace: true,
+    isEvalSupported: false,
+    verbosity: 0
+  }).promise;
+}
+
+module.exports = {
+  openPdf
+};
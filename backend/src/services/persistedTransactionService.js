@@ -0,0 +1,329 @@
+const fsp = require('fs/promises');
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { resolveTenant } = require('./orgRegistryService');
+const { getRegistrySigner } = require('./directContractService');
+const { sendTransaction, checkTransaction, transactionErrorMessage, isTransactionRejected } = require('./signerService');
+
+const BATCH_STATUSES = {
+  OPEN: 'open',
+  ANCHORING: 'anchoring',
+  ANCHORED: 'anchored',
+  FAILED: 'failed'
+};
+const retryBaseMs = 30 * 1000;
+
+/**
+ * Run a send or check of the item's transaction, writing each transaction to
+ * the item before it leaves. The item goes back to the transaction it had
+ * only when the node refused the new one: after any other failure the new
+ * one may have been accepted, so it is kept and looked for by the next
+ * check before anything is sent again.
+ */
+async function withTransaction(item, write, run) {
+  const previous = item.tx;
+  const beforeBroadcast = record => {
+    item.tx = record;
+    return write(item);
+  };
+
+  try {
+    return await run(beforeBroadcast);
+  } catch (error) {
+    if (item.tx !== previous && isTransactionRejected(error)) {
+      item.tx = previous;
+      await write(item);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Take one step with the on-chain transaction of a persisted item (a
+ * registration job or an anchoring batch) through the shared signer: send it
+ * when the item has none, check it otherwise. The transaction is kept in the
+ * item's `tx` and written with it before it leaves (see signerService), so a
+ * restart never loses track of one that may be mined.
+ *
+ * @param {Object} item - Persisted object holding the transaction in `tx`
+ * @param {Object} params
+ * @param {Object} params.tenant - Org whose signer sends the transaction
+ * @param {Function} params.buildRequest - Returns the transaction request when one is sent
+ * @param {Function} params.write - Persists the item
+ * @param {string} params.label - Names the transaction in logs, e.g. 'Registration'
+ * @param {Object} [params.context] - Identifies the item in logs
+ * @returns {Promise<Object|null>} The receipt once the transaction is confirmed;
+ *   null while it is pending, after it was sent, or when another transaction
+ *   took its nonce (it is sent again by the next step)
+ * @throws {Error} When sending fails or the transaction stalled; with
+ *   `permanent` set when it reverted
+ */
+async function advanceTransaction(item, { tenant, buildRequest, write, label, context = {} }) {
+  const signer = getRegistrySigner(tenant);
+
+  if (!item.tx) {
+    await withTransaction(item, write, beforeBroadcast => sendTransaction(signer, buildRequest(), { beforeBroadcast }));
+    logger.info(`${label} transaction sent`, { ...context, txHash: item.tx.hash, nonce: item.tx.nonce });
+    return null;
+  }
+
+  const { status, record, receipt } = await withTransaction(item, write, beforeBroadcast =>
+    checkTransaction(signer, item.tx, { beforeBroadcast }));
+
+  if (status === 'pending') {
+    return null;
+  }
+  if (status === 'dropped') {
+    logger.warn(`${label} transaction replaced by another, sending again`, { ...context, nonce: record.nonce });
+    item.tx = null;
+    await write(item);
+    return null;
+  }
+  if (status === 'stalled') {
+    throw new Error(`Transaction ${record.hash} still not mined after ${record.bumps} fee bumps`);
+  }
+  if (status === 'reverted') {
+    item.tx = { ...record, reverted: true };
+    const error = new Error(`${label} transaction ${receipt.transactionHash} reverted`);
+    error.permanent = true;
+    throw error;
+  }
+
+  return receipt;
+}
+
+/**
+ * Merkle batches kept as one JSON file each and anchored on-chain with one
+ * transaction per batch, as used by documentBatchService and
+ * accessLogService. An open batch closes once it is due or full; it is then
+ * anchored with its org's signer and retried with backoff until it is
+ * anchored or has failed `maxFailures` times.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Names the batches in logs, e.g. 'Document batch'
+ * @param {string} options.dir - Directory of the batch files
+ * @param {RegExp} options.filePattern - Names of batch files in `dir`
+ * @param {string} options.entriesKey - Batch property listing its entries
+ * @param {number} options.intervalMs - How long a batch stays open; also caps the retry delay
+ * @param {number} options.maxEntries - A batch this full closes at once
+ * @param {number} options.pollIntervalMs - How often due batches are looked for
+ * @param {number} options.maxFailures - Attempts before a batch fails
+ * @param {Function} options.sealBatch - `(batch)`: set `merkleRoot` and the
+ *   leaf and proof of every entry when the batch closes
+ * @param {Function} options.buildRequest - `(batch, tenant)`: the anchoring transaction request
+ * @param {Function} [options.onIndex] - `(batch)`: keep lookups by entry up to date
+ * @param {Function} [options.onAnchored] - `(batch)`
+ * @param {Function} [options.onFailed] - `(batch, tenant)`; tenant is null
+ *   when the org is no longer registered
+ * @returns {{ batches: Map, start: Function, writeBatch: Function, indexBatch: Function, runDueBatches: Function }}
+ */
+function createBatchAnchorer({
+  name,
+  dir,
+  filePattern,
+  entriesKey,
+  intervalMs,
+  maxEntries,
+  pollIntervalMs,
+  maxFailures,
+  sealBatch,
+  buildRequest,
+  onIndex = () => {},
+  onAnchored = () => {},
+  onFailed = () => {}
+}) {
+  // Every batch on disk, by id
+  const batches = new Map();
+  // Ids of batches with an anchoring step in progress
+  const running = new Set();
+  let loading = null;
+
+  async function writeBatch(batch) {
+    const target = path.join(dir, `${batch.batchId}.json`);
+    const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+
+    batch.updatedAt = new Date().toISOString();
+    await fsp.mkdir(dir, { recursive: true });
+    await fsp.writeFile(tmp, JSON.stringify(batch));
+    await fsp.rename(tmp, target);
+  }
+
+  function indexBatch(batch) {
+    batches.set(batch.batchId, batch);
+    onIndex(batch);
+  }
+
+  async function loadBatches() {
+    let names;
+    try {
+      names = await fsp.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    const loaded = [];
+    for (const file of names.filter(entry => filePattern.test(entry))) {
+      try {
+        loaded.push(JSON.parse(await fsp.readFile(path.join(dir, file), 'utf8')));
+      } catch (error) {
+        logger.error(`Skipping unreadable ${name.toLowerCase()}`, { file, error: error.message });
+      }
+    }
+
+    loaded.sort((a, b) => a.createdAt.localeCompare(b.createdAt)).forEach(indexBatch);
+    if (loaded.length > 0) {
+      logger.info(`${name}es loaded`, {
+        batches: loaded.length,
+        unanchored: loaded.filter(batch => batch.status === BATCH_STATUSES.OPEN || batch.status === BATCH_STATUSES.ANCHORING).length
+      });
+    }
+  }
+
+  // The tree is fixed here, so nothing is recomputed once the root is on-chain
+  async function closeBatch(batch) {
+    sealBatch(batch);
+    batch.status = BATCH_STATUSES.ANCHORING;
+    batch.closedAt = new Date().toISOString();
+    batch.nextAttemptAt = batch.closedAt;
+    await writeBatch(batch);
+
+    logger.info(`${name} closed`, {
+      batchId: batch.batchId,
+      orgId: batch.orgId,
+      [entriesKey]: batch[entriesKey].length,
+      merkleRoot: batch.merkleRoot
+    });
+  }
+
+  async function anchorBatch(batch, tenant) {
+    const receipt = await advanceTransaction(batch, {
+      tenant,
+      buildRequest: () => buildRequest(batch, tenant),
+      write: writeBatch,
+      label: `${name} anchoring`,
+      context: { batchId: batch.batchId }
+    });
+    if (!receipt) {
+      return;
+    }
+
+    batch.status = BATCH_STATUSES.ANCHORED;
+    batch.anchoredAt = new Date().toISOString();
+    batch.result = {
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed ? receipt.gasUsed.toString() : null
+    };
+    await writeBatch(batch);
+    logger.info(`${name} anchored`, {
+      batchId: batch.batchId,
+      merkleRoot: batch.merkleRoot,
+      [entriesKey]: batch[entriesKey].length,
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber
+    });
+    await onAnchored(batch);
+  }
+
+  async function advanceBatch(batch) {
+    const tenant = resolveTenant(batch.orgId);
+    try {
+      if (!tenant) {
+        const error = new Error(`Salesforce org ${batch.orgId} is no longer registered with this backend`);
+        error.permanent = true;
+        throw error;
+      }
+      await anchorBatch(batch, tenant);
+    } catch (error) {
+      batch.failures += 1;
+      batch.lastError = transactionErrorMessage(error);
+
+      const failed = error.permanent || batch.failures >= maxFailures;
+      if (failed) {
+        batch.status = BATCH_STATUSES.FAILED;
+        logger.error(`${name} could not be anchored`, {
+          batchId: batch.batchId,
+          failures: batch.failures,
+          error: batch.lastError
+        });
+      } else {
+        const delay = Math.min(intervalMs, retryBaseMs * 2 ** (batch.failures - 1));
+        batch.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        logger.warn(`${name} anchoring attempt failed, will retry`, {
+          batchId: batch.batchId,
+          failures: batch.failures,
+          nextAttemptAt: batch.nextAttemptAt,
+          error: batch.lastError
+        });
+      }
+      await writeBatch(batch);
+      if (failed) {
+        await onFailed(batch, tenant);
+      }
+    }
+  }
+
+  async function runStep(batch) {
+    try {
+      if (batch.status === BATCH_STATUSES.OPEN) {
+        await closeBatch(batch);
+      }
+      await advanceBatch(batch);
+    } catch (error) {
+      // Only reached when a batch file cannot be written; the step runs again
+      logger.error(`${name} step failed`, { batchId: batch.batchId, error: error.message });
+    }
+  }
+
+  function isDue(batch, now) {
+    const entries = batch[entriesKey].length;
+    if (batch.status === BATCH_STATUSES.OPEN) {
+      return entries > 0 && (Date.parse(batch.closesAt) <= now || entries >= maxEntries);
+    }
+    return batch.status === BATCH_STATUSES.ANCHORING && Date.parse(batch.nextAttemptAt) <= now;
+  }
+
+  function runDueBatches() {
+    const now = Date.now();
+
+    for (const batch of batches.values()) {
+      if (running.has(batch.batchId) || !isDue(batch, now)) {
+        continue;
+      }
+      running.add(batch.batchId);
+      runStep(batch).finally(() => running.delete(batch.batchId));
+    }
+  }
+
+  // Load the batches on disk and start polling for due ones. Safe to call more than once.
+  function start() {
+    if (!loading) {
+      loading = loadBatches()
+        .then(() => {
+          setInterval(runDueBatches, pollIntervalMs);
+        })
+        .catch(error => {
+          loading = null;
+          throw error;
+        });
+    }
+    return loading;
+  }
+
+  return {
+    batches,
+    start,
+    writeBatch,
+    indexBatch,
+    runDueBatches
+  };
+}
+
+module.exports = {
+  BATCH_STATUSES,
+  advanceTransaction,
+  createBatchAnchorer
+};
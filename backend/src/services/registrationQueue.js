@@ -0,0 +1,624 @@
+const crypto = require('crypto');
+const fsp = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+const { orgKey, resolveTenant } = require('./orgRegistryService');
+const { buildRegistrationRequest } = require('./directContractService');
+const { transactionErrorMessage } = require('./signerService');
+const { advanceTransaction } = require('./persistedTransactionService');
+const { signOutgoingRequest } = require('./apiKeyService');
+const { BATCH_STATUSES, addToBatch, getBatch, onBatchSettled } = require('./documentBatchService');
+
+// One JSON file per job, so a restart resumes every job where it stopped,
+// including transactions already sent. Jobs that gave up move to dead-letter/.
+const jobDir = path.resolve(process.env.REGISTRATION_JOB_DIR || './data/registration-jobs');
+const deadLetterDir = path.join(jobDir, 'dead-letter');
+
+const pollIntervalMs = Number.parseInt(process.env.REGISTRATION_POLL_MS || '2000', 10);
+const concurrency = Number.parseInt(process.env.REGISTRATION_CONCURRENCY || '4', 10);
+const maxFailures = Number.parseInt(process.env.REGISTRATION_MAX_ATTEMPTS || '8', 10);
+const backoffBaseMs = Number.parseInt(process.env.REGISTRATION_BACKOFF_BASE_SECONDS || '10', 10) * 1000;
+const backoffMaxMs = Number.parseInt(process.env.REGISTRATION_BACKOFF_MAX_SECONDS || '900', 10) * 1000;
+const callbackMaxAttempts = Number.parseInt(process.env.REGISTRATION_CALLBACK_MAX_ATTEMPTS || '10', 10);
+const callbackTimeoutMs = 15000;
+const retentionMs = Number.parseInt(process.env.REGISTRATION_JOB_RETENTION_DAYS || '7', 10) * 24 * 60 * 60 * 1000;
+
+// Same values as the Blockchain_Status__c picklist in Salesforce
+const REGISTRATION_STATUSES = {
+  PENDING: 'Pending',
+  REGISTERED: 'Registered',
+  FAILED: 'Registration Failed'
+};
+const JOB_ID_PATTERN = /^regjob_[0-9a-f]{32}$/;
+const JOB_FILE_PATTERN = /^regjob_[0-9a-f]{32}\.json$/;
+
+// Every job on disk, by id
+const jobs = new Map();
+// Ids of jobs with a step in progress
+const running = new Set();
+
+let loading = null;
+
+/**
+ * Build an Error carrying the HTTP status for the registration job routes.
+ */
+function queueError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Failures that retrying cannot fix: the job is dead-lettered at once
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+function jobFile(job) {
+  return path.join(job.deadLetteredAt ? deadLetterDir : jobDir, `${job.jobId}.json`);
+}
+
+async function writeJob(job) {
+  const target = jobFile(job);
+  const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+
+  job.updatedAt = new Date().toISOString();
+  await fsp.mkdir(path.dirname(target), { recursive: true });
+  await fsp.writeFile(tmp, JSON.stringify(job, null, 2));
+  await fsp.rename(tmp, target);
+}
+
+// Write the job to its new directory before removing it from the old one
+async function moveJob(job, deadLetteredAt) {
+  const from = jobFile(job);
+  job.deadLetteredAt = deadLetteredAt;
+  await writeJob(job);
+  await fsp.unlink(from).catch(() => undefined);
+}
+
+async function readJobs(dir) {
+  let names;
+  try {
+    names = await fsp.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const loaded = [];
+  for (const name of names.filter(entry => JOB_FILE_PATTERN.test(entry))) {
+    try {
+      loaded.push(JSON.parse(await fsp.readFile(path.join(dir, name), 'utf8')));
+    } catch (error) {
+      logger.error('Skipping unreadable registration job', { file: name, error: error.message });
+    }
+  }
+  return loaded;
+}
+
+async function loadJobs() {
+  const loaded = [...await readJobs(jobDir), ...await readJobs(deadLetterDir)];
+  for (const job of loaded) {
+    jobs.set(job.jobId, job);
+  }
+
+  const pending = loaded.filter(job => job.status === REGISTRATION_STATUSES.PENDING).length;
+  if (loaded.length > 0) {
+    logger.info('Registration jobs loaded', { jobs: loaded.length, pending });
+  }
+}
+
+/**
+ * Job as returned by the API: the transaction details are summarized.
+ */
+function describeJob(job) {
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    documentHash: job.documentHash,
+    salesforceRecordId: job.salesforceRecordId,
+    orgId: job.orgId,
+    uploadId: job.uploadId,
+    anchoring: job.anchoring || 'direct',
+    batchId: job.batchId || null,
+    merkleRoot: job.result ? job.result.merkleRoot || null : null,
+    failures: job.failures,
+    lastError: job.lastError,
+    nextAttemptAt: job.status === REGISTRATION_STATUSES.PENDING ? job.nextAttemptAt : null,
+    txHash: job.result ? job.result.txHash : (job.tx ? job.tx.hash : null),
+    blockNumber: job.result ? job.result.blockNumber : null,
+    gasUsed: job.result ? job.result.gasUsed : null,
+    feeBumps: job.tx ? job.tx.bumps : 0,
+    callback: job.callback
+      ? { status: job.callback.status, attempts: job.callback.attempts, lastError: job.callback.lastError, deliveredAt: job.callback.deliveredAt }
+      : null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt,
+    deadLetteredAt: job.deadLetteredAt
+  };
+}
+
+// Exponential backoff with jitter: a random delay in the upper half of base * 2^(n-1), capped
+function backoffDelay(failures) {
+  const delay = Math.min(backoffMaxMs, backoffBaseMs * 2 ** (failures - 1));
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function later(ms) {
+  return new Date(Date.now() + ms).toISOString();
+}
+
+/**
+ * Send or check the job's transaction (see persistedTransactionService) and
+ * finish the job once it is confirmed.
+ */
+async function advanceJobTransaction(job, tenant) {
+  const receipt = await advanceTransaction(job, {
+    tenant,
+    buildRequest: () => buildRegistrationRequest({
+      documentHash: job.documentHash,
+      salesforceRecordId: job.salesforceRecordId,
+      metadata: job.metadata,
+      tenant
+    }),
+    write: writeJob,
+    label: 'Registration',
+    context: { jobId: job.jobId, documentHash: job.documentHash }
+  });
+  if (!receipt) {
+    return;
+  }
+
+  await finishJob(job, REGISTRATION_STATUSES.REGISTERED, {
+    txHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed ? receipt.gasUsed.toString() : null
+  });
+}
+
+/**
+ * Put the job's document in its org's open batch. The job then waits for the
+ * batch to settle (see settleBatchedJob) instead of being polled.
+ */
+async function addJobToBatch(job, tenant) {
+  let classification = null;
+  try {
+    classification = JSON.parse(job.metadata).classification || null;
+  } catch {
+    // Metadata that is not JSON carries no classification
+  }
+
+  const batch = await addToBatch({
+    documentHash: job.documentHash,
+    salesforceRecordId: job.salesforceRecordId,
+    classification,
+    tenant,
+    jobId: job.jobId
+  });
+  job.batchId = batch.batchId;
+  job.nextAttemptAt = batch.closesAt;
+  await writeJob(job);
+  logger.info('Registration job added to document batch', { jobId: job.jobId, batchId: batch.batchId, closesAt: batch.closesAt });
+}
+
+/**
+ * Finish a job whose batch was anchored. A batch that failed counts as a
+ * failed attempt, and the next attempt puts the document in a new batch.
+ */
+async function settleBatchedJob(job, batch) {
+  if (batch && batch.status === BATCH_STATUSES.ANCHORED) {
+    await finishJob(job, REGISTRATION_STATUSES.REGISTERED, {
+      txHash: batch.txHash,
+      blockNumber: batch.blockNumber,
+      gasUsed: null,
+      batchId: batch.batchId,
+      merkleRoot: batch.merkleRoot
+    });
+    return;
+  }
+
+  const { batchId } = job;
+  job.batchId = null;
+  await recordFailure(job, new Error(`Document batch ${batchId} was not anchored: ${batch ? batch.lastError : 'batch not found'}`));
+}
+
+async function settleBatchedJobs(batch) {
+  for (const job of jobs.values()) {
+    if (job.status !== REGISTRATION_STATUSES.PENDING || job.batchId !== batch.batchId) {
+      continue;
+    }
+    try {
+      await settleBatchedJob(job, batch);
+    } catch (error) {
+      logger.error('Registration job step failed', { jobId: job.jobId, error: error.message });
+    }
+  }
+}
+
+// Batches that settled while the backend was down
+async function resumeBatchedJobs() {
+  for (const job of jobs.values()) {
+    if (job.status !== REGISTRATION_STATUSES.PENDING || !job.batchId) {
+      continue;
+    }
+    const batch = await getBatch(job.batchId);
+    if (!batch || batch.status === BATCH_STATUSES.ANCHORED || batch.status === BATCH_STATUSES.FAILED) {
+      await settleBatchedJob(job, batch);
+    }
+  }
+}
+
+/**
+ * Mark a job as finished and queue its Salesforce callback. Failed jobs are
+ * dead-lettered until an operator retries them.
+ */
+async function finishJob(job, status, result) {
+  const tenant = resolveTenant(job.orgId);
+  const now = new Date().toISOString();
+
+  job.status = status;
+  job.result = result;
+  job.completedAt = now;
+  job.callback = {
+    status: tenant && tenant.registrationCallbackUrl ? 'pending' : 'skipped',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    deliveredAt: null
+  };
+
+  if (status === REGISTRATION_STATUSES.FAILED) {
+    await moveJob(job, now);
+    logger.error('Registration job dead-lettered', {
+      jobId: job.jobId,
+      documentHash: job.documentHash,
+      failures: job.failures,
+      error: job.lastError
+    });
+  } else {
+    await writeJob(job);
+    logger.info('Registration job completed', {
+      jobId: job.jobId,
+      documentHash: job.documentHash,
+      txHash: result.txHash,
+      blockNumber: result.blockNumber
+    });
+  }
+}
+
+async function recordFailure(job, error) {
+  job.failures += 1;
+  job.lastError = transactionErrorMessage(error);
+
+  if (error.permanent || job.failures >= maxFailures) {
+    await finishJob(job, REGISTRATION_STATUSES.FAILED, null);
+    return;
+  }
+
+  job.nextAttemptAt = later(backoffDelay(job.failures));
+  await writeJob(job);
+  logger.warn('Registration attempt failed, will retry', {
+    jobId: job.jobId,
+    failures: job.failures,
+    nextAttemptAt: job.nextAttemptAt,
+    error: job.lastError
+  });
+}
+
+async function advanceRegistration(job) {
+  try {
+    const tenant = resolveTenant(job.orgId);
+    if (!tenant) {
+      throw permanentError(`Salesforce org ${job.orgId} is no longer registered with this backend`);
+    }
+
+    if (job.anchoring === 'batch') {
+      await addJobToBatch(job, tenant);
+    } else {
+      await advanceJobTransaction(job, tenant);
+    }
+  } catch (error) {
+    await recordFailure(job, error);
+  }
+}
+
+// Apex REST sees the path from /services/apexrest on, whatever Site prefix precedes it
+function callbackPath(url) {
+  const { pathname } = new URL(url);
+  const index = pathname.indexOf('/services/apexrest/');
+  return index >= 0 ? pathname.substring(index) : pathname;
+}
+
+/**
+ * POST the outcome of a job to the org's registrationCallbackUrl, signed
+ * with the org's API key. Failed deliveries are retried with backoff up to
+ * REGISTRATION_CALLBACK_MAX_ATTEMPTS times.
+ */
+async function deliverCallback(job) {
+  const tenant = resolveTenant(job.orgId);
+  const url = tenant && tenant.registrationCallbackUrl;
+  if (!url) {
+    job.callback.status = 'skipped';
+    await writeJob(job);
+    return;
+  }
+
+  const body = JSON.stringify({
+    jobId: job.jobId,
+    status: job.status,
+    documentHash: job.documentHash,
+    salesforceRecordId: job.salesforceRecordId,
+    uploadId: job.uploadId,
+    txHash: job.result ? job.result.txHash : null,
+    blockNumber: job.result ? job.result.blockNumber : null,
+    batchId: job.result ? job.result.batchId || null : null,
+    merkleRoot: job.result ? job.result.merkleRoot || null : null,
+    error: job.status === REGISTRATION_STATUSES.FAILED ? job.lastError : null,
+    completedAt: job.completedAt
+  });
+
+  const signature = await signOutgoingRequest({ orgId: job.orgId, method: 'POST', path: callbackPath(url), body });
+  if (!signature) {
+    logger.warn('No active API key for org, registration callback sent unsigned', { jobId: job.jobId, orgId: job.orgId });
+  }
+
+  const attempts = job.callback.attempts + 1;
+  try {
+    await axios.post(url, body, {
+      headers: { 'Content-Type': 'application/json', ...signature },
+      timeout: callbackTimeoutMs
+    });
+    job.callback = { ...job.callback, status: 'delivered', attempts, lastError: null, deliveredAt: new Date().toISOString() };
+    logger.info('Registration callback delivered', { jobId: job.jobId, status: job.status });
+  } catch (error) {
+    const message = error.response ? `HTTP ${error.response.status}` : error.message;
+    const exhausted = attempts >= callbackMaxAttempts;
+    job.callback = {
+      ...job.callback,
+      status: exhausted ? 'failed' : 'pending',
+      attempts,
+      lastError: message,
+      nextAttemptAt: later(backoffDelay(attempts))
+    };
+    const details = { jobId: job.jobId, attempts, error: message };
+    if (exhausted) {
+      logger.error('Registration callback failed, giving up', details);
+    } else {
+      logger.warn('Registration callback failed, will retry', { ...details, nextAttemptAt: job.callback.nextAttemptAt });
+    }
+  }
+
+  await writeJob(job);
+}
+
+function isDue(job, now) {
+  if (job.status === REGISTRATION_STATUSES.PENDING) {
+    // Jobs waiting in a batch are settled by the batch, not polled
+    return !job.batchId && Date.parse(job.nextAttemptAt) <= now;
+  }
+  return !!job.callback && job.callback.status === 'pending' && Date.parse(job.callback.nextAttemptAt) <= now;
+}
+
+async function runStep(job) {
+  try {
+    if (job.status === REGISTRATION_STATUSES.PENDING) {
+      await advanceRegistration(job);
+    } else {
+      await deliverCallback(job);
+    }
+  } catch (error) {
+    // Only reached when the job file cannot be written; the step runs again
+    logger.error('Registration job step failed', { jobId: job.jobId, error: error.message });
+  }
+}
+
+// Registered jobs are forgotten after REGISTRATION_JOB_RETENTION_DAYS; dead letters are kept
+function pruneFinishedJobs(now) {
+  for (const job of jobs.values()) {
+    if (job.status === REGISTRATION_STATUSES.REGISTERED && !running.has(job.jobId) &&
+        !isDue(job, Infinity) && now - Date.parse(job.completedAt) > retentionMs) {
+      jobs.delete(job.jobId);
+      fsp.unlink(jobFile(job)).catch(() => undefined);
+    }
+  }
+}
+
+function runDueJobs() {
+  const now = Date.now();
+  pruneFinishedJobs(now);
+
+  for (const job of jobs.values()) {
+    if (running.size >= concurrency) {
+      break;
+    }
+    if (running.has(job.jobId) || !isDue(job, now)) {
+      continue;
+    }
+    running.add(job.jobId);
+    runStep(job).finally(() => running.delete(job.jobId));
+  }
+}
+
+/**
+ * Load the jobs on disk and start working through them every
+ * REGISTRATION_POLL_MS. Safe to call more than once.
+ */
+function startRegistrationQueue() {
+  if (!loading) {
+    loading = loadJobs()
+      .then(async () => {
+        onBatchSettled(batch => settleBatchedJobs(batch));
+        await resumeBatchedJobs();
+        setInterval(runDueJobs, pollIntervalMs);
+      })
+      .catch(error => {
+        loading = null;
+        throw error;
+      });
+  }
+  return loading;
+}
+
+/**
+ * Queue the on-chain registration of a document hash, in a transaction of its
+ * own or in the org's next Merkle batch (see documentBatchService). A hash
+ * already queued for the org returns the existing job.
+ *
+ * @param {Object} params
+ * @param {string} params.documentHash - Document hash (0x prefixed hex)
+ * @param {string} params.salesforceRecordId - Salesforce record ID
+ * @param {string} [params.metadata] - JSON metadata string
+ * @param {Object} params.tenant - Org whose registry and signer to use (from resolveTenant)
+ * @param {string} [params.uploadId] - Upload the document came from
+ * @param {'direct'|'batch'} [params.anchoring] - How the document is put on-chain
+ * @returns {Promise<Object>} The job description, with status 'Pending'
+ */
+async function enqueueRegistration({ documentHash, salesforceRecordId, metadata = '{}', tenant, uploadId, anchoring = 'direct' }) {
+  await startRegistrationQueue();
+
+  const owner = tenant ? tenant.orgId : null;
+  const existing = [...jobs.values()].find(job =>
+    job.status === REGISTRATION_STATUSES.PENDING && job.documentHash === documentHash && job.orgId === owner);
+  if (existing) {
+    logger.info('Registration already queued for document', { jobId: existing.jobId, documentHash });
+    return describeJob(existing);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    jobId: `regjob_${crypto.randomBytes(16).toString('hex')}`,
+    status: REGISTRATION_STATUSES.PENDING,
+    documentHash,
+    salesforceRecordId,
+    metadata,
+    orgId: owner,
+    uploadId: uploadId || null,
+    anchoring,
+    batchId: null,
+    failures: 0,
+    lastError: null,
+    nextAttemptAt: now,
+    tx: null,
+    result: null,
+    callback: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+    deadLetteredAt: null
+  };
+
+  await writeJob(job);
+  jobs.set(job.jobId, job);
+  logger.info('Registration job queued', { jobId: job.jobId, documentHash, salesforceRecordId, orgId: owner, anchoring });
+
+  setImmediate(runDueJobs);
+  return describeJob(job);
+}
+
+/**
+ * @param {string} jobId
+ * @param {Object} [options]
+ * @param {string} [options.orgId] - Only find the job if it belongs to this org
+ * @returns {Promise<Object>} The job description
+ * @throws {Error} statusCode 404 when there is no such job (for the org)
+ */
+async function getRegistrationJob(jobId, { orgId } = {}) {
+  await startRegistrationQueue();
+
+  const job = JOB_ID_PATTERN.test(jobId || '') ? jobs.get(jobId) : null;
+  if (!job || (orgId && job.orgId !== orgKey(orgId))) {
+    throw queueError(`Registration job ${jobId} not found`, 404);
+  }
+  return describeJob(job);
+}
+
+/**
+ * The job still registering a document, if any.
+ *
+ * @param {string} documentHash
+ * @param {Object} [options]
+ * @param {string} [options.orgId] - Only find the org's job
+ * @returns {Promise<Object|null>} The job description, null when no job for
+ *   the document is pending
+ */
+async function findPendingRegistration(documentHash, { orgId } = {}) {
+  await startRegistrationQueue();
+
+  const hash = String(documentHash || '').toLowerCase();
+  const owner = orgKey(orgId);
+  const job = [...jobs.values()].find(candidate =>
+    candidate.status === REGISTRATION_STATUSES.PENDING &&
+    String(candidate.documentHash).toLowerCase() === hash &&
+    (!owner || candidate.orgId === owner));
+  return job ? describeJob(job) : null;
+}
+
+/**
+ * List jobs, newest first, optionally by status and org.
+ */
+async function listRegistrationJobs({ status, orgId } = {}) {
+  await startRegistrationQueue();
+
+  if (status && !Object.values(REGISTRATION_STATUSES).includes(status)) {
+    throw queueError(`status must be one of: ${Object.values(REGISTRATION_STATUSES).join(', ')}`, 400);
+  }
+  const owner = orgKey(orgId);
+
+  return [...jobs.values()]
+    .filter(job => (!status || job.status === status) && (!owner || job.orgId === owner))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(describeJob);
+}
+
+/**
+ * Put a dead-lettered job back in the queue with a fresh set of attempts. A
+ * transaction it already sent is looked for first, and replaced if still
+ * stuck; one that reverted is not.
+ *
+ * @throws {Error} statusCode 404 for an unknown job, 409 when it is not dead-lettered
+ */
+async function retryRegistrationJob(jobId) {
+  await startRegistrationQueue();
+
+  const job = JOB_ID_PATTERN.test(jobId || '') ? jobs.get(jobId) : null;
+  if (!job) {
+    throw queueError(`Registration job ${jobId} not found`, 404);
+  }
+  if (!job.deadLetteredAt) {
+    throw queueError(`Registration job ${jobId} is not dead-lettered`, 409);
+  }
+
+  const now = new Date().toISOString();
+  if (job.tx && job.tx.reverted) {
+    job.tx = null;
+  } else if (job.tx) {
+    job.tx = { ...job.tx, bumps: 0, sentAt: now };
+  }
+  job.status = REGISTRATION_STATUSES.PENDING;
+  job.failures = 0;
+  job.lastError = null;
+  job.nextAttemptAt = now;
+  job.result = null;
+  job.callback = null;
+  job.completedAt = null;
+  await moveJob(job, null);
+
+  logger.info('Dead-lettered registration job requeued', { jobId });
+  setImmediate(runDueJobs);
+  return describeJob(job);
+}
+
+module.exports = {
+  REGISTRATION_STATUSES,
+  startRegistrationQueue,
+  enqueueRegistration,
+  getRegistrationJob,
+  findPendingRegistration,
+  listRegistrationJobs,
+  retryRegistrationJob
+};
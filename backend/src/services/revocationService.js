@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { logger } = require('../utils/logger');
+const { orgKey } = require('./orgRegistryService');
+const { sameSalesforceId } = require('./salesforceIdentityService');
+const { saveRevocation, loadRevocations } = require('./sessionStore');
+
+const REVOCATION_SCOPES = ['session', 'token', 'user', 'document'];
+const HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+// How often revocations made by other backend instances are picked up
+const refreshIntervalMs = Number.parseInt(process.env.REVOCATION_REFRESH_SECONDS || '15', 10) * 1000;
+
+// Every revocation this instance knows of, by id
+const revocations = new Map();
+const revocationEvents = new EventEmitter();
+// One listener per open viewer stream
+revocationEvents.setMaxListeners(0);
+
+let lastRefreshAt = 0;
+let newestRevokedAt = null;
+let pendingRefresh = null;
+
+/**
+ * Build an Error carrying the HTTP status for the revocation routes.
+ */
+function revocationError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function remember(revocation) {
+  if (revocations.has(revocation.id)) {
+    return;
+  }
+  revocations.set(revocation.id, revocation);
+  if (!newestRevokedAt || revocation.revokedAt > newestRevokedAt) {
+    newestRevokedAt = revocation.revokedAt;
+  }
+  revocationEvents.emit('revoked', revocation);
+}
+
+/**
+ * Pick up revocations persisted by other instances (or before a restart).
+ * Calls within REVOCATION_REFRESH_SECONDS of the last one return immediately.
+ */
+async function refreshRevocations() {
+  if (Date.now() - lastRefreshAt < refreshIntervalMs) {
+    return;
+  }
+  if (!pendingRefresh) {
+    pendingRefresh = loadRevocations({ since: newestRevokedAt })
+      .then(loaded => {
+        loaded.forEach(remember);
+        lastRefreshAt = Date.now();
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  await pendingRefresh;
+}
+
+/**
+ * Whether a revocation covers a session or token.
+ *
+ * Session and token revocations are permanent. User and document revocations
+ * cut off everything issued up to the moment of revocation; access requested
+ * afterwards goes through the access policy and workflow again as usual.
+ *
+ * @param {Object} revocation
+ * @param {Object} subject
+ * @param {string} subject.sessionId
+ * @param {string} [subject.jti] - Viewer token id
+ * @param {string} [subject.userId]
+ * @param {string} [subject.documentHash]
+ * @param {string} [subject.orgId]
+ * @param {number|null} [subject.issuedAt] - When the token or session was issued (ms);
+ *   null is treated as before any revocation
+ * @returns {boolean}
+ */
+function matchesRevocation(revocation, subject) {
+  if (revocation.orgId && subject.orgId && orgKey(subject.orgId) !== revocation.orgId) {
+    return false;
+  }
+
+  const issuedBeforeRevocation = subject.issuedAt == null ||
+    subject.issuedAt <= new Date(revocation.revokedAt).getTime();
+
+  switch (revocation.scope) {
+    case 'session':
+      return revocation.value === subject.sessionId;
+    case 'token':
+      return !!subject.jti && revocation.value === subject.jti;
+    case 'user':
+      return !!subject.userId && issuedBeforeRevocation && sameSalesforceId(revocation.value, subject.userId);
+    case 'document':
+      return !!subject.documentHash && issuedBeforeRevocation &&
+        revocation.value === subject.documentHash.toLowerCase();
+    default:
+      return false;
+  }
+}
+
+/**
+ * Find the revocation, if any, that covers a session or token.
+ *
+ * @param {Object} subject - See matchesRevocation
+ * @returns {Promise<Object|null>} `{ id, scope, value, orgId, reason, revokedBy, revokedAt }`
+ */
+async function findRevocation(subject) {
+  await refreshRevocations();
+
+  for (const revocation of revocations.values()) {
+    if (matchesRevocation(revocation, subject)) {
+      return revocation;
+    }
+  }
+  return null;
+}
+
+/**
+ * Revoke viewer access: one session, one token (by jti), or every session of
+ * a user or a document. Takes effect at once on this instance and within
+ * REVOCATION_REFRESH_SECONDS on others. Open viewers of the affected sessions
+ * are told over their SSE stream (see onRevocation).
+ *
+ * @param {Object} params
+ * @param {string} params.scope - 'session', 'token', 'user' or 'document'
+ * @param {string} params.value - sessionId, jti, Salesforce user id or documentHash
+ * @param {string} [params.orgId] - Limit a user or document revocation to one org
+ * @param {string} [params.reason] - Shown to the viewer and kept for the audit trail
+ * @param {string} [params.revokedBy]
+ * @returns {Promise<Object>} The revocation
+ */
+async function revokeAccess({ scope, value, orgId, reason, revokedBy }) {
+  if (!REVOCATION_SCOPES.includes(scope)) {
+    throw revocationError(`scope must be one of: ${REVOCATION_SCOPES.join(', ')}`, 400);
+  }
+  if (!value || typeof value !== 'string') {
+    throw revocationError(`A ${scope} to revoke is required`, 400);
+  }
+  if (scope === 'document' && !HASH_PATTERN.test(value)) {
+    throw revocationError('documentHash must be a 0x-prefixed SHA-256 hash', 400);
+  }
+
+  const revocation = {
+    id: `rev_${crypto.randomUUID()}`,
+    scope,
+    value: scope === 'document' ? value.toLowerCase() : value,
+    orgId: orgKey(orgId),
+    reason: reason || null,
+    revokedBy: revokedBy || null,
+    revokedAt: new Date().toISOString()
+  };
+
+  remember(revocation);
+  await saveRevocation(revocation);
+
+  logger.warn('Viewer access revoked', {
+    revocationId: revocation.id,
+    scope,
+    value: revocation.value,
+    orgId: revocation.orgId,
+    reason: revocation.reason
+  });
+
+  return revocation;
+}
+
+/**
+ * List known revocations, newest first, optionally for one org.
+ */
+async function listRevocations({ orgId } = {}) {
+  await refreshRevocations();
+  const key = orgKey(orgId);
+
+  return [...revocations.values()]
+    .filter(revocation => !key || revocation.orgId === key)
+    .sort((a, b) => b.revokedAt.localeCompare(a.revokedAt));
+}
+
+/**
+ * Subscribe to revocations as they happen (or are picked up from other
+ * instances by refreshRevocations).
+ *
+ * @param {Function} listener - Called with each new revocation
+ * @returns {Function} Unsubscribe
+ */
+function onRevocation(listener) {
+  revocationEvents.on('revoked', listener);
+  return () => revocationEvents.off('revoked', listener);
+}
+
+module.exports = {
+  REVOCATION_SCOPES,
+  matchesRevocation,
+  findRevocation,
+  refreshRevocations,
+  revokeAccess,
+  listRevocations,
+  onRevocation
+};
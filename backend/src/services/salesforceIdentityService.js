@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { logger } = require('../utils/logger');
+const { resolveTenant } = require('./orgRegistryService');
+
+const cacheTtlMs = Number.parseInt(process.env.SALESFORCE_IDENTITY_CACHE_TTL_SECONDS || '300', 10) * 1000;
+const CACHE_MAX_ENTRIES = 1000;
+const IDENTITY_TIMEOUT_MS = 5000;
+// Apex signs assertions for a few minutes; refuse anything claiming to live longer
+const MAX_ASSERTION_AGE_SECONDS = 15 * 60;
+
+const identityCache = new Map();
+
+/**
+ * Build an Error carrying the HTTP status for validateSalesforceToken.
+ */
+function identityError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Salesforce ids come as 15- or 18-character ids; compare the 15-character form
+function sameSalesforceId(a, b) {
+  return String(a).substring(0, 15) === String(b).substring(0, 15);
+}
+
+/**
+ * Hosts a Salesforce instance URL may point at, from SALESFORCE_INSTANCE_HOSTS
+ * (comma separated domain suffixes). Without this check a caller could name
+ * its own server as the "instance" and vouch for any user.
+ */
+function allowedInstanceHosts() {
+  return (process.env.SALESFORCE_INSTANCE_HOSTS || 'salesforce.com,force.com')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function normalizeInstanceUrl(instanceUrl) {
+  let url;
+  try {
+    url = new URL(instanceUrl);
+  } catch (err) {
+    throw identityError('Invalid Salesforce instance URL', 401);
+  }
+
+  const host = url.hostname.toLowerCase();
+  const allowed = allowedInstanceHosts().some(suffix => host === suffix || host.endsWith(`.${suffix}`));
+  const local = host === 'localhost' || host === '127.0.0.1';
+
+  if (!allowed || (url.protocol !== 'https:' && !local)) {
+    throw identityError(`Salesforce instance URL ${url.origin} is not allowed`, 401);
+  }
+
+  return url.origin;
+}
+
+function readCached(key) {
+  const entry = identityCache.get(key);
+  if (!entry) {
+    return null;
+  }
+  if (entry.expiresAt <= Date.now()) {
+    identityCache.delete(key);
+    return null;
+  }
+  return entry.identity;
+}
+
+function writeCached(key, identity) {
+  if (identityCache.size >= CACHE_MAX_ENTRIES) {
+    // Maps keep insertion order, so this drops the oldest entry
+    identityCache.delete(identityCache.keys().next().value);
+  }
+  identityCache.set(key, { identity, expiresAt: Date.now() + cacheTtlMs });
+}
+
+/**
+ * Verify a Salesforce session token against the org's OpenID Connect
+ * userinfo endpoint. Results are cached for SALESFORCE_IDENTITY_CACHE_TTL_SECONDS
+ * (default 300) so every request does not call back to Salesforce.
+ *
+ * @param {string} token - Salesforce session id or OAuth access token
+ * @param {string} instanceUrl - Org My Domain URL (X-Salesforce-Instance-Url)
+ * @returns {Promise<Object>} `{ userId, orgId, email, name, instanceUrl, verifiedBy: 'userinfo' }`
+ * @throws {Error} statusCode 401 when the token is rejected, 503 when Salesforce cannot be reached
+ */
+async function verifySalesforceSession(token, instanceUrl) {
+  if (!token) {
+    throw identityError('Salesforce authentication required.', 401);
+  }
+  if (!instanceUrl) {
+    throw identityError('Salesforce instance URL is required (X-Salesforce-Instance-Url)', 401);
+  }
+
+  const origin = normalizeInstanceUrl(instanceUrl);
+  const cacheKey = crypto.createHash('sha256').update(`${origin}\n${token}`).digest('hex');
+  const cached = readCached(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  let response;
+  try {
+    response = await axios.get(`${origin}/services/oauth2/userinfo`, {
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: IDENTITY_TIMEOUT_MS
+    });
+  } catch (err) {
+    const status = err.response && err.response.status;
+    if (status === 401 || status === 403) {
+      throw identityError('Invalid or expired Salesforce session', 401);
+    }
+    logger.error('Salesforce identity check failed', { instanceUrl: origin, status, error: err.message });
+    throw identityError('Salesforce identity service unavailable', 503);
+  }
+
+  const data = response.data || {};
+  if (!data.user_id || !data.organization_id) {
+    throw identityError('Salesforce did not return a user identity', 401);
+  }
+
+  const identity = {
+    userId: data.user_id,
+    orgId: data.organization_id,
+    email: data.email || null,
+    name: data.name || null,
+    instanceUrl: origin,
+    verifiedBy: 'userinfo'
+  };
+
+  writeCached(cacheKey, identity);
+  return identity;
+}
+
+/**
+ * Certificate to verify an identity assertion with: the one registered for
+ * the org the assertion claims to come from (`iss`), falling back to
+ * SALESFORCE_IDENTITY_CERT / SALESFORCE_IDENTITY_CERT_FILE (see
+ * orgRegistryService). The claim is only used to choose the certificate; an
+ * assertion signed by another org's key does not verify with it.
+ *
+ * @returns {string|null} PEM certificate, null when the org has none or is not registered
+ */
+function assertionCertificate(assertion) {
+  const decoded = jwt.decode(assertion);
+  if (!decoded || typeof decoded !== 'object' || !decoded.iss) {
+    return null;
+  }
+  const tenant = resolveTenant(String(decoded.iss));
+  return tenant ? tenant.identityCert : null;
+}
+
+/**
+ * Whether a signed identity assertion from Apex can be verified here, i.e.
+ * whether a certificate is configured for the org it claims to come from.
+ *
+ * @param {string} assertion - Compact JWS from the X-Salesforce-Identity header
+ */
+function isAssertionVerificationEnabled(assertion) {
+  return !!assertionCertificate(assertion);
+}
+
+/**
+ * Verify an identity assertion signed by Apex (Auth.JWS with the org
+ * certificate): `iss` is the org id, `sub` the user id. The signature is
+ * checked with the certificate registered for the `iss` org.
+ *
+ * @param {string} assertion - Compact JWS from the X-Salesforce-Identity header
+ * @returns {Object} `{ userId, orgId, email, name, profile, role, instanceUrl, verifiedBy: 'assertion' }`
+ * @throws {Error} statusCode 401 when the assertion is invalid or expired
+ */
+function verifyIdentityAssertion(assertion) {
+  const certificate = assertionCertificate(assertion);
+  if (!certificate) {
+    throw identityError('Signed Salesforce identity assertions are not configured for this org', 401);
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(assertion, certificate, {
+      algorithms: ['RS256'],
+      audience: process.env.SALESFORCE_IDENTITY_AUDIENCE || 'krnl-backend',
+      maxAge: `${MAX_ASSERTION_AGE_SECONDS}s`
+    });
+  } catch (err) {
+    throw identityError(`Invalid Salesforce identity assertion: ${err.message}`, 401);
+  }
+
+  if (!claims.iss || !claims.sub) {
+    throw identityError('Salesforce identity assertion is missing iss or sub', 401);
+  }
+
+  return {
+    userId: claims.sub,
+    orgId: claims.iss,
+    email: claims.email || null,
+    name: claims.name || null,
+    profile: claims.profile || null,
+    role: claims.role || null,
+    instanceUrl: claims.instance_url || null,
+    verifiedBy: 'assertion'
+  };
+}
+
+module.exports = {
+  sameSalesforceId,
+  verifySalesforceSession,
+  isAssertionVerificationEnabled,
+  verifyIdentityAssertion
+};
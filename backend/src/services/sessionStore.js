@@ -1,10 +1,18 @@
 const { createClient } = require('@supabase/supabase-js');
 const { logger } = require('../utils/logger');
+const { orgKey } = require('./orgRegistryService');
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY;
 const tableName = process.env.KRNL_SESSION_TABLE || 'krnl_sessions';
 const accessEventsTableName = process.env.KRNL_ACCESS_EVENTS_TABLE || 'krnl_access_events';
+const tamperEventsTableName = process.env.KRNL_TAMPER_EVENTS_TABLE || 'krnl_tamper_events';
+const viewerEventsTableName = process.env.KRNL_VIEWER_EVENTS_TABLE || 'krnl_viewer_events';
+const policyDenialsTableName = process.env.KRNL_POLICY_DENIALS_TABLE || 'krnl_policy_denials';
+const revocationsTableName = process.env.KRNL_REVOCATIONS_TABLE || 'krnl_revocations';
+const tokenRedemptionsTableName = process.env.KRNL_TOKEN_REDEMPTIONS_TABLE || 'krnl_token_redemptions';
+const suspiciousAccessTableName = process.env.KRNL_SUSPICIOUS_ACCESS_TABLE || 'krnl_suspicious_access';
+const requestNoncesTableName = process.env.KRNL_REQUEST_NONCES_TABLE || 'krnl_request_nonces';
 
 let supabase = null;
 
@@ -33,6 +41,7 @@ async function saveSession(session) {
     const row = {
       id: safeSession.sessionId,
       status: safeSession.status || 'UNKNOWN',
+      org_id: orgKey(safeSession.orgId),
       session: safeSession
     };
 
@@ -74,6 +83,7 @@ async function saveAccessEventFromSession(session) {
       document_id: session.documentId || null,
       record_id: session.recordId || null,
       user_id: session.userId || null,
+      org_id: orgKey(session.orgId),
       access_type: session.accessType || null,
       access_hash: session.accessHash || null,
       tx_hash: session.txHash || null,
@@ -104,19 +114,26 @@ async function saveAccessEventFromSession(session) {
  * This is a lean representation used by LWC/Apex to fetch accessHash and txHash.
  *
  * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {string|null} [options.orgId] - Only return the event if it belongs to this org
  * @returns {Promise<object|null>} - The access event object, or null if not found
  */
-async function loadAccessEvent(sessionId) {
+async function loadAccessEvent(sessionId, { orgId = null } = {}) {
   if (!supabase || !sessionId) {
     return null;
   }
 
   try {
-    const { data, error } = await supabase
+    let query = supabase
       .from(accessEventsTableName)
       .select('*')
-      .eq('session_id', sessionId)
-      .single();
+      .eq('session_id', sessionId);
+
+    if (orgId) {
+      query = query.eq('org_id', orgKey(orgId));
+    }
+
+    const { data, error } = await query.single();
 
     if (error) {
       if (error.code === 'PGRST116') {
@@ -144,23 +161,320 @@ async function loadAccessEvent(sessionId) {
   }
 }
 
+/**
+ * Count access events recorded for a user and document, e.g. to enforce a
+ * policy's maximum views per user.
+ *
+ * @param {object} params
+ * @param {string} params.documentHash
+ * @param {string} params.userId
+ * @param {string} [params.accessType] - Only count this access type
+ * @param {string} [params.orgId] - Only count events of this org
+ * @returns {Promise<number|null>} - The count, or null if it cannot be determined
+ */
+async function countAccessEvents({ documentHash, userId, accessType, orgId = null }) {
+  if (!supabase || !documentHash || !userId) {
+    return null;
+  }
+
+  try {
+    let query = supabase
+      .from(accessEventsTableName)
+      .select('session_id', { count: 'exact', head: true })
+      .eq('document_hash', documentHash)
+      .eq('user_id', userId);
+
+    if (accessType) {
+      query = query.eq('access_type', accessType);
+    }
+    if (orgId) {
+      query = query.eq('org_id', orgKey(orgId));
+    }
+
+    const { count, error } = await query;
+
+    if (error) {
+      logger.error('Failed to count access events in Supabase', {
+        documentHash,
+        userId,
+        error: error.message
+      });
+      return null;
+    }
+
+    return count;
+  } catch (e) {
+    logger.error('Unexpected error while counting access events in Supabase', {
+      documentHash,
+      userId,
+      error: e.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Record how much of a document has been delivered to a viewer session, on
+ * its krnl_access_events row. Best-effort: errors are logged, never thrown.
+ *
+ * @param {string} sessionId
+ * @param {object} progress
+ * @param {number} progress.pageCount - Pages in the document
+ * @param {number[]} progress.pagesDelivered - Page numbers served so far
+ * @param {number|null} progress.maxPageDelivered
+ * @param {number} progress.pageRequests - Page requests, including repeats
+ * @param {string} progress.firstPageAt
+ * @param {string} progress.lastPageAt
+ */
+async function saveReadProgress(sessionId, progress) {
+  if (!supabase || !sessionId || !progress) {
+    return;
+  }
+
+  try {
+    const { error } = await supabase
+      .from(accessEventsTableName)
+      .update({
+        page_count: progress.pageCount,
+        pages_delivered: progress.pagesDelivered,
+        max_page_delivered: progress.maxPageDelivered,
+        page_requests: progress.pageRequests,
+        first_page_at: progress.firstPageAt,
+        last_page_at: progress.lastPageAt
+      })
+      .eq('session_id', sessionId);
+
+    if (error) {
+      logger.error('Failed to persist read progress to Supabase', {
+        sessionId,
+        error: error.message
+      });
+    }
+  } catch (e) {
+    logger.error('Unexpected error while saving read progress to Supabase', {
+      sessionId,
+      error: e.message
+    });
+  }
+}
+
+/**
+ * Record how many watermarked downloads a session has taken, on its
+ * krnl_access_events row, only if the row still holds `expectedCount`. The
+ * update is conditional so instances sharing the table cannot both take the
+ * same download.
+ *
+ * @param {string} sessionId
+ * @param {number} expectedCount - Downloads the row held when it was read
+ * @param {object} downloads
+ * @param {number} downloads.downloadCount - Downloads served so far
+ * @param {string|null} downloads.lastDownloadAt
+ * @returns {Promise<boolean|null>} Whether the row was updated (false when
+ *   another request changed it first); null when Supabase is not configured
+ *   or the update failed
+ */
+async function updateDownloadCount(sessionId, expectedCount, downloads) {
+  if (!supabase || !sessionId || !downloads) {
+    return null;
+  }
+
+  try {
+    let query = supabase
+      .from(accessEventsTableName)
+      .update({
+        download_count: downloads.downloadCount,
+        last_download_at: downloads.lastDownloadAt
+      })
+      .eq('session_id', sessionId);
+
+    // Rows of sessions that never downloaded may have no count yet
+    query = expectedCount === 0
+      ? query.or('download_count.is.null,download_count.eq.0')
+      : query.eq('download_count', expectedCount);
+
+    const { data, error } = await query.select('session_id');
+
+    if (error) {
+      logger.error('Failed to persist download count to Supabase', {
+        sessionId,
+        error: error.message
+      });
+      return null;
+    }
+
+    return Array.isArray(data) && data.length > 0;
+  } catch (e) {
+    logger.error('Unexpected error while saving download count to Supabase', {
+      sessionId,
+      error: e.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Persist a batch of secure viewer telemetry events (page views, dwell time,
+ * scroll depth, focus changes, screenshot-shield triggers) for a session.
+ * Best-effort: errors are logged, never thrown.
+ *
+ * @param {string} sessionId
+ * @param {object[]} events - Normalized by viewerTelemetryService
+ */
+async function saveViewerEvents(sessionId, events) {
+  if (!supabase || !sessionId || !events || events.length === 0) {
+    return;
+  }
+
+  try {
+    const receivedAt = new Date().toISOString();
+    const rows = events.map(event => ({
+      session_id: sessionId,
+      event_type: event.type,
+      occurred_at: event.at,
+      page: event.page,
+      duration_ms: event.durationMs,
+      scroll_depth: event.scrollDepth,
+      reason: event.reason,
+      received_at: receivedAt
+    }));
+
+    const { error } = await supabase
+      .from(viewerEventsTableName)
+      .insert(rows);
+
+    if (error) {
+      logger.error('Failed to persist viewer events to Supabase', {
+        sessionId,
+        count: rows.length,
+        error: error.message
+      });
+    }
+  } catch (e) {
+    logger.error('Unexpected error while saving viewer events to Supabase', {
+      sessionId,
+      error: e.message
+    });
+  }
+}
+
+/**
+ * Load the telemetry events of a session, oldest first.
+ *
+ * @param {string} sessionId
+ * @param {number} limit
+ * @returns {Promise<object[]>} - Events in the shape given to saveViewerEvents (empty on error)
+ */
+async function loadViewerEvents(sessionId, limit) {
+  if (!supabase || !sessionId) {
+    return [];
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(viewerEventsTableName)
+      .select('*')
+      .eq('session_id', sessionId)
+      .order('occurred_at', { ascending: true })
+      .limit(limit);
+
+    if (error) {
+      logger.error('Failed to load viewer events from Supabase', {
+        sessionId,
+        error: error.message
+      });
+      return [];
+    }
+
+    return (data || []).map(row => ({
+      type: row.event_type,
+      at: row.occurred_at,
+      page: row.page,
+      durationMs: row.duration_ms,
+      scrollDepth: row.scroll_depth,
+      reason: row.reason
+    }));
+  } catch (e) {
+    logger.error('Unexpected error while loading viewer events from Supabase', {
+      sessionId,
+      error: e.message
+    });
+    return [];
+  }
+}
+
+/**
+ * Persist a document tamper event (stored bytes or on-chain record did not
+ * match the hash a viewer token was issued for). Best-effort like the other
+ * writers here: errors are logged, never thrown.
+ *
+ * @param {object} event
+ * @param {string} event.eventId
+ * @param {string} event.reason - Integrity failure code (e.g. HASH_MISMATCH)
+ * @param {string} [event.sessionId]
+ * @param {string} [event.documentHash] - Hash the viewer token was issued for
+ * @param {string} [event.storedHash] - Hash of the bytes found in storage
+ * @param {string} [event.filePath]
+ * @param {object} [event.details]
+ */
+async function saveTamperEvent(event) {
+  if (!supabase || !event || !event.eventId) {
+    return;
+  }
+
+  try {
+    const row = {
+      id: event.eventId,
+      reason: event.reason,
+      session_id: event.sessionId || null,
+      document_hash: event.documentHash || null,
+      stored_hash: event.storedHash || null,
+      file_path: event.filePath || null,
+      details: event.details || null,
+      detected_at: new Date().toISOString()
+    };
+
+    const { error } = await supabase
+      .from(tamperEventsTableName)
+      .insert(row);
+
+    if (error) {
+      logger.error('Failed to persist tamper event to Supabase', {
+        eventId: event.eventId,
+        error: error.message
+      });
+    }
+  } catch (e) {
+    logger.error('Unexpected error while saving tamper event to Supabase', {
+      eventId: event.eventId,
+      error: e.message
+    });
+  }
+}
+
 /**
  * Load a persisted KRNL session from Supabase Postgres.
  *
  * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {string|null} [options.orgId] - Only return the session if it belongs to this org
  * @returns {Promise<object|null>} - The session object, or null if not found / error
  */
-async function loadSession(sessionId) {
+async function loadSession(sessionId, { orgId = null } = {}) {
   if (!supabase || !sessionId) {
     return null;
   }
 
   try {
-    const { data, error } = await supabase
+    let query = supabase
       .from(tableName)
       .select('session')
-      .eq('id', sessionId)
-      .single();
+      .eq('id', sessionId);
+
+    if (orgId) {
+      query = query.eq('org_id', orgKey(orgId));
+    }
+
+    const { data, error } = await query.single();
 
     if (error) {
       // PGRST116 is Supabase's "row not found" code; treat it as a miss, not an error.
@@ -187,9 +501,345 @@ async function loadSession(sessionId) {
   }
 }
 
+/**
+ * Persist an access request refused by a document access policy (audit
+ * trail). Best-effort: errors are logged, never thrown.
+ *
+ * @param {object} event
+ * @param {string} event.denialId
+ * @param {string} event.policy - Name of the policy that refused the request
+ * @param {object[]} event.reasons - `{ code, message }` for each failed rule
+ */
+async function savePolicyDenial(event) {
+  if (!supabase || !event || !event.denialId) {
+    return;
+  }
+
+  try {
+    const row = {
+      id: event.denialId,
+      policy: event.policy,
+      reasons: event.reasons,
+      document_hash: event.documentHash || null,
+      record_id: event.recordId || null,
+      user_id: event.userId || null,
+      org_id: event.orgId || null,
+      access_type: event.accessType || null,
+      client_ip: event.clientIP || null,
+      denied_at: new Date().toISOString()
+    };
+
+    const { error } = await supabase
+      .from(policyDenialsTableName)
+      .insert(row);
+
+    if (error) {
+      logger.error('Failed to persist policy denial to Supabase', {
+        denialId: event.denialId,
+        error: error.message
+      });
+    }
+  } catch (e) {
+    logger.error('Unexpected error while saving policy denial to Supabase', {
+      denialId: event.denialId,
+      error: e.message
+    });
+  }
+}
+
+/**
+ * Persist a viewer access revocation (see revocationService) so every backend
+ * instance, and this one after a restart, refuses the revoked tokens.
+ *
+ * @param {Object} revocation - `{ id, scope, value, orgId, reason, revokedBy, revokedAt }`
+ */
+async function saveRevocation(revocation) {
+  if (!supabase || !revocation || !revocation.id) {
+    return;
+  }
+
+  try {
+    const row = {
+      id: revocation.id,
+      scope: revocation.scope,
+      value: revocation.value,
+      org_id: revocation.orgId || null,
+      reason: revocation.reason || null,
+      revoked_by: revocation.revokedBy || null,
+      revoked_at: revocation.revokedAt
+    };
+
+    const { error } = await supabase
+      .from(revocationsTableName)
+      .insert(row);
+
+    if (error) {
+      logger.error('Failed to persist revocation to Supabase', {
+        revocationId: revocation.id,
+        error: error.message
+      });
+    }
+  } catch (e) {
+    logger.error('Unexpected error while saving revocation to Supabase', {
+      revocationId: revocation.id,
+      error: e.message
+    });
+  }
+}
+
+/**
+ * Load revocations made at or after a point in time, oldest first.
+ *
+ * @param {Object} [options]
+ * @param {string|null} [options.since] - ISO timestamp; all revocations when omitted
+ * @returns {Promise<Object[]>} Revocations in the shape saveRevocation takes
+ */
+async function loadRevocations({ since = null } = {}) {
+  if (!supabase) {
+    return [];
+  }
+
+  try {
+    let query = supabase
+      .from(revocationsTableName)
+      .select('*')
+      .order('revoked_at', { ascending: true });
+
+    if (since) {
+      query = query.gte('revoked_at', since);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      logger.error('Failed to load revocations from Supabase', { error: error.message });
+      return [];
+    }
+
+    return (data || []).map(row => ({
+      id: row.id,
+      scope: row.scope,
+      value: row.value,
+      orgId: row.org_id,
+      reason: row.reason,
+      revokedBy: row.revoked_by,
+      revokedAt: row.revoked_at
+    }));
+  } catch (e) {
+    logger.error('Unexpected error while loading revocations from Supabase', { error: e.message });
+    return [];
+  }
+}
+
+/**
+ * Record the redemption of a viewer token for a client-bound session (see
+ * tokenBindingService). The jti is the primary key, so a token can only be
+ * redeemed once across every backend instance.
+ *
+ * @param {Object} redemption - `{ jti, sessionId, orgId, ipRange, deviceHash, keyThumbprint, clientIP, redeemedAt }`
+ * @returns {Promise<boolean|null>} true when recorded, false when the token
+ *   was already redeemed, null when Supabase is unavailable
+ */
+async function saveTokenRedemption(redemption) {
+  if (!supabase || !redemption || !redemption.jti) {
+    return null;
+  }
+
+  try {
+    const row = {
+      jti: redemption.jti,
+      session_id: redemption.sessionId,
+      org_id: orgKey(redemption.orgId),
+      ip_range: redemption.ipRange || null,
+      device_hash: redemption.deviceHash || null,
+      key_thumbprint: redemption.keyThumbprint || null,
+      client_ip: redemption.clientIP || null,
+      redeemed_at: redemption.redeemedAt
+    };
+
+    const { error } = await supabase
+      .from(tokenRedemptionsTableName)
+      .insert(row);
+
+    if (error) {
+      // unique_violation: the token has been redeemed before
+      if (error.code === '23505') {
+        return false;
+      }
+      logger.error('Failed to persist token redemption to Supabase', {
+        sessionId: redemption.sessionId,
+        error: error.message
+      });
+      return null;
+    }
+    return true;
+  } catch (e) {
+    logger.error('Unexpected error while saving token redemption to Supabase', {
+      sessionId: redemption.sessionId,
+      error: e.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Load the first redemption of any viewer token of a session: the client
+ * the session is bound to.
+ *
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>} In the shape saveTokenRedemption takes
+ */
+async function loadTokenRedemption(sessionId) {
+  if (!supabase || !sessionId) {
+    return null;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from(tokenRedemptionsTableName)
+      .select('*')
+      .eq('session_id', sessionId)
+      .order('redeemed_at', { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      logger.error('Failed to load token redemption from Supabase', { sessionId, error: error.message });
+      return null;
+    }
+    if (!data) {
+      return null;
+    }
+
+    return {
+      jti: data.jti,
+      sessionId: data.session_id,
+      orgId: data.org_id,
+      ipRange: data.ip_range,
+      deviceHash: data.device_hash,
+      keyThumbprint: data.key_thumbprint,
+      clientIP: data.client_ip,
+      redeemedAt: data.redeemed_at
+    };
+  } catch (e) {
+    logger.error('Unexpected error while loading token redemption from Supabase', { sessionId, error: e.message });
+    return null;
+  }
+}
+
+/**
+ * Persist a suspicious viewer access: a bound token or session used by a
+ * client other than the one it is bound to, or a token replayed after it was
+ * redeemed.
+ *
+ * @param {Object} event
+ * @param {string} event.eventId
+ * @param {string} event.reason - e.g. TOKEN_REPLAY, IP_MISMATCH, DEVICE_MISMATCH, PROOF_INVALID
+ * @param {string} [event.sessionId]
+ * @param {string} [event.jti]
+ * @param {string} [event.orgId]
+ * @param {string} [event.clientIP]
+ * @param {string} [event.userAgent]
+ * @param {string} [event.origin]
+ * @param {Object} [event.details]
+ */
+async function saveSuspiciousAccess(event) {
+  if (!supabase || !event || !event.eventId) {
+    return;
+  }
+
+  try {
+    const row = {
+      id: event.eventId,
+      reason: event.reason,
+      session_id: event.sessionId || null,
+      jti: event.jti || null,
+      org_id: orgKey(event.orgId),
+      client_ip: event.clientIP || null,
+      user_agent: event.userAgent || null,
+      origin: event.origin || null,
+      details: event.details || null,
+      detected_at: new Date().toISOString()
+    };
+
+    const { error } = await supabase
+      .from(suspiciousAccessTableName)
+      .insert(row);
+
+    if (error) {
+      logger.error('Failed to persist suspicious access to Supabase', {
+        eventId: event.eventId,
+        error: error.message
+      });
+    }
+  } catch (e) {
+    logger.error('Unexpected error while saving suspicious access to Supabase', {
+      eventId: event.eventId,
+      error: e.message
+    });
+  }
+}
+
+/**
+ * Record the nonce of a signed request (see apiKeyService). The nonce id is
+ * the primary key, so a signed request is only accepted once across every
+ * backend instance.
+ *
+ * @param {Object} nonce - `{ nonceId, keyId, expiresAt }`
+ * @returns {Promise<boolean|null>} true when recorded, false when the nonce
+ *   was used before, null when Supabase is unavailable
+ */
+async function saveRequestNonce(nonce) {
+  if (!supabase || !nonce || !nonce.nonceId) {
+    return null;
+  }
+
+  try {
+    const { error } = await supabase
+      .from(requestNoncesTableName)
+      .insert({
+        nonce_id: nonce.nonceId,
+        key_id: nonce.keyId,
+        expires_at: nonce.expiresAt
+      });
+
+    if (error) {
+      // unique_violation: the nonce has been used before
+      if (error.code === '23505') {
+        return false;
+      }
+      logger.error('Failed to persist request nonce to Supabase', {
+        keyId: nonce.keyId,
+        error: error.message
+      });
+      return null;
+    }
+    return true;
+  } catch (e) {
+    logger.error('Unexpected error while saving request nonce to Supabase', {
+      keyId: nonce.keyId,
+      error: e.message
+    });
+    return null;
+  }
+}
+
 module.exports = {
   saveSession,
   loadSession,
   saveAccessEventFromSession,
-  loadAccessEvent
+  loadAccessEvent,
+  countAccessEvents,
+  saveReadProgress,
+  updateDownloadCount,
+  saveViewerEvents,
+  loadViewerEvents,
+  saveTamperEvent,
+  savePolicyDenial,
+  saveRevocation,
+  loadRevocations,
+  saveTokenRedemption,
+  loadTokenRedemption,
+  saveSuspiciousAccess,
+  saveRequestNonce
 };
@@ -0,0 +1,478 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { logger } = require('../utils/logger');
+
+// Every contract write of the backend goes through here: one signer per RPC
+// endpoint and key, whose nonces are handed out locally so concurrent sends
+// never collide.
+
+const CHAIN_FIELDS = [
+  'confirmations',
+  'stuckAfterSeconds',
+  'gasBumpPercent',
+  'maxGasBumps',
+  'maxFeePerGasGwei',
+  'receiptPollMs'
+];
+// Nodes refuse a replacement transaction unless its fees rise by at least 10-12.5%
+const MIN_GAS_BUMP_PERCENT = 13;
+// ethers error codes of sends the node refused
+const REJECTED_SEND_CODES = ['INSUFFICIENT_FUNDS', 'NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED', 'UNPREDICTABLE_GAS_LIMIT'];
+
+// Signers by `${rpcUrl}|${address}`
+const signers = new Map();
+
+let cachedConfig = null;
+
+function configError(message) {
+  const error = new Error(`Invalid signer chain configuration: ${message}`);
+  error.statusCode = 500;
+  return error;
+}
+
+function envNumber(name, fallback) {
+  return process.env[name] ? Number(process.env[name]) : fallback;
+}
+
+/**
+ * Validate the settings of one chain (or the defaults) and fill in the rest
+ * from `base`.
+ */
+function normalizeChain(source, chain, base) {
+  if (!chain || typeof chain !== 'object') {
+    throw configError(`${source} must be an object`);
+  }
+
+  const unknown = Object.keys(chain).filter(field => !CHAIN_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw configError(`${source} has unknown field(s): ${unknown.join(', ')}`);
+  }
+
+  const settings = { ...base, ...chain };
+  for (const field of ['confirmations', 'stuckAfterSeconds', 'receiptPollMs']) {
+    if (!Number.isInteger(settings[field]) || settings[field] <= 0) {
+      throw configError(`${source} ${field} must be a positive integer`);
+    }
+  }
+  if (!Number.isInteger(settings.maxGasBumps) || settings.maxGasBumps < 0) {
+    throw configError(`${source} maxGasBumps must be a non-negative integer`);
+  }
+  if (!Number.isInteger(settings.gasBumpPercent) || settings.gasBumpPercent < MIN_GAS_BUMP_PERCENT) {
+    throw configError(`${source} gasBumpPercent must be an integer of at least ${MIN_GAS_BUMP_PERCENT}`);
+  }
+  if (settings.maxFeePerGasGwei !== null && !(typeof settings.maxFeePerGasGwei === 'number' && settings.maxFeePerGasGwei > 0)) {
+    throw configError(`${source} maxFeePerGasGwei must be a positive number`);
+  }
+  return settings;
+}
+
+/**
+ * Load per-chain transaction settings from SIGNER_CHAINS_FILE (a JSON file)
+ * or SIGNER_CHAINS (inline JSON), keyed by chain id:
+ *
+ * {
+ *   "chains": {
+ *     "<chainId>": { confirmations, stuckAfterSeconds, gasBumpPercent, maxGasBumps,
+ *                    maxFeePerGasGwei, receiptPollMs }
+ *   }
+ * }
+ *
+ * Chains that are not listed, and fields a chain does not set, use the TX_*
+ * environment defaults.
+ */
+function loadConfig() {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  let raw = null;
+  if (process.env.SIGNER_CHAINS_FILE) {
+    const file = path.resolve(process.env.SIGNER_CHAINS_FILE);
+    try {
+      raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw configError(`cannot read ${file}: ${error.message}`);
+    }
+  } else if (process.env.SIGNER_CHAINS) {
+    try {
+      raw = JSON.parse(process.env.SIGNER_CHAINS);
+    } catch (error) {
+      throw configError(`SIGNER_CHAINS is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const defaults = normalizeChain('TX_* defaults', {
+    confirmations: envNumber('TX_CONFIRMATIONS', 1),
+    stuckAfterSeconds: envNumber('TX_STUCK_SECONDS', 180),
+    gasBumpPercent: envNumber('TX_GAS_BUMP_PERCENT', 25),
+    maxGasBumps: envNumber('TX_MAX_GAS_BUMPS', 5),
+    maxFeePerGasGwei: envNumber('TX_MAX_FEE_GWEI', null),
+    receiptPollMs: envNumber('TX_RECEIPT_POLL_MS', 4000)
+  }, {});
+
+  const chains = {};
+  for (const [chainId, chain] of Object.entries((raw && raw.chains) || {})) {
+    if (!/^\d+$/.test(chainId)) {
+      throw configError(`chain id "${chainId}" must be a number`);
+    }
+    chains[chainId] = normalizeChain(`chain ${chainId}`, chain, defaults);
+  }
+
+  cachedConfig = { defaults, chains };
+  return cachedConfig;
+}
+
+/**
+ * Transaction settings for the chain a signer sends to.
+ */
+async function chainSettings(signer) {
+  if (!signer.chainIdLookup) {
+    signer.chainIdLookup = signer.provider.getNetwork().then(network => network.chainId).catch(error => {
+      signer.chainIdLookup = null;
+      throw error;
+    });
+  }
+  const chainId = await signer.chainIdLookup;
+  const config = loadConfig();
+  return { chainId, ...(config.chains[chainId] || config.defaults) };
+}
+
+/**
+ * The shared signer for an RPC endpoint and private key. Everything sent
+ * through the same signer draws from one nonce sequence.
+ *
+ * @param {Object} params
+ * @param {string} params.rpcUrl
+ * @param {string} params.privateKey
+ * @returns {Object} Signer handle for sendTransaction / checkTransaction / sendAndConfirm
+ */
+function getSigner({ rpcUrl, privateKey }) {
+  if (!rpcUrl || !privateKey) {
+    throw new Error('A signer needs an RPC URL and a private key');
+  }
+
+  const address = ethers.utils.computeAddress(privateKey);
+  const id = `${rpcUrl}|${address.toLowerCase()}`;
+  if (!signers.has(id)) {
+    const provider = new ethers.providers.StaticJsonRpcProvider(rpcUrl);
+    signers.set(id, {
+      id,
+      address,
+      provider,
+      wallet: new ethers.Wallet(privateKey, provider),
+      chainIdLookup: null,
+      // Sends waiting for a nonce, one at a time
+      queue: Promise.resolve(),
+      // Our transactions not yet seen mined, by nonce: the local nonce state
+      inFlight: new Map(),
+      highestNonce: -1
+    });
+  }
+  return signers.get(id);
+}
+
+/**
+ * Run `send` with the signer's next nonce: the first one from the chain's
+ * pending count up that none of our unmined transactions holds. Our own
+ * transactions a lagging node does not list yet are skipped, nonces used by
+ * anyone else from the account are respected, and a nonce whose transaction
+ * the node dropped is reused, so one lost transaction does not block every
+ * later one. Sends are serialized so concurrent callers never share a nonce.
+ */
+function withNextNonce(signer, send) {
+  const run = signer.queue.then(async () => {
+    const chainNonce = await signer.wallet.getTransactionCount('pending');
+    for (const nonce of signer.inFlight.keys()) {
+      if (nonce < chainNonce) {
+        signer.inFlight.delete(nonce);
+      }
+    }
+
+    let nonce = chainNonce;
+    while (signer.inFlight.has(nonce)) {
+      nonce += 1;
+    }
+    if (nonce < signer.highestNonce) {
+      logger.warn('Reusing nonce of a dropped transaction', { signer: signer.address, nonce });
+    }
+
+    const result = await send(nonce);
+    signer.highestNonce = Math.max(signer.highestNonce, nonce);
+    return result;
+  });
+
+  signer.queue = run.catch(() => undefined);
+  return run;
+}
+
+function feeCap(settings) {
+  return settings.maxFeePerGasGwei ? ethers.utils.parseUnits(String(settings.maxFeePerGasGwei), 'gwei') : null;
+}
+
+// Fees never go above the chain's maxFeePerGasGwei
+function capFees(fees, settings) {
+  const cap = feeCap(settings);
+  if (!cap) {
+    return fees;
+  }
+  if (fees.gasPrice) {
+    return { gasPrice: fees.gasPrice.gt(cap) ? cap : fees.gasPrice };
+  }
+  const maxFeePerGas = fees.maxFeePerGas.gt(cap) ? cap : fees.maxFeePerGas;
+  return {
+    maxFeePerGas,
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas.gt(maxFeePerGas) ? maxFeePerGas : fees.maxPriorityFeePerGas
+  };
+}
+
+async function currentFees(signer, settings) {
+  const feeData = await signer.provider.getFeeData();
+  if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
+    return capFees({ maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas }, settings);
+  }
+  return capFees({ gasPrice: feeData.gasPrice }, settings);
+}
+
+/**
+ * Fees for replacing a stuck transaction: each raised by gasBumpPercent, or
+ * to the current network fee if higher. Null when the cap leaves no room
+ * for a replacement the node would accept.
+ */
+function bumpedFees(previous, current, settings) {
+  const raised = {};
+  for (const [field, value] of Object.entries(previous)) {
+    const bumped = ethers.BigNumber.from(value).mul(100 + settings.gasBumpPercent).div(100);
+    raised[field] = current[field] && current[field].gt(bumped) ? current[field] : bumped;
+  }
+
+  const fees = capFees(raised, settings);
+  const mainField = fees.gasPrice ? 'gasPrice' : 'maxFeePerGas';
+  const minimum = ethers.BigNumber.from(previous[mainField]).mul(100 + MIN_GAS_BUMP_PERCENT).div(100);
+  return fees[mainField].gte(minimum) ? fees : null;
+}
+
+/**
+ * Sign, record and send one transaction. `beforeBroadcast` gets the record
+ * before the transaction leaves, so callers can persist its hash first.
+ */
+async function broadcast(signer, base, fees, bumps, beforeBroadcast) {
+  const tx = await signer.wallet.populateTransaction({
+    to: base.to,
+    data: base.data,
+    value: base.value,
+    nonce: base.nonce,
+    gasLimit: base.gasLimit || undefined,
+    ...fees
+  });
+  const signed = await signer.wallet.signTransaction(tx);
+  const hash = ethers.utils.keccak256(signed);
+
+  const record = {
+    ...base,
+    hash,
+    // Every transaction sent for this nonce: any of them may be the one mined
+    hashes: [...(base.hashes || []), hash],
+    gasLimit: ethers.BigNumber.from(tx.gasLimit).toString(),
+    fees: Object.fromEntries(Object.entries(fees).map(([field, value]) => [field, value.toString()])),
+    bumps,
+    sentAt: new Date().toISOString()
+  };
+
+  if (beforeBroadcast) {
+    await beforeBroadcast(record);
+  }
+  await signer.provider.sendTransaction(signed);
+  signer.inFlight.set(record.nonce, record);
+  return record;
+}
+
+/**
+ * Send a transaction with the signer's next nonce.
+ *
+ * @param {Object} signer - From getSigner
+ * @param {Object} request - { to, data, value?, gasLimit? }
+ * @param {Object} [options]
+ * @param {Function} [options.beforeBroadcast] - Called (and awaited) with the record before sending
+ * @returns {Promise<Object>} Transaction record: { chainId, from, to, data, value, nonce,
+ *   hash, hashes, gasLimit, fees, bumps, sentAt }. Plain JSON, so callers can persist it
+ *   and hand it to checkTransaction after a restart.
+ */
+async function sendTransaction(signer, request, { beforeBroadcast } = {}) {
+  const settings = await chainSettings(signer);
+  const fees = await currentFees(signer, settings);
+
+  const record = await withNextNonce(signer, nonce => broadcast(signer, {
+    chainId: settings.chainId,
+    from: signer.address,
+    to: request.to,
+    data: request.data || '0x',
+    value: ethers.BigNumber.from(request.value || 0).toString(),
+    nonce,
+    gasLimit: request.gasLimit ? ethers.BigNumber.from(request.gasLimit).toString() : null,
+    hashes: []
+  }, fees, 0, beforeBroadcast));
+
+  logger.info('Transaction sent', { signer: signer.address, chainId: settings.chainId, txHash: record.hash, nonce: record.nonce });
+  return record;
+}
+
+async function findReceipt(signer, hashes) {
+  for (const hash of [...hashes].reverse()) {
+    const receipt = await signer.provider.getTransactionReceipt(hash);
+    if (receipt) {
+      return receipt;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a sent transaction once: look for a receipt of any of its hashes,
+ * and replace it with higher fees (same nonce) when it has been pending for
+ * the chain's stuckAfterSeconds.
+ *
+ * @param {Object} signer - From getSigner
+ * @param {Object} record - From sendTransaction or a previous check
+ * @param {Object} [options]
+ * @param {Function} [options.beforeBroadcast] - Called with the replacement record before it is sent
+ * @returns {Promise<{status: string, record: Object, receipt?: Object}>} status is
+ *   'pending' (record may be a replacement), 'confirmed', 'reverted', 'dropped' (the
+ *   nonce was used by another transaction: send again) or 'stalled' (no fee bump left)
+ */
+async function checkTransaction(signer, record, { beforeBroadcast } = {}) {
+  const settings = await chainSettings(signer);
+  // Records loaded after a restart are tracked again from their first check
+  signer.inFlight.set(record.nonce, record);
+
+  let receipt = await findReceipt(signer, record.hashes);
+
+  if (!receipt && Date.now() - Date.parse(record.sentAt) >= settings.stuckAfterSeconds * 1000) {
+    // Read the mined count before looking for receipts again: a nonce used
+    // by then without one of our receipts was taken by another transaction
+    const minedNonce = await signer.wallet.getTransactionCount('latest');
+    receipt = await findReceipt(signer, record.hashes);
+
+    if (!receipt && minedNonce > record.nonce) {
+      signer.inFlight.delete(record.nonce);
+      logger.warn('Transaction nonce used by another transaction', { signer: signer.address, nonce: record.nonce, txHashes: record.hashes });
+      return { status: 'dropped', record };
+    }
+
+    if (!receipt) {
+      const fees = record.bumps < settings.maxGasBumps
+        ? bumpedFees(record.fees, await currentFees(signer, settings), settings)
+        : null;
+      if (!fees) {
+        return { status: 'stalled', record };
+      }
+
+      const replacement = await broadcast(signer, record, fees, record.bumps + 1, beforeBroadcast);
+      logger.warn('Transaction stuck, replaced with higher fees', {
+        signer: signer.address,
+        nonce: replacement.nonce,
+        txHash: replacement.hash,
+        bumps: replacement.bumps
+      });
+      return { status: 'pending', record: replacement };
+    }
+  }
+
+  if (!receipt) {
+    return { status: 'pending', record };
+  }
+
+  if (receipt.status === 0) {
+    signer.inFlight.delete(record.nonce);
+    return { status: 'reverted', record, receipt };
+  }
+
+  if (settings.confirmations > 1) {
+    const latestBlock = await signer.provider.getBlockNumber();
+    if (latestBlock - receipt.blockNumber + 1 < settings.confirmations) {
+      return { status: 'pending', record, receipt };
+    }
+  }
+
+  signer.inFlight.delete(record.nonce);
+  return { status: 'confirmed', record, receipt };
+}
+
+/**
+ * Send a transaction and wait until it is confirmed, replacing it while it
+ * is stuck and sending it again if its nonce is taken.
+ *
+ * @returns {Promise<{record: Object, receipt: Object}>}
+ * @throws {Error} When the transaction reverts or is still not mined after the last fee bump
+ */
+async function sendAndConfirm(signer, request) {
+  const settings = await chainSettings(signer);
+  let record = await sendTransaction(signer, request);
+
+  for (;;) {
+    await new Promise(resolve => setTimeout(resolve, settings.receiptPollMs));
+    const result = await checkTransaction(signer, record);
+    record = result.record;
+
+    if (result.status === 'confirmed') {
+      return { record, receipt: result.receipt };
+    }
+    if (result.status === 'reverted') {
+      throw new Error(`Transaction ${result.receipt.transactionHash} reverted`);
+    }
+    if (result.status === 'stalled') {
+      throw new Error(`Transaction ${record.hash} still not mined after ${record.bumps} fee bumps`);
+    }
+    if (result.status === 'dropped') {
+      record = await sendTransaction(signer, request);
+    }
+  }
+}
+
+// The JSON-RPC error the node answered with, if it answered at all
+function rpcError(error) {
+  if (error.error && error.error.message) {
+    return error.error;
+  }
+  try {
+    const body = JSON.parse(error.body);
+    if (body.error && body.error.message) {
+      return body.error;
+    }
+  } catch (parseError) {
+    // Not a JSON-RPC error response
+  }
+  return null;
+}
+
+/**
+ * What the node said about a failed send or call. ethers errors embed the
+ * whole request, signed transaction included, so their message is not logged
+ * or stored as is.
+ */
+function transactionErrorMessage(error) {
+  const answer = rpcError(error);
+  return answer ? answer.message : error.reason || error.message;
+}
+
+/**
+ * Whether a failed send proves the node refused the transaction. After a
+ * timeout or a lost connection, or when the node already knows it, the
+ * transaction may be on its way to being mined.
+ */
+function isTransactionRejected(error) {
+  if (REJECTED_SEND_CODES.includes(error.code)) {
+    return true;
+  }
+  const answer = rpcError(error);
+  return !!answer && !/already known|known transaction|already imported/i.test(answer.message);
+}
+
+module.exports = {
+  getSigner,
+  sendTransaction,
+  checkTransaction,
+  sendAndConfirm,
+  transactionErrorMessage,
+  isTransactionRejected
+};
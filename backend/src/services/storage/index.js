@@ -0,0 +1,175 @@
+const path = require('path');
+const { logger } = require('../../utils/logger');
+const { createLocalStorageDriver } = require('./localStorageDriver');
+const { createS3StorageDriver } = require('./s3StorageDriver');
+
+/**
+ * Storage backends
+ *
+ * Every driver exposes the same interface, keyed by a bucket-relative path
+ * such as `<recordId>/<fileName>`:
+ *
+ *   put({ path, body, contentType })  -> { bucket, path }   (body: Buffer | Readable)
+ *   stream(path)                      -> { stream, contentType, contentLength }
+ *   head(path)                        -> { contentType, contentLength, lastModified } | null
+ *   signUrl({ path, expiresIn })      -> { url }
+ *   move(fromPath, toPath)            -> void (replaces toPath if it exists)
+ *   delete(path)                      -> void (missing paths are ignored)
+ *
+ * get(path) is provided on top of stream() for all drivers.
+ *
+ * The driver is chosen with STORAGE_DRIVER (local | s3 | supabase). When it is
+ * unset, Supabase is used if its S3 credentials are configured and the local
+ * filesystem otherwise.
+ *
+ * Orgs in the org registry get their own view of storage (getStorage(tenant)):
+ * every path is placed under the org's prefix, in the org's bucket when it
+ * has one, so one org cannot address another's objects.
+ */
+
+const DRIVERS = {
+  local: () => createLocalStorageDriver({
+    rootDir: process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'storage'),
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'test_secret_for_development',
+    publicBaseUrl: process.env.PUBLIC_BASE_URL || ''
+  }),
+
+  // The local driver has no buckets; orgs are kept apart by prefix alone
+  s3: ({ bucket } = {}) => createS3StorageDriver({
+    name: 's3',
+    bucket: bucket || process.env.S3_BUCKET,
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || 'us-east-1',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+  }),
+
+  // Supabase Storage through its S3-compatible API
+  supabase: ({ bucket } = {}) => {
+    if (!process.env.SUPABASE_S3_ENDPOINT || !process.env.SUPABASE_S3_ACCESS_KEY_ID || !process.env.SUPABASE_S3_SECRET_ACCESS_KEY) {
+      throw new Error('Supabase storage requires SUPABASE_S3_ENDPOINT, SUPABASE_S3_ACCESS_KEY_ID and SUPABASE_S3_SECRET_ACCESS_KEY');
+    }
+
+    return createS3StorageDriver({
+      name: 'supabase',
+      bucket: bucket || process.env.SUPABASE_BUCKET || 'documents',
+      endpoint: process.env.SUPABASE_S3_ENDPOINT,
+      region: process.env.SUPABASE_S3_REGION || 'us-east-1',
+      accessKeyId: process.env.SUPABASE_S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.SUPABASE_S3_SECRET_ACCESS_KEY,
+      forcePathStyle: true // Required for Supabase S3 compatibility
+    });
+  }
+};
+
+let activeDriver = null;
+const tenantDrivers = new Map();
+
+function resolveDriverName() {
+  const configured = (process.env.STORAGE_DRIVER || '').trim().toLowerCase();
+  if (configured) {
+    return configured;
+  }
+
+  if (process.env.SUPABASE_S3_ENDPOINT && process.env.SUPABASE_S3_ACCESS_KEY_ID && process.env.SUPABASE_S3_SECRET_ACCESS_KEY) {
+    return 'supabase';
+  }
+
+  logger.warn('STORAGE_DRIVER not set and Supabase S3 is not configured, storing files on the local filesystem');
+  return 'local';
+}
+
+// get(path) on top of a driver's stream()
+function withGet(driver) {
+  return {
+    ...driver,
+    async get(storagePath) {
+      const { stream, contentType, contentLength } = await driver.stream(storagePath);
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return {
+        buffer: Buffer.concat(chunks),
+        contentType,
+        contentLength
+      };
+    }
+  };
+}
+
+/**
+ * Instantiate a storage driver by name.
+ *
+ * @param {string} name - One of local, s3, supabase
+ * @param {Object} [options]
+ * @param {string} [options.bucket] - Bucket to use instead of the configured one (S3 drivers)
+ */
+function createStorageDriver(name, options = {}) {
+  const factory = DRIVERS[name];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${name}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+  }
+
+  return withGet(factory(options));
+}
+
+/**
+ * Confine a driver to the paths under `prefix`. Paths with `.` or `..`
+ * segments are refused so they cannot be normalized out of the prefix.
+ */
+function scopeStorageDriver(driver, prefix) {
+  function scoped(storagePath) {
+    if (!storagePath || typeof storagePath !== 'string' ||
+        storagePath.replace(/\\/g, '/').split('/').some(segment => segment === '..' || segment === '.')) {
+      const error = new Error(`Invalid storage path: ${storagePath}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return `${prefix}${storagePath.replace(/^\/+/, '')}`;
+  }
+
+  return withGet({
+    ...driver,
+    prefix,
+    put: ({ path: storagePath, ...rest }) => driver.put({ path: scoped(storagePath), ...rest }),
+    stream: storagePath => driver.stream(scoped(storagePath)),
+    head: storagePath => driver.head(scoped(storagePath)),
+    signUrl: ({ path: storagePath, ...rest }) => driver.signUrl({ path: scoped(storagePath), ...rest }),
+    move: (fromPath, toPath) => driver.move(scoped(fromPath), scoped(toPath)),
+    delete: storagePath => driver.delete(scoped(storagePath))
+  });
+}
+
+/**
+ * Return the configured storage driver, creating it on first use.
+ *
+ * @param {Object} [tenant] - From orgRegistryService.resolveTenant; registered
+ *   orgs get a driver confined to their bucket and prefix
+ */
+function getStorage(tenant) {
+  if (!activeDriver) {
+    activeDriver = createStorageDriver(resolveDriverName());
+  }
+
+  if (!tenant || !tenant.registered) {
+    return activeDriver;
+  }
+
+  let driver = tenantDrivers.get(tenant.orgId);
+  if (!driver) {
+    const { bucket, prefix } = tenant.storage;
+    const base = bucket && activeDriver.name !== 'local'
+      ? createStorageDriver(activeDriver.name, { bucket })
+      : activeDriver;
+    driver = scopeStorageDriver(base, prefix);
+    tenantDrivers.set(tenant.orgId, driver);
+  }
+  return driver;
+}
+
+module.exports = {
+  getStorage,
+  createStorageDriver
+};
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pipeline } = require('stream/promises');
+const { logger } = require('../../utils/logger');
+
+const METADATA_DIR = '.meta';
+
+/**
+ * Create a storage driver that keeps documents on the local filesystem.
+ * Intended for development and CI where no object store is available.
+ *
+ * Objects live at `<rootDir>/<path>`; their content type is kept in a JSON
+ * sidecar under `<rootDir>/.meta/<path>.json`. Signed URLs point at the
+ * backend's own /api/storage/local route and carry a short-lived JWT.
+ *
+ * @param {Object} config
+ * @param {string} config.rootDir - Directory documents are written to
+ * @param {string} config.signingSecret - Secret used to sign download URLs
+ * @param {string} [config.publicBaseUrl] - Prefix for signed URLs (relative when empty)
+ */
+function createLocalStorageDriver({ rootDir, signingSecret, publicBaseUrl = '' }) {
+  const root = path.resolve(rootDir);
+
+  logger.info('Local storage driver initialized', { rootDir: root });
+
+  /**
+   * Resolve a storage path inside the root directory, rejecting anything
+   * that would escape it.
+   */
+  function resolvePath(storagePath) {
+    if (!storagePath || typeof storagePath !== 'string') {
+      throw new Error('File path is required');
+    }
+
+    const normalized = path.posix.normalize(storagePath.replace(/\\/g, '/')).replace(/^\/+/, '');
+    if (!normalized || normalized === '.' || normalized.startsWith('..') || normalized.split('/')[0] === METADATA_DIR) {
+      const error = new Error(`Invalid storage path: ${storagePath}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return {
+      filePath: path.join(root, normalized),
+      metaPath: path.join(root, METADATA_DIR, `${normalized}.json`)
+    };
+  }
+
+  async function readMetadata(metaPath) {
+    try {
+      return JSON.parse(await fsp.readFile(metaPath, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  async function put({ path: storagePath, body, contentType }) {
+    const { filePath, metaPath } = resolvePath(storagePath);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.mkdir(path.dirname(metaPath), { recursive: true });
+
+    // Write to a temp file first so readers never see a partial object
+    const tmpPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    try {
+      if (Buffer.isBuffer(body)) {
+        await fsp.writeFile(tmpPath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(tmpPath));
+      }
+      await fsp.rename(tmpPath, filePath);
+    } catch (error) {
+      await fsp.rm(tmpPath, { force: true });
+      throw error;
+    }
+
+    await fsp.writeFile(metaPath, JSON.stringify({
+      contentType: contentType || 'application/octet-stream'
+    }));
+
+    return { bucket: 'local', path: storagePath };
+  }
+
+  async function head(storagePath) {
+    const { filePath, metaPath } = resolvePath(storagePath);
+
+    let stats;
+    try {
+      stats = await fsp.stat(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const metadata = await readMetadata(metaPath);
+    return {
+      contentType: metadata.contentType || 'application/octet-stream',
+      contentLength: stats.size,
+      lastModified: stats.mtime.toISOString()
+    };
+  }
+
+  async function stream(storagePath) {
+    const info = await head(storagePath);
+    if (!info) {
+      const error = new Error(`File not found: ${storagePath}`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const { filePath } = resolvePath(storagePath);
+    return {
+      stream: fs.createReadStream(filePath),
+      contentType: info.contentType,
+      contentLength: info.contentLength
+    };
+  }
+
+  async function signUrl({ path: storagePath, expiresIn }) {
+    resolvePath(storagePath);
+    const token = jwt.sign({ path: storagePath, purpose: 'local-storage' }, signingSecret, { expiresIn });
+    return { url: `${publicBaseUrl}/api/storage/local?token=${encodeURIComponent(token)}` };
+  }
+
+  async function remove(storagePath) {
+    const { filePath, metaPath } = resolvePath(storagePath);
+    await fsp.rm(filePath, { force: true });
+    await fsp.rm(metaPath, { force: true });
+  }
+
+  async function move(fromPath, toPath) {
+    const from = resolvePath(fromPath);
+    const to = resolvePath(toPath);
+    await fsp.mkdir(path.dirname(to.filePath), { recursive: true });
+    await fsp.mkdir(path.dirname(to.metaPath), { recursive: true });
+    await fsp.rename(from.filePath, to.filePath);
+    await fsp.rename(from.metaPath, to.metaPath).catch(() => {});
+  }
+
+  /**
+   * Verify a token produced by signUrl and return the storage path it grants.
+   */
+  function verifySignedToken(token) {
+    const decoded = jwt.verify(token, signingSecret);
+    if (!decoded || decoded.purpose !== 'local-storage' || !decoded.path) {
+      throw new Error('Invalid storage token');
+    }
+    return decoded.path;
+  }
+
+  return {
+    name: 'local',
+    bucket: 'local',
+    put,
+    stream,
+    head,
+    signUrl,
+    move,
+    delete: remove,
+    verifySignedToken
+  };
+}
+
+module.exports = {
+  createLocalStorageDriver
+};
@@ -0,0 +1,162 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  CopyObjectCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { logger } = require('../../utils/logger');
+
+const multipartPartSize = Number.parseInt(process.env.S3_MULTIPART_PART_SIZE_BYTES || '5242880', 10); // 5 MB (S3 minimum)
+const multipartQueueSize = Number.parseInt(process.env.S3_MULTIPART_QUEUE_SIZE || '4', 10);
+
+function isNotFound(error) {
+  return error.name === 'NoSuchKey'
+    || error.name === 'NotFound'
+    || (error.$metadata && error.$metadata.httpStatusCode === 404);
+}
+
+/**
+ * Create a storage driver backed by any S3-compatible object store.
+ *
+ * @param {Object} config
+ * @param {string} config.name - Driver name reported in storage descriptors
+ * @param {string} config.bucket - Bucket that holds the documents
+ * @param {string} [config.endpoint] - Custom endpoint (omit for AWS S3)
+ * @param {string} [config.region]
+ * @param {string} [config.accessKeyId] - Omit to use the default AWS credential chain
+ * @param {string} [config.secretAccessKey]
+ * @param {boolean} [config.forcePathStyle]
+ */
+function createS3StorageDriver({
+  name,
+  bucket,
+  endpoint,
+  region = 'us-east-1',
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false
+}) {
+  if (!bucket) {
+    throw new Error(`Storage driver "${name}" requires a bucket`);
+  }
+
+  const clientConfig = { region, forcePathStyle };
+  if (endpoint) {
+    clientConfig.endpoint = endpoint;
+  }
+  if (accessKeyId && secretAccessKey) {
+    clientConfig.credentials = { accessKeyId, secretAccessKey };
+  }
+
+  const client = new S3Client(clientConfig);
+
+  logger.info('S3 storage driver initialized', {
+    driver: name,
+    endpoint: endpoint || 'aws',
+    region,
+    bucket
+  });
+
+  /**
+   * Write an object. Buffers go up in a single PUT; streams use a multipart
+   * upload so they are never held in memory.
+   */
+  async function put({ path, body, contentType }) {
+    const params = {
+      Bucket: bucket,
+      Key: path,
+      Body: body,
+      ContentType: contentType || 'application/octet-stream'
+    };
+
+    if (Buffer.isBuffer(body)) {
+      await client.send(new PutObjectCommand(params));
+      return { bucket, path };
+    }
+
+    const upload = new Upload({
+      client,
+      params,
+      partSize: multipartPartSize,
+      queueSize: multipartQueueSize,
+      leavePartsOnError: false
+    });
+
+    try {
+      await upload.done();
+    } catch (error) {
+      await upload.abort().catch(() => {});
+      throw error;
+    }
+
+    return { bucket, path };
+  }
+
+  async function stream(path) {
+    try {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: path }));
+      return {
+        stream: response.Body,
+        contentType: response.ContentType || 'application/octet-stream',
+        contentLength: typeof response.ContentLength === 'number' ? response.ContentLength : null
+      };
+    } catch (error) {
+      if (isNotFound(error)) {
+        error.statusCode = 404;
+      }
+      throw error;
+    }
+  }
+
+  async function head(path) {
+    try {
+      const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: path }));
+      return {
+        contentType: response.ContentType || 'application/octet-stream',
+        contentLength: typeof response.ContentLength === 'number' ? response.ContentLength : null,
+        lastModified: response.LastModified ? response.LastModified.toISOString() : null
+      };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async function signUrl({ path, expiresIn }) {
+    const command = new GetObjectCommand({ Bucket: bucket, Key: path });
+    const url = await getSignedUrl(client, command, { expiresIn });
+    return { url };
+  }
+
+  async function remove(path) {
+    // S3 deletes are idempotent, deleting a missing key is not an error
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: path }));
+  }
+
+  async function move(fromPath, toPath) {
+    const copySource = `${bucket}/${fromPath.split('/').map(encodeURIComponent).join('/')}`;
+    await client.send(new CopyObjectCommand({ Bucket: bucket, CopySource: copySource, Key: toPath }));
+    await remove(fromPath);
+  }
+
+  return {
+    name,
+    bucket,
+    put,
+    stream,
+    head,
+    signUrl,
+    move,
+    delete: remove
+  };
+}
+
+module.exports = {
+  createS3StorageDriver
+};
@@ -0,0 +1,429 @@
+const crypto = require('crypto');
+const net = require('net');
+const jwt = require('jsonwebtoken');
+const { logger } = require('../utils/logger');
+const { resolveTenant } = require('./orgRegistryService');
+const { viewerError, verifyViewerToken } = require('./viewerDocumentService');
+const { saveTokenRedemption, loadTokenRedemption, saveSuspiciousAccess } = require('./sessionStore');
+
+// Lifetime of the cookie session a bound token is redeemed for (never past the token's own expiry)
+const sessionTtlSeconds = Number.parseInt(process.env.VIEWER_SESSION_TTL_SECONDS || '900', 10);
+// Size of the address range a session is bound to with `ip` binding
+const ipv4Prefix = Number.parseInt(process.env.VIEWER_BINDING_IPV4_PREFIX || '24', 10);
+const ipv6Prefix = Number.parseInt(process.env.VIEWER_BINDING_IPV6_PREFIX || '64', 10);
+// How old a proof-of-possession signature may be
+const proofMaxSkewSeconds = Number.parseInt(process.env.VIEWER_PROOF_MAX_SKEW_SECONDS || '60', 10);
+
+const COOKIE_PREFIX = 'krnl_vs_';
+const COOKIE_PATH = '/api/view';
+const DEVICE_PATTERN = /^[0-9a-f]{64}$/;
+// `<unix seconds>.<nonce>.<base64url P-256 signature>`
+const PROOF_PATTERN = /^(\d{1,12})\.([A-Za-z0-9_-]{16,64})\.([A-Za-z0-9_-]{86})$/;
+const MAX_ENTRIES = 100000;
+
+// Redemptions seen by this instance (all of them without Supabase), by jti,
+// and the client each session was first redeemed by
+const redemptions = new Map();
+const sessionBindings = new Map();
+// Proof nonces seen within the accepted skew, keyed by `${keyThumbprint}:${nonce}`
+const seenProofs = new Map();
+
+// Entries are expiry timestamps or redemptions; redemptions loaded from
+// Supabase carry no expiry and are simply loaded again when needed
+function pruneExpired(map) {
+  const now = Date.now();
+  for (const [key, entry] of map) {
+    const expiresAt = typeof entry === 'number' ? entry : entry.expiresAt;
+    if (!(expiresAt > now)) {
+      map.delete(key);
+    }
+  }
+}
+
+function remember(redemption) {
+  if (redemptions.size >= MAX_ENTRIES) {
+    pruneExpired(redemptions);
+    pruneExpired(sessionBindings);
+  }
+  redemptions.set(redemption.jti, redemption);
+  if (!sessionBindings.has(redemption.sessionId)) {
+    sessionBindings.set(redemption.sessionId, redemption);
+  }
+}
+
+/**
+ * Name of the cookie holding the viewer session of one access session, so
+ * viewers of several documents in one browser do not overwrite each other.
+ */
+function viewerSessionCookieName(sessionId) {
+  return COOKIE_PREFIX + crypto.createHash('sha256').update(String(sessionId)).digest('hex').substring(0, 16);
+}
+
+function readCookie(req, name) {
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator > 0 && part.substring(0, separator).trim() === name) {
+      return decodeURIComponent(part.substring(separator + 1).trim());
+    }
+  }
+  return null;
+}
+
+function normalizeIp(ip) {
+  const address = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+  const family = net.isIP(address);
+  return family ? { address, family: family === 4 ? 'ipv4' : 'ipv6' } : null;
+}
+
+/**
+ * The address range `ip` binding ties a session to, as `address/prefix`.
+ */
+function ipRangeOf(ip) {
+  const normalized = normalizeIp(ip);
+  if (!normalized) {
+    return null;
+  }
+  return `${normalized.address}/${normalized.family === 'ipv4' ? ipv4Prefix : ipv6Prefix}`;
+}
+
+function ipInRange(ip, range) {
+  const normalized = normalizeIp(ip);
+  const [rangeAddress, prefix] = String(range || '').split('/');
+  const network = normalizeIp(rangeAddress);
+  if (!normalized || !network || normalized.family !== network.family) {
+    return false;
+  }
+
+  // A bare address (the client IP of a token) is widened like a bound range
+  const prefixLength = prefix !== undefined
+    ? Number.parseInt(prefix, 10)
+    : (network.family === 'ipv4' ? ipv4Prefix : ipv6Prefix);
+
+  const blockList = new net.BlockList();
+  blockList.addSubnet(network.address, prefixLength, network.family);
+  return blockList.check(normalized.address, normalized.family);
+}
+
+// The viewer sends a SHA-256 fingerprint of the device; only its hash is kept
+function deviceHashOf(req) {
+  const fingerprint = (req.get('X-Krnl-Device') || '').toLowerCase();
+  if (!DEVICE_PATTERN.test(fingerprint)) {
+    return null;
+  }
+  return crypto.createHash('sha256').update(fingerprint).digest('hex');
+}
+
+/**
+ * Accept only the public part of a P-256 key in JWK form.
+ */
+function normalizeProofKey(jwk) {
+  if (!jwk || jwk.kty !== 'EC' || jwk.crv !== 'P-256' || typeof jwk.x !== 'string' || typeof jwk.y !== 'string') {
+    return null;
+  }
+  const key = { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y };
+  try {
+    crypto.createPublicKey({ key, format: 'jwk' });
+  } catch (error) {
+    return null;
+  }
+  return key;
+}
+
+// RFC 7638 JWK thumbprint
+function keyThumbprint(key) {
+  const canonical = JSON.stringify({ crv: key.crv, kty: key.kty, x: key.x, y: key.y });
+  return crypto.createHash('sha256').update(canonical).digest('base64url');
+}
+
+/**
+ * Check the X-Krnl-Proof header: an ECDSA P-256 / SHA-256 signature (raw
+ * r||s, base64url) under the bound key of
+ *
+ *   METHOD \n path?query \n timestamp \n nonce
+ *
+ * made within VIEWER_PROOF_MAX_SKEW_SECONDS, with a nonce not used before.
+ */
+function verifyProof(req, key) {
+  const match = PROOF_PATTERN.exec(req.get('X-Krnl-Proof') || '');
+  if (!match) {
+    return false;
+  }
+
+  const [, timestamp, nonce, signature] = match;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > proofMaxSkewSeconds) {
+    return false;
+  }
+
+  const signed = [req.method.toUpperCase(), req.originalUrl, timestamp, nonce].join('\n');
+  let valid;
+  try {
+    valid = crypto.verify(
+      'sha256',
+      Buffer.from(signed),
+      { key: crypto.createPublicKey({ key, format: 'jwk' }), dsaEncoding: 'ieee-p1363' },
+      Buffer.from(signature, 'base64url')
+    );
+  } catch (error) {
+    return false;
+  }
+  if (!valid) {
+    return false;
+  }
+
+  const nonceId = `${keyThumbprint(key)}:${nonce}`;
+  if (seenProofs.has(nonceId) && seenProofs.get(nonceId) > Date.now()) {
+    return false;
+  }
+  if (seenProofs.size >= MAX_ENTRIES) {
+    pruneExpired(seenProofs);
+  }
+  seenProofs.set(nonceId, (Number(timestamp) + proofMaxSkewSeconds) * 1000);
+  return true;
+}
+
+/**
+ * Which bound attribute, if any, the requesting client does not match.
+ *
+ * @returns {string|null} IP_MISMATCH, DEVICE_MISMATCH or KEY_MISMATCH
+ */
+function bindingMismatch(bound, client) {
+  if (bound.ipRange && !ipInRange(client.ip, bound.ipRange)) {
+    return 'IP_MISMATCH';
+  }
+  if (bound.deviceHash && bound.deviceHash !== client.deviceHash) {
+    return 'DEVICE_MISMATCH';
+  }
+  if (bound.keyThumbprint && bound.keyThumbprint !== client.keyThumbprint) {
+    return 'KEY_MISMATCH';
+  }
+  return null;
+}
+
+/**
+ * Log and persist a refused attempt to use someone else's token or session,
+ * then return the error to send.
+ */
+function suspiciousAccess(req, reason, claims, message, details = {}) {
+  const event = {
+    eventId: `sus_${crypto.randomUUID()}`,
+    reason,
+    sessionId: claims.sessionId,
+    jti: claims.jti,
+    orgId: claims.org,
+    clientIP: req.ip,
+    userAgent: req.get('User-Agent') || null,
+    origin: req.get('origin') || null,
+    details
+  };
+
+  logger.warn('Suspicious viewer access refused', {
+    eventId: event.eventId,
+    reason,
+    sessionId: event.sessionId,
+    clientIP: event.clientIP,
+    path: req.originalUrl
+  });
+  saveSuspiciousAccess(event).catch(err => {
+    logger.warn('Failed to record suspicious access', { eventId: event.eventId, error: err.message });
+  });
+
+  return viewerError(message, 403, { bindingMismatch: true, reason });
+}
+
+// The client a session was first redeemed by, on this or another instance
+async function sessionBinding(sessionId) {
+  if (sessionBindings.has(sessionId)) {
+    return sessionBindings.get(sessionId);
+  }
+  const stored = await loadTokenRedemption(sessionId);
+  if (stored) {
+    sessionBindings.set(sessionId, stored);
+  }
+  return stored;
+}
+
+// Record a redemption unless the token has been redeemed before
+async function claimRedemption(redemption) {
+  if (redemptions.has(redemption.jti)) {
+    return false;
+  }
+  if (await saveTokenRedemption(redemption) === false) {
+    return false;
+  }
+  remember(redemption);
+  return true;
+}
+
+/**
+ * Redeem a bound viewer token, once, for a short-lived session held in an
+ * HttpOnly cookie and bound to the redeeming client: its IP range (`ip`
+ * binding), device fingerprint (X-Krnl-Device, `device` binding) and
+ * proof-of-possession key (`publicKey` in the body plus an X-Krnl-Proof
+ * signature, `pop` binding). Every token of the session must then be
+ * redeemed by the same client.
+ *
+ * Replays and redemptions by another client are refused (403) and recorded
+ * as suspicious access.
+ *
+ * @param {Object} req - Express request; body `{ token, publicKey? }`
+ * @returns {Promise<Object>} `{ sessionId, cookieName, cookieValue, maxAgeMs, expiresAt, binding }`
+ */
+async function redeemViewerToken(req) {
+  const { token, publicKey } = req.body || {};
+  const claims = verifyViewerToken(token, { scope: null, origin: req.get('origin') });
+  const modes = claims.bnd || [];
+
+  if (modes.includes('ip') && claims.cip && !ipInRange(req.ip, claims.cip)) {
+    throw suspiciousAccess(req, 'IP_MISMATCH', claims, 'This viewer token was issued to another network',
+      { boundTo: claims.cip });
+  }
+
+  const deviceHash = deviceHashOf(req);
+  if (modes.includes('device') && !deviceHash) {
+    throw viewerError('X-Krnl-Device header with the device fingerprint is required', 400);
+  }
+
+  let key = null;
+  if (modes.includes('pop')) {
+    key = normalizeProofKey(publicKey);
+    if (!key) {
+      throw viewerError('publicKey must be a P-256 public key in JWK form', 400);
+    }
+    if (!verifyProof(req, key)) {
+      throw suspiciousAccess(req, 'PROOF_INVALID', claims, 'Invalid proof of possession');
+    }
+  }
+
+  const binding = {
+    ipRange: modes.includes('ip') ? ipRangeOf(req.ip) : null,
+    deviceHash: modes.includes('device') ? deviceHash : null,
+    keyThumbprint: key ? keyThumbprint(key) : null
+  };
+
+  const bound = await sessionBinding(claims.sessionId);
+  const mismatch = bound && bindingMismatch(bound, { ip: req.ip, ...binding });
+  if (mismatch) {
+    throw suspiciousAccess(req, mismatch, claims, 'This viewer session is bound to another client');
+  }
+
+  const redeemedAt = new Date();
+  const claimed = await claimRedemption({
+    jti: claims.jti,
+    sessionId: claims.sessionId,
+    orgId: claims.org,
+    ...binding,
+    clientIP: req.ip,
+    redeemedAt: redeemedAt.toISOString(),
+    expiresAt: claims.exp * 1000
+  });
+  if (!claimed) {
+    throw suspiciousAccess(req, 'TOKEN_REPLAY', claims, 'This viewer token has already been used');
+  }
+
+  const exp = Math.min(claims.exp, Math.floor(redeemedAt.getTime() / 1000) + sessionTtlSeconds);
+  const tenant = resolveTenant(claims.org);
+  const cookieValue = jwt.sign({
+    ...claims,
+    typ: 'viewer-session',
+    bind: { ipRange: binding.ipRange, deviceHash: binding.deviceHash, key },
+    exp
+  }, tenant.jwtSecret || 'your-super-secret-jwt-key-for-development');
+
+  logger.info('Viewer token redeemed for bound session', {
+    sessionId: claims.sessionId,
+    binding: modes,
+    expiresAt: new Date(exp * 1000).toISOString()
+  });
+
+  return {
+    sessionId: claims.sessionId,
+    cookieName: viewerSessionCookieName(claims.sessionId),
+    cookieValue,
+    maxAgeMs: exp * 1000 - redeemedAt.getTime(),
+    expiresAt: new Date(exp * 1000).toISOString(),
+    binding: modes
+  };
+}
+
+/**
+ * Cookie options for a viewer session. SameSite=None so a viewer served from
+ * another origin can send it with `credentials: 'include'`.
+ */
+function viewerSessionCookieOptions(maxAgeMs) {
+  return {
+    httpOnly: true,
+    secure: true,
+    sameSite: 'none',
+    path: COOKIE_PATH,
+    maxAge: maxAgeMs
+  };
+}
+
+/**
+ * Authenticate an /api/view request, by viewer token (`?token=`) or by the
+ * cookie session a bound token was redeemed for (`?session=<sessionId>`).
+ *
+ * Bound tokens are refused until redeemed; cookie sessions are refused, and
+ * recorded as suspicious access, when the request does not come from the
+ * client they are bound to.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} [options]
+ * @param {string|null} [options.scope] - As for verifyViewerToken
+ * @param {number} [options.clockTolerance] - Seconds an expired token or session is still accepted
+ * @returns {Promise<Object>} Decoded claims, as from verifyViewerToken
+ * @throws {Error} statusCode 401 with `redeemRequired` or `sessionExpired`,
+ *   403 with `bindingMismatch`, or as verifyViewerToken
+ */
+async function authenticateViewerRequest(req, { scope = 'view', clockTolerance = 0 } = {}) {
+  const origin = req.get('origin');
+
+  if (req.query.session && !req.query.token) {
+    const sessionId = String(req.query.session);
+    const cookie = readCookie(req, viewerSessionCookieName(sessionId));
+    let claims;
+    try {
+      claims = verifyViewerToken(cookie, { clockTolerance, scope, origin, type: 'viewer-session' });
+    } catch (error) {
+      if ([400, 401].includes(error.statusCode)) {
+        throw viewerError('Viewer session expired; redeem a new viewer token', 401, { sessionExpired: true });
+      }
+      throw error;
+    }
+    if (claims.sessionId !== sessionId) {
+      throw viewerError('Viewer session expired; redeem a new viewer token', 401, { sessionExpired: true });
+    }
+
+    const bound = claims.bind || {};
+    const mismatch = bindingMismatch(
+      { ipRange: bound.ipRange, deviceHash: bound.deviceHash },
+      { ip: req.ip, deviceHash: deviceHashOf(req) }
+    );
+    if (mismatch) {
+      throw suspiciousAccess(req, mismatch, claims, 'This viewer session is bound to another client');
+    }
+    if (bound.key && !verifyProof(req, bound.key)) {
+      throw suspiciousAccess(req, 'PROOF_INVALID', claims, 'Invalid proof of possession');
+    }
+
+    return claims;
+  }
+
+  const claims = verifyViewerToken(req.query.token, { clockTolerance, scope, origin });
+  if (claims.bnd && claims.bnd.length > 0) {
+    // The legitimate viewer redeems its token, so a bound session seeing its
+    // token used directly is a copied link
+    if (redemptions.has(claims.jti) || await sessionBinding(claims.sessionId)) {
+      throw suspiciousAccess(req, 'TOKEN_REPLAY', claims, 'This viewer token has already been used');
+    }
+    throw viewerError('This viewer token must be redeemed at /api/view/session', 401, { redeemRequired: true });
+  }
+  return claims;
+}
+
+module.exports = {
+  viewerSessionCookieName,
+  viewerSessionCookieOptions,
+  redeemViewerToken,
+  authenticateViewerRequest
+};
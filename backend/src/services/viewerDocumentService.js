@@ -0,0 +1,663 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PDFDocument } = require('pdf-lib');
+const { logger } = require('../utils/logger');
+const { headStoredFile, getStoredFileBuffer } = require('./fileStorageService');
+const { checkDocumentIntegrity, recordTamperEvent } = require('./documentIntegrityService');
+const { loadAccessEvent, saveReadProgress, updateDownloadCount } = require('./sessionStore');
+const { applyPdfWatermark, buildWatermarkValues, getImageFormat } = require('./watermarkService');
+const { getOfficeFormat, convertOfficeToPdf } = require('./documentConversionService');
+const { rasterizePdf } = require('./pdfRasterService');
+const { resolveTenant, isOriginAllowed } = require('./orgRegistryService');
+const { findRevocation } = require('./revocationService');
+
+// Verified source PDFs are kept briefly so page requests do not refetch,
+// rehash and reconvert the document every time
+const cacheTtlMs = Number.parseInt(process.env.VIEWER_DOCUMENT_CACHE_TTL_SECONDS || '300', 10) * 1000;
+const cacheMaxEntries = Math.max(1, Number.parseInt(process.env.VIEWER_DOCUMENT_CACHE_ENTRIES || '20', 10));
+const maxPagesPerRequest = Math.max(1, Number.parseInt(process.env.VIEWER_MAX_PAGES_PER_REQUEST || '10', 10));
+const maxDownloadsPerSession = Math.max(1, Number.parseInt(process.env.MAX_DOWNLOADS_PER_SESSION || '3', 10));
+
+// Read progress and download counts are dropped from memory after this long
+// without requests (they are reloaded from krnl_access_events if the session
+// comes back)
+const READ_PROGRESS_IDLE_MS = 6 * 60 * 60 * 1000;
+// Tries at changing a download count that other requests keep changing first
+const DOWNLOAD_COUNT_ATTEMPTS = 5;
+
+const viewerPdfCache = new Map();
+const readProgress = new Map();
+const downloadCounts = new Map();
+
+/**
+ * Build an Error carrying the HTTP status and extra response fields for the
+ * viewer routes.
+ */
+function viewerError(message, statusCode, fields = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.fields = fields;
+  return error;
+}
+
+/**
+ * Verify a viewer token from /api/access and return its claims.
+ *
+ * @param {string} token
+ * @param {Object} [options]
+ * @param {number} [options.clockTolerance] - Seconds a token is still accepted after it expires
+ * @param {string|null} [options.scope] - Required token scope ('view' or 'download'),
+ *   or null for any. Tokens issued without a scope are view tokens.
+ * @param {string} [options.origin] - Origin header of the request, checked
+ *   against the allowed origins of the token's org
+ * @param {string} [options.type] - 'token' for viewer tokens, 'viewer-session'
+ *   for the client-bound sessions they are redeemed for (see tokenBindingService)
+ * @returns {Object} Decoded claims (documentHash, sessionId, documentPath, accessHash, watermark, ...)
+ * @throws {Error} statusCode 400 when missing or incomplete, 401 when invalid or expired,
+ *   403 when issued for another scope or used from an origin the org does not allow
+ */
+function verifyViewerToken(token, { clockTolerance = 0, scope = 'view', origin, type = 'token' } = {}) {
+  if (!token) {
+    throw viewerError('Access token is required', 400);
+  }
+
+  // The org claim selects the secret the token must verify against; an org
+  // that is not (or no longer) registered has no valid tokens
+  const unverified = jwt.decode(token);
+  const tenant = resolveTenant(unverified && unverified.org);
+  if (!tenant) {
+    throw viewerError('Invalid or expired access token', 401);
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, tenant.jwtSecret || 'your-super-secret-jwt-key-for-development', { clockTolerance });
+  } catch (err) {
+    throw viewerError('Invalid or expired access token', 401);
+  }
+
+  if (!isOriginAllowed(tenant, origin)) {
+    throw viewerError('Origin not allowed for this organization', 403);
+  }
+
+  if (!claims.documentHash || !claims.sessionId) {
+    throw viewerError('Invalid token payload', 400);
+  }
+
+  // A session cookie is never accepted as a token, which would skip its binding
+  if ((claims.typ || 'token') !== type) {
+    throw viewerError('Invalid or expired access token', 401);
+  }
+
+  if (scope && (claims.scope || 'view') !== scope) {
+    throw viewerError(`Access token is not valid for ${scope}`, 403);
+  }
+
+  return claims;
+}
+
+/**
+ * Refuse a viewer token or session whose session, token, user or document
+ * has been revoked.
+ *
+ * @param {Object} claims - From verifyViewerToken
+ * @throws {Error} statusCode 403 with `revoked` and `reason`
+ */
+async function assertNotRevoked(claims) {
+  const revocation = await findRevocation({
+    sessionId: claims.sessionId,
+    jti: claims.jti,
+    userId: claims.userId,
+    documentHash: claims.documentHash,
+    orgId: claims.org,
+    issuedAt: claims.iat * 1000
+  });
+  if (revocation) {
+    throw viewerError('Access to this document has been revoked', 403, {
+      revoked: true,
+      reason: revocation.reason
+    });
+  }
+}
+
+/**
+ * Resolve the stored file a viewer token points at and how it will be
+ * watermarked. Types that cannot be watermarked are refused rather than
+ * served raw, and so are revoked sessions and tokens.
+ *
+ * @param {Object} claims - From verifyViewerToken
+ * @returns {Promise<Object>} `{ sessionId, documentHash, accessHash, filePath, fileName, contentType, isPdf, imageFormat, officeFormat, tenant }`
+ */
+async function resolveViewerDocument(claims) {
+  const {
+    documentHash,
+    sessionId,
+    documentId: tokenDocumentId,
+    documentPath: tokenDocumentPath,
+    recordId: tokenRecordId,
+    accessHash: tokenAccessHash
+  } = claims;
+  const tenant = resolveTenant(claims.org);
+
+  // Every /api/view route serving the document passes here, before anything
+  // is read from storage
+  await assertNotRevoked(claims);
+
+  // Start by trusting the file path and accessHash embedded in the token.
+  let filePath = tokenDocumentPath || tokenDocumentId || tokenRecordId || null;
+  let accessHash = tokenAccessHash || null;
+
+  // For older tokens (or if claims are missing), fall back to KRNL
+  // session status (persisted in Supabase) to resolve filePath/accessHash.
+  if (!filePath || !accessHash) {
+    const KRNLService = require('./krnlService');
+    const krnlService = new KRNLService();
+
+    try {
+      const statusResult = await krnlService.getWorkflowStatus(sessionId);
+
+      const sessionFilePath =
+        (statusResult && statusResult.documentId) || tokenDocumentPath || tokenDocumentId || tokenRecordId || null;
+      const sessionAccessHash = (statusResult && statusResult.accessHash) || null;
+
+      if (!sessionFilePath || !sessionAccessHash) {
+        throw viewerError('Session not found or missing file path/accessHash', 404);
+      }
+
+      filePath = filePath || sessionFilePath;
+      accessHash = accessHash || sessionAccessHash;
+    } catch (err) {
+      if (err.fields) {
+        throw err;
+      }
+      logger.warn('Failed to retrieve session for viewer', { sessionId, error: err.message });
+
+      // If we still don't have enough information to serve the file, treat
+      // this as an expired session. Otherwise, fall through and use the
+      // token-derived values we already have.
+      if (!filePath || !accessHash) {
+        throw viewerError('Session not found or expired', 404);
+      }
+    }
+  }
+
+  // At this point we must have a filePath and accessHash to proceed.
+  if (!filePath || !accessHash) {
+    throw viewerError('Session not found or missing file path/accessHash', 404);
+  }
+
+  // Resolve the path (a reference to content-addressed storage) to the
+  // version registered as documentHash, even if it has been overwritten since.
+  const storedFile = await headStoredFile(filePath, { expectedHash: documentHash, tenant });
+  if (!storedFile) {
+    throw viewerError('Document not found in storage', 404);
+  }
+
+  const { contentType } = storedFile;
+  const fileName = filePath.split('/').pop() || 'document';
+  const isPdf = contentType === 'application/pdf' || fileName.endsWith('.pdf');
+  const imageFormat = isPdf ? null : getImageFormat(contentType, fileName);
+  const officeFormat = isPdf || imageFormat ? null : getOfficeFormat(contentType, fileName);
+
+  if (!isPdf && !imageFormat && !officeFormat) {
+    logger.warn('Refusing to serve unsupported document type', { sessionId, filePath, contentType });
+    throw viewerError('Unsupported document type', 415, {
+      details: `Files of type ${contentType || 'unknown'} cannot be watermarked for secure viewing.`
+    });
+  }
+
+  return { sessionId, documentHash, accessHash, filePath, fileName, contentType, isPdf, imageFormat, officeFormat, tenant };
+}
+
+/**
+ * Fetch the stored bytes of a resolved document and check them against the
+ * token hash and the on-chain record. Never returns bytes that no longer
+ * match the hash the viewer token was issued for, or that are not (or no
+ * longer) registered on-chain.
+ *
+ * @param {Object} document - From resolveViewerDocument
+ * @returns {Promise<Buffer>}
+ * @throws {Error} statusCode 409 (with the integrity failure fields) when the check fails,
+ *   425 while the document is still being registered
+ */
+async function loadVerifiedBuffer(document) {
+  const { sessionId, documentHash, filePath, tenant } = document;
+
+  const { buffer } = await getStoredFileBuffer(filePath, { expectedHash: documentHash, tenant });
+  const storedHash = `0x${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+
+  const integrity = await checkDocumentIntegrity({ documentHash, storedHash, tenant });
+  if (integrity.code === 'REGISTRATION_PENDING') {
+    logger.info('Document not yet registered on-chain, refusing to serve for now', {
+      sessionId,
+      documentHash,
+      ...integrity.pending
+    });
+
+    throw viewerError('Document registration pending', 425, {
+      code: integrity.code,
+      details: integrity.message,
+      documentHash,
+      ...integrity.pending
+    });
+  }
+  if (!integrity.ok) {
+    const tamperEventId = await recordTamperEvent({
+      code: integrity.code,
+      sessionId,
+      documentHash,
+      storedHash,
+      filePath,
+      onChain: integrity.onChain
+    });
+
+    logger.error('Document integrity check failed, refusing to serve', {
+      sessionId,
+      filePath,
+      documentHash,
+      storedHash,
+      code: integrity.code,
+      tamperEventId
+    });
+
+    throw viewerError('Document integrity check failed', 409, {
+      code: integrity.code,
+      details: integrity.message,
+      documentHash,
+      storedHash,
+      onChain: integrity.onChain,
+      tamperEventId
+    });
+  }
+
+  return buffer;
+}
+
+// Page size as displayed, in PDF points
+function displayedPageSize(page) {
+  const { width, height } = page.getSize();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+  return rotation === 90 || rotation === 270 ? { width: height, height: width } : { width, height };
+}
+
+async function prepareViewerPdf(document) {
+  const buffer = await loadVerifiedBuffer(document);
+
+  // Office documents are rendered to PDF and watermarked like any PDF
+  let pdfBuffer = buffer;
+  let fileName = document.fileName;
+  if (document.officeFormat) {
+    try {
+      pdfBuffer = await convertOfficeToPdf(buffer, document.officeFormat);
+      fileName = `${fileName.replace(/\.[^.]+$/, '')}.pdf`;
+    } catch (err) {
+      logger.warn('Failed to convert Office document; blocking viewer', {
+        sessionId: document.sessionId,
+        filePath: document.filePath,
+        error: err.message
+      });
+      throw viewerError('Unable to convert document for secure viewing', err.statusCode || 422, {
+        details: err.message
+      });
+    }
+  }
+
+  let pdfDoc;
+  try {
+    // Use ignoreEncryption so encrypted PDFs can still be loaded.
+    pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true });
+  } catch (err) {
+    logger.warn('Failed to load PDF; blocking viewer', { error: err.message });
+    throw viewerError('Unable to watermark PDF document', 422, {
+      details: err.message || 'The PDF may be encrypted or unsupported. Upload an unencrypted copy to view it.'
+    });
+  }
+
+  return {
+    buffer: pdfBuffer,
+    fileName,
+    encrypted: pdfDoc.isEncrypted,
+    pages: pdfDoc.getPages().map(displayedPageSize),
+    pdfDoc
+  };
+}
+
+/**
+ * Verified source PDF for a resolved PDF or Office document, converted if
+ * needed. Cached per session for VIEWER_DOCUMENT_CACHE_TTL_SECONDS; the
+ * cached copy is the unwatermarked source and never leaves the server.
+ *
+ * @param {Object} document - From resolveViewerDocument
+ * @returns {Promise<{ buffer: Buffer, fileName: string, encrypted: boolean, pages: Array<{ width: number, height: number }>, pdfDoc: PDFDocument }>}
+ */
+async function getViewerPdf(document) {
+  const key = `${document.sessionId}:${document.documentHash.toLowerCase()}`;
+  const now = Date.now();
+
+  for (const [cachedKey, entry] of viewerPdfCache) {
+    if (entry.expiresAt <= now) {
+      viewerPdfCache.delete(cachedKey);
+    }
+  }
+
+  const cached = viewerPdfCache.get(key);
+  if (cached) {
+    return cached.promise;
+  }
+
+  const promise = prepareViewerPdf(document);
+  viewerPdfCache.set(key, { promise, expiresAt: now + cacheTtlMs });
+  promise.catch(() => viewerPdfCache.delete(key));
+
+  // Map iteration order is insertion order, so the first key is the oldest
+  if (viewerPdfCache.size > cacheMaxEntries) {
+    viewerPdfCache.delete(viewerPdfCache.keys().next().value);
+  }
+
+  return promise;
+}
+
+/**
+ * Watermark for one delivery: the template chosen when the token was issued,
+ * values for this request (view time, viewer IP) and the forensic footer.
+ *
+ * @param {Object} claims - From verifyViewerToken
+ * @param {Object} document - From resolveViewerDocument
+ * @param {string} requestIP
+ * @returns {{ template: Object | undefined, values: Object, forensicText: string }}
+ */
+function buildViewerWatermark(claims, document, requestIP) {
+  const { accessHash, documentHash, sessionId, fileName } = document;
+
+  return {
+    template: claims.watermark && claims.watermark.template,
+    values: buildWatermarkValues({
+      context: claims.watermark && claims.watermark.context,
+      accessHash,
+      userId: claims.userId,
+      recordId: claims.recordId,
+      fileName,
+      requestIP
+    }),
+    forensicText: `KRNL:${accessHash}:${documentHash || ''}:${sessionId || ''}`
+  };
+}
+
+function isRasterized(claims) {
+  return !!(claims.watermark && claims.watermark.rasterize);
+}
+
+/**
+ * Parse a page range (`3` or `3-5`, 1-based) for a document.
+ *
+ * @param {string} range
+ * @param {number} pageCount
+ * @returns {{ from: number, to: number }}
+ * @throws {Error} statusCode 400 when malformed, out of bounds or longer than VIEWER_MAX_PAGES_PER_REQUEST
+ */
+function parsePageRange(range, pageCount) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(String(range || ''));
+  const from = match ? Number(match[1]) : NaN;
+  const to = match ? Number(match[2] || match[1]) : NaN;
+
+  if (!match || from < 1 || to < from || to > pageCount) {
+    throw viewerError('Invalid page range', 400, {
+      details: `Request pages between 1 and ${pageCount}, as "<page>" or "<from>-<to>".`
+    });
+  }
+  if (to - from + 1 > maxPagesPerRequest) {
+    throw viewerError('Invalid page range', 400, {
+      details: `At most ${maxPagesPerRequest} pages can be requested at once.`
+    });
+  }
+
+  return { from, to };
+}
+
+/**
+ * Watermark a verified PDF for delivery: the whole document, or only the
+ * pages in `range` as a standalone PDF. Rasterized (view-only) tokens get an
+ * image-only PDF.
+ *
+ * @param {Object} viewerPdf - From getViewerPdf
+ * @param {Object} watermark - From buildViewerWatermark
+ * @param {Object} options
+ * @param {boolean} options.rasterize
+ * @param {{ from: number, to: number }} [options.range] - 1-based, inclusive
+ * @returns {Promise<Buffer>}
+ */
+async function watermarkViewerPdf(viewerPdf, watermark, { rasterize, range }) {
+  if (range && viewerPdf.encrypted && !rasterize) {
+    // Copied pages would carry streams encrypted for the source file
+    throw viewerError('Unable to watermark PDF document', 422, {
+      details: 'Encrypted PDFs cannot be delivered page by page. Load the whole document instead.'
+    });
+  }
+
+  // Watermarking is mandatory. If we cannot safely watermark the PDF (for
+  // example, because it is encrypted or malformed), do NOT return the
+  // original document.
+  try {
+    if (rasterize) {
+      // View-only mode: pages become images with the watermark burned in
+      return await rasterizePdf(viewerPdf.buffer, watermark, range);
+    }
+
+    let pdfDoc;
+    if (range) {
+      pdfDoc = await PDFDocument.create();
+      const indices = [];
+      for (let pageNumber = range.from; pageNumber <= range.to; pageNumber++) {
+        indices.push(pageNumber - 1);
+      }
+      const pages = await pdfDoc.copyPages(viewerPdf.pdfDoc, indices);
+      pages.forEach(page => pdfDoc.addPage(page));
+    } else {
+      // Reload rather than reuse the cached document: watermarking modifies it
+      pdfDoc = await PDFDocument.load(viewerPdf.buffer, { ignoreEncryption: true });
+    }
+
+    await applyPdfWatermark(pdfDoc, watermark);
+    return Buffer.from(await pdfDoc.save());
+  } catch (err) {
+    logger.warn('Failed to watermark PDF; blocking viewer', { error: err.message });
+    throw viewerError('Unable to watermark PDF document', 422, {
+      details: err.message || 'The PDF may be encrypted or unsupported. Upload an unencrypted copy to view it.'
+    });
+  }
+}
+
+function toReadProgressSummary(progress) {
+  const pagesDelivered = [...progress.pages].sort((a, b) => a - b);
+  return {
+    pageCount: progress.pageCount,
+    pagesDelivered,
+    maxPageDelivered: pagesDelivered.length > 0 ? pagesDelivered[pagesDelivered.length - 1] : null,
+    pageRequests: progress.pageRequests,
+    firstPageAt: progress.firstPageAt,
+    lastPageAt: progress.lastPageAt
+  };
+}
+
+async function getReadProgress(sessionId) {
+  const now = Date.now();
+  for (const [id, progress] of readProgress) {
+    if (now - progress.touchedAt > READ_PROGRESS_IDLE_MS) {
+      readProgress.delete(id);
+    }
+  }
+
+  let progress = readProgress.get(sessionId);
+  if (!progress) {
+    // Continue from what was persisted before a restart
+    const accessEvent = await loadAccessEvent(sessionId);
+    progress = {
+      pageCount: (accessEvent && accessEvent.page_count) || null,
+      pages: new Set((accessEvent && accessEvent.pages_delivered) || []),
+      pageRequests: (accessEvent && accessEvent.page_requests) || 0,
+      firstPageAt: (accessEvent && accessEvent.first_page_at) || null,
+      lastPageAt: (accessEvent && accessEvent.last_page_at) || null,
+      touchedAt: now
+    };
+    // Another request may have created it while the access event loaded
+    progress = readProgress.get(sessionId) || progress;
+    readProgress.set(sessionId, progress);
+  }
+
+  return progress;
+}
+
+/**
+ * Count a page request against its access session and persist the running
+ * totals to krnl_access_events, so reports can show how far the viewer read.
+ *
+ * @param {string} sessionId
+ * @param {Object} params
+ * @param {{ from: number, to: number }} params.range - Pages delivered
+ * @param {number} params.pageCount - Pages in the document
+ * @returns {Promise<Object>} Read progress summary
+ */
+async function recordPageDelivery(sessionId, { range, pageCount }) {
+  const progress = await getReadProgress(sessionId);
+  const deliveredAt = new Date().toISOString();
+
+  for (let pageNumber = range.from; pageNumber <= range.to; pageNumber++) {
+    progress.pages.add(pageNumber);
+  }
+  progress.pageCount = pageCount;
+  progress.pageRequests += 1;
+  progress.firstPageAt = progress.firstPageAt || deliveredAt;
+  progress.lastPageAt = deliveredAt;
+  progress.touchedAt = Date.now();
+
+  const summary = toReadProgressSummary(progress);
+  await saveReadProgress(sessionId, summary);
+  return summary;
+}
+
+async function getDownloadState(sessionId, { refresh = false } = {}) {
+  const now = Date.now();
+  for (const [id, state] of downloadCounts) {
+    if (now - state.touchedAt > READ_PROGRESS_IDLE_MS) {
+      downloadCounts.delete(id);
+    }
+  }
+
+  let state = downloadCounts.get(sessionId);
+  if (!state || refresh) {
+    const accessEvent = await loadAccessEvent(sessionId);
+    state = downloadCounts.get(sessionId) || { used: 0, lastDownloadAt: null };
+    if (accessEvent) {
+      state.used = accessEvent.download_count || 0;
+      state.lastDownloadAt = accessEvent.last_download_at || null;
+    }
+    state.touchedAt = now;
+    downloadCounts.set(sessionId, state);
+  }
+
+  return state;
+}
+
+/**
+ * Change a session's download count. The count on its krnl_access_events
+ * row is re-read and updated only if no other request, on any instance,
+ * changed it in between; without Supabase the count is this instance's.
+ *
+ * @param {string} sessionId
+ * @param {Function} change - `(state)`: the next `{ used, lastDownloadAt }`,
+ *   or null to leave the count as it is
+ * @returns {Promise<Object>} The download state after the change
+ */
+async function changeDownloadCount(sessionId, change) {
+  for (let attempt = 0; attempt < DOWNLOAD_COUNT_ATTEMPTS; attempt++) {
+    const state = await getDownloadState(sessionId, { refresh: true });
+    const expected = state.used;
+    const next = change(state);
+    if (!next) {
+      return state;
+    }
+
+    const updated = await updateDownloadCount(sessionId, expected, {
+      downloadCount: next.used,
+      lastDownloadAt: next.lastDownloadAt
+    });
+    // Not stored: the count held here must not have moved meanwhile either
+    if (updated === true || (updated === null && state.used === expected)) {
+      Object.assign(state, next, { touchedAt: Date.now() });
+      return state;
+    }
+  }
+
+  throw viewerError('Download count is changing too fast, try again', 409);
+}
+
+function toDownloadAllowance(state) {
+  return {
+    limit: maxDownloadsPerSession,
+    used: state.used,
+    remaining: Math.max(0, maxDownloadsPerSession - state.used),
+    lastDownloadAt: state.lastDownloadAt
+  };
+}
+
+/**
+ * Downloads a session has taken and how many it has left
+ * (MAX_DOWNLOADS_PER_SESSION per download session).
+ *
+ * @param {string} sessionId
+ * @returns {Promise<{ limit: number, used: number, remaining: number, lastDownloadAt: string|null }>}
+ */
+async function getDownloadAllowance(sessionId) {
+  return toDownloadAllowance(await getDownloadState(sessionId));
+}
+
+/**
+ * Count a download against its session before the file is served, so
+ * concurrent requests cannot exceed the limit. Call releaseDownload if the
+ * file then cannot be served.
+ *
+ * @param {string} sessionId
+ * @returns {Promise<Object>} Download allowance after this download
+ * @throws {Error} statusCode 429 when the session has no downloads left
+ */
+async function reserveDownload(sessionId) {
+  const state = await changeDownloadCount(sessionId, current => {
+    if (current.used >= maxDownloadsPerSession) {
+      throw viewerError('Download limit reached for this session', 429, {
+        details: `A download session allows ${maxDownloadsPerSession} download(s). Request access again to download another copy.`,
+        downloads: toDownloadAllowance(current)
+      });
+    }
+    return { used: current.used + 1, lastDownloadAt: new Date().toISOString() };
+  });
+
+  return toDownloadAllowance(state);
+}
+
+/**
+ * Give back a download reserved by reserveDownload that was not served.
+ *
+ * @param {string} sessionId
+ */
+async function releaseDownload(sessionId) {
+  await changeDownloadCount(sessionId, current => (
+    current.used === 0 ? null : { used: current.used - 1, lastDownloadAt: current.lastDownloadAt }
+  ));
+}
+
+module.exports = {
+  viewerError,
+  verifyViewerToken,
+  assertNotRevoked,
+  resolveViewerDocument,
+  loadVerifiedBuffer,
+  getViewerPdf,
+  buildViewerWatermark,
+  isRasterized,
+  parsePageRange,
+  watermarkViewerPdf,
+  recordPageDelivery,
+  getDownloadAllowance,
+  reserveDownload,
+  releaseDownload
+};
@@ -0,0 +1,169 @@
+const { logger } = require('../utils/logger');
+const { saveViewerEvents, loadViewerEvents, loadAccessEvent } = require('./sessionStore');
+
+// Events the secure viewer reports, batched per session
+const VIEWER_EVENT_TYPES = new Set([
+  'viewer_open',
+  'viewer_close',
+  'page_view',
+  'page_dwell',
+  'scroll_depth',
+  'focus',
+  'blur',
+  'screenshot_shield'
+]);
+
+const MAX_EVENTS_PER_BATCH = 200;
+const MAX_TIMELINE_EVENTS = 5000;
+// A single dwell longer than this is a viewer left open, not reading
+const MAX_DWELL_MS = 60 * 60 * 1000;
+// Client clocks drift; anything further off than this is stamped with the server time
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+function positiveInteger(value) {
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+function normalizeViewerEvent(event, receivedAt) {
+  if (!event || typeof event !== 'object' || !VIEWER_EVENT_TYPES.has(event.type)) {
+    return null;
+  }
+
+  const at = new Date(event.at);
+  const atValid = !Number.isNaN(at.getTime()) && Math.abs(at.getTime() - receivedAt) <= MAX_CLOCK_SKEW_MS;
+
+  return {
+    type: event.type,
+    at: (atValid ? at : new Date(receivedAt)).toISOString(),
+    page: positiveInteger(event.page),
+    durationMs: Number.isFinite(event.durationMs) && event.durationMs >= 0
+      ? Math.min(Math.round(event.durationMs), MAX_DWELL_MS)
+      : null,
+    scrollDepth: Number.isFinite(event.scrollDepth)
+      ? Math.min(1, Math.max(0, event.scrollDepth))
+      : null,
+    reason: typeof event.reason === 'string' && event.reason ? event.reason.substring(0, 64) : null
+  };
+}
+
+/**
+ * Validate and store a batch of viewer telemetry events for a session.
+ * Unknown or malformed events are dropped and counted.
+ *
+ * @param {string} sessionId
+ * @param {Object[]} events - `{ type, at, page?, durationMs?, scrollDepth?, reason? }`
+ * @returns {Promise<{ accepted: number, rejected: number }>}
+ */
+async function recordViewerEvents(sessionId, events) {
+  const receivedAt = Date.now();
+  const normalized = events
+    .slice(0, MAX_EVENTS_PER_BATCH)
+    .map(event => normalizeViewerEvent(event, receivedAt))
+    .filter(Boolean);
+
+  await saveViewerEvents(sessionId, normalized);
+
+  const rejected = events.length - normalized.length;
+  if (rejected > 0) {
+    logger.debug('Dropped malformed viewer events', { sessionId, rejected });
+  }
+
+  return { accepted: normalized.length, rejected };
+}
+
+/**
+ * Summarize what a viewer actually read from its telemetry events.
+ *
+ * @param {Object[]} events - Oldest first
+ * @param {Object} [options]
+ * @param {number} [options.pageCount] - Pages in the document, when known
+ * @returns {Object} Reading summary
+ */
+function summarizeViewerEvents(events, { pageCount = null } = {}) {
+  const pages = new Map();
+  const pageStats = (page) => {
+    if (!pages.has(page)) {
+      pages.set(page, { page, views: 0, dwellMs: 0 });
+    }
+    return pages.get(page);
+  };
+
+  const summary = {
+    openedAt: null,
+    closedAt: null,
+    pageCount,
+    pagesViewed: 0,
+    totalDwellMs: 0,
+    maxScrollDepth: 0,
+    focusLosses: 0,
+    screenshotShieldTriggers: 0,
+    pages: []
+  };
+
+  for (const event of events) {
+    switch (event.type) {
+      case 'viewer_open':
+        summary.openedAt = summary.openedAt || event.at;
+        break;
+      case 'viewer_close':
+        summary.closedAt = event.at;
+        break;
+      case 'page_view':
+        if (event.page) {
+          pageStats(event.page).views += 1;
+        }
+        break;
+      case 'page_dwell':
+        if (event.page && event.durationMs) {
+          pageStats(event.page).dwellMs += event.durationMs;
+          summary.totalDwellMs += event.durationMs;
+        }
+        break;
+      case 'scroll_depth':
+        summary.maxScrollDepth = Math.max(summary.maxScrollDepth, event.scrollDepth || 0);
+        break;
+      case 'blur':
+        summary.focusLosses += 1;
+        break;
+      case 'screenshot_shield':
+        summary.screenshotShieldTriggers += 1;
+        break;
+      default:
+        break;
+    }
+  }
+
+  summary.pages = [...pages.values()].sort((a, b) => a.page - b.page);
+  summary.pagesViewed = summary.pages.filter(page => page.views > 0).length;
+  if (!summary.pageCount && summary.pages.length > 0) {
+    summary.pageCount = summary.pages[summary.pages.length - 1].page;
+  }
+
+  return summary;
+}
+
+/**
+ * Telemetry timeline of a session with its reading summary.
+ *
+ * @param {string} sessionId
+ * @returns {Promise<{ events: Object[], summary: Object, truncated: boolean }>}
+ */
+async function getViewerTimeline(sessionId) {
+  const [events, accessEvent] = await Promise.all([
+    loadViewerEvents(sessionId, MAX_TIMELINE_EVENTS),
+    loadAccessEvent(sessionId)
+  ]);
+
+  return {
+    events,
+    summary: summarizeViewerEvents(events, { pageCount: accessEvent && accessEvent.page_count }),
+    truncated: events.length >= MAX_TIMELINE_EVENTS
+  };
+}
+
+module.exports = {
+  MAX_EVENTS_PER_BATCH,
+  recordViewerEvents,
+  summarizeViewerEvents,
+  getViewerTimeline
+};
@@ -0,0 +1,635 @@
+const fs = require('fs');
+const path = require('path');
+const { rgb, degrees, StandardFonts } = require('pdf-lib');
+const { logger } = require('../utils/logger');
+
+/**
+ * Built-in template, used when no configuration matches the org or
+ * document classification (and for viewer tokens issued without one).
+ */
+const DEFAULT_TEMPLATE = {
+  text: '{userName} · {timestamp} · {accessHashShort}',
+  placement: 'single',
+  rotation: 45,
+  opacity: 0.3,
+  color: '#808080',
+  fontSize: null,
+  // View-only mode: serve PDFs rendered to images (see pdfRasterService)
+  rasterize: false
+};
+
+const PLACEHOLDERS = [
+  'userName',
+  'userEmail',
+  'userId',
+  'timestamp',
+  'ip',
+  'accessHash',
+  'accessHashShort',
+  'recordName',
+  'recordId',
+  'fileName',
+  'classification'
+];
+
+const PLACEMENTS = ['single', 'tile'];
+
+// Image formats watermarked by applyImageWatermark, by content type and extension
+const IMAGE_FORMATS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/webp': 'webp'
+};
+const IMAGE_EXTENSIONS = {
+  png: 'png',
+  jpg: 'jpeg',
+  jpeg: 'jpeg',
+  webp: 'webp'
+};
+
+// Template sizes are PDF points; images are scaled as if their long side
+// were a Letter page (792pt) so a template looks the same on both.
+const IMAGE_REFERENCE_SIZE = 792;
+// Approximate Helvetica advance width as a fraction of the font size, used
+// to size SVG text without a font metrics library.
+const AVERAGE_GLYPH_WIDTH = 0.55;
+
+let cachedConfig = null;
+
+function configError(message) {
+  const error = new Error(`Invalid watermark configuration: ${message}`);
+  error.statusCode = 500;
+  return error;
+}
+
+/**
+ * Validate a template from configuration and fill in defaults.
+ */
+function normalizeTemplate(name, template) {
+  if (!template || typeof template !== 'object') {
+    throw configError(`template "${name}" must be an object`);
+  }
+
+  const normalized = { ...DEFAULT_TEMPLATE, ...template };
+
+  if (typeof normalized.text !== 'string' || !normalized.text.trim()) {
+    throw configError(`template "${name}" requires text`);
+  }
+
+  const unknown = [...normalized.text.matchAll(/\{(\w+)\}/g)]
+    .map(match => match[1])
+    .filter(placeholder => !PLACEHOLDERS.includes(placeholder));
+  if (unknown.length > 0) {
+    throw configError(`template "${name}" uses unknown placeholder(s): ${unknown.join(', ')}`);
+  }
+
+  if (!PLACEMENTS.includes(normalized.placement)) {
+    throw configError(`template "${name}" placement must be one of: ${PLACEMENTS.join(', ')}`);
+  }
+  if (typeof normalized.opacity !== 'number' || normalized.opacity <= 0 || normalized.opacity > 1) {
+    throw configError(`template "${name}" opacity must be a number in (0, 1]`);
+  }
+  if (!/^#[0-9a-fA-F]{6}$/.test(normalized.color)) {
+    throw configError(`template "${name}" color must be a #RRGGBB hex value`);
+  }
+  if (normalized.fontSize !== null && (typeof normalized.fontSize !== 'number' || normalized.fontSize <= 0)) {
+    throw configError(`template "${name}" fontSize must be a positive number or null (auto)`);
+  }
+  if (typeof normalized.rotation !== 'number') {
+    throw configError(`template "${name}" rotation must be a number of degrees`);
+  }
+  if (typeof normalized.rasterize !== 'boolean') {
+    throw configError(`template "${name}" rasterize must be true or false`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Load watermark template configuration from WATERMARK_TEMPLATES_FILE (a
+ * JSON file) or WATERMARK_TEMPLATES (inline JSON):
+ *
+ * {
+ *   "templates": { "<name>": { text, placement, rotation, opacity, color, fontSize, rasterize } },
+ *   "default": "<name>",
+ *   "classifications": { "<classification>": "<name>" },
+ *   "orgs": { "<orgId>": { "default": "<name>", "classifications": { ... } } }
+ * }
+ */
+function loadConfig() {
+  if (cachedConfig) {
+    return cachedConfig;
+  }
+
+  let raw = null;
+  if (process.env.WATERMARK_TEMPLATES_FILE) {
+    const file = path.resolve(process.env.WATERMARK_TEMPLATES_FILE);
+    try {
+      raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw configError(`cannot read ${file}: ${error.message}`);
+    }
+  } else if (process.env.WATERMARK_TEMPLATES) {
+    try {
+      raw = JSON.parse(process.env.WATERMARK_TEMPLATES);
+    } catch (error) {
+      throw configError(`WATERMARK_TEMPLATES is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const templates = {};
+  for (const [name, template] of Object.entries((raw && raw.templates) || {})) {
+    templates[name] = normalizeTemplate(name, template);
+  }
+
+  const config = {
+    templates,
+    default: (raw && raw.default) || null,
+    classifications: (raw && raw.classifications) || {},
+    orgs: (raw && raw.orgs) || {}
+  };
+
+  const referenced = [
+    config.default,
+    ...Object.values(config.classifications),
+    ...Object.values(config.orgs).flatMap(org => [org.default, ...Object.values(org.classifications || {})])
+  ].filter(Boolean);
+  const missing = referenced.filter(name => !templates[name]);
+  if (missing.length > 0) {
+    throw configError(`unknown template(s) referenced: ${[...new Set(missing)].join(', ')}`);
+  }
+
+  logger.info('Watermark templates loaded', {
+    templates: Object.keys(templates),
+    orgs: Object.keys(config.orgs).length
+  });
+
+  cachedConfig = config;
+  return config;
+}
+
+// Salesforce org ids come as 15- or 18-character ids; compare the 15-character form
+function sameOrgId(a, b) {
+  return String(a).substring(0, 15) === String(b).substring(0, 15);
+}
+
+function lookupClassification(map, classification) {
+  if (!classification || !map) {
+    return null;
+  }
+  const key = Object.keys(map).find(name => name.toLowerCase() === String(classification).toLowerCase());
+  return key ? map[key] : null;
+}
+
+/**
+ * Choose the watermark template for an org and document classification.
+ * Most specific wins: org + classification, org default, the org registry's
+ * watermarkTemplate, classification, global default, then the built-in template.
+ *
+ * @param {Object} params
+ * @param {string} [params.orgId] - Salesforce org id
+ * @param {string} [params.classification] - Document classification
+ * @param {string} [params.orgTemplate] - Template name from the org registry
+ * @returns {{ name: string, template: Object }}
+ */
+function resolveWatermarkTemplate({ orgId, classification, orgTemplate }) {
+  const config = loadConfig();
+
+  const orgKey = orgId ? Object.keys(config.orgs).find(id => sameOrgId(id, orgId)) : null;
+  const org = orgKey ? config.orgs[orgKey] : null;
+
+  if (orgTemplate && !config.templates[orgTemplate]) {
+    throw configError(`org registry watermarkTemplate "${orgTemplate}" is not a defined template`);
+  }
+
+  const name = (org && lookupClassification(org.classifications, classification))
+    || (org && org.default)
+    || orgTemplate
+    || lookupClassification(config.classifications, classification)
+    || config.default;
+
+  if (!name) {
+    return { name: 'default', template: DEFAULT_TEMPLATE };
+  }
+
+  return { name, template: config.templates[name] };
+}
+
+/**
+ * Access types always served in view-only (rasterized) mode, from
+ * RASTERIZE_ACCESS_TYPES (comma separated, e.g. `view`).
+ */
+function isRasterizedAccessType(accessType) {
+  const accessTypes = (process.env.RASTERIZE_ACCESS_TYPES || '')
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean);
+
+  return !!accessType && accessTypes.includes(String(accessType).toLowerCase());
+}
+
+/**
+ * Build the `watermark` claim embedded in a viewer token, so the template
+ * and view mode chosen at issuance are the ones applied in /api/view.
+ *
+ * @param {Object} params
+ * @param {string} [params.orgId]
+ * @param {string} [params.orgTemplate]
+ * @param {string} [params.classification]
+ * @param {string} [params.accessType]
+ * @param {string} [params.userName]
+ * @param {string} [params.userEmail]
+ * @param {string} [params.recordName]
+ * @param {string} [params.fileName]
+ * @returns {{ name: string, template: Object, rasterize: boolean, context: Object }}
+ *   `rasterize` is set by the template or by the access type
+ */
+function buildWatermarkClaim({ orgId, orgTemplate, classification, accessType, userName, userEmail, recordName, fileName }) {
+  const { name, template } = resolveWatermarkTemplate({ orgId, classification, orgTemplate });
+
+  return {
+    name,
+    template,
+    rasterize: !!template.rasterize || isRasterizedAccessType(accessType),
+    context: {
+      userName: userName || null,
+      userEmail: userEmail || null,
+      recordName: recordName || null,
+      fileName: fileName || null,
+      classification: classification || null
+    }
+  };
+}
+
+function formatTimestamp(date) {
+  return `${date.toISOString().substring(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Fill the placeholders of a template's text.
+ *
+ * @param {string} text
+ * @param {Object} values - Placeholder values; missing ones render empty
+ * @returns {string[]} Rendered lines
+ */
+function renderWatermarkText(text, values) {
+  return text
+    .replace(/\{(\w+)\}/g, (match, placeholder) => (values[placeholder] == null ? '' : String(values[placeholder])))
+    .split('\n')
+    // Drop separators left dangling by empty placeholders
+    .map(line => line.replace(/(\s*·\s*)+/g, ' · ').replace(/^\s*·\s*|\s*·\s*$/g, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Collect placeholder values for a view.
+ *
+ * @param {Object} params
+ * @param {Object} [params.context] - Context from the token's watermark claim
+ * @param {string} params.accessHash
+ * @param {string} [params.userId]
+ * @param {string} [params.recordId]
+ * @param {string} [params.fileName]
+ * @param {string} [params.requestIP] - IP of the viewer's /api/view request
+ * @returns {Object}
+ */
+function buildWatermarkValues({ context = {}, accessHash, userId, recordId, fileName, requestIP }) {
+  return {
+    userName: context.userName || context.userEmail || userId || null,
+    userEmail: context.userEmail || null,
+    userId: userId || null,
+    timestamp: formatTimestamp(new Date()),
+    ip: requestIP || null,
+    accessHash,
+    accessHashShort: accessHash ? `${accessHash.substring(0, 10)}…${accessHash.slice(-6)}` : null,
+    recordName: context.recordName || null,
+    recordId: recordId || null,
+    fileName: context.fileName || fileName || null,
+    classification: context.classification || null
+  };
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return rgb(((value >> 16) & 0xff) / 255, ((value >> 8) & 0xff) / 255, (value & 0xff) / 255);
+}
+
+/**
+ * Replace characters the standard font cannot encode (e.g. non-Latin names)
+ * so drawing never fails on user-supplied values.
+ */
+function encodable(font, text) {
+  const charset = new Set(font.getCharacterSet());
+  return [...text].map(char => (charset.has(char.codePointAt(0)) ? char : '?')).join('');
+}
+
+// Offset that puts the centre of a rotated text block at (cx, cy)
+function rotatedOrigin(cx, cy, blockWidth, blockHeight, angleDegrees) {
+  const angle = (angleDegrees * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const halfWidth = blockWidth / 2;
+  const halfHeight = blockHeight / 2;
+
+  return {
+    x: cx - (halfWidth * cos - halfHeight * sin),
+    y: cy - (halfWidth * sin + halfHeight * cos)
+  };
+}
+
+function drawBlock(page, lines, { x, y, font, fontSize, lineHeight, angle, color, opacity }) {
+  const angleRad = (angle * Math.PI) / 180;
+
+  // Lines stack downwards, perpendicular to the text direction
+  lines.forEach((line, index) => {
+    const offset = (lines.length - 1 - index) * lineHeight;
+    page.drawText(line, {
+      x: x - offset * Math.sin(angleRad),
+      y: y + offset * Math.cos(angleRad),
+      size: fontSize,
+      font,
+      color,
+      opacity,
+      rotate: degrees(angle)
+    });
+  });
+}
+
+/**
+ * Stamp every page of a PDF with a watermark template and the forensic
+ * footer. The footer is always drawn, whatever the template.
+ *
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ * @param {Object} params
+ * @param {Object} [params.template] - Template from the token; built-in default when absent
+ * @param {Object} params.values - From buildWatermarkValues
+ * @param {string} params.forensicText - `KRNL:<accessHash>:<documentHash>:<sessionId>`
+ */
+async function applyPdfWatermark(pdfDoc, { template, values, forensicText }) {
+  const settings = template ? { ...DEFAULT_TEMPLATE, ...template } : DEFAULT_TEMPLATE;
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const lines = renderWatermarkText(settings.text, values).map(line => encodable(font, line));
+  const color = hexToRgb(settings.color);
+  const angle = settings.rotation;
+
+  for (const page of pdfDoc.getPages()) {
+    const { width, height } = page.getSize();
+    const widestLine = Math.max(0, ...lines.map(line => font.widthOfTextAtSize(line, 1)));
+
+    let fontSize = settings.fontSize;
+    if (!fontSize) {
+      if (settings.placement === 'tile') {
+        fontSize = 14;
+      } else {
+        // Span the page diagonal, leaving a margin at each corner
+        const diagonal = Math.sqrt(width * width + height * height);
+        const targetLength = Math.max(0, diagonal - 2 * 100);
+        fontSize = widestLine > 0 ? targetLength / widestLine : 20;
+        fontSize = Math.max(14, Math.min(28, fontSize * 0.95));
+      }
+    }
+
+    const lineHeight = font.heightAtSize(fontSize) * 1.2;
+    const blockWidth = widestLine * fontSize;
+    const blockHeight = lineHeight * lines.length;
+    const drawOptions = { font, fontSize, lineHeight, angle, color, opacity: settings.opacity };
+
+    if (lines.length > 0 && settings.placement === 'tile') {
+      const stepX = blockWidth + fontSize * 4;
+      const stepY = blockHeight + fontSize * 6;
+      // Overscan so rotated rows still cover the corners
+      const reach = Math.sqrt(width * width + height * height);
+      for (let cy = -reach / 2; cy < height + reach / 2; cy += stepY) {
+        for (let cx = -reach / 2; cx < width + reach / 2; cx += stepX) {
+          const origin = rotatedOrigin(cx, cy, blockWidth, blockHeight, angle);
+          drawBlock(page, lines, { ...drawOptions, ...origin });
+        }
+      }
+    } else if (lines.length > 0) {
+      const origin = rotatedOrigin(width / 2, height / 2, blockWidth, blockHeight, angle);
+      drawBlock(page, lines, { ...drawOptions, ...origin });
+    }
+
+    page.drawText(forensicText, {
+      x: 16,
+      y: 16,
+      size: 6,
+      font,
+      color: rgb(1, 1, 1),
+      opacity: 0.02,
+      rotate: degrees(0)
+    });
+  }
+}
+
+const CANVAS_FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+
+/**
+ * Burn a watermark template and the forensic footer into a rendered page
+ * (a 2D canvas context from pdfjs's canvas factory).
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {Object} params
+ * @param {number} params.width - Canvas width in pixels
+ * @param {number} params.height - Canvas height in pixels
+ * @param {number} params.scale - Pixels per PDF point; template sizes are in points
+ * @param {Object} [params.template] - Template from the token; built-in default when absent
+ * @param {Object} params.values - From buildWatermarkValues
+ * @param {string} params.forensicText - `KRNL:<accessHash>:<documentHash>:<sessionId>`
+ */
+function drawCanvasWatermark(context, { width, height, scale, template, values, forensicText }) {
+  const settings = template ? { ...DEFAULT_TEMPLATE, ...template } : DEFAULT_TEMPLATE;
+  const lines = renderWatermarkText(settings.text, values);
+  const diagonal = Math.sqrt(width * width + height * height);
+
+  // Measure at a large size for precision, then scale
+  context.font = `100px ${CANVAS_FONT_FAMILY}`;
+  const widestLine = Math.max(0, ...lines.map(line => context.measureText(line).width / 100));
+
+  let fontSize = settings.fontSize ? settings.fontSize * scale : null;
+  if (!fontSize) {
+    if (settings.placement === 'tile') {
+      fontSize = 14 * scale;
+    } else {
+      const targetLength = Math.max(0, diagonal - 2 * 100 * scale);
+      fontSize = widestLine > 0 ? (targetLength / widestLine) * 0.95 : 20 * scale;
+      fontSize = Math.max(14 * scale, Math.min(28 * scale, fontSize));
+    }
+  }
+
+  const lineHeight = fontSize * 1.2;
+  const blockWidth = widestLine * fontSize;
+  const blockHeight = lineHeight * lines.length;
+  // Canvas rotates clockwise; templates rotate counter-clockwise like PDF
+  const angle = (-settings.rotation * Math.PI) / 180;
+
+  const drawBlock = (x, y) => {
+    lines.forEach((line, index) => {
+      context.fillText(line, x, y - blockHeight / 2 + lineHeight * (index + 0.5));
+    });
+  };
+
+  context.save();
+  context.globalAlpha = settings.opacity;
+  context.fillStyle = settings.color;
+  context.font = `${fontSize}px ${CANVAS_FONT_FAMILY}`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.translate(width / 2, height / 2);
+  context.rotate(angle);
+
+  if (lines.length > 0 && settings.placement === 'tile') {
+    const stepX = blockWidth + fontSize * 4;
+    const stepY = blockHeight + fontSize * 6;
+    // The rotated grid must still cover the page corners
+    const reach = diagonal / 2 + Math.max(stepX, stepY);
+    for (let y = -reach; y <= reach; y += stepY) {
+      for (let x = -reach; x <= reach; x += stepX) {
+        drawBlock(x, y);
+      }
+    }
+  } else if (lines.length > 0) {
+    drawBlock(0, 0);
+  }
+  context.restore();
+
+  // Faint enough to go unnoticed, strong enough to survive JPEG compression
+  context.save();
+  context.globalAlpha = 0.08;
+  context.fillStyle = '#000000';
+  context.font = `${Math.max(6, 6 * scale)}px ${CANVAS_FONT_FAMILY}`;
+  context.textAlign = 'left';
+  context.textBaseline = 'alphabetic';
+  context.fillText(forensicText, 16 * scale, height - 16 * scale);
+  context.restore();
+}
+
+/**
+ * Image format to watermark for a stored file, or null when it is not a
+ * supported image.
+ *
+ * @param {string} contentType
+ * @param {string} fileName
+ * @returns {'png' | 'jpeg' | 'webp' | null}
+ */
+function getImageFormat(contentType, fileName) {
+  const byType = IMAGE_FORMATS[String(contentType || '').split(';')[0].trim().toLowerCase()];
+  if (byType) {
+    return byType;
+  }
+
+  const extension = String(fileName || '').split('.').pop().toLowerCase();
+  return IMAGE_EXTENSIONS[extension] || null;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build the SVG overlay composited onto an image: the template text (single
+ * or tiled) and the forensic footer.
+ */
+function buildImageOverlaySvg({ width, height, settings, lines, forensicText }) {
+  const scale = Math.max(width, height) / IMAGE_REFERENCE_SIZE;
+  const longestLine = Math.max(0, ...lines.map(line => line.length));
+
+  let fontSize = settings.fontSize ? settings.fontSize * scale : null;
+  if (!fontSize) {
+    if (settings.placement === 'tile') {
+      fontSize = 14 * scale;
+    } else {
+      // Span the image diagonal, as for PDF pages
+      const diagonal = Math.sqrt(width * width + height * height);
+      fontSize = longestLine > 0 ? (diagonal * 0.75) / (longestLine * AVERAGE_GLYPH_WIDTH) : 20 * scale;
+      fontSize = Math.max(14 * scale, Math.min(28 * scale, fontSize));
+    }
+  }
+
+  const lineHeight = fontSize * 1.2;
+  const blockWidth = longestLine * fontSize * AVERAGE_GLYPH_WIDTH;
+  const blockHeight = lineHeight * lines.length;
+
+  // Text block centred on (0, 0)
+  const block = lines
+    .map((line, index) => {
+      const y = -blockHeight / 2 + lineHeight * index + fontSize;
+      return `<text x="0" y="${y.toFixed(1)}" text-anchor="middle">${escapeXml(line)}</text>`;
+    })
+    .join('');
+
+  const textStyle = `font-family="Helvetica, Arial, sans-serif" font-size="${fontSize.toFixed(1)}" fill="${settings.color}" fill-opacity="${settings.opacity}"`;
+  // SVG rotates clockwise; templates rotate counter-clockwise like PDF
+  const rotate = `rotate(${-settings.rotation})`;
+
+  let watermark = '';
+  if (lines.length > 0 && settings.placement === 'tile') {
+    // Glyph widths are estimated, so leave slack for the pattern cell not to clip text
+    const stepX = blockWidth * 1.2 + fontSize * 4;
+    const stepY = blockHeight + fontSize * 6;
+    watermark = `<defs><pattern id="krnl-watermark" patternUnits="userSpaceOnUse" width="${stepX.toFixed(1)}" height="${stepY.toFixed(1)}" patternTransform="${rotate}">`
+      + `<g transform="translate(${(stepX / 2).toFixed(1)} ${(stepY / 2).toFixed(1)})" ${textStyle}>${block}</g>`
+      + '</pattern></defs><rect width="100%" height="100%" fill="url(#krnl-watermark)"/>';
+  } else if (lines.length > 0) {
+    watermark = `<g transform="translate(${width / 2} ${height / 2}) ${rotate}" ${textStyle}>${block}</g>`;
+  }
+
+  const footerSize = Math.max(6, 6 * scale);
+  const footer = `<text x="${(16 * scale).toFixed(1)}" y="${(height - 16 * scale).toFixed(1)}" font-family="Helvetica, Arial, sans-serif" font-size="${footerSize.toFixed(1)}" fill="#ffffff" fill-opacity="0.02">${escapeXml(forensicText)}</text>`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${watermark}${footer}</svg>`;
+}
+
+/**
+ * Watermark a PNG, JPEG or WebP image with a template and the forensic
+ * footer. The forensic string is also written to the EXIF ImageDescription.
+ *
+ * @param {Buffer} buffer - Image bytes
+ * @param {Object} params
+ * @param {'png' | 'jpeg' | 'webp'} params.format - From getImageFormat
+ * @param {Object} [params.template] - Template from the token; built-in default when absent
+ * @param {Object} params.values - From buildWatermarkValues
+ * @param {string} params.forensicText - `KRNL:<accessHash>:<documentHash>:<sessionId>`
+ * @returns {Promise<Buffer>} Watermarked image in the same format
+ */
+async function applyImageWatermark(buffer, { format, template, values, forensicText }) {
+  // Native module: loaded only when an image is actually served
+  const sharp = require('sharp');
+
+  const settings = template ? { ...DEFAULT_TEMPLATE, ...template } : DEFAULT_TEMPLATE;
+  const lines = renderWatermarkText(settings.text, values);
+
+  // Apply EXIF orientation first so the overlay lines up with what is displayed
+  const { data, info } = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+  const svg = buildImageOverlaySvg({
+    width: info.width,
+    height: info.height,
+    settings,
+    lines,
+    forensicText
+  });
+
+  return sharp(data)
+    .composite([{ input: Buffer.from(svg), top: 0, left: 0 }])
+    .withMetadata({ exif: { IFD0: { ImageDescription: forensicText } } })
+    .toFormat(format)
+    .toBuffer();
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  PLACEHOLDERS,
+  resolveWatermarkTemplate,
+  buildWatermarkClaim,
+  buildWatermarkValues,
+  renderWatermarkText,
+  applyPdfWatermark,
+  drawCanvasWatermark,
+  getImageFormat,
+  applyImageWatermark
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+/**
+ * SHA-256 Merkle trees, as DocumentAccessRegistry checks them on-chain and the
+ * viewer checks them offline: leaves and inner nodes get distinct one-byte
+ * prefixes (0x00, 0x01) so a node cannot pass for a leaf, inner nodes hash the
+ * sorted pair so proofs are plain lists of sibling hashes, and an unpaired
+ * node moves up a level unchanged.
+ */
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
+function toBuffer(hex) {
+  return Buffer.from(String(hex).replace(/^0x/, ''), 'hex');
+}
+
+function toHex(buffer) {
+  return `0x${buffer.toString('hex')}`;
+}
+
+function sha256(...parts) {
+  return crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+}
+
+/**
+ * Hash a leaf from its raw bytes (the 0x00 prefix is added here)
+ * @param {Buffer} data
+ * @returns {string} `0x`-prefixed hex
+ */
+function hashLeaf(data) {
+  return toHex(sha256(LEAF_PREFIX, data));
+}
+
+/**
+ * @param {string} a - `0x`-prefixed hex
+ * @param {string} b - `0x`-prefixed hex
+ * @returns {string} `0x`-prefixed hex
+ */
+function hashPair(a, b) {
+  const [left, right] = [toBuffer(a), toBuffer(b)].sort(Buffer.compare);
+  return toHex(sha256(NODE_PREFIX, left, right));
+}
+
+/**
+ * Build a tree over leaf hashes, in order
+ * @param {string[]} leaves - `0x`-prefixed leaf hashes (at least one)
+ * @returns {{root: string, proofs: string[][]}} The root and, per leaf, its sibling hashes from the bottom up
+ */
+function buildTree(leaves) {
+  if (!leaves.length) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+
+  const proofs = leaves.map(() => []);
+  let level = leaves.map((hash, index) => ({ hash, members: [index] }));
+
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      if (i + 1 === level.length) {
+        next.push(level[i]);
+        continue;
+      }
+      const left = level[i];
+      const right = level[i + 1];
+      left.members.forEach(index => proofs[index].push(right.hash));
+      right.members.forEach(index => proofs[index].push(left.hash));
+      next.push({ hash: hashPair(left.hash, right.hash), members: [...left.members, ...right.members] });
+    }
+    level = next;
+  }
+
+  return { root: level[0].hash, proofs };
+}
+
+/**
+ * Root a proof leads to from a leaf
+ * @param {string} leaf - `0x`-prefixed leaf hash
+ * @param {string[]} proof - Sibling hashes from the bottom up
+ * @returns {string}
+ */
+function computeRoot(leaf, proof) {
+  return proof.reduce((node, sibling) => hashPair(node, sibling), leaf);
+}
+
+/**
+ * @param {string} leaf
+ * @param {string[]} proof
+ * @param {string} root
+ * @returns {boolean}
+ */
+function verifyProof(leaf, proof, root) {
+  return computeRoot(leaf, proof).toLowerCase() === String(root).toLowerCase();
+}
+
+module.exports = {
+  hashLeaf,
+  hashPair,
+  buildTree,
+  computeRoot,
+  verifyProof
+};
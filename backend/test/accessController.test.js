@@ -0,0 +1,167 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.SALESFORCE_AUTH_MODE = 'stub';
+process.env.API_SIGNATURE_MODE = 'off';
+process.env.VIEWER_APP_URL = 'https://viewer.example.com/';
+
+const mockStartAccessWorkflow = jest.fn();
+
+jest.mock('../src/services/krnlService', () => jest.fn().mockImplementation(() => ({
+  startAccessWorkflow: mockStartAccessWorkflow
+})));
+jest.mock('../src/services/sessionStore', () => ({
+  saveSession: jest.fn(),
+  loadSession: jest.fn(),
+  loadAccessEvent: jest.fn(),
+  saveAccessEventFromSession: jest.fn(),
+  loadRevocations: jest.fn().mockResolvedValue([]),
+  saveRevocation: jest.fn()
+}));
+jest.mock('../src/services/accessPolicyService', () => ({
+  evaluateAccessPolicy: jest.fn(),
+  recordAccessGrant: jest.fn(),
+  recordPolicyDenial: jest.fn()
+}));
+jest.mock('../src/services/documentIntegrityService', () => ({
+  lookupDocumentClassification: jest.fn()
+}));
+jest.mock('../src/services/documentBatchService', () => ({
+  findDocumentInclusion: jest.fn()
+}));
+jest.mock('../src/services/accessLogService', () => ({
+  ...jest.requireActual('../src/services/accessLogService'),
+  recordAccessEvent: jest.fn()
+}));
+
+const { evaluateAccessPolicy, recordPolicyDenial } = require('../src/services/accessPolicyService');
+const { lookupDocumentClassification } = require('../src/services/documentIntegrityService');
+const { findDocumentInclusion } = require('../src/services/documentBatchService');
+const { recordAccessEvent } = require('../src/services/accessLogService');
+const accessRouter = require('../src/controllers/accessController');
+
+const app = express();
+app.use(express.json());
+// Stands in for validateRequestSignature accepting a request signed by Apex
+app.use((req, res, next) => {
+  if (req.get('X-Test-Signed')) {
+    req.apiKey = { keyId: 'krnl_test', orgId: 'test_org' };
+  }
+  next();
+});
+app.use('/api/access', accessRouter);
+
+const accessRequest = {
+  documentHash: `0x${'ab'.repeat(32)}`,
+  recordId: 'a01000000000001AAA',
+  userId: '0051234567890123',
+  accessType: 'view',
+  documentId: 'documents/contract.pdf',
+  fileName: 'contract.pdf'
+};
+
+describe('POST /api/access/init', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    evaluateAccessPolicy.mockResolvedValue({ allowed: true });
+    lookupDocumentClassification.mockResolvedValue('Confidential');
+    mockStartAccessWorkflow.mockResolvedValue({ workflowId: 'wf-1', status: 'RUNNING' });
+    findDocumentInclusion.mockResolvedValue(null);
+  });
+
+  test('starts the access workflow and returns the viewer session URL', async () => {
+    const res = await request(app).post('/api/access/init').send(accessRequest);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      success: true,
+      documentHash: accessRequest.documentHash,
+      workflowId: 'wf-1',
+      state: 'RUNNING'
+    });
+    expect(res.body.sessionId).toMatch(/^access_/);
+    expect(res.body.viewerSessionUrl).toBe(`https://viewer.example.com/?sessionId=${res.body.sessionId}`);
+    expect(mockStartAccessWorkflow).toHaveBeenCalledWith(expect.objectContaining({
+      sessionId: res.body.sessionId,
+      documentId: 'documents/contract.pdf',
+      classification: 'Confidential'
+    }));
+  });
+
+  test('takes caller facts from the connection and the registration, not an unsigned body', async () => {
+    await request(app).post('/api/access/init').send({
+      ...accessRequest,
+      clientIP: '198.51.100.1',
+      classification: 'Public',
+      userProfile: 'System Administrator'
+    });
+
+    const policyRequest = evaluateAccessPolicy.mock.calls[0][0];
+    expect(policyRequest.clientIP).not.toBe('198.51.100.1');
+    expect(policyRequest.classification).toBe('Confidential');
+    expect(policyRequest.userProfile).toBeNull();
+    expect(lookupDocumentClassification).toHaveBeenCalledWith(accessRequest.documentHash, expect.objectContaining({ orgId: 'test_org' }));
+  });
+
+  test('refuses a request without the required fields', async () => {
+    const res = await request(app).post('/api/access/init').send({ ...accessRequest, accessType: undefined });
+
+    expect(res.status).toBe(400);
+    expect(mockStartAccessWorkflow).not.toHaveBeenCalled();
+  });
+
+  test('answers 403 and starts nothing when the policy denies access', async () => {
+    evaluateAccessPolicy.mockResolvedValue({ allowed: false, policy: 'confidential', reasons: ['outside business hours'] });
+    recordPolicyDenial.mockResolvedValue('denial-1');
+
+    const res = await request(app).post('/api/access/init').send(accessRequest);
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ success: false, reasons: ['outside business hours'], denialId: 'denial-1' });
+    expect(mockStartAccessWorkflow).not.toHaveBeenCalled();
+  });
+
+  test('logs access to a batch-anchored document off-chain instead of through KRNL', async () => {
+    findDocumentInclusion.mockResolvedValue({ anchored: true, batchId: 'db_1', classification: 'Public' });
+    recordAccessEvent.mockResolvedValue({ sequence: 1, eventHash: `0x${'cd'.repeat(32)}`, signer: '0xsigner', batchId: 'alb_1' });
+
+    const res = await request(app).post('/api/access/init').send(accessRequest);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ state: 'COMPLETED_WITH_EVENT', accessLog: { mode: 'batch', batchId: 'alb_1' } });
+    expect(mockStartAccessWorkflow).not.toHaveBeenCalled();
+  });
+});
+
+describe('downloads through POST /api/access/init', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    evaluateAccessPolicy.mockResolvedValue({ allowed: true });
+    lookupDocumentClassification.mockResolvedValue(null);
+    mockStartAccessWorkflow.mockResolvedValue({ workflowId: 'wf-1', status: 'RUNNING' });
+    findDocumentInclusion.mockResolvedValue(null);
+  });
+
+  test('are refused to unsigned requests, whatever they claim', async () => {
+    const res = await request(app).post('/api/access/init').send({ ...accessRequest, accessType: 'download', allowDownload: true });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Downloads are not allowed for this document');
+    expect(mockStartAccessWorkflow).not.toHaveBeenCalled();
+  });
+
+  test('are refused to signed requests that do not allow them', async () => {
+    const res = await request(app).post('/api/access/init').set('X-Test-Signed', '1')
+      .send({ ...accessRequest, accessType: 'download' });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('go ahead when a signed request allows them', async () => {
+    const res = await request(app).post('/api/access/init').set('X-Test-Signed', '1')
+      .send({ ...accessRequest, accessType: 'download', allowDownload: true });
+
+    expect(res.status).toBe(200);
+    expect(mockStartAccessWorkflow).toHaveBeenCalledWith(expect.objectContaining({ accessType: 'download' }));
+  });
+});
@@ -0,0 +1,193 @@
+process.env.ACCESS_WATCHER_POLL_MS = '1000';
+process.env.ACCESS_WORKFLOW_TIMEOUT_MS = '10000';
+process.env.ACCESS_WATCHER_MAX_BLOCK_RANGE = '50';
+
+const mockProvider = {
+  getBlockNumber: jest.fn(),
+  getLogs: jest.fn()
+};
+
+jest.mock('ethers', () => {
+  const actual = jest.requireActual('ethers');
+  return {
+    ...actual,
+    ethers: {
+      ...actual.ethers,
+      providers: { ...actual.ethers.providers, StaticJsonRpcProvider: jest.fn(() => mockProvider) }
+    }
+  };
+});
+jest.mock('axios', () => ({ post: jest.fn() }));
+jest.mock('../src/services/sessionStore', () => ({
+  saveSession: jest.fn(),
+  saveAccessEventFromSession: jest.fn()
+}));
+jest.mock('../src/services/orgRegistryService', () => ({
+  requireTenant: () => ({
+    chain: { rpcUrl: 'http://rpc.test', wsUrl: null, registryContract: `0x${'33'.repeat(20)}` }
+  })
+}));
+
+const axios = require('axios');
+const { ethers } = require('ethers');
+const { saveSession, saveAccessEventFromSession } = require('../src/services/sessionStore');
+const {
+  watchAccessSession,
+  getWatchedStatus,
+  onAccessSessionUpdate,
+  waitForAccessSession
+} = require('../src/services/accessEventWatcher');
+
+const accessLog = new ethers.utils.Interface([
+  'event DocumentAccessLogged(string documentHash, address accessor, string salesforceUserId, string accessType, string documentId, bytes32 accessHash, uint256 timestamp)'
+]);
+const documentHash = `0x${'ab'.repeat(32)}`;
+let sessionCount = 0;
+let logCount = 0;
+
+function accessSession(fields = {}) {
+  sessionCount += 1;
+  return {
+    sessionId: `sess_${sessionCount}`,
+    status: 'RUNNING',
+    useJsonRpc: true,
+    documentHash,
+    userId: '005000000000001AAA',
+    accessType: 'view',
+    orgId: '00D000000000001',
+    startBlock: 100,
+    intentId: `intent_${sessionCount}`,
+    ...fields
+  };
+}
+
+function loggedAccess(blockNumber, fields = {}) {
+  logCount += 1;
+  const values = {
+    documentHash,
+    accessor: `0x${'44'.repeat(20)}`,
+    salesforceUserId: '005000000000001AAA',
+    accessType: 'view',
+    documentId: 'documents/contract.pdf',
+    accessHash: ethers.utils.hexZeroPad(ethers.utils.hexlify(logCount), 32),
+    timestamp: 1700000000,
+    ...fields
+  };
+  return {
+    ...accessLog.encodeEventLog(accessLog.getEvent('DocumentAccessLogged'), Object.values(values)),
+    blockNumber,
+    transactionHash: ethers.utils.hexZeroPad(ethers.utils.hexlify(logCount), 32),
+    logIndex: 0
+  };
+}
+
+// Logs the chain returns for the next getLogs call
+function mineLogs(logs) {
+  mockProvider.getLogs.mockImplementationOnce(async ({ fromBlock, toBlock }) =>
+    logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock));
+}
+
+describe('accessEventWatcher', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    mockProvider.getBlockNumber.mockResolvedValue(120);
+    mockProvider.getLogs.mockResolvedValue([]);
+    axios.post.mockResolvedValue({ data: { result: { code: 1 } } });
+    saveSession.mockResolvedValue();
+    saveAccessEventFromSession.mockResolvedValue();
+  });
+
+  afterEach(async () => {
+    // Let the watcher see it has nothing left to watch and stop ticking
+    await jest.advanceTimersByTimeAsync(1000);
+    jest.useRealTimers();
+  });
+
+  test('settles each waiting session with its own log from one shared poll', async () => {
+    const first = accessSession();
+    const second = accessSession();
+    watchAccessSession(first);
+    watchAccessSession(second);
+    const settled = Promise.all([waitForAccessSession(first.sessionId), waitForAccessSession(second.sessionId)]);
+
+    const firstLog = loggedAccess(105);
+    mineLogs([firstLog]);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(mockProvider.getLogs).toHaveBeenCalledTimes(1);
+    expect(getWatchedStatus(first.sessionId)).toBeNull();
+    expect(getWatchedStatus(second.sessionId)).toMatchObject({ state: 'RUNNING' });
+
+    mineLogs([loggedAccess(121)]);
+    mockProvider.getBlockNumber.mockResolvedValue(121);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    const [firstStatus, secondStatus] = await settled;
+    expect(firstStatus).toMatchObject({ state: 'COMPLETED_WITH_EVENT', txHash: firstLog.transactionHash, blockNumber: 105 });
+    expect(secondStatus).toMatchObject({ state: 'COMPLETED_WITH_EVENT', blockNumber: 121 });
+    expect(saveAccessEventFromSession).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not match logs mined before the session started or for another user', async () => {
+    const session = accessSession({ startBlock: 110 });
+    watchAccessSession(session);
+
+    mineLogs([loggedAccess(104), loggedAccess(112, { salesforceUserId: '005000000000002AAA' })]);
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(getWatchedStatus(session.sessionId)).toMatchObject({ state: 'RUNNING' });
+
+    const settled = waitForAccessSession(session.sessionId);
+    mineLogs([loggedAccess(121)]);
+    mockProvider.getBlockNumber.mockResolvedValue(121);
+    await jest.advanceTimersByTimeAsync(1000);
+    await expect(settled).resolves.toMatchObject({ state: 'COMPLETED_WITH_EVENT', blockNumber: 121 });
+  });
+
+  test('catches up over several ticks when the chain is more than one block range ahead', async () => {
+    const session = accessSession();
+    watchAccessSession(session);
+    const settled = waitForAccessSession(session.sessionId);
+
+    const log = loggedAccess(250);
+    mockProvider.getBlockNumber.mockResolvedValue(300);
+    mockProvider.getLogs.mockImplementation(async ({ fromBlock, toBlock }) =>
+      (log.blockNumber >= fromBlock && log.blockNumber <= toBlock ? [log] : []));
+    await jest.advanceTimersByTimeAsync(4000);
+
+    await expect(settled).resolves.toMatchObject({ state: 'COMPLETED_WITH_EVENT', blockNumber: 250 });
+    expect(mockProvider.getLogs.mock.calls.map(([filter]) => [filter.fromBlock, filter.toBlock]))
+      .toEqual([[90, 139], [140, 189], [190, 239], [240, 289]]);
+  });
+
+  test('pushes intent state changes and settles a failed intent without waiting for a log', async () => {
+    const session = accessSession();
+    const updates = [];
+    const unsubscribe = onAccessSessionUpdate(session.sessionId, status => updates.push(status.state));
+    watchAccessSession(session);
+    const settled = waitForAccessSession(session.sessionId);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    axios.post.mockResolvedValue({ data: { result: { code: 3 } } });
+    await jest.advanceTimersByTimeAsync(1000);
+    unsubscribe();
+
+    await expect(settled).resolves.toMatchObject({ state: 'FAILED' });
+    expect(updates).toEqual(['RUNNING', 'FAILED']);
+    expect(saveAccessEventFromSession).not.toHaveBeenCalled();
+  });
+
+  test('gives up on a session after ACCESS_WORKFLOW_TIMEOUT_MS and stores it as timed out', async () => {
+    const session = accessSession();
+    watchAccessSession(session);
+    const settled = waitForAccessSession(session.sessionId);
+    settled.catch(() => undefined);
+
+    await jest.advanceTimersByTimeAsync(11000);
+
+    await expect(settled).rejects.toMatchObject({ statusCode: 504 });
+    expect(saveSession).toHaveBeenLastCalledWith(expect.objectContaining({ sessionId: session.sessionId, status: 'TIMED_OUT' }));
+    expect(getWatchedStatus(session.sessionId)).toBeNull();
+  });
+});
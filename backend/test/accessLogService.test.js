@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { buildTree } = require('../src/utils/merkle');
+const { accessEventHash, accessEventLeaf, verifyAccessEvent } = require('../src/services/accessLogService');
+
+// Anchors the org's batches and signs its access events
+const wallet = new ethers.Wallet(`0x${'11'.repeat(32)}`);
+
+function accessEvent(sequence, prevHash, overrides = {}) {
+  return {
+    orgId: '00D000000000001',
+    sequence,
+    prevHash,
+    sessionId: `session-${sequence}`,
+    documentHash: `0x${'ab'.repeat(32)}`,
+    documentId: 'orgs/00D000000000001/sha256/ab.pdf',
+    recordId: 'a01000000000001AAA',
+    userId: '005000000000001AAA',
+    accessType: 'view',
+    classification: 'Confidential',
+    clientIP: '203.0.113.7',
+    userAgent: 'jest',
+    recordedAt: '2026-01-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+async function signedEvent(fields) {
+  const eventHash = accessEventHash(fields);
+  const signature = await wallet.signMessage(ethers.utils.arrayify(eventHash));
+  return { ...fields, eventHash, signature, signer: wallet.address };
+}
+
+describe('accessEventHash', () => {
+  test('hashes the JSON array of the event fields in order', () => {
+    const event = accessEvent(1, ethers.constants.HashZero);
+    const values = [
+      event.orgId, event.sequence, event.prevHash, event.sessionId, event.documentHash, event.documentId,
+      event.recordId, event.userId, event.accessType, event.classification, event.clientIP, event.userAgent,
+      event.recordedAt
+    ];
+
+    expect(accessEventHash(event))
+      .toBe(`0x${crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex')}`);
+  });
+
+  test('treats missing fields as null and ignores fields it does not cover', () => {
+    const event = accessEvent(1, ethers.constants.HashZero, { classification: null, userAgent: null });
+    const withoutOptional = { ...event };
+    delete withoutOptional.classification;
+    delete withoutOptional.userAgent;
+
+    expect(accessEventHash(withoutOptional)).toBe(accessEventHash(event));
+    expect(accessEventHash({ ...event, eventHash: '0x1234', signature: '0x', proof: [] })).toBe(accessEventHash(event));
+  });
+
+  test('changes with any covered field, including the link to the previous event', () => {
+    const event = accessEvent(2, `0x${'01'.repeat(32)}`);
+
+    expect(accessEventHash({ ...event, userId: '005000000000002AAA' })).not.toBe(accessEventHash(event));
+    expect(accessEventHash({ ...event, prevHash: `0x${'02'.repeat(32)}` })).not.toBe(accessEventHash(event));
+  });
+});
+
+describe('verifyAccessEvent', () => {
+  let events;
+  let tree;
+
+  beforeAll(async () => {
+    events = [];
+    let prevHash = ethers.constants.HashZero;
+    for (let sequence = 1; sequence <= 3; sequence++) {
+      const event = await signedEvent(accessEvent(sequence, prevHash));
+      events.push(event);
+      prevHash = event.eventHash;
+    }
+    tree = buildTree(events.map(event => accessEventLeaf(event.eventHash)));
+  });
+
+  test('recomputes the hash, recovers the signer and follows the proof', () => {
+    events.forEach((event, index) => {
+      expect(verifyAccessEvent({ event, proof: tree.proofs[index], merkleRoot: tree.root })).toEqual({
+        eventHash: event.eventHash,
+        signer: wallet.address,
+        proofValid: true
+      });
+    });
+  });
+
+  test('does not trust the stored hash of a changed event', () => {
+    const tampered = { ...events[0], accessType: 'download' };
+    const result = verifyAccessEvent({ event: tampered, proof: tree.proofs[0], merkleRoot: tree.root });
+
+    expect(result.eventHash).not.toBe(events[0].eventHash);
+    expect(result.signer).not.toBe(wallet.address);
+    expect(result.proofValid).toBe(false);
+  });
+
+  test('reports no signer for a malformed signature', () => {
+    expect(verifyAccessEvent({ event: { ...events[0], signature: '0x1234' } }).signer).toBeNull();
+  });
+
+  test('reports the proof invalid without a proof or for another root', () => {
+    expect(verifyAccessEvent({ event: events[0] }).proofValid).toBe(false);
+    expect(verifyAccessEvent({ event: events[0], proof: tree.proofs[1], merkleRoot: tree.root }).proofValid).toBe(false);
+    expect(verifyAccessEvent({ event: events[0], proof: tree.proofs[0], merkleRoot: events[1].eventHash }).proofValid)
+      .toBe(false);
+  });
+});
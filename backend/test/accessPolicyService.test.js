@@ -0,0 +1,125 @@
+process.env.ACCESS_POLICIES = JSON.stringify({
+  policies: {
+    internal: { allowedProfiles: ['Standard User'], accessTypes: ['view'] },
+    restricted: {
+      allowedUsers: ['005000000000001AAA', 'legal@example.com'],
+      ipRanges: ['10.0.0.0/8', '2001:db8::/32'],
+      maxViewsPerUser: 2
+    },
+    officeHours: {
+      timeWindows: [
+        { days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '17:00', timeZone: 'America/New_York' },
+        { days: ['sat'], start: '22:00', end: '06:00' }
+      ]
+    },
+    expired: { expiresAt: '2026-01-01T00:00:00Z' }
+  },
+  default: 'internal',
+  classifications: { Confidential: 'restricted' },
+  documents: { [`0x${'0f'.repeat(32)}`]: 'officeHours', [`0x${'0e'.repeat(32)}`]: 'expired' }
+});
+
+jest.mock('../src/services/sessionStore', () => ({
+  countAccessEvents: jest.fn(),
+  savePolicyDenial: jest.fn()
+}));
+
+const { countAccessEvents } = require('../src/services/sessionStore');
+const {
+  resolveAccessPolicy,
+  evaluateAccessPolicy,
+  recordAccessGrant
+} = require('../src/services/accessPolicyService');
+
+const documentHash = `0x${'ab'.repeat(32)}`;
+const officeHoursHash = `0x${'0f'.repeat(32)}`;
+const restrictedRequest = {
+  documentHash,
+  classification: 'confidential',
+  userId: '005000000000001',
+  accessType: 'view',
+  clientIP: '::ffff:10.1.2.3',
+  orgId: '00D000000000001'
+};
+
+function reasonCodes(decision) {
+  return decision.reasons.map(reason => reason.code);
+}
+
+describe('resolveAccessPolicy', () => {
+  test('prefers the document policy, then the classification, then the default', () => {
+    expect(resolveAccessPolicy({ documentHash: officeHoursHash.toUpperCase(), classification: 'Confidential' }).name)
+      .toBe('officeHours');
+    expect(resolveAccessPolicy({ documentHash, classification: 'CONFIDENTIAL' }).name).toBe('restricted');
+    expect(resolveAccessPolicy({ documentHash, classification: 'Public' }).name).toBe('internal');
+  });
+});
+
+describe('evaluateAccessPolicy', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    countAccessEvents.mockResolvedValue(0);
+  });
+
+  test('allows an allowed user by their 15-character id, from an allowed range', async () => {
+    await expect(evaluateAccessPolicy(restrictedRequest)).resolves.toEqual({
+      allowed: true,
+      policy: 'restricted',
+      reasons: []
+    });
+    expect(countAccessEvents).toHaveBeenCalledWith(expect.objectContaining({ orgId: '00D000000000001', accessType: 'view' }));
+  });
+
+  test('lists every failed rule', async () => {
+    const decision = await evaluateAccessPolicy({
+      ...restrictedRequest,
+      userId: '005000000000002AAA',
+      clientIP: '192.168.1.5'
+    });
+
+    expect(decision.allowed).toBe(false);
+    expect(reasonCodes(decision)).toEqual(['PRINCIPAL_NOT_ALLOWED', 'IP_NOT_ALLOWED']);
+  });
+
+  test('refuses access types the policy does not allow', async () => {
+    const decision = await evaluateAccessPolicy({ documentHash, userProfile: 'standard user', accessType: 'download' });
+
+    expect(reasonCodes(decision)).toEqual(['ACCESS_TYPE_NOT_ALLOWED']);
+  });
+
+  test('counts views towards maxViewsPerUser, in this process when Supabase cannot count them', async () => {
+    countAccessEvents.mockResolvedValue(2);
+    expect(reasonCodes(await evaluateAccessPolicy(restrictedRequest))).toEqual(['MAX_VIEWS_EXCEEDED']);
+
+    countAccessEvents.mockResolvedValue(null);
+    const request = { ...restrictedRequest, userId: '005000000000009AAA', userEmail: 'Legal@Example.com' };
+    recordAccessGrant(request);
+    expect((await evaluateAccessPolicy(request)).allowed).toBe(true);
+    recordAccessGrant(request);
+    expect(reasonCodes(await evaluateAccessPolicy(request))).toEqual(['MAX_VIEWS_EXCEEDED']);
+  });
+
+  test('applies time windows in their own time zone, including overnight windows', async () => {
+    const request = { documentHash: officeHoursHash, accessType: 'view' };
+
+    // Monday 10:00 in New York
+    await expect(evaluateAccessPolicy({ ...request, now: new Date('2026-03-16T14:00:00Z') }))
+      .resolves.toMatchObject({ allowed: true });
+    // Monday 08:00 in New York
+    expect(reasonCodes(await evaluateAccessPolicy({ ...request, now: new Date('2026-03-16T12:00:00Z') })))
+      .toEqual(['OUTSIDE_TIME_WINDOW']);
+    // Sunday 03:00 UTC, within Saturday's overnight window
+    await expect(evaluateAccessPolicy({ ...request, now: new Date('2026-03-15T03:00:00Z') }))
+      .resolves.toMatchObject({ allowed: true });
+  });
+
+  test('refuses every request once the policy has expired', async () => {
+    const decision = await evaluateAccessPolicy({
+      documentHash: `0x${'0e'.repeat(32)}`,
+      accessType: 'view',
+      now: new Date('2026-01-01T00:00:00Z')
+    });
+
+    expect(reasonCodes(decision)).toEqual(['POLICY_EXPIRED']);
+  });
+});
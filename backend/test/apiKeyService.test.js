@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'krnl-api-keys-'));
+process.env.API_KEYS_FILE = path.join(keysDir, 'api-keys.json');
+
+// The nonce table shared by every backend instance, with its primary key
+const mockStoredNonces = new Set();
+jest.mock('../src/services/sessionStore', () => ({
+  saveRequestNonce: jest.fn(async ({ nonceId }) => {
+    if (mockStoredNonces.has(nonceId)) {
+      return false;
+    }
+    mockStoredNonces.add(nonceId);
+    return true;
+  })
+}));
+
+const {
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  canonicalRequest,
+  verifySignedRequest
+} = require('../src/services/apiKeyService');
+
+const ORG_ID = '00D000000000001EAA';
+
+// A request signed the way Apex signs its callouts (KrnlCalloutAuth.sign)
+function signRequest(key, { method = 'POST', path: requestPath = '/api/access', body = '{"documentHash":"0xabc"}', timestamp } = {}) {
+  const request = {
+    keyId: key.keyId,
+    timestamp: String(timestamp || Math.floor(Date.now() / 1000)),
+    nonce: crypto.randomBytes(16).toString('hex'),
+    method,
+    path: requestPath,
+    body: Buffer.from(body)
+  };
+  const canonical = canonicalRequest({
+    ...request,
+    bodyHash: crypto.createHash('sha256').update(request.body).digest('hex')
+  });
+  return { ...request, signature: crypto.createHmac('sha256', key.secret).update(canonical).digest('hex') };
+}
+
+describe('verifySignedRequest', () => {
+  let key;
+
+  beforeEach(async () => {
+    key = await createApiKey({ orgId: ORG_ID, label: 'test' });
+  });
+
+  afterAll(() => {
+    fs.rmSync(keysDir, { recursive: true, force: true });
+  });
+
+  test('accepts a request signed with the key secret', async () => {
+    await expect(verifySignedRequest(signRequest(key))).resolves.toMatchObject({
+      keyId: key.keyId,
+      orgId: '00D000000000001',
+      status: 'active'
+    });
+  });
+
+  test('rejects a request whose body, path or method was changed', async () => {
+    const signed = signRequest(key);
+
+    await expect(verifySignedRequest({ ...signed, body: Buffer.from('{"documentHash":"0xdef"}') }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid request signature' });
+    await expect(verifySignedRequest({ ...signed, path: '/api/access/init' }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid request signature' });
+    await expect(verifySignedRequest({ ...signed, method: 'PUT' }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid request signature' });
+  });
+
+  test('rejects a replayed nonce', async () => {
+    const signed = signRequest(key);
+
+    await verifySignedRequest(signed);
+    await expect(verifySignedRequest(signed)).rejects.toMatchObject({ statusCode: 401, message: 'Replayed request' });
+  });
+
+  test('rejects a nonce another backend instance already accepted', async () => {
+    const signed = signRequest(key);
+    mockStoredNonces.add(`${key.keyId}:${signed.nonce}`);
+
+    await expect(verifySignedRequest(signed)).rejects.toMatchObject({ statusCode: 401, message: 'Replayed request' });
+  });
+
+  test('rejects timestamps outside the allowed clock skew', async () => {
+    const stale = signRequest(key, { timestamp: Math.floor(Date.now() / 1000) - 600 });
+
+    await expect(verifySignedRequest(stale)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Request timestamp is missing or outside the allowed clock skew'
+    });
+  });
+
+  test('requires every signature header', async () => {
+    await expect(verifySignedRequest({ ...signRequest(key), nonce: undefined })).rejects.toMatchObject({ statusCode: 401 });
+    await expect(verifySignedRequest({ ...signRequest(key), signature: 'not-hex' }))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Malformed request signature' });
+  });
+
+  test('accepts the previous secret after a rotation, until the key is revoked', async () => {
+    const rotated = await rotateApiKey(key.keyId);
+
+    await expect(verifySignedRequest(signRequest(key))).resolves.toMatchObject({ keyId: key.keyId });
+    await expect(verifySignedRequest(signRequest(rotated))).resolves.toMatchObject({ keyId: key.keyId });
+
+    await revokeApiKey(key.keyId);
+    await expect(verifySignedRequest(signRequest(rotated)))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Unknown or revoked API key' });
+    await expect(verifySignedRequest(signRequest(key)))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Unknown or revoked API key' });
+  });
+
+  test('rejects a request signed with another key secret', async () => {
+    const other = await createApiKey({ orgId: ORG_ID });
+
+    await expect(verifySignedRequest(signRequest({ keyId: key.keyId, secret: other.secret })))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Invalid request signature' });
+  });
+});
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'krnl-chunks-'));
+process.env.UPLOAD_CHUNK_DIR = uploadDir;
+process.env.UPLOAD_CHUNK_TTL_SECONDS = '3600';
+process.env.UPLOAD_FINALIZE_LOCK_SECONDS = '600';
+
+const {
+  initChunkedUpload,
+  writeChunk,
+  getChunkedUploadStatus,
+  assembleChunkedUpload,
+  completeChunkedUpload,
+  releaseChunkedUpload,
+  purgeExpiredUploads
+} = require('../src/services/chunkedUploadService');
+
+const file = crypto.randomBytes(2500);
+const chunkSize = 1000;
+const chunks = [file.subarray(0, 1000), file.subarray(1000, 2000), file.subarray(2000)];
+
+let uploadCount = 0;
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+async function startUpload() {
+  uploadCount += 1;
+  const uploadId = `upload_test_${uploadCount}`;
+  await initChunkedUpload({ uploadId, recordId: 'a01000000000001AAA', totalSize: file.length, chunkSize });
+  return uploadId;
+}
+
+function sendChunk(uploadId, index, buffer = chunks[index]) {
+  return writeChunk({ uploadId, index, offset: index * chunkSize, checksum: sha256(buffer), buffer });
+}
+
+async function sendAll(uploadId) {
+  for (const index of [2, 0, 1]) {
+    await sendChunk(uploadId, index);
+  }
+}
+
+function lockPath(uploadId) {
+  return path.join(uploadDir, uploadId, 'finalize.lock');
+}
+
+function setAge(target, seconds) {
+  const time = new Date(Date.now() - seconds * 1000);
+  fs.utimesSync(target, time, time);
+}
+
+afterAll(() => {
+  fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+describe('chunked uploads', () => {
+  test('assembles chunks sent in any order and hashes the whole file', async () => {
+    const uploadId = await startUpload();
+    await sendAll(uploadId);
+
+    const assembled = await assembleChunkedUpload(uploadId);
+
+    expect(assembled.hash).toBe(`0x${sha256(file)}`);
+    expect(fs.readFileSync(assembled.assembledPath)).toEqual(file);
+
+    await completeChunkedUpload(uploadId, { hash: assembled.hash });
+    expect(fs.readdirSync(path.join(uploadDir, uploadId))).toEqual(['manifest.json']);
+    await expect(getChunkedUploadStatus(uploadId)).resolves.toMatchObject({ status: 'FINALIZED', result: { hash: assembled.hash } });
+  });
+
+  test('reports the missing chunks when an upload is resumed', async () => {
+    const uploadId = await startUpload();
+    await sendChunk(uploadId, 1);
+
+    const resumed = await initChunkedUpload({ uploadId, recordId: 'a01000000000001AAA', totalSize: file.length, chunkSize });
+
+    expect(resumed).toMatchObject({ receivedChunks: [1], missingChunks: [0, 2], bytesReceived: 1000 });
+    await expect(assembleChunkedUpload(uploadId)).rejects.toMatchObject({ statusCode: 409, missingChunks: [0, 2] });
+  });
+
+  test('refuses chunks with a wrong checksum, length or offset', async () => {
+    const uploadId = await startUpload();
+
+    await expect(writeChunk({ uploadId, index: 0, checksum: sha256(chunks[1]), buffer: chunks[0] }))
+      .rejects.toMatchObject({ statusCode: 422 });
+    await expect(sendChunk(uploadId, 0, chunks[2])).rejects.toMatchObject({ statusCode: 400 });
+    await expect(writeChunk({ uploadId, index: 1, offset: 0, checksum: sha256(chunks[1]), buffer: chunks[1] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('lets one of two finalize calls through and accepts no chunks while finalizing', async () => {
+    const uploadId = await startUpload();
+    await sendAll(uploadId);
+
+    const results = await Promise.allSettled([assembleChunkedUpload(uploadId), assembleChunkedUpload(uploadId)]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ statusCode: 409 });
+    await expect(sendChunk(uploadId, 0)).rejects.toMatchObject({ statusCode: 409 });
+
+    await releaseChunkedUpload(uploadId);
+    await expect(getChunkedUploadStatus(uploadId)).resolves.toMatchObject({ status: 'IN_PROGRESS' });
+  });
+
+  test('takes over the finalize lock of a process that is gone', async () => {
+    const uploadId = await startUpload();
+    await sendAll(uploadId);
+    await assembleChunkedUpload(uploadId);
+
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    fs.writeFileSync(lockPath(uploadId), JSON.stringify({ host: os.hostname(), pid }));
+
+    await expect(assembleChunkedUpload(uploadId)).resolves.toMatchObject({ hash: `0x${sha256(file)}` });
+    expect(JSON.parse(fs.readFileSync(lockPath(uploadId), 'utf8')).pid).toBe(process.pid);
+  });
+
+  test('takes over a finalize lock older than UPLOAD_FINALIZE_LOCK_SECONDS, but not a recent one', async () => {
+    const uploadId = await startUpload();
+    await sendAll(uploadId);
+    await assembleChunkedUpload(uploadId);
+
+    fs.writeFileSync(lockPath(uploadId), JSON.stringify({ host: 'other-host', pid: 1 }));
+    await expect(assembleChunkedUpload(uploadId)).rejects.toMatchObject({ statusCode: 409 });
+
+    setAge(lockPath(uploadId), 601);
+    await expect(assembleChunkedUpload(uploadId)).resolves.toMatchObject({ hash: `0x${sha256(file)}` });
+  });
+
+  test('purges uploads by their newest chunk, not by when they started', async () => {
+    const active = await startUpload();
+    const abandoned = await startUpload();
+    for (const uploadId of [active, abandoned]) {
+      await sendChunk(uploadId, 0);
+      const manifestPath = path.join(uploadDir, uploadId, 'manifest.json');
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      fs.writeFileSync(manifestPath, JSON.stringify({ ...manifest, updatedAt: new Date(Date.now() - 7200 * 1000).toISOString() }));
+      for (const entry of fs.readdirSync(path.join(uploadDir, uploadId))) {
+        setAge(path.join(uploadDir, uploadId, entry), 7200);
+      }
+    }
+    await sendChunk(active, 1);
+
+    await purgeExpiredUploads();
+
+    expect(fs.existsSync(path.join(uploadDir, active))).toBe(true);
+    expect(fs.existsSync(path.join(uploadDir, abandoned))).toBe(false);
+  });
+});
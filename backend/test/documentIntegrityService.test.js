@@ -0,0 +1,77 @@
+jest.mock('../src/services/directContractService', () => ({
+  isRegistryConfigured: jest.fn(),
+  getDocumentRecord: jest.fn(),
+  getDocumentBatch: jest.fn(),
+  getDocumentEvents: jest.fn(),
+  getRegistryInfo: jest.fn()
+}));
+jest.mock('../src/services/documentBatchService', () => ({
+  findDocumentInclusion: jest.fn(),
+  verifyDocumentInclusion: jest.fn()
+}));
+jest.mock('../src/services/registrationQueue', () => ({
+  findPendingRegistration: jest.fn()
+}));
+jest.mock('../src/services/sessionStore', () => ({
+  saveTamperEvent: jest.fn()
+}));
+
+const { isRegistryConfigured, getDocumentRecord } = require('../src/services/directContractService');
+const { findDocumentInclusion } = require('../src/services/documentBatchService');
+const { findPendingRegistration } = require('../src/services/registrationQueue');
+const { saveTamperEvent } = require('../src/services/sessionStore');
+const { checkDocumentIntegrity, recordTamperEvent } = require('../src/services/documentIntegrityService');
+
+const documentHash = `0x${'ab'.repeat(32)}`;
+const tenant = { orgId: '00D000000000001', registered: true };
+
+describe('checkDocumentIntegrity', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isRegistryConfigured.mockReturnValue(true);
+    getDocumentRecord.mockResolvedValue(null);
+    findDocumentInclusion.mockResolvedValue(null);
+    findPendingRegistration.mockResolvedValue(null);
+  });
+
+  test('passes a document registered and active on-chain', async () => {
+    getDocumentRecord.mockResolvedValue({ documentHash, isActive: true });
+
+    await expect(checkDocumentIntegrity({ documentHash, storedHash: documentHash.toUpperCase(), tenant }))
+      .resolves.toMatchObject({ ok: true, onChainChecked: true });
+  });
+
+  test('fails stored bytes that do not match the token hash', async () => {
+    await expect(checkDocumentIntegrity({ documentHash, storedHash: `0x${'cd'.repeat(32)}`, tenant }))
+      .resolves.toMatchObject({ ok: false, code: 'HASH_MISMATCH' });
+    expect(getDocumentRecord).not.toHaveBeenCalled();
+  });
+
+  test('reports a document still queued for registration as pending, not tampered with', async () => {
+    findPendingRegistration.mockResolvedValue({ jobId: 'regjob_1', batchId: null });
+
+    const integrity = await checkDocumentIntegrity({ documentHash, storedHash: documentHash, tenant });
+
+    expect(integrity).toMatchObject({ ok: false, code: 'REGISTRATION_PENDING', pending: { jobId: 'regjob_1', batchId: null } });
+    expect(findPendingRegistration).toHaveBeenCalledWith(documentHash, { orgId: '00D000000000001' });
+    await expect(recordTamperEvent({ code: integrity.code, documentHash })).resolves.toBeNull();
+    expect(saveTamperEvent).not.toHaveBeenCalled();
+  });
+
+  test('reports a document waiting in an open batch as pending', async () => {
+    findDocumentInclusion.mockResolvedValue({ anchored: false, batchId: 'db_1', status: 'Open', closesAt: '2026-01-01T00:00:00.000Z' });
+
+    await expect(checkDocumentIntegrity({ documentHash, storedHash: documentHash, tenant })).resolves.toMatchObject({
+      ok: false,
+      code: 'REGISTRATION_PENDING',
+      pending: { jobId: null, batchId: 'db_1' }
+    });
+  });
+
+  test('fails a document neither registered nor being registered as NOT_REGISTERED', async () => {
+    const integrity = await checkDocumentIntegrity({ documentHash, storedHash: documentHash, tenant });
+
+    expect(integrity).toMatchObject({ ok: false, code: 'NOT_REGISTERED' });
+    await expect(recordTamperEvent({ code: integrity.code, documentHash })).resolves.toMatch(/^tamper_/);
+  });
+});
@@ -0,0 +1,111 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-viewer-secret';
+
+jest.mock('../src/services/sessionStore');
+jest.mock('../src/services/revocationService', () => ({
+  findRevocation: jest.fn()
+}));
+jest.mock('../src/services/viewerTelemetryService', () => ({
+  MAX_EVENTS_PER_BATCH: 200,
+  recordViewerEvents: jest.fn()
+}));
+
+const { saveSuspiciousAccess } = require('../src/services/sessionStore');
+const { findRevocation } = require('../src/services/revocationService');
+const { recordViewerEvents } = require('../src/services/viewerTelemetryService');
+const documentViewRouter = require('../src/controllers/documentViewController');
+
+const app = express();
+app.use(express.json());
+app.use('/api/view', documentViewRouter);
+
+const device = 'd'.repeat(64);
+const events = [{ type: 'page_view', at: '2026-01-01T00:00:00.000Z', page: 1 }];
+let tokenCount = 0;
+
+function viewerToken(sessionId, claims = {}) {
+  tokenCount += 1;
+  return jwt.sign({
+    documentHash: `0x${'ab'.repeat(32)}`,
+    sessionId,
+    userId: '0051234567890123',
+    jti: `jti_${tokenCount}`,
+    ...claims
+  }, process.env.JWT_SECRET, { expiresIn: 600 });
+}
+
+describe('POST /api/view/events', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    saveSuspiciousAccess.mockResolvedValue(null);
+    findRevocation.mockResolvedValue(null);
+    recordViewerEvents.mockResolvedValue({ accepted: 1, rejected: 0 });
+  });
+
+  test('records the events of an unbound viewer token', async () => {
+    const res = await request(app)
+      .post('/api/view/events')
+      .query({ token: viewerToken('sess_unbound') })
+      .send({ events });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, accepted: 1, rejected: 0 });
+    expect(recordViewerEvents).toHaveBeenCalledWith('sess_unbound', events);
+  });
+
+  test('refuses a bound token used without its cookie session', async () => {
+    const res = await request(app)
+      .post('/api/view/events')
+      .query({ token: viewerToken('sess_bound', { bnd: ['device'] }) })
+      .send({ events });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toMatchObject({ redeemRequired: true });
+    expect(recordViewerEvents).not.toHaveBeenCalled();
+  });
+
+  test('accepts the cookie session of a bound token, from the client it is bound to', async () => {
+    const redeemed = await request(app)
+      .post('/api/view/session')
+      .set('X-Krnl-Device', device)
+      .send({ token: viewerToken('sess_cookie', { bnd: ['device'] }) });
+    expect(redeemed.status).toBe(200);
+    const cookie = redeemed.headers['set-cookie'][0].split(';')[0];
+
+    const res = await request(app)
+      .post('/api/view/events')
+      .query({ session: 'sess_cookie' })
+      .set('Cookie', cookie)
+      .set('X-Krnl-Device', device)
+      .send({ events });
+    expect(res.status).toBe(200);
+    expect(recordViewerEvents).toHaveBeenCalledWith('sess_cookie', events);
+
+    const elsewhere = await request(app)
+      .post('/api/view/events')
+      .query({ session: 'sess_cookie' })
+      .set('Cookie', cookie)
+      .set('X-Krnl-Device', 'e'.repeat(64))
+      .send({ events });
+    expect(elsewhere.status).toBe(403);
+    expect(saveSuspiciousAccess).toHaveBeenCalledWith(expect.objectContaining({ reason: 'DEVICE_MISMATCH' }));
+    expect(recordViewerEvents).toHaveBeenCalledTimes(1);
+  });
+
+  test('refuses events from a revoked session', async () => {
+    findRevocation.mockResolvedValue({ reason: 'Shared outside the team' });
+
+    const res = await request(app)
+      .post('/api/view/events')
+      .query({ token: viewerToken('sess_revoked') })
+      .send({ events });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ revoked: true, reason: 'Shared outside the team' });
+    expect(findRevocation).toHaveBeenCalledWith(expect.objectContaining({ sessionId: 'sess_revoked', jti: expect.any(String) }));
+    expect(recordViewerEvents).not.toHaveBeenCalled();
+  });
+});
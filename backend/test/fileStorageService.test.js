@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'krnl-storage-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = storageDir;
+
+const { storeFileAndHash, getStoredFileBuffer } = require('../src/services/fileStorageService');
+
+function readReference(storagePath) {
+  return JSON.parse(fs.readFileSync(path.join(storageDir, 'refs', `${storagePath}.json`), 'utf8'));
+}
+
+afterAll(() => {
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('storeFileAndHash', () => {
+  test('stores identical bytes once and reports the second upload as deduplicated', async () => {
+    const buffer = Buffer.from('same bytes');
+
+    const first = await storeFileAndHash({ buffer, contentDocumentId: 'a01A', fileName: 'one.pdf' });
+    const second = await storeFileAndHash({ buffer, contentDocumentId: 'a01B', fileName: 'two.pdf' });
+
+    expect(second.hash).toBe(first.hash);
+    expect(first.storage.deduplicated).toBe(false);
+    expect(second.storage).toMatchObject({ deduplicated: true, objectPath: first.storage.objectPath });
+  });
+
+  test('keeps every version of a path that concurrent uploads overwrite', async () => {
+    const versions = Array.from({ length: 6 }, () => crypto.randomBytes(64));
+
+    const stored = await Promise.all(versions.map(buffer =>
+      storeFileAndHash({ buffer, contentDocumentId: 'a01C', fileName: 'contract.pdf' })));
+
+    const reference = readReference('a01C/contract.pdf');
+    expect([reference.hash, ...reference.previousHashes].sort()).toEqual(stored.map(result => result.hash).sort());
+
+    for (const [index, result] of stored.entries()) {
+      const { buffer } = await getStoredFileBuffer('a01C/contract.pdf', { expectedHash: result.hash });
+      expect(buffer).toEqual(versions[index]);
+    }
+  });
+});
@@ -0,0 +1,67 @@
+const { hashLeaf, hashPair, buildTree, computeRoot, verifyProof } = require('../src/utils/merkle');
+
+// Three documents and the tree DocumentAccessRegistry computes for them
+// (computeBatchLeaf, sorted-pair nodes), hashed with abi.encodePacked
+const documents = [
+  { documentHash: '0xcaa0c419ed4b5d7628d1ce29a28ca67850f779c4d929febffc192a514f1e186e', recordId: 'SF001' },
+  { documentHash: '0x7a89f07afb4d1b977149fc8b7f2a180057b5e742d5d31d5339a2b3ec23427d26', recordId: 'SF002' },
+  { documentHash: '0x3d2a8e9d4efc4bbf49fd1f0d83228a4a775c4c44c36fe635515e2d0f589da3f6', recordId: 'SF003' }
+];
+const leaves = [
+  '0x4927d5c74f87d152bfcca881205a7e88e46a9ab64f836af911750f6a04e2e6ff',
+  '0x66fffb7db8ea36b2ccff2e48511822f805efd96b5e47151efe68faff0bcc855c',
+  '0x9b509b392dd4352ddbd67b2a8122c65729b1e4586c3af203a95646743af30f75'
+];
+const firstPair = '0x8671cd8173687789a4166115ce8f7f078c8276f648a860af43bc822b97c6865d';
+const root = '0x322f52de5095e8ea0020016b2d8b54e97a14431ffaf206dfe164c1e76fb5dba0';
+
+function documentLeafData({ documentHash, recordId }) {
+  return Buffer.concat([Buffer.from(documentHash.slice(2), 'hex'), Buffer.from(recordId, 'utf8')]);
+}
+
+describe('merkle', () => {
+  test('hashes leaves like computeBatchLeaf', () => {
+    expect(documents.map(doc => hashLeaf(documentLeafData(doc)))).toEqual(leaves);
+  });
+
+  test('hashes the sorted pair, whatever the order', () => {
+    expect(hashPair(leaves[0], leaves[1])).toBe(firstPair);
+    expect(hashPair(leaves[1], leaves[0])).toBe(firstPair);
+  });
+
+  test('moves an unpaired node up unchanged', () => {
+    const tree = buildTree(leaves);
+
+    expect(tree.root).toBe(root);
+    expect(tree.proofs).toEqual([
+      [leaves[1], leaves[2]],
+      [leaves[0], leaves[2]],
+      [firstPair]
+    ]);
+  });
+
+  test('verifies every proof of a tree', () => {
+    const tree = buildTree(leaves);
+
+    leaves.forEach((leaf, index) => {
+      expect(computeRoot(leaf, tree.proofs[index])).toBe(root);
+      expect(verifyProof(leaf, tree.proofs[index], root)).toBe(true);
+    });
+  });
+
+  test('uses the leaf as the root of a single-leaf tree', () => {
+    expect(buildTree([leaves[0]])).toEqual({ root: leaves[0], proofs: [[]] });
+  });
+
+  test('rejects a wrong proof or an inner node passed as a leaf', () => {
+    const tree = buildTree(leaves);
+
+    expect(verifyProof(leaves[0], tree.proofs[1], root)).toBe(false);
+    expect(verifyProof(leaves[2], [], root)).toBe(false);
+    expect(verifyProof(hashLeaf(Buffer.from(firstPair.slice(2), 'hex')), [leaves[2]], root)).toBe(false);
+  });
+
+  test('refuses an empty tree', () => {
+    expect(() => buildTree([])).toThrow('Cannot build a Merkle tree without leaves');
+  });
+});
@@ -0,0 +1,99 @@
+const { ethers } = require('ethers');
+
+const mockSigner = {};
+
+jest.mock('../src/services/directContractService', () => ({
+  getRegistrySigner: () => mockSigner
+}));
+
+const { advanceTransaction } = require('../src/services/persistedTransactionService');
+
+const wallet = new ethers.Wallet(`0x${'11'.repeat(32)}`);
+const request = { to: `0x${'22'.repeat(20)}`, data: '0x1234', gasLimit: 100000 };
+
+// A node that mines nothing until told to, on a chain with default settings
+function resetSigner() {
+  Object.assign(mockSigner, {
+    id: 'test',
+    address: wallet.address,
+    chainIdLookup: null,
+    queue: Promise.resolve(),
+    inFlight: new Map(),
+    highestNonce: -1,
+    provider: {
+      getNetwork: async () => ({ chainId: 31337 }),
+      getFeeData: async () => ({ gasPrice: ethers.utils.parseUnits('1', 'gwei') }),
+      sendTransaction: jest.fn(),
+      getTransactionReceipt: jest.fn().mockResolvedValue(null),
+      getBlockNumber: async () => 10
+    },
+    wallet: {
+      getTransactionCount: async () => 0,
+      populateTransaction: async tx => ({
+        ...tx,
+        value: ethers.BigNumber.from(tx.value),
+        gasLimit: ethers.BigNumber.from(tx.gasLimit),
+        chainId: 31337
+      }),
+      signTransaction: tx => wallet.signTransaction(tx)
+    }
+  });
+}
+
+function step(item, write) {
+  return advanceTransaction(item, { tenant: null, buildRequest: () => request, write, label: 'Test' });
+}
+
+describe('advanceTransaction', () => {
+  let item;
+  let write;
+
+  beforeEach(() => {
+    resetSigner();
+    item = { tx: null };
+    write = jest.fn().mockResolvedValue();
+  });
+
+  test('writes the transaction before it is sent', async () => {
+    mockSigner.provider.sendTransaction.mockImplementation(async () => {
+      expect(write).toHaveBeenCalledWith(expect.objectContaining({ tx: expect.objectContaining({ nonce: 0 }) }));
+    });
+
+    await expect(step(item, write)).resolves.toBeNull();
+    expect(item.tx.hashes).toEqual([item.tx.hash]);
+  });
+
+  test('keeps a transaction whose send timed out and finds its receipt instead of sending again', async () => {
+    mockSigner.provider.sendTransaction.mockRejectedValue(Object.assign(new Error('timeout'), { code: 'TIMEOUT' }));
+
+    await expect(step(item, write)).rejects.toThrow('timeout');
+    const sent = item.tx;
+    expect(sent).not.toBeNull();
+
+    mockSigner.provider.getTransactionReceipt.mockImplementation(async hash =>
+      (hash === sent.hash ? { status: 1, transactionHash: hash, blockNumber: 10 } : null));
+
+    await expect(step(item, write)).resolves.toMatchObject({ transactionHash: sent.hash });
+    expect(mockSigner.provider.sendTransaction).toHaveBeenCalledTimes(1);
+  });
+
+  test('forgets a transaction the node refused', async () => {
+    mockSigner.provider.sendTransaction.mockRejectedValue(Object.assign(new Error('insufficient funds'), {
+      code: 'INSUFFICIENT_FUNDS'
+    }));
+
+    await expect(step(item, write)).rejects.toThrow('insufficient funds');
+    expect(item.tx).toBeNull();
+    expect(write).toHaveBeenLastCalledWith({ tx: null });
+  });
+
+  test('keeps a transaction the node reports it already knows', async () => {
+    mockSigner.provider.sendTransaction.mockRejectedValue(Object.assign(new Error('processing response error'), {
+      code: 'SERVER_ERROR',
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, error: { code: -32000, message: 'already known' } })
+    }));
+
+    await expect(step(item, write)).rejects.toThrow('processing response error');
+    expect(item.tx).not.toBeNull();
+  });
+});
@@ -0,0 +1,82 @@
+process.env.REVOCATION_REFRESH_SECONDS = '0';
+
+jest.mock('../src/services/sessionStore', () => ({
+  saveRevocation: jest.fn(),
+  loadRevocations: jest.fn()
+}));
+
+const { saveRevocation, loadRevocations } = require('../src/services/sessionStore');
+const {
+  matchesRevocation,
+  findRevocation,
+  revokeAccess,
+  onRevocation
+} = require('../src/services/revocationService');
+
+const documentHash = `0x${'ab'.repeat(32)}`;
+const revokedAt = '2026-06-01T12:00:00.000Z';
+const before = new Date('2026-06-01T11:00:00.000Z').getTime();
+const after = new Date('2026-06-01T13:00:00.000Z').getTime();
+
+function revocation(scope, value, fields = {}) {
+  return { id: `rev_${scope}`, scope, value, orgId: null, revokedAt, ...fields };
+}
+
+describe('matchesRevocation', () => {
+  test('covers a session or token whenever it was issued', () => {
+    expect(matchesRevocation(revocation('session', 'sess_1'), { sessionId: 'sess_1', issuedAt: after })).toBe(true);
+    expect(matchesRevocation(revocation('token', 'jti_1'), { sessionId: 'sess_2', jti: 'jti_1', issuedAt: after })).toBe(true);
+    expect(matchesRevocation(revocation('token', 'jti_1'), { sessionId: 'sess_2' })).toBe(false);
+  });
+
+  test('covers what a user or document was issued up to the revocation', () => {
+    const user = revocation('user', '005000000000001AAA');
+    expect(matchesRevocation(user, { sessionId: 's', userId: '005000000000001', issuedAt: before })).toBe(true);
+    expect(matchesRevocation(user, { sessionId: 's', userId: '005000000000001', issuedAt: after })).toBe(false);
+
+    const document = revocation('document', documentHash);
+    expect(matchesRevocation(document, { sessionId: 's', documentHash: documentHash.toUpperCase(), issuedAt: null })).toBe(true);
+    expect(matchesRevocation(document, { sessionId: 's', documentHash, issuedAt: after })).toBe(false);
+  });
+
+  test('is limited to the org it was made for', () => {
+    const user = revocation('user', '005000000000001AAA', { orgId: '00D000000000001' });
+    const subject = { sessionId: 's', userId: '005000000000001AAA', issuedAt: before };
+
+    expect(matchesRevocation(user, { ...subject, orgId: '00D000000000001AAA' })).toBe(true);
+    expect(matchesRevocation(user, { ...subject, orgId: '00D000000000002AAA' })).toBe(false);
+  });
+});
+
+describe('revokeAccess', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    saveRevocation.mockResolvedValue(true);
+    loadRevocations.mockResolvedValue([]);
+  });
+
+  test('refuses an unknown scope or a malformed document hash', async () => {
+    await expect(revokeAccess({ scope: 'org', value: 'x' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(revokeAccess({ scope: 'document', value: '0x1234' })).rejects.toMatchObject({ statusCode: 400 });
+    expect(saveRevocation).not.toHaveBeenCalled();
+  });
+
+  test('takes effect at once, tells open viewers and persists the revocation', async () => {
+    const listener = jest.fn();
+    const unsubscribe = onRevocation(listener);
+
+    const revoked = await revokeAccess({ scope: 'session', value: 'sess_local', reason: 'Left the company' });
+    unsubscribe();
+
+    expect(listener).toHaveBeenCalledWith(revoked);
+    expect(saveRevocation).toHaveBeenCalledWith(revoked);
+    await expect(findRevocation({ sessionId: 'sess_local' })).resolves.toMatchObject({ reason: 'Left the company' });
+  });
+
+  test('picks up revocations made by other instances', async () => {
+    loadRevocations.mockResolvedValue([revocation('session', 'sess_remote', { id: 'rev_remote' })]);
+
+    await expect(findRevocation({ sessionId: 'sess_remote' })).resolves.toMatchObject({ id: 'rev_remote' });
+    expect(loadRevocations).toHaveBeenCalledWith({ since: expect.any(String) });
+  });
+});
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createMockSalesforceIdentityServer } = require('../scripts/mockSalesforceIdentityServer');
+
+const ORG_A = '00D000000000001EAA';
+const ORG_B = '00D000000000002EAA';
+
+function generateOrgKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return {
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+}
+
+const orgAKey = generateOrgKey();
+const orgBKey = generateOrgKey();
+
+process.env.SALESFORCE_INSTANCE_HOSTS = 'localhost';
+process.env.ORG_REGISTRY = JSON.stringify({
+  orgs: {
+    [ORG_A]: { identityCert: orgAKey.publicKey },
+    [ORG_B]: { identityCert: orgBKey.publicKey }
+  }
+});
+
+const {
+  verifySalesforceSession,
+  isAssertionVerificationEnabled,
+  verifyIdentityAssertion
+} = require('../src/services/salesforceIdentityService');
+
+function signAssertion(claims, privateKey, options = {}) {
+  return jwt.sign(claims, privateKey, {
+    algorithm: 'RS256',
+    audience: 'krnl-backend',
+    expiresIn: '5m',
+    ...options
+  });
+}
+
+describe('verifySalesforceSession', () => {
+  let server;
+  let instanceUrl;
+
+  beforeAll(done => {
+    const app = createMockSalesforceIdentityServer({
+      users: {
+        'token-a': { user_id: '005000000000001AAA', organization_id: ORG_A, email: 'a@example.com', name: 'User A' }
+      }
+    });
+    server = app.listen(0, '127.0.0.1', () => {
+      instanceUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  test('returns the identity the org reports for the token', async () => {
+    await expect(verifySalesforceSession('token-a', instanceUrl)).resolves.toEqual({
+      userId: '005000000000001AAA',
+      orgId: ORG_A,
+      email: 'a@example.com',
+      name: 'User A',
+      instanceUrl,
+      verifiedBy: 'userinfo'
+    });
+  });
+
+  test('rejects a token the org does not know with 401', async () => {
+    await expect(verifySalesforceSession('token-unknown', instanceUrl)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('rejects an instance URL outside SALESFORCE_INSTANCE_HOSTS', async () => {
+    await expect(verifySalesforceSession('token-a', 'https://attacker.example.com'))
+      .rejects.toMatchObject({ statusCode: 401, message: 'Salesforce instance URL https://attacker.example.com is not allowed' });
+  });
+
+  test('requires a token and an instance URL', async () => {
+    await expect(verifySalesforceSession('', instanceUrl)).rejects.toMatchObject({ statusCode: 401 });
+    await expect(verifySalesforceSession('token-a', '')).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('reports 503 when the org cannot be reached', async () => {
+    const closed = createMockSalesforceIdentityServer().listen(0, '127.0.0.1');
+    await new Promise(resolve => closed.once('listening', resolve));
+    const url = `http://localhost:${closed.address().port}`;
+    await new Promise(resolve => closed.close(resolve));
+
+    await expect(verifySalesforceSession('mock-session-token', url)).rejects.toMatchObject({ statusCode: 503 });
+  });
+});
+
+describe('verifyIdentityAssertion', () => {
+  const claims = {
+    iss: ORG_A,
+    sub: '005000000000001AAA',
+    email: 'a@example.com',
+    profile: 'System Administrator',
+    role: 'CEO'
+  };
+
+  test('verifies an assertion with the certificate of the org it claims', () => {
+    const assertion = signAssertion(claims, orgAKey.privateKey);
+
+    expect(isAssertionVerificationEnabled(assertion)).toBe(true);
+    expect(verifyIdentityAssertion(assertion)).toEqual({
+      userId: claims.sub,
+      orgId: ORG_A,
+      email: 'a@example.com',
+      name: null,
+      profile: 'System Administrator',
+      role: 'CEO',
+      instanceUrl: null,
+      verifiedBy: 'assertion'
+    });
+  });
+
+  test("rejects an assertion claiming one org but signed with another org's key", () => {
+    const assertion = signAssertion(claims, orgBKey.privateKey);
+
+    expect(() => verifyIdentityAssertion(assertion)).toThrow(/Invalid Salesforce identity assertion: invalid signature/);
+  });
+
+  test('refuses assertions from orgs without a certificate', () => {
+    const assertion = signAssertion({ ...claims, iss: '00D000000000003EAA' }, orgAKey.privateKey);
+
+    expect(isAssertionVerificationEnabled(assertion)).toBe(false);
+    expect(() => verifyIdentityAssertion(assertion)).toThrow(expect.objectContaining({ statusCode: 401 }));
+  });
+
+  test('rejects expired assertions and assertions for another audience', () => {
+    const expired = signAssertion({ ...claims, iat: Math.floor(Date.now() / 1000) - 600 }, orgAKey.privateKey, { expiresIn: '1m' });
+    const otherAudience = signAssertion(claims, orgAKey.privateKey, { audience: 'someone-else' });
+
+    expect(() => verifyIdentityAssertion(expired)).toThrow(/jwt expired/);
+    expect(() => verifyIdentityAssertion(otherAudience)).toThrow(/jwt audience invalid/);
+  });
+
+  test('rejects an assertion without a subject', () => {
+    const assertion = signAssertion({ ...claims, sub: undefined }, orgAKey.privateKey);
+
+    expect(() => verifyIdentityAssertion(assertion)).toThrow('Salesforce identity assertion is missing iss or sub');
+  });
+});
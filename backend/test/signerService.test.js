@@ -0,0 +1,142 @@
+const { ethers } = require('ethers');
+
+process.env.TX_STUCK_SECONDS = '60';
+process.env.SIGNER_CHAINS = JSON.stringify({
+  chains: {
+    31337: { confirmations: 2, maxGasBumps: 2 },
+    31338: { maxFeePerGasGwei: 1.3 }
+  }
+});
+
+const {
+  getSigner,
+  sendTransaction,
+  checkTransaction
+} = require('../src/services/signerService');
+
+const privateKey = `0x${'11'.repeat(32)}`;
+const wallet = new ethers.Wallet(privateKey);
+const request = { to: `0x${'22'.repeat(20)}`, data: '0x1234', gasLimit: 100000 };
+const gwei = value => ethers.utils.parseUnits(String(value), 'gwei');
+let signerCount = 0;
+
+// A signer on a node that reports `pendingCount` and mines nothing until told to
+function testSigner({ chainId = 31337, pendingCount = 5 } = {}) {
+  signerCount += 1;
+  const signer = getSigner({ rpcUrl: `http://127.0.0.1:${8545 + signerCount}`, privateKey });
+  const node = { pendingCount, minedCount: pendingCount, gasPrice: gwei(1), receipts: new Map() };
+
+  signer.provider = {
+    getNetwork: async () => ({ chainId }),
+    getFeeData: async () => ({ gasPrice: node.gasPrice }),
+    sendTransaction: jest.fn(),
+    getTransactionReceipt: async hash => node.receipts.get(hash) || null,
+    getBlockNumber: async () => 100
+  };
+  signer.wallet = {
+    getTransactionCount: async blockTag => (blockTag === 'latest' ? node.minedCount : node.pendingCount),
+    populateTransaction: async tx => ({
+      ...tx,
+      value: ethers.BigNumber.from(tx.value),
+      gasLimit: ethers.BigNumber.from(tx.gasLimit),
+      chainId
+    }),
+    signTransaction: tx => wallet.signTransaction(tx)
+  };
+  return { signer, node };
+}
+
+function stuck(record) {
+  return { ...record, sentAt: new Date(Date.now() - 61 * 1000).toISOString() };
+}
+
+describe('nonces', () => {
+  test('gives concurrent sends consecutive nonces from the pending count', async () => {
+    const { signer } = testSigner();
+
+    const records = await Promise.all([1, 2, 3].map(() => sendTransaction(signer, request)));
+
+    expect(records.map(record => record.nonce)).toEqual([5, 6, 7]);
+    expect(new Set(records.map(record => record.hash)).size).toBe(3);
+  });
+
+  test('skips nonces of our own transactions a lagging node does not list yet', async () => {
+    const { signer } = testSigner();
+
+    await sendTransaction(signer, request);
+    await expect(sendTransaction(signer, request)).resolves.toMatchObject({ nonce: 6 });
+  });
+
+  test('respects nonces used by anyone else from the account', async () => {
+    const { signer, node } = testSigner();
+
+    await sendTransaction(signer, request);
+    node.pendingCount = 9;
+    await expect(sendTransaction(signer, request)).resolves.toMatchObject({ nonce: 9 });
+  });
+
+  test('does not hand out the nonce of a send the node refused', async () => {
+    const { signer } = testSigner();
+    signer.provider.sendTransaction.mockRejectedValueOnce(Object.assign(new Error('insufficient funds'), {
+      code: 'INSUFFICIENT_FUNDS'
+    }));
+
+    await expect(sendTransaction(signer, request)).rejects.toThrow('insufficient funds');
+    await expect(sendTransaction(signer, request)).resolves.toMatchObject({ nonce: 5 });
+  });
+});
+
+describe('checkTransaction', () => {
+  test('replaces a stuck transaction with higher fees and the same nonce', async () => {
+    const { signer } = testSigner();
+    const record = await sendTransaction(signer, request);
+
+    await expect(checkTransaction(signer, record)).resolves.toMatchObject({ status: 'pending', record });
+
+    const { status, record: replacement } = await checkTransaction(signer, stuck(record));
+    expect(status).toBe('pending');
+    expect(replacement).toMatchObject({ nonce: record.nonce, bumps: 1, fees: { gasPrice: gwei(1.25).toString() } });
+    expect(replacement.hashes).toEqual([record.hash, replacement.hash]);
+  });
+
+  test('follows the network fee when it rose more than the bump', async () => {
+    const { signer, node } = testSigner();
+    const record = await sendTransaction(signer, request);
+    node.gasPrice = gwei(3);
+
+    await expect(checkTransaction(signer, stuck(record)))
+      .resolves.toMatchObject({ record: { fees: { gasPrice: gwei(3).toString() } } });
+  });
+
+  test('stalls when the fee cap or the bump limit leaves no replacement', async () => {
+    const capped = testSigner({ chainId: 31338 });
+    const cappedRecord = await sendTransaction(capped.signer, request);
+    const bumped = await checkTransaction(capped.signer, stuck(cappedRecord));
+    expect(bumped.record.fees.gasPrice).toBe(gwei(1.25).toString());
+    await expect(checkTransaction(capped.signer, stuck(bumped.record))).resolves.toMatchObject({ status: 'stalled' });
+
+    const { signer } = testSigner();
+    const record = await sendTransaction(signer, request);
+    await expect(checkTransaction(signer, stuck({ ...record, bumps: 2 }))).resolves.toMatchObject({ status: 'stalled' });
+  });
+
+  test('finds the receipt of any transaction sent for the nonce and waits for confirmations', async () => {
+    const { signer, node } = testSigner();
+    const record = await sendTransaction(signer, request);
+    const { record: replacement } = await checkTransaction(signer, stuck(record));
+
+    node.receipts.set(record.hash, { status: 1, transactionHash: record.hash, blockNumber: 100 });
+    await expect(checkTransaction(signer, replacement)).resolves.toMatchObject({ status: 'pending', receipt: { transactionHash: record.hash } });
+
+    node.receipts.set(record.hash, { status: 1, transactionHash: record.hash, blockNumber: 99 });
+    await expect(checkTransaction(signer, replacement)).resolves.toMatchObject({ status: 'confirmed' });
+  });
+
+  test('reports a nonce taken by another transaction as dropped', async () => {
+    const { signer, node } = testSigner();
+    const record = await sendTransaction(signer, request);
+    node.minedCount = 6;
+
+    await expect(checkTransaction(signer, stuck(record))).resolves.toMatchObject({ status: 'dropped' });
+  });
+});
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-viewer-secret';
+
+jest.mock('../src/services/sessionStore', () => ({
+  saveTokenRedemption: jest.fn(),
+  loadTokenRedemption: jest.fn(),
+  saveSuspiciousAccess: jest.fn()
+}));
+
+const { saveTokenRedemption, loadTokenRedemption, saveSuspiciousAccess } = require('../src/services/sessionStore');
+const {
+  viewerSessionCookieName,
+  redeemViewerToken,
+  authenticateViewerRequest
+} = require('../src/services/tokenBindingService');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const publicJwk = publicKey.export({ format: 'jwk' });
+let tokenCount = 0;
+
+function viewerToken(sessionId, claims = {}) {
+  tokenCount += 1;
+  return jwt.sign({
+    documentHash: `0x${'ab'.repeat(32)}`,
+    sessionId,
+    jti: `jti_${tokenCount}`,
+    ...claims
+  }, process.env.JWT_SECRET, { expiresIn: 600 });
+}
+
+function fakeRequest({ method = 'GET', url = '/api/view/pages', ip = '203.0.113.7', headers = {}, query = {}, body = {} }) {
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { method, originalUrl: url, ip, query, body, get: name => lowerHeaders[name.toLowerCase()] };
+}
+
+function proof(method, url) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const signature = crypto.sign('sha256', Buffer.from([method, url, timestamp, nonce].join('\n')), {
+    key: privateKey,
+    dsaEncoding: 'ieee-p1363'
+  });
+  return `${timestamp}.${nonce}.${signature.toString('base64url')}`;
+}
+
+function sessionRequest(sessionId, cookieValue, fields = {}) {
+  const url = `/api/view/pages?session=${sessionId}`;
+  return fakeRequest({
+    url,
+    query: { session: sessionId },
+    ...fields,
+    headers: {
+      Cookie: `${viewerSessionCookieName(sessionId)}=${encodeURIComponent(cookieValue)}`,
+      ...fields.headers
+    }
+  });
+}
+
+describe('token binding', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    saveTokenRedemption.mockResolvedValue(true);
+    loadTokenRedemption.mockResolvedValue(null);
+    saveSuspiciousAccess.mockResolvedValue(null);
+  });
+
+  test('redeems a bound token once, and treats any later use of it as a replay', async () => {
+    const token = viewerToken('sess_replay', { bnd: ['ip'] });
+
+    const session = await redeemViewerToken(fakeRequest({ method: 'POST', body: { token } }));
+    expect(session).toMatchObject({ sessionId: 'sess_replay', binding: ['ip'] });
+
+    await expect(redeemViewerToken(fakeRequest({ method: 'POST', body: { token } })))
+      .rejects.toMatchObject({ statusCode: 403, fields: { reason: 'TOKEN_REPLAY' } });
+    await expect(authenticateViewerRequest(fakeRequest({ query: { token } })))
+      .rejects.toMatchObject({ statusCode: 403, fields: { reason: 'TOKEN_REPLAY' } });
+    expect(saveSuspiciousAccess).toHaveBeenCalledTimes(2);
+  });
+
+  test('asks for redemption when a bound token that was never redeemed is used directly', async () => {
+    const token = viewerToken('sess_unredeemed', { bnd: ['device'] });
+
+    await expect(authenticateViewerRequest(fakeRequest({ query: { token } })))
+      .rejects.toMatchObject({ statusCode: 401, fields: { redeemRequired: true } });
+  });
+
+  test('keeps an ip-bound session to the network it was redeemed from', async () => {
+    const token = viewerToken('sess_ip', { bnd: ['ip'], cip: '203.0.113.7' });
+
+    await expect(redeemViewerToken(fakeRequest({ method: 'POST', ip: '198.51.100.1', body: { token } })))
+      .rejects.toMatchObject({ statusCode: 403, fields: { reason: 'IP_MISMATCH' } });
+
+    const session = await redeemViewerToken(fakeRequest({ method: 'POST', ip: '::ffff:203.0.113.7', body: { token } }));
+
+    await expect(authenticateViewerRequest(sessionRequest('sess_ip', session.cookieValue, { ip: '203.0.113.99' })))
+      .resolves.toMatchObject({ sessionId: 'sess_ip' });
+    await expect(authenticateViewerRequest(sessionRequest('sess_ip', session.cookieValue, { ip: '203.0.114.1' })))
+      .rejects.toMatchObject({ statusCode: 403, fields: { reason: 'IP_MISMATCH' } });
+  });
+
+  test('requires a fresh proof of possession of the bound key on every request', async () => {
+    const token = viewerToken('sess_pop', { bnd: ['pop'] });
+    const redeemUrl = '/api/view/session';
+
+    await expect(redeemViewerToken(fakeRequest({ method: 'POST', url: redeemUrl, body: { token, publicKey: publicJwk } })))
+      .rejects.toMatchObject({ statusCode: 403, fields: { reason: 'PROOF_INVALID' } });
+
+    const session = await redeemViewerToken(fakeRequest({
+      method: 'POST',
+      url: redeemUrl,
+      headers: { 'X-Krnl-Proof': proof('POST', redeemUrl) },
+      body: { token, publicKey: publicJwk }
+    }));
+
+    const signed = { 'X-Krnl-Proof': proof('GET', '/api/view/pages?session=sess_pop') };
+    await expect(authenticateViewerRequest(sessionRequest('sess_pop', session.cookieValue, { headers: signed })))
+      .resolves.toMatchObject({ sessionId: 'sess_pop' });
+    await expect(authenticateViewerRequest(sessionRequest('sess_pop', session.cookieValue, { headers: signed })))
+      .rejects.toMatchObject({ statusCode: 403, fields: { reason: 'PROOF_INVALID' } });
+  });
+
+  test('redeems later tokens of a session only for the client it was first bound to, on any instance', async () => {
+    const device = 'd'.repeat(64);
+    loadTokenRedemption.mockResolvedValue({
+      sessionId: 'sess_remote',
+      deviceHash: crypto.createHash('sha256').update(device).digest('hex')
+    });
+
+    await expect(redeemViewerToken(fakeRequest({
+      method: 'POST',
+      headers: { 'X-Krnl-Device': 'e'.repeat(64) },
+      body: { token: viewerToken('sess_remote', { bnd: ['device'] }) }
+    }))).rejects.toMatchObject({ statusCode: 403, fields: { reason: 'DEVICE_MISMATCH' } });
+
+    await expect(redeemViewerToken(fakeRequest({
+      method: 'POST',
+      headers: { 'X-Krnl-Device': device },
+      body: { token: viewerToken('sess_remote', { bnd: ['device'] }) }
+    }))).resolves.toMatchObject({ sessionId: 'sess_remote' });
+  });
+
+  test('refuses a token another instance has already redeemed', async () => {
+    saveTokenRedemption.mockResolvedValue(false);
+
+    await expect(redeemViewerToken(fakeRequest({ method: 'POST', body: { token: viewerToken('sess_elsewhere', { bnd: ['ip'] }) } })))
+      .rejects.toMatchObject({ statusCode: 403, fields: { reason: 'TOKEN_REPLAY' } });
+  });
+});
@@ -0,0 +1,76 @@
+jest.mock('../src/services/sessionStore', () => ({
+  saveViewerEvents: jest.fn(),
+  loadViewerEvents: jest.fn(),
+  loadAccessEvent: jest.fn()
+}));
+
+const { saveViewerEvents, loadViewerEvents, loadAccessEvent } = require('../src/services/sessionStore');
+const { recordViewerEvents, getViewerTimeline } = require('../src/services/viewerTelemetryService');
+
+const at = minutes => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+describe('recordViewerEvents', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    saveViewerEvents.mockResolvedValue();
+  });
+
+  test('stores valid events and drops unknown or malformed ones', async () => {
+    const result = await recordViewerEvents('sess_1', [
+      { type: 'page_view', at: at(0), page: 2 },
+      { type: 'copy', at: at(0) },
+      null,
+      { type: 'scroll_depth', at: at(0), scrollDepth: 1.4, page: -1 }
+    ]);
+
+    expect(result).toEqual({ accepted: 2, rejected: 2 });
+    expect(saveViewerEvents).toHaveBeenCalledWith('sess_1', [
+      expect.objectContaining({ type: 'page_view', page: 2 }),
+      expect.objectContaining({ type: 'scroll_depth', scrollDepth: 1, page: null })
+    ]);
+  });
+
+  test('stamps events from a badly skewed clock with the server time and caps dwell time', async () => {
+    const before = Date.now();
+    await recordViewerEvents('sess_1', [
+      { type: 'page_dwell', at: '2001-01-01T00:00:00Z', page: 1, durationMs: 5 * 60 * 60 * 1000 }
+    ]);
+
+    const [stored] = saveViewerEvents.mock.calls[0][1];
+    expect(Date.parse(stored.at)).toBeGreaterThanOrEqual(before);
+    expect(stored.durationMs).toBe(60 * 60 * 1000);
+  });
+});
+
+describe('getViewerTimeline', () => {
+  test('summarizes what was read', async () => {
+    const events = [
+      { type: 'viewer_open', at: at(0) },
+      { type: 'page_view', at: at(0), page: 1 },
+      { type: 'page_dwell', at: at(1), page: 1, durationMs: 60000 },
+      { type: 'page_view', at: at(1), page: 3 },
+      { type: 'blur', at: at(2) },
+      { type: 'screenshot_shield', at: at(2), reason: 'blur' },
+      { type: 'page_dwell', at: at(2), page: 3, durationMs: 30000 },
+      { type: 'scroll_depth', at: at(2), scrollDepth: 0.6 },
+      { type: 'viewer_close', at: at(3) }
+    ];
+    loadViewerEvents.mockResolvedValue(events);
+    loadAccessEvent.mockResolvedValue({ page_count: 4 });
+
+    const { summary, truncated } = await getViewerTimeline('sess_1');
+
+    expect(truncated).toBe(false);
+    expect(summary).toMatchObject({
+      openedAt: events[0].at,
+      closedAt: events[8].at,
+      pageCount: 4,
+      pagesViewed: 2,
+      totalDwellMs: 90000,
+      maxScrollDepth: 0.6,
+      focusLosses: 1,
+      screenshotShieldTriggers: 1,
+      pages: [{ page: 1, views: 1, dwellMs: 60000 }, { page: 3, views: 1, dwellMs: 30000 }]
+    });
+  });
+});
@@ -35,6 +35,23 @@ contract DocumentAccessRegistry is TargetBase, AccessControl, Pausable {
         bytes32 accessHash;
     }
 
+    struct DocumentBatch {
+        bytes32 merkleRoot;
+        string batchId;
+        uint256 documentCount;
+        address anchoredBy;
+        uint256 anchoredAt;
+    }
+
+    struct AccessLogBatch {
+        bytes32 merkleRoot;
+        string batchId;
+        uint256 eventCount;
+        bytes32 chainHead;
+        address anchoredBy;
+        uint256 anchoredAt;
+    }
+
     struct DocumentRegistrationParams {
         string documentHash;
         string metadata;
@@ -54,9 +71,13 @@ contract DocumentAccessRegistry is TargetBase, AccessControl, Pausable {
     mapping(string => DocumentRecord) public documents;
     mapping(string => AccessLog[]) public documentAccessLogs;
     mapping(address => bool) public authorizedSalesforceIntegrations;
+    mapping(bytes32 => DocumentBatch) public documentBatches;
+    mapping(bytes32 => AccessLogBatch) public accessLogBatches;
 
     // Arrays for enumeration
     string[] public documentHashes;
+    bytes32[] public documentBatchRoots;
+    bytes32[] public accessLogBatchRoots;
 
     // Events
     event DocumentRegistered(
@@ -76,6 +97,23 @@ contract DocumentAccessRegistry is TargetBase, AccessControl, Pausable {
         uint256 timestamp
     );
 
+    event DocumentBatchAnchored(
+        bytes32 indexed merkleRoot,
+        string batchId,
+        uint256 documentCount,
+        address anchoredBy,
+        uint256 timestamp
+    );
+
+    event AccessLogBatchAnchored(
+        bytes32 indexed merkleRoot,
+        string batchId,
+        uint256 eventCount,
+        bytes32 chainHead,
+        address anchoredBy,
+        uint256 timestamp
+    );
+
     event DocumentDeactivated(
         string indexed documentHash,
         address deactivatedBy,
@@ -153,6 +191,174 @@ contract DocumentAccessRegistry is TargetBase, AccessControl, Pausable {
         emit DocumentRegistered(_documentHash, _salesforceRecordId, msg.sender, block.timestamp);
     }
 
+    /**
+     * @dev Anchor the Merkle root of a batch of documents registered off-chain.
+     * Each document is proven against the root with verifyBatchedDocument.
+     * @param _merkleRoot Root of the batch tree (see computeBatchLeaf)
+     * @param _batchId Backend identifier of the batch
+     * @param _documentCount Number of documents in the batch
+     */
+    function anchorDocumentBatch(
+        bytes32 _merkleRoot,
+        string memory _batchId,
+        uint256 _documentCount
+    ) external whenNotPaused {
+        require(_merkleRoot != bytes32(0), "Merkle root cannot be empty");
+        require(_documentCount > 0, "Batch cannot be empty");
+        require(
+            authorizedSalesforceIntegrations[msg.sender] ||
+            hasRole(DOCUMENT_MANAGER_ROLE, msg.sender),
+            "Unauthorized to anchor batch"
+        );
+        require(documentBatches[_merkleRoot].anchoredAt == 0, "Batch already anchored");
+
+        documentBatches[_merkleRoot] = DocumentBatch({
+            merkleRoot: _merkleRoot,
+            batchId: _batchId,
+            documentCount: _documentCount,
+            anchoredBy: msg.sender,
+            anchoredAt: block.timestamp
+        });
+
+        documentBatchRoots.push(_merkleRoot);
+
+        emit DocumentBatchAnchored(_merkleRoot, _batchId, _documentCount, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Leaf of a document in a batch tree. Leaves and inner nodes are
+     * SHA-256 with distinct prefixes (0x00, 0x01) so a node cannot pass for a
+     * leaf, and inner nodes hash the sorted pair so proofs need no positions.
+     * @param _documentHash SHA-256 hash of the document
+     * @param _salesforceRecordId Salesforce record ID for the document
+     */
+    function computeBatchLeaf(
+        bytes32 _documentHash,
+        string memory _salesforceRecordId
+    ) public pure returns (bytes32) {
+        return sha256(abi.encodePacked(bytes1(0x00), _documentHash, _salesforceRecordId));
+    }
+
+    /**
+     * @dev Check a document's inclusion proof against an anchored batch root
+     * @param _documentHash SHA-256 hash of the document
+     * @param _salesforceRecordId Salesforce record ID for the document
+     * @param _proof Sibling hashes from the leaf up to the root
+     * @param _merkleRoot Root the document was anchored under
+     * @return True if the root is anchored and the proof leads to it
+     */
+    function verifyBatchedDocument(
+        bytes32 _documentHash,
+        string memory _salesforceRecordId,
+        bytes32[] calldata _proof,
+        bytes32 _merkleRoot
+    ) external view returns (bool) {
+        if (documentBatches[_merkleRoot].anchoredAt == 0) {
+            return false;
+        }
+
+        return _computeMerkleRoot(computeBatchLeaf(_documentHash, _salesforceRecordId), _proof) == _merkleRoot;
+    }
+
+    /**
+     * @dev Root an inclusion proof leads to from a leaf, hashing sorted pairs
+     * with the 0x01 node prefix
+     */
+    function _computeMerkleRoot(
+        bytes32 _leaf,
+        bytes32[] calldata _proof
+    ) internal pure returns (bytes32) {
+        bytes32 node = _leaf;
+        for (uint256 i = 0; i < _proof.length; i++) {
+            node = node < _proof[i]
+                ? sha256(abi.encodePacked(bytes1(0x01), node, _proof[i]))
+                : sha256(abi.encodePacked(bytes1(0x01), _proof[i], node));
+        }
+        return node;
+    }
+
+    /**
+     * @dev Get total number of anchored document batches
+     * @return Number of batches
+     */
+    function getDocumentBatchCount() external view returns (uint256) {
+        return documentBatchRoots.length;
+    }
+
+    /**
+     * @dev Anchor the Merkle root of a batch of access events logged off-chain.
+     * Events are signed by the backend and hash-chained; the chain head pins
+     * the batch's place in that chain so no earlier event can be left out.
+     * @param _merkleRoot Root of the batch tree (see computeAccessLogLeaf)
+     * @param _batchId Backend identifier of the batch
+     * @param _eventCount Number of access events in the batch
+     * @param _chainHead Hash of the latest event in the batch
+     */
+    function anchorAccessLogBatch(
+        bytes32 _merkleRoot,
+        string memory _batchId,
+        uint256 _eventCount,
+        bytes32 _chainHead
+    ) external whenNotPaused {
+        require(_merkleRoot != bytes32(0), "Merkle root cannot be empty");
+        require(_eventCount > 0, "Batch cannot be empty");
+        require(_chainHead != bytes32(0), "Chain head cannot be empty");
+        require(
+            authorizedSalesforceIntegrations[msg.sender] ||
+            hasRole(DOCUMENT_MANAGER_ROLE, msg.sender),
+            "Unauthorized to anchor batch"
+        );
+        require(accessLogBatches[_merkleRoot].anchoredAt == 0, "Batch already anchored");
+
+        accessLogBatches[_merkleRoot] = AccessLogBatch({
+            merkleRoot: _merkleRoot,
+            batchId: _batchId,
+            eventCount: _eventCount,
+            chainHead: _chainHead,
+            anchoredBy: msg.sender,
+            anchoredAt: block.timestamp
+        });
+
+        accessLogBatchRoots.push(_merkleRoot);
+
+        emit AccessLogBatchAnchored(_merkleRoot, _batchId, _eventCount, _chainHead, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Leaf of an access event in an access log batch tree, hashed like
+     * document batch leaves
+     * @param _eventHash SHA-256 hash of the signed access event
+     */
+    function computeAccessLogLeaf(bytes32 _eventHash) public pure returns (bytes32) {
+        return sha256(abi.encodePacked(bytes1(0x00), _eventHash));
+    }
+
+    /**
+     * @dev Check an access event's inclusion proof against an anchored batch root
+     * @param _eventHash SHA-256 hash of the signed access event
+     * @param _proof Sibling hashes from the leaf up to the root
+     * @param _merkleRoot Root the event was anchored under
+     * @return True if the root is anchored and the proof leads to it
+     */
+    function verifyAccessLogEvent(
+        bytes32 _eventHash,
+        bytes32[] calldata _proof,
+        bytes32 _merkleRoot
+    ) external view returns (bool) {
+        if (accessLogBatches[_merkleRoot].anchoredAt == 0) {
+            return false;
+        }
+        return _computeMerkleRoot(computeAccessLogLeaf(_eventHash), _proof) == _merkleRoot;
+    }
+
+    /**
+     * @dev Get total number of anchored access log batches
+     * @return Number of batches
+     */
+    function getAccessLogBatchCount() external view returns (uint256) {
+        return accessLogBatchRoots.length;
+    }
+
     /**
      * @dev Log document access for compliance tracking
      * @param _documentHash Hash of the accessed document
@@ -1,6 +1,18 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
+// Batch trees come from the backend's own Merkle code, so these tests fail
+// if the backend and the contract ever disagree on leaves, nodes or proofs
+const { hashLeaf, hashPair: batchNode, buildTree: buildBatchTree } = require("../../backend/src/utils/merkle");
+
+function batchLeaf(documentHash, salesforceRecordId) {
+  return hashLeaf(Buffer.concat([ethers.getBytes(documentHash), ethers.toUtf8Bytes(salesforceRecordId)]));
+}
+
+function accessLogLeaf(eventHash) {
+  return hashLeaf(ethers.getBytes(eventHash));
+}
+
 describe("DocumentAccessRegistry", function () {
   let registry;
   let admin, manager, officer, user, integration;
@@ -147,6 +159,192 @@ describe("DocumentAccessRegistry", function () {
     });
   });
 
+  describe("Batch Anchoring", function () {
+    const documents = [1, 2, 3, 4, 5].map(i => ({
+      documentHash: ethers.sha256(ethers.toUtf8Bytes(`document ${i}`)),
+      salesforceRecordId: `SF00${i}`
+    }));
+    let tree;
+
+    beforeEach(async function () {
+      tree = buildBatchTree(documents.map(doc => batchLeaf(doc.documentHash, doc.salesforceRecordId)));
+      await registry.connect(officer).setSalesforceIntegrationAuth(integration.address, true);
+    });
+
+    it("Should compute leaves like the backend", async function () {
+      const { documentHash, salesforceRecordId } = documents[0];
+      expect(await registry.computeBatchLeaf(documentHash, salesforceRecordId))
+        .to.equal(batchLeaf(documentHash, salesforceRecordId));
+    });
+
+    it("Should anchor a batch root", async function () {
+      await expect(registry.connect(integration).anchorDocumentBatch(tree.root, "batch_1", documents.length))
+        .to.emit(registry, "DocumentBatchAnchored");
+
+      const batch = await registry.documentBatches(tree.root);
+      expect(batch.batchId).to.equal("batch_1");
+      expect(batch.documentCount).to.equal(documents.length);
+      expect(batch.anchoredBy).to.equal(integration.address);
+      expect(await registry.getDocumentBatchCount()).to.equal(1);
+    });
+
+    it("Should verify every document in an anchored batch", async function () {
+      await registry.connect(integration).anchorDocumentBatch(tree.root, "batch_1", documents.length);
+
+      for (const [index, doc] of documents.entries()) {
+        expect(await registry.verifyBatchedDocument(doc.documentHash, doc.salesforceRecordId, tree.proofs[index], tree.root))
+          .to.be.true;
+      }
+    });
+
+    it("Should verify a single-document batch with an empty proof", async function () {
+      const { documentHash, salesforceRecordId } = documents[0];
+      const root = batchLeaf(documentHash, salesforceRecordId);
+      await registry.connect(integration).anchorDocumentBatch(root, "batch_single", 1);
+
+      expect(await registry.verifyBatchedDocument(documentHash, salesforceRecordId, [], root)).to.be.true;
+    });
+
+    it("Should reject a wrong proof, record ID or unanchored root", async function () {
+      await registry.connect(integration).anchorDocumentBatch(tree.root, "batch_1", documents.length);
+      const { documentHash, salesforceRecordId } = documents[0];
+
+      expect(await registry.verifyBatchedDocument(documentHash, salesforceRecordId, tree.proofs[1], tree.root)).to.be.false;
+      expect(await registry.verifyBatchedDocument(documentHash, "SF999", tree.proofs[0], tree.root)).to.be.false;
+
+      const other = buildBatchTree(documents.slice(0, 2).map(doc => batchLeaf(doc.documentHash, doc.salesforceRecordId)));
+      expect(await registry.verifyBatchedDocument(documentHash, salesforceRecordId, other.proofs[0], other.root)).to.be.false;
+    });
+
+    it("Should not accept an inner node as a leaf", async function () {
+      await registry.connect(integration).anchorDocumentBatch(tree.root, "batch_1", documents.length);
+      const inner = batchNode(
+        batchLeaf(documents[0].documentHash, documents[0].salesforceRecordId),
+        batchLeaf(documents[1].documentHash, documents[1].salesforceRecordId)
+      );
+
+      expect(await registry.verifyBatchedDocument(inner, "", tree.proofs[0].slice(1), tree.root)).to.be.false;
+    });
+
+    it("Should fail to anchor the same root twice", async function () {
+      await registry.connect(integration).anchorDocumentBatch(tree.root, "batch_1", documents.length);
+
+      await expect(
+        registry.connect(integration).anchorDocumentBatch(tree.root, "batch_2", documents.length)
+      ).to.be.revertedWith("Batch already anchored");
+    });
+
+    it("Should fail for an empty root or batch", async function () {
+      await expect(
+        registry.connect(integration).anchorDocumentBatch(ethers.ZeroHash, "batch_1", 1)
+      ).to.be.revertedWith("Merkle root cannot be empty");
+      await expect(
+        registry.connect(integration).anchorDocumentBatch(tree.root, "batch_1", 0)
+      ).to.be.revertedWith("Batch cannot be empty");
+    });
+
+    it("Should fail for unauthorized caller", async function () {
+      await expect(
+        registry.connect(user).anchorDocumentBatch(tree.root, "batch_1", documents.length)
+      ).to.be.revertedWith("Unauthorized to anchor batch");
+    });
+
+    it("Should fail while paused", async function () {
+      await registry.connect(admin).pause();
+
+      await expect(
+        registry.connect(integration).anchorDocumentBatch(tree.root, "batch_1", documents.length)
+      ).to.be.revertedWith("Pausable: paused");
+    });
+  });
+
+  describe("Access Log Batch Anchoring", function () {
+    const eventHashes = [1, 2, 3, 4, 5].map(i => ethers.sha256(ethers.toUtf8Bytes(`access event ${i}`)));
+    const chainHead = eventHashes[eventHashes.length - 1];
+    let tree;
+
+    beforeEach(async function () {
+      tree = buildBatchTree(eventHashes.map(accessLogLeaf));
+      await registry.connect(officer).setSalesforceIntegrationAuth(integration.address, true);
+    });
+
+    it("Should compute leaves like the backend", async function () {
+      expect(await registry.computeAccessLogLeaf(eventHashes[0])).to.equal(accessLogLeaf(eventHashes[0]));
+    });
+
+    it("Should anchor a batch root with its chain head", async function () {
+      await expect(registry.connect(integration).anchorAccessLogBatch(tree.root, "alb_1", eventHashes.length, chainHead))
+        .to.emit(registry, "AccessLogBatchAnchored");
+
+      const batch = await registry.accessLogBatches(tree.root);
+      expect(batch.batchId).to.equal("alb_1");
+      expect(batch.eventCount).to.equal(eventHashes.length);
+      expect(batch.chainHead).to.equal(chainHead);
+      expect(batch.anchoredBy).to.equal(integration.address);
+      expect(await registry.getAccessLogBatchCount()).to.equal(1);
+      expect(await registry.getDocumentBatchCount()).to.equal(0);
+    });
+
+    it("Should verify every event in an anchored batch", async function () {
+      await registry.connect(integration).anchorAccessLogBatch(tree.root, "alb_1", eventHashes.length, chainHead);
+
+      for (const [index, eventHash] of eventHashes.entries()) {
+        expect(await registry.verifyAccessLogEvent(eventHash, tree.proofs[index], tree.root)).to.be.true;
+      }
+    });
+
+    it("Should reject a wrong proof, event or unanchored root", async function () {
+      await registry.connect(integration).anchorAccessLogBatch(tree.root, "alb_1", eventHashes.length, chainHead);
+
+      expect(await registry.verifyAccessLogEvent(eventHashes[0], tree.proofs[1], tree.root)).to.be.false;
+      expect(await registry.verifyAccessLogEvent(ethers.sha256(ethers.toUtf8Bytes("forged")), tree.proofs[0], tree.root))
+        .to.be.false;
+
+      const other = buildBatchTree(eventHashes.slice(0, 2).map(accessLogLeaf));
+      expect(await registry.verifyAccessLogEvent(eventHashes[0], other.proofs[0], other.root)).to.be.false;
+    });
+
+    it("Should keep access log and document batches apart", async function () {
+      await registry.connect(integration).anchorDocumentBatch(tree.root, "batch_1", eventHashes.length);
+
+      expect(await registry.verifyAccessLogEvent(eventHashes[0], tree.proofs[0], tree.root)).to.be.false;
+    });
+
+    it("Should fail to anchor the same root twice", async function () {
+      await registry.connect(integration).anchorAccessLogBatch(tree.root, "alb_1", eventHashes.length, chainHead);
+
+      await expect(
+        registry.connect(integration).anchorAccessLogBatch(tree.root, "alb_2", eventHashes.length, chainHead)
+      ).to.be.revertedWith("Batch already anchored");
+    });
+
+    it("Should fail for an empty root, batch or chain head", async function () {
+      await expect(
+        registry.connect(integration).anchorAccessLogBatch(ethers.ZeroHash, "alb_1", 1, chainHead)
+      ).to.be.revertedWith("Merkle root cannot be empty");
+      await expect(
+        registry.connect(integration).anchorAccessLogBatch(tree.root, "alb_1", 0, chainHead)
+      ).to.be.revertedWith("Batch cannot be empty");
+      await expect(
+        registry.connect(integration).anchorAccessLogBatch(tree.root, "alb_1", eventHashes.length, ethers.ZeroHash)
+      ).to.be.revertedWith("Chain head cannot be empty");
+    });
+
+    it("Should fail for unauthorized caller", async function () {
+      await expect(
+        registry.connect(user).anchorAccessLogBatch(tree.root, "alb_1", eventHashes.length, chainHead)
+      ).to.be.revertedWith("Unauthorized to anchor batch");
+    });
+
+    it("Should fail while paused", async function () {
+      await registry.connect(admin).pause();
+
+      await expect(
+        registry.connect(integration).anchorAccessLogBatch(tree.root, "alb_1", eventHashes.length, chainHead)
+      ).to.be.revertedWith("Pausable: paused");
+    });
+  });
+
   describe("View Functions", function () {
     beforeEach(async function () {
       await registry.connect(manager).registerDocument("0x123", "SF001", "{}");
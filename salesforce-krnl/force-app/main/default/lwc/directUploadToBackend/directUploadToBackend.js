@@ -1,11 +1,24 @@
 import { LightningElement, api, track } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
-import initDirectUpload from '@salesforce/apex/DocumentAccessLogger.initDirectUpload';
+import initChunkedUpload from '@salesforce/apex/DocumentAccessLogger.initChunkedUpload';
 import getViewerUrl from '@salesforce/apex/DocumentAccessLogger.getViewerUrl';
 import recordDirectUploadMetadata from '@salesforce/apex/DocumentAccessLogger.recordDirectUploadMetadata';
 
+const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;
+const MAX_REQUEST_ATTEMPTS = 3;
+const RESUME_KEY_PREFIX = 'krnl_upload_';
+
+async function sha256Hex(blob) {
+    const digest = await window.crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest))
+        .map((b) => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
 export default class DirectUploadToBackend extends LightningElement {
     @api recordId;
+    // Document classification sent to the backend, which may anchor it in a Merkle batch
+    @api classification;
 
     @track file;
     @track fileName;
@@ -14,6 +27,9 @@ export default class DirectUploadToBackend extends LightningElement {
     @track storagePath;
     @track storageBucket;
     @track uploadRecordId;
+    @track uploadProgress = 0;
+
+    uploadSession;
 
     handleFileChange(event) {
         const files = event.target.files;
@@ -40,37 +56,38 @@ export default class DirectUploadToBackend extends LightningElement {
         }
 
         this.isUploading = true;
+        this.uploadProgress = 0;
+        const resumeKey = this.resumeKey;
         try {
-            const uploadUrl = await initDirectUpload({ recordId: this.recordId });
+            this.uploadSession = await initChunkedUpload({
+                recordId: this.recordId,
+                resumeUploadId: this.readResumeUploadId(resumeKey),
+                classification: this.classification
+            });
 
-            if (!uploadUrl) {
-                throw new Error('Backend did not return an upload URL');
+            if (!this.uploadSession || !this.uploadSession.uploadBaseUrl || !this.uploadSession.token) {
+                throw new Error('Backend did not return an upload session');
             }
 
-            const response = await fetch(uploadUrl, {
-                method: 'PUT',
-                headers: {
-                    // The backend expects application/octet-stream so that express.raw parses the body as a Buffer
-                    'Content-Type': 'application/octet-stream',
-                    'X-File-Name': this.file.name
-                },
-                body: this.file
-            });
+            // Remember the upload so a dropped connection or page reload can resume it
+            this.writeResumeUploadId(resumeKey, this.uploadSession.uploadId);
 
-            if (!response.ok) {
-                const errorText = await response.text();
-                throw new Error(`Upload failed (${response.status}): ${errorText}`);
-            }
+            const data = await this.uploadInChunks();
+            this.clearResumeUploadId(resumeKey);
 
-            const data = await response.json();
             this.hash = data && data.hash ? data.hash : null;
             this.storageBucket = data && data.storage ? data.storage.bucket : null;
             this.storagePath = data && data.storage ? data.storage.path : null;
 
-            // Extract blockchain info from upload response (backend now registers on-chain during upload)
+            // Extract blockchain info from upload response. The backend queues the
+            // on-chain registration and reports the job id; Salesforce is called
+            // back when the job ends. A file that is already registered is
+            // reported with its existing transaction and must not be registered again.
             const blockchainSuccess = data && data.blockchain && data.blockchain.success;
-            const txHash = blockchainSuccess ? data.blockchain.txHash : null;
-            const blockNumber = blockchainSuccess ? data.blockchain.blockNumber : null;
+            const txHash = blockchainSuccess ? data.blockchain.txHash || null : null;
+            const blockNumber = blockchainSuccess ? data.blockchain.blockNumber || null : null;
+            const registrationJobId = data && data.blockchain ? data.blockchain.jobId || null : null;
+            const alreadyRegistered = !!(blockchainSuccess && data.blockchain.alreadyRegistered);
 
             // Persist upload metadata in Salesforce so we can show a per-record upload list later
             if (this.recordId && this.hash) {
@@ -82,7 +99,9 @@ export default class DirectUploadToBackend extends LightningElement {
                         storagePath: this.storagePath,
                         fileName: this.fileName,
                         txHash: txHash,
-                        blockNumber: blockNumber
+                        blockNumber: blockNumber,
+                        registrationJobId: registrationJobId,
+                        alreadyRegistered: alreadyRegistered
                     });
                     this.uploadRecordId = docId;
                 } catch (metaError) {
@@ -106,12 +125,162 @@ export default class DirectUploadToBackend extends LightningElement {
         } catch (error) {
             // eslint-disable-next-line no-console
             console.error('Direct upload failed', error);
-            this.showToast('Error', error.message || 'Direct upload failed', 'error');
+            const resumable = this.uploadProgress > 0 ? ' Upload again to resume where it stopped.' : '';
+            this.showToast('Error', (error.message || 'Direct upload failed') + resumable, 'error');
         } finally {
             this.isUploading = false;
         }
     }
 
+    /**
+     * Send the selected file to the backend chunk by chunk, skipping chunks the
+     * backend already has, then ask it to assemble, hash and register the file.
+     * If a token refresh moved the upload to a new uploadId, the chunks sent so
+     * far are gone and the file is sent again from the start.
+     */
+    async uploadInChunks() {
+        try {
+            return await this.sendChunks();
+        } catch (error) {
+            if (!error.uploadRestarted) {
+                throw error;
+            }
+            return this.sendChunks();
+        }
+    }
+
+    async sendChunks() {
+        const status = await this.callUploadApi('/chunked', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                totalSize: this.file.size,
+                chunkSize: this.uploadSession.chunkSize || DEFAULT_CHUNK_SIZE,
+                fileName: this.file.name,
+                contentType: this.file.type || 'application/octet-stream'
+            })
+        });
+
+        if (status.status === 'FINALIZED' && status.result) {
+            this.uploadProgress = 100;
+            return status.result;
+        }
+
+        let bytesReceived = status.bytesReceived || 0;
+        this.uploadProgress = Math.floor((bytesReceived / status.totalSize) * 100);
+
+        for (const index of status.missingChunks) {
+            const start = index * status.chunkSize;
+            const chunk = this.file.slice(start, Math.min(start + status.chunkSize, status.totalSize));
+            // eslint-disable-next-line no-await-in-loop
+            const checksum = await sha256Hex(chunk);
+
+            // eslint-disable-next-line no-await-in-loop
+            await this.callUploadApi(`/chunks/${index}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'X-Chunk-Offset': String(start),
+                    'X-Chunk-Checksum': checksum
+                },
+                body: chunk
+            });
+
+            bytesReceived += chunk.size;
+            this.uploadProgress = Math.floor((bytesReceived / status.totalSize) * 100);
+        }
+
+        return this.callUploadApi('/finalize', { method: 'POST' });
+    }
+
+    /**
+     * Call an endpoint of the current upload session. Network errors and 5xx
+     * responses are retried; an expired upload token is refreshed once through
+     * Apex for the same uploadId. When the backend no longer has that upload it
+     * starts a new one, and the call fails with `uploadRestarted` set.
+     */
+    async callUploadApi(suffix, options) {
+        let tokenRefreshed = false;
+        let lastError;
+
+        for (let attempt = 1; attempt <= MAX_REQUEST_ATTEMPTS; attempt++) {
+            const url = `${this.uploadSession.uploadBaseUrl}${suffix}?token=${encodeURIComponent(this.uploadSession.token)}`;
+            let response;
+            try {
+                // eslint-disable-next-line no-await-in-loop
+                response = await fetch(url, options);
+            } catch (networkError) {
+                lastError = networkError;
+                continue;
+            }
+
+            if (response.ok) {
+                return response.json();
+            }
+
+            if (response.status === 401 && !tokenRefreshed) {
+                tokenRefreshed = true;
+                const previousUploadId = this.uploadSession.uploadId;
+                // eslint-disable-next-line no-await-in-loop
+                const refreshed = await initChunkedUpload({
+                    recordId: this.recordId,
+                    resumeUploadId: previousUploadId,
+                    classification: this.classification
+                });
+                if (!refreshed || !refreshed.uploadBaseUrl || !refreshed.token) {
+                    throw new Error('Backend did not return an upload session');
+                }
+                this.uploadSession = refreshed;
+
+                if (refreshed.uploadId !== previousUploadId) {
+                    this.writeResumeUploadId(this.resumeKey, refreshed.uploadId);
+                    const restarted = new Error('Upload session expired, starting the upload again');
+                    restarted.uploadRestarted = true;
+                    throw restarted;
+                }
+                attempt--;
+                continue;
+            }
+
+            // eslint-disable-next-line no-await-in-loop
+            const errorText = await response.text();
+            lastError = new Error(`Upload failed (${response.status}): ${errorText}`);
+            if (response.status < 500) {
+                break;
+            }
+        }
+
+        throw lastError;
+    }
+
+    get resumeKey() {
+        return `${RESUME_KEY_PREFIX}${this.recordId}_${this.file.name}_${this.file.size}_${this.file.lastModified}`;
+    }
+
+    readResumeUploadId(key) {
+        try {
+            return localStorage.getItem(key);
+        } catch {
+            return null;
+        }
+    }
+
+    writeResumeUploadId(key, uploadId) {
+        try {
+            localStorage.setItem(key, uploadId);
+        } catch {
+            // Storage unavailable: the upload still works, it just cannot be resumed after a reload
+        }
+    }
+
+    clearResumeUploadId(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch {
+            // Ignore storage errors
+        }
+    }
+
     async handleView() {
         if (!this.storagePath) {
             this.showToast('Error', 'No storage path available for this upload', 'error');
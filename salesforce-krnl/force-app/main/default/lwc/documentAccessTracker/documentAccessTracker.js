@@ -11,6 +11,40 @@ import getViewerSessionUrlForDirectUpload from '@salesforce/apex/DocumentAccessL
 import registerDocumentOnBlockchain from '@salesforce/apex/DocumentAccessLogger.registerDocumentOnBlockchain';
 import logDirectUploadAccess from '@salesforce/apex/DocumentAccessLogger.logDirectUploadAccess';
 
+function formatDuration(ms) {
+    const totalSeconds = Math.round((ms || 0) / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    if (minutes === 0) {
+        return `${seconds}s`;
+    }
+    return `${minutes}m ${seconds}s`;
+}
+
+// Reading activity reported by the secure viewer, shaped for the session modal
+function buildReadingActivity(summary) {
+    if (!summary || !summary.openedAt) {
+        return null;
+    }
+
+    return {
+        pagesViewed: summary.pageCount
+            ? `${summary.pagesViewed} of ${summary.pageCount}`
+            : `${summary.pagesViewed}`,
+        totalTime: formatDuration(summary.totalDwellMs),
+        maxScrollDepth: `${Math.round((summary.maxScrollDepth || 0) * 100)}%`,
+        focusLosses: summary.focusLosses || 0,
+        screenshotShieldTriggers: summary.screenshotShieldTriggers || 0,
+        closedAt: summary.closedAt ? new Date(summary.closedAt).toLocaleString() : 'Still open or not reported',
+        pages: (summary.pages || []).map(page => ({
+            key: `page-${page.page}`,
+            label: `Page ${page.page}`,
+            dwell: formatDuration(page.dwellMs),
+            views: page.views
+        }))
+    };
+}
+
 export default class DocumentAccessTracker extends LightningElement {
     @api recordId; // Current record ID if used in record page
 
@@ -62,6 +96,16 @@ export default class DocumentAccessTracker extends LightningElement {
                 disabled: { fieldName: 'isOpening' }
             },
             cellAttributes: { alignment: 'center' }
+        },
+        {
+            type: 'button',
+            typeAttributes: {
+                label: 'Download',
+                name: 'downloadAction',
+                variant: 'base',
+                disabled: { fieldName: 'downloadDisabled' }
+            },
+            cellAttributes: { alignment: 'center' }
         }
     ];
 
@@ -303,7 +347,9 @@ export default class DocumentAccessTracker extends LightningElement {
             return {
                 ...u,
                 actionLabel: isRegistered ? 'View' : 'Register',
-                isOpening: false
+                isOpening: false,
+                // Admins can allow view but deny download per document (Allow_Download__c)
+                downloadDisabled: !isRegistered || u.allowDownload === false
             };
         });
     }
@@ -317,7 +363,8 @@ export default class DocumentAccessTracker extends LightningElement {
             return {
                 ...u,
                 isOpening,
-                actionLabel: isOpening ? 'Opening…' : (isRegistered ? 'View' : 'Register')
+                actionLabel: isOpening ? 'Opening…' : (isRegistered ? 'View' : 'Register'),
+                downloadDisabled: isOpening || !isRegistered || u.allowDownload === false
             };
         });
 
@@ -485,14 +532,26 @@ export default class DocumentAccessTracker extends LightningElement {
         const action = event.detail.action;
         const row = event.detail.row;
 
-        if (!action || !row || action.name !== 'uploadAction') {
+        if (!action || !row || (action.name !== 'uploadAction' && action.name !== 'downloadAction')) {
             return;
         }
 
         const isRegistered = row.blockchainStatus === 'Registered';
+        const accessType = action.name === 'downloadAction' ? 'download' : 'view';
+
+        // The Download button is disabled in these cases; guard against stale rows
+        if (accessType === 'download' && (!isRegistered || row.allowDownload === false)) {
+            this.showToast(
+                'Error',
+                isRegistered ? 'Downloads are disabled for this document' : 'Register the document before downloading it',
+                'error'
+            );
+            return;
+        }
 
         if (isRegistered) {
-            // View / Download for registered documents
+            // View / Download for registered documents; downloads open the secure
+            // viewer too, which hands out the watermarked copy once logged on-chain
             if (!row.path) {
                 this.showToast('Error', 'No storage path available for this upload', 'error');
                 return;
@@ -503,7 +562,7 @@ export default class DocumentAccessTracker extends LightningElement {
                 const url = await getViewerSessionUrlForDirectUpload({
                     blockchainDocId: row.id,
                     path: row.path,
-                    accessType: 'view'
+                    accessType
                 });
 
                 if (!url) {
@@ -658,7 +717,8 @@ export default class DocumentAccessTracker extends LightningElement {
                 txHash: result.txHash || null,
                 txHashUrl: txHashUrl,
                 fileName: result.fileName || 'Unknown',
-                timestamp: formattedTimestamp
+                timestamp: formattedTimestamp,
+                readingActivity: buildReadingActivity(result.readingSummary)
             };
         } catch (error) {
             // eslint-disable-next-line no-console
@@ -4,6 +4,40 @@ import getComplianceStats from '@salesforce/apex/DocumentAccessController.getCom
 import getRecentActivity from '@salesforce/apex/DocumentAccessController.getRecentActivity';
 import getSessionDetails from '@salesforce/apex/DocumentAccessController.getSessionDetails';
 
+function formatDuration(ms) {
+    const totalSeconds = Math.round((ms || 0) / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    if (minutes === 0) {
+        return `${seconds}s`;
+    }
+    return `${minutes}m ${seconds}s`;
+}
+
+// Reading activity reported by the secure viewer, shaped for the session modal
+function buildReadingActivity(summary) {
+    if (!summary || !summary.openedAt) {
+        return null;
+    }
+
+    return {
+        pagesViewed: summary.pageCount
+            ? `${summary.pagesViewed} of ${summary.pageCount}`
+            : `${summary.pagesViewed}`,
+        totalTime: formatDuration(summary.totalDwellMs),
+        maxScrollDepth: `${Math.round((summary.maxScrollDepth || 0) * 100)}%`,
+        focusLosses: summary.focusLosses || 0,
+        screenshotShieldTriggers: summary.screenshotShieldTriggers || 0,
+        closedAt: summary.closedAt ? new Date(summary.closedAt).toLocaleString() : 'Still open or not reported',
+        pages: (summary.pages || []).map(page => ({
+            key: `page-${page.page}`,
+            label: `Page ${page.page}`,
+            dwell: formatDuration(page.dwellMs),
+            views: page.views
+        }))
+    };
+}
+
 export default class KrnlHome extends LightningElement {
     @track stats = {
         totalDocuments: 0,
@@ -239,7 +273,8 @@ export default class KrnlHome extends LightningElement {
                 txHash: result.txHash || null,
                 txHashUrl: txHashUrl,
                 fileName: result.fileName || 'Unknown',
-                timestamp: formattedTimestamp
+                timestamp: formattedTimestamp,
+                readingActivity: buildReadingActivity(result.readingSummary)
             };
         } catch (error) {
             // eslint-disable-next-line no-console
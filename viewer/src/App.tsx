@@ -1,11 +1,17 @@
 import { useEffect, useState } from 'react'
 import SecureViewer from './components/SecureViewer'
+import VerifyDocument from './components/VerifyDocument'
+
+// Public verification page: /verify (no access session required)
+const isVerifyRoute = window.location.pathname.replace(/\/+$/, '').endsWith('/verify')
 
 function App() {
   const [sessionId, setSessionId] = useState<string | null>(null)
   const [error, setError] = useState<string | null>(null)
 
   useEffect(() => {
+    if (isVerifyRoute) return
+
     // Get sessionId from URL query params
     const params = new URLSearchParams(window.location.search)
     const sid = params.get('sessionId')
@@ -18,6 +24,10 @@ function App() {
     setSessionId(sid)
   }, [])
 
+  if (isVerifyRoute) {
+    return <VerifyDocument />
+  }
+
   if (error) {
     return (
       <div className="flex items-center justify-center w-full h-full bg-gray-900">
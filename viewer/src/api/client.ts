@@ -1,4 +1,5 @@
-import { SessionStatus, ViewerTokenResponse } from '../types'
+import { DocumentPages, DocumentVerification, IntegrityFailure, SessionStatus, ViewerEvent, ViewerTokenResponse } from '../types'
+import { deviceFingerprint, exportProofPublicKey, getProofKey, signProof } from '../lib/tokenBinding'
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || window.location.origin
 
@@ -23,18 +24,248 @@ export async function getViewerToken(sessionId: string): Promise<ViewerTokenResp
   
   if (!response.ok) {
     const error = await response.json().catch(() => ({ message: response.statusText }))
-    throw new Error(error.message || 'Failed to get viewer token')
+    throw new Error(error.error || error.message || 'Failed to get viewer token')
   }
   
   return response.json()
 }
 
-export async function fetchDocument(token: string): Promise<Blob> {
-  const response = await fetch(`${API_BASE_URL}/api/view?token=${token}`)
-  
+/**
+ * Thrown by fetchDocument when the backend refuses to serve a document
+ * because it failed serve-time integrity verification (HTTP 409).
+ */
+export class DocumentIntegrityError extends Error {
+  failure: IntegrityFailure
+
+  constructor(failure: IntegrityFailure) {
+    super(failure.details || failure.error)
+    this.name = 'DocumentIntegrityError'
+    this.failure = failure
+  }
+}
+
+async function throwViewError(response: Response): Promise<never> {
+  if (response.status === 409) {
+    const failure = await response.json().catch(() => null)
+    if (failure && failure.code) {
+      throw new DocumentIntegrityError(failure as IntegrityFailure)
+    }
+  }
+
+  // The backend explains refusals (unsupported type, failed watermarking or conversion)
+  const body = await response.json().catch(() => null)
+  if (body && body.error) {
+    throw new Error(body.details ? `${body.error}: ${body.details}` : body.error)
+  }
+  throw new Error(`Failed to fetch document: ${response.statusText}`)
+}
+
+type ViewerRequestInit = Omit<RequestInit, 'headers' | 'credentials'> & { headers?: Record<string, string> }
+
+/**
+ * Authenticates the /api/view requests of a viewer session: with the viewer
+ * token itself or, when the backend binds tokens to the client, with the
+ * cookie session the token is redeemed for at /api/view/session. Cookie
+ * sessions are short-lived and renewed from a fresh token when they expire.
+ */
+export class ViewerCredential {
+  private readonly sessionId: string
+  private tokenData: ViewerTokenResponse
+  private redemption: Promise<void> | null = null
+  private generation = 0
+
+  constructor(sessionId: string, tokenData: ViewerTokenResponse) {
+    this.sessionId = sessionId
+    this.tokenData = tokenData
+  }
+
+  private get binding() {
+    return this.tokenData.binding || []
+  }
+
+  private async bindingHeaders(method: string, url: string): Promise<Record<string, string>> {
+    const headers: Record<string, string> = {}
+    if (this.binding.includes('device')) {
+      headers['X-Krnl-Device'] = await deviceFingerprint()
+    }
+    if (this.binding.includes('pop')) {
+      headers['X-Krnl-Proof'] = await signProof(await getProofKey(), method, url)
+    }
+    return headers
+  }
+
+  // A failed redemption is retried by the next request
+  private track(redemption: Promise<void>): Promise<void> {
+    this.redemption = redemption
+    redemption.catch(() => {
+      if (this.redemption === redemption) {
+        this.redemption = null
+      }
+    })
+    return redemption
+  }
+
+  private redeem(): Promise<void> {
+    if (!this.redemption) {
+      this.track((async () => {
+        const url = `${API_BASE_URL}/api/view/session`
+        const response = await fetch(url, {
+          method: 'POST',
+          credentials: 'include',
+          headers: {
+            'Content-Type': 'application/json',
+            ...await this.bindingHeaders('POST', url)
+          },
+          body: JSON.stringify({
+            token: this.tokenData.token,
+            publicKey: this.binding.includes('pop') ? await exportProofPublicKey(await getProofKey()) : undefined
+          })
+        })
+
+        if (!response.ok) {
+          await throwViewError(response)
+        }
+      })())
+    }
+    return this.redemption as Promise<void>
+  }
+
+  private async sessionFetch(path: string, init: ViewerRequestInit): Promise<Response> {
+    const url = `${API_BASE_URL}${path}?session=${encodeURIComponent(this.sessionId)}`
+    return fetch(url, {
+      ...init,
+      credentials: 'include',
+      headers: {
+        ...init.headers,
+        ...await this.bindingHeaders(init.method || 'GET', url)
+      }
+    })
+  }
+
+  async fetch(path: string, init: ViewerRequestInit = {}): Promise<Response> {
+    if (this.binding.length === 0) {
+      return fetch(`${API_BASE_URL}${path}?token=${this.tokenData.token}`, init)
+    }
+
+    await this.redeem()
+    const generation = this.generation
+    const response = await this.sessionFetch(path, init)
+    if (response.status !== 401) {
+      return response
+    }
+
+    const body = await response.clone().json().catch(() => null)
+    if (!body || !body.sessionExpired) {
+      return response
+    }
+
+    // Redeem a fresh token from this same client, once for concurrent requests
+    if (generation === this.generation) {
+      this.generation += 1
+      this.track(getViewerToken(this.sessionId).then(tokenData => {
+        this.tokenData = tokenData
+        this.redemption = null
+        return this.redeem()
+      }))
+    }
+    await this.redemption
+    return this.sessionFetch(path, init)
+  }
+}
+
+export async function fetchDocument(credential: ViewerCredential): Promise<Blob> {
+  const response = await credential.fetch('/api/view')
+
   if (!response.ok) {
-    throw new Error(`Failed to fetch document: ${response.statusText}`)
+    await throwViewError(response)
   }
   
   return response.blob()
 }
+
+/**
+ * Page count and sizes of the document behind a viewer token, so pages can
+ * be fetched one at a time with fetchDocumentPage.
+ */
+export async function fetchDocumentPages(credential: ViewerCredential): Promise<DocumentPages> {
+  const response = await credential.fetch('/api/view/pages')
+
+  if (!response.ok) {
+    await throwViewError(response)
+  }
+
+  return response.json()
+}
+
+/**
+ * One watermarked page (1-based) as a standalone single-page PDF.
+ */
+export async function fetchDocumentPage(credential: ViewerCredential, pageNumber: number): Promise<ArrayBuffer> {
+  const response = await credential.fetch(`/api/view/pages/${pageNumber}`)
+
+  if (!response.ok) {
+    await throwViewError(response)
+  }
+
+  return response.arrayBuffer()
+}
+
+/**
+ * The watermarked copy of a download session, with the file name the backend
+ * gave it. Each call counts against the session's download limit.
+ */
+export async function downloadDocument(credential: ViewerCredential): Promise<{ blob: Blob; fileName: string | null }> {
+  const response = await credential.fetch('/api/view/download')
+
+  if (!response.ok) {
+    await throwViewError(response)
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || ''
+  const match = disposition.match(/filename="([^"]+)"/)
+  return { blob: await response.blob(), fileName: match ? match[1] : null }
+}
+
+/**
+ * Send a batch of read telemetry for a viewer session. `keepalive` lets the
+ * last batch finish after the tab has closed.
+ */
+export async function sendViewerEvents(
+  credential: ViewerCredential,
+  events: ViewerEvent[],
+  { keepalive = false }: { keepalive?: boolean } = {}
+): Promise<void> {
+  const response = await credential.fetch('/api/view/events', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ events }),
+    keepalive
+  })
+
+  if (!response.ok) {
+    throw new Error(`Failed to send viewer events: ${response.statusText}`)
+  }
+}
+
+/**
+ * Look up a document hash in the on-chain registry. Only the hash is sent;
+ * the file itself stays in the browser.
+ */
+export async function verifyDocumentHash(documentHash: string): Promise<DocumentVerification> {
+  const response = await fetch(`${API_BASE_URL}/api/integrity/verify`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ documentHash })
+  })
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ error: response.statusText }))
+    throw new Error(error.error || 'Failed to verify document')
+  }
+
+  return response.json()
+}
@@ -1,20 +1,32 @@
 interface ErrorMessageProps {
   message: string
   isDarkMode: boolean
+  title?: string
+  details?: { label: string; value: string }[]
 }
 
-export default function ErrorMessage({ message, isDarkMode }: ErrorMessageProps) {
+export default function ErrorMessage({ message, isDarkMode, title = 'Error', details }: ErrorMessageProps) {
   return (
     <div className="flex items-center justify-center h-full">
       <div className={`max-w-md p-6 rounded-lg ${
         isDarkMode ? 'bg-red-900/20 border border-red-800' : 'bg-red-50 border border-red-200'
       }`}>
         <h2 className={`text-lg font-semibold mb-2 ${isDarkMode ? 'text-red-400' : 'text-red-700'}`}>
-          Error
+          {title}
         </h2>
         <p className={isDarkMode ? 'text-red-300' : 'text-red-600'}>
           {message}
         </p>
+        {details && details.length > 0 && (
+          <dl className={`mt-4 space-y-2 text-xs ${isDarkMode ? 'text-red-300/80' : 'text-red-700/80'}`}>
+            {details.map(({ label, value }) => (
+              <div key={label}>
+                <dt className="font-semibold uppercase tracking-wider">{label}</dt>
+                <dd className="font-mono break-all">{value}</dd>
+              </div>
+            ))}
+          </dl>
+        )}
       </div>
     </div>
   )
@@ -1,78 +1,184 @@
 import { useEffect, useRef, useState } from 'react'
 import * as pdfjsLib from 'pdfjs-dist'
+import { PageSize } from '../types'
+
+const PAGE_SCALE = 1.5
+// US Letter, until the real size is known
+const DEFAULT_PAGE_SIZE: PageSize = { width: 612, height: 792 }
 
 interface PDFCanvasProps {
-  pdfDocument: pdfjsLib.PDFDocumentProxy
+  pageCount: number
+  /** Page sizes in PDF points, used to reserve space before pages load */
+  pageSizes?: PageSize[]
+  loadPage: (pageNumber: number) => Promise<pdfjsLib.PDFPageProxy>
+  /** Called with the page that is most in view whenever it changes */
+  onPageChange?: (pageNumber: number) => void
   isDarkMode: boolean
 }
 
-export default function PDFCanvas({ pdfDocument }: PDFCanvasProps) {
+interface PDFPageProps {
+  pageNumber: number
+  size: PageSize
+  active: boolean
+  loadPage: (pageNumber: number) => Promise<pdfjsLib.PDFPageProxy>
+}
+
+function PDFPage({ pageNumber, size, active, loadPage }: PDFPageProps) {
+  const canvasRef = useRef<HTMLCanvasElement>(null)
+  const startedRef = useRef(false)
+  const [renderedSize, setRenderedSize] = useState<PageSize | null>(null)
+  const [failed, setFailed] = useState(false)
+
+  useEffect(() => {
+    if (!active || startedRef.current) return
+    startedRef.current = true
+
+    const renderPage = async () => {
+      try {
+        const page = await loadPage(pageNumber)
+        const viewport = page.getViewport({ scale: PAGE_SCALE })
+        const canvas = canvasRef.current
+        const context = canvas?.getContext('2d')
+        if (!canvas || !context) return
+
+        canvas.width = viewport.width
+        canvas.height = viewport.height
+
+        await page.render({
+          canvasContext: context,
+          viewport: viewport
+        }).promise
+
+        page.cleanup()
+        setRenderedSize({ width: viewport.width, height: viewport.height })
+      } catch (err) {
+        console.error(`Error rendering page ${pageNumber}:`, err)
+        setFailed(true)
+      }
+    }
+
+    renderPage()
+  }, [active, loadPage, pageNumber])
+
+  const width = renderedSize ? renderedSize.width : size.width * PAGE_SCALE
+  const height = renderedSize ? renderedSize.height : size.height * PAGE_SCALE
+
+  return (
+    <div
+      data-page-number={pageNumber}
+      className="relative group mx-auto mb-8 transition-transform hover:scale-[1.01] duration-300"
+      style={{ width: `${width}px` }}
+    >
+      {/* Decorative top border */}
+      <div className="absolute -top-[1px] left-0 right-0 h-1 bg-primary rounded-t-sm z-10" />
+
+      {/* Sized by renderPage; resizing a canvas clears it, so React never sets its size */}
+      <canvas
+        ref={canvasRef}
+        className={`rounded-sm shadow-2xl bg-white ${renderedSize ? '' : 'hidden'}`}
+      />
+
+      {!renderedSize && (
+        <div
+          className="flex items-center justify-center rounded-sm shadow-2xl bg-white text-xs font-medium uppercase tracking-widest text-slate-400"
+          style={{ height: `${height}px` }}
+        >
+          {failed ? `Page ${pageNumber} could not be loaded` : `Loading page ${pageNumber}...`}
+        </div>
+      )}
+
+      {/* Page number badge */}
+      <div className="absolute -right-12 top-0 px-2 py-1 text-[10px] font-mono font-medium text-muted-foreground opacity-0 group-hover:opacity-100 transition-opacity">
+        Page {pageNumber}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Renders pages only as they scroll into view (plus the page after), so a
+ * long document does not have to be fetched or drawn up front.
+ */
+export default function PDFCanvas({ pageCount, pageSizes, loadPage, onPageChange }: PDFCanvasProps) {
   const containerRef = useRef<HTMLDivElement>(null)
-  const [renderedPages, setRenderedPages] = useState<number>(0)
+  const [activePages, setActivePages] = useState<Set<number>>(() => new Set([1]))
+  const onPageChangeRef = useRef(onPageChange)
+  onPageChangeRef.current = onPageChange
+
+  useEffect(() => {
+    const container = containerRef.current
+    if (!container) return
+
+    const observer = new IntersectionObserver((entries) => {
+      const visible = entries
+        .filter(entry => entry.isIntersecting)
+        .map(entry => {
+          observer.unobserve(entry.target)
+          return Number((entry.target as HTMLElement).dataset.pageNumber)
+        })
 
+      if (visible.length === 0) return
+
+      setActivePages(prev => {
+        const next = new Set(prev)
+        visible.forEach(pageNumber => {
+          next.add(pageNumber)
+          // Prefetch the next page so scrolling does not wait on it
+          if (pageNumber < pageCount) next.add(pageNumber + 1)
+        })
+        return next
+      })
+    })
+
+    container.querySelectorAll('[data-page-number]').forEach(element => observer.observe(element))
+    return () => observer.disconnect()
+  }, [pageCount])
+
+  // Track which page is most in view
   useEffect(() => {
-    const renderAllPages = async () => {
-      if (!containerRef.current) return
-
-      // Clear previous content
-      containerRef.current.innerHTML = ''
-
-      const numPages = pdfDocument.numPages
-
-      for (let pageNum = 1; pageNum <= numPages; pageNum++) {
-        try {
-          const page = await pdfDocument.getPage(pageNum)
-          const viewport = page.getViewport({ scale: 1.5 })
-
-          // Create page container
-          const pageContainer = document.createElement('div')
-          pageContainer.className = 'relative group mx-auto mb-8 transition-transform hover:scale-[1.01] duration-300'
-          pageContainer.style.width = `${viewport.width}px`
-          
-          // Add decorative top border (The "Blue Border" user requested)
-          const topBorder = document.createElement('div')
-          topBorder.className = 'absolute -top-[1px] left-0 right-0 h-1 bg-primary rounded-t-sm z-10'
-          pageContainer.appendChild(topBorder)
-
-          // Create canvas for this page
-          const canvas = document.createElement('canvas')
-          canvas.className = 'rounded-sm shadow-2xl bg-white'
-          canvas.width = viewport.width
-          canvas.height = viewport.height
-
-          const context = canvas.getContext('2d')
-          if (!context) continue
-
-          // Render page
-          await page.render({
-            canvasContext: context,
-            viewport: viewport
-          }).promise
-
-          pageContainer.appendChild(canvas)
-          
-          // Add page number badge
-          const pageBadge = document.createElement('div')
-          pageBadge.className = 'absolute -right-12 top-0 px-2 py-1 text-[10px] font-mono font-medium text-muted-foreground opacity-0 group-hover:opacity-100 transition-opacity'
-          pageBadge.innerText = `Page ${pageNum}`
-          pageContainer.appendChild(pageBadge)
-
-          containerRef.current?.appendChild(pageContainer)
-          setRenderedPages(pageNum)
-        } catch (err) {
-          console.error(`Error rendering page ${pageNum}:`, err)
+    const container = containerRef.current
+    if (!container) return
+
+    const ratios = new Map<number, number>()
+    let currentPage: number | null = null
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        ratios.set(Number((entry.target as HTMLElement).dataset.pageNumber), entry.intersectionRatio)
+      })
+
+      let mostVisible: number | null = null
+      ratios.forEach((ratio, pageNumber) => {
+        if (ratio > 0 && (mostVisible === null || ratio > (ratios.get(mostVisible) ?? 0))) {
+          mostVisible = pageNumber
         }
+      })
+
+      if (mostVisible !== null && mostVisible !== currentPage) {
+        currentPage = mostVisible
+        onPageChangeRef.current?.(mostVisible)
       }
-    }
+    }, { threshold: [0, 0.25, 0.5, 0.75, 1] })
 
-    renderAllPages()
-  }, [pdfDocument])
+    container.querySelectorAll('[data-page-number]').forEach(element => observer.observe(element))
+    return () => observer.disconnect()
+  }, [pageCount])
 
   return (
     <div className="w-full flex flex-col items-center">
-      <div ref={containerRef} className="w-full" />
-      
-      {renderedPages > 0 && (
+      <div ref={containerRef} className="w-full">
+        {Array.from({ length: pageCount }, (_, index) => (
+          <PDFPage
+            key={index + 1}
+            pageNumber={index + 1}
+            size={(pageSizes && pageSizes[index]) || (pageSizes && pageSizes[0]) || DEFAULT_PAGE_SIZE}
+            active={activePages.has(index + 1)}
+            loadPage={loadPage}
+          />
+        ))}
+      </div>
+
+      {pageCount > 0 && (
         <div className="text-center mt-8 mb-12 text-xs font-medium text-muted-foreground uppercase tracking-widest opacity-60">
           — End of Document —
         </div>
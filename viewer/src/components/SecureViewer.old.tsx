@@ -1,6 +1,6 @@
 import { useEffect, useState, useCallback, useRef } from 'react'
 import * as pdfjsLib from 'pdfjs-dist'
-import { getViewerToken, fetchDocument } from '../api/client'
+import { getViewerToken, fetchDocument, ViewerCredential } from '../api/client'
 import LoadingState from './LoadingState'
 import ErrorMessage from './ErrorMessage'
 import PDFCanvas from './PDFCanvas'
@@ -39,7 +39,7 @@ export default function SecureViewer({ sessionId }: SecureViewerProps) {
       }
 
       // Fetch PDF document
-      const pdfBlob = await fetchDocument(tokenData.token)
+      const pdfBlob = await fetchDocument(new ViewerCredential(sessionId, tokenData))
       const arrayBuffer = await pdfBlob.arrayBuffer()
       
       // Load PDF with PDF.js
@@ -359,7 +359,11 @@ export default function SecureViewer({ sessionId }: SecureViewerProps) {
         {error && <ErrorMessage message={error} isDarkMode={isDarkMode} />}
         
         {pdfDocument && !loading && !error && (
-          <PDFCanvas pdfDocument={pdfDocument} isDarkMode={isDarkMode} />
+          <PDFCanvas
+            pageCount={pdfDocument.numPages}
+            loadPage={pageNumber => pdfDocument.getPage(pageNumber)}
+            isDarkMode={isDarkMode}
+          />
         )}
       </div>
       
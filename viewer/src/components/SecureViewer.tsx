@@ -1,7 +1,9 @@
 import { useEffect, useState, useCallback, useRef } from 'react'
 import * as pdfjsLib from 'pdfjs-dist'
-import { getViewerToken, fetchDocument } from '../api/client'
-import { Shield, Lock, Clock, Eye, EyeOff, Sun, Moon, FileKey2, AlertCircle } from 'lucide-react'
+import { getViewerToken, fetchDocument, fetchDocumentPages, fetchDocumentPage, downloadDocument, DocumentIntegrityError, ViewerCredential } from '../api/client'
+import { DownloadAllowance, IntegrityFailure, PageSize, ViewerTokenResponse } from '../types'
+import { ViewerTelemetry } from '../lib/telemetry'
+import { Shield, Lock, Clock, Eye, EyeOff, Sun, Moon, FileKey2, AlertCircle, ScanLine, Download } from 'lucide-react'
 import { Button } from './ui/button'
 import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog'
 import { Input } from './ui/input'
@@ -17,10 +19,27 @@ interface SecureViewerProps {
   sessionId: string
 }
 
+interface DownloadSession {
+  credential: ViewerCredential
+  allowance: DownloadAllowance | null
+}
+
+interface ViewerPages {
+  pageCount: number
+  pageSizes?: PageSize[]
+  loadPage: (pageNumber: number) => Promise<pdfjsLib.PDFPageProxy>
+}
+
 export default function SecureViewer({ sessionId }: SecureViewerProps) {
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState<string | null>(null)
-  const [pdfDocument, setPdfDocument] = useState<pdfjsLib.PDFDocumentProxy | null>(null)
+  const [integrityFailure, setIntegrityFailure] = useState<IntegrityFailure | null>(null)
+  const [viewerPages, setViewerPages] = useState<ViewerPages | null>(null)
+  const [imageUrl, setImageUrl] = useState<string | null>(null)
+  const [downloadSession, setDownloadSession] = useState<DownloadSession | null>(null)
+  const [downloading, setDownloading] = useState(false)
+  const [downloadError, setDownloadError] = useState<string | null>(null)
+  const [viewMode, setViewMode] = useState<ViewerTokenResponse['viewMode']>('standard')
   const [expiryTime, setExpiryTime] = useState<Date | null>(null)
   const [isDarkMode, setIsDarkMode] = useState(true)
   const [progressMessage, setProgressMessage] = useState(`Initializing secure session for ${sessionId.slice(-8)}...`)
@@ -33,12 +52,18 @@ export default function SecureViewer({ sessionId }: SecureViewerProps) {
   const [timeRemaining, setTimeRemaining] = useState('')
   const eventSourceRef = useRef<EventSource | null>(null)
   const passwordCallbackRef = useRef<((password: string) => void) | null>(null)
+  // Every PDF loaded for this view (one per page when delivered page by page)
+  const pdfDocumentsRef = useRef<pdfjsLib.PDFDocumentProxy[]>([])
+  const telemetryRef = useRef<ViewerTelemetry | null>(null)
 
   const loadDocument = useCallback(async () => {
     try {
       // Start document loading from the current progress and only move forward
       setProgressValue(prev => Math.max(prev, 80))
       const tokenData = await getViewerToken(sessionId)
+      setViewMode(tokenData.viewMode || 'standard')
+      const credential = new ViewerCredential(sessionId, tokenData)
+      telemetryRef.current?.setCredential(credential)
       
       if (tokenData.expiresAt) {
         // Persist the earliest known expiry for this session so refreshes
@@ -63,9 +88,48 @@ export default function SecureViewer({ sessionId }: SecureViewerProps) {
         }
       }
 
+      // Download sessions get a watermarked copy to save instead of the viewer
+      if (tokenData.scope === 'download') {
+        setProgressValue(prev => Math.max(prev, 100))
+        setDownloadSession({ credential, allowance: tokenData.downloads ?? null })
+        setLoading(false)
+        telemetryRef.current?.record('viewer_open')
+        return
+      }
+
       setProgressValue(prev => Math.max(prev, 85))
-      const pdfBlob = await fetchDocument(tokenData.token)
-      const arrayBuffer = await pdfBlob.arrayBuffer()
+      const documentPages = await fetchDocumentPages(credential)
+
+      // Fetch pages only as they are scrolled to, each watermarked on its own
+      if (documentPages.type === 'pdf' && documentPages.pageByPage && documentPages.pageCount) {
+        const loadPage = async (pageNumber: number) => {
+          const data = await fetchDocumentPage(credential, pageNumber)
+          const pageDocument = await pdfjsLib.getDocument({ data }).promise
+          pdfDocumentsRef.current.push(pageDocument)
+          return pageDocument.getPage(1)
+        }
+
+        setProgressValue(prev => Math.max(prev, 100))
+        setViewerPages({ pageCount: documentPages.pageCount, pageSizes: documentPages.pages, loadPage })
+        setLoading(false)
+        telemetryRef.current?.record('viewer_open')
+        return
+      }
+
+      // Images and encrypted PDFs are delivered whole
+      const documentBlob = await fetchDocument(credential)
+
+      // Images come back watermarked as images; everything else is a PDF
+      if (documentBlob.type.startsWith('image/')) {
+        setProgressValue(prev => Math.max(prev, 100))
+        setImageUrl(URL.createObjectURL(documentBlob))
+        setLoading(false)
+        telemetryRef.current?.record('viewer_open')
+        telemetryRef.current?.pageChanged(1)
+        return
+      }
+
+      const arrayBuffer = await documentBlob.arrayBuffer()
       
       setProgressValue(prev => Math.max(prev, 90))
       const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer })
@@ -85,16 +149,56 @@ export default function SecureViewer({ sessionId }: SecureViewerProps) {
       setProgressValue(prev => Math.max(prev, 95))
       const pdf = await loadingTask.promise
       
+      pdfDocumentsRef.current.push(pdf)
       setProgressValue(prev => Math.max(prev, 100))
-      setPdfDocument(pdf)
+      setViewerPages({ pageCount: pdf.numPages, loadPage: pageNumber => pdf.getPage(pageNumber) })
       setLoading(false)
+      telemetryRef.current?.record('viewer_open')
     } catch (err) {
       console.error('Document load error:', err)
+      if (err instanceof DocumentIntegrityError) {
+        setIntegrityFailure(err.failure)
+      }
       setError(err instanceof Error ? err.message : 'Failed to load document')
       setLoading(false)
     }
   }, [sessionId])
 
+  // Release the watermarked image when it is replaced or the viewer closes
+  useEffect(() => {
+    return () => {
+      if (imageUrl) {
+        URL.revokeObjectURL(imageUrl)
+      }
+    }
+  }, [imageUrl])
+
+  // Read telemetry for this session, flushed in batches and when the tab closes
+  useEffect(() => {
+    const telemetry = new ViewerTelemetry()
+    telemetryRef.current = telemetry
+    telemetry.start()
+
+    const handlePageHide = () => telemetry.close()
+    window.addEventListener('pagehide', handlePageHide)
+
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide)
+      telemetry.close()
+      if (telemetryRef.current === telemetry) {
+        telemetryRef.current = null
+      }
+    }
+  }, [sessionId])
+
+  // Release loaded PDFs when the viewer closes
+  useEffect(() => {
+    const pdfDocuments = pdfDocumentsRef.current
+    return () => {
+      pdfDocuments.forEach(pdfDocument => pdfDocument.destroy())
+    }
+  }, [])
+
   // Security: Disable context menu
   useEffect(() => {
     const handleContextMenu = (e: MouseEvent) => e.preventDefault()
@@ -123,6 +227,7 @@ export default function SecureViewer({ sessionId }: SecureViewerProps) {
         (e.ctrlKey && e.key === 's')    // Save
       ) {
         setShowScreenshotShield(true)
+        telemetryRef.current?.record('screenshot_shield', { reason: 'shortcut' })
       }
 
       e.preventDefault()
@@ -142,10 +247,21 @@ export default function SecureViewer({ sessionId }: SecureViewerProps) {
 
   // Security: Screenshot shield
   useEffect(() => {
-    const handleBlur = () => setShowScreenshotShield(true)
-    const handleFocus = () => setShowScreenshotShield(false)
+    const handleBlur = () => {
+      setShowScreenshotShield(true)
+      telemetryRef.current?.focusChanged(false)
+      telemetryRef.current?.record('screenshot_shield', { reason: 'blur' })
+    }
+    const handleFocus = () => {
+      setShowScreenshotShield(false)
+      telemetryRef.current?.focusChanged(true)
+    }
     const handleVisibilityChange = () => {
-      setShowScreenshotShield(document.visibilityState === 'hidden')
+      const hidden = document.visibilityState === 'hidden'
+      setShowScreenshotShield(hidden)
+      if (hidden) {
+        telemetryRef.current?.focusChanged(false)
+      }
     }
 
     window.addEventListener('blur', handleBlur)
@@ -194,6 +310,37 @@ export default function SecureViewer({ sessionId }: SecureViewerProps) {
     return () => clearInterval(interval)
   }, [expiryTime, sessionId])
 
+  const handleDownload = async () => {
+    if (!downloadSession) return
+
+    setDownloading(true)
+    setDownloadError(null)
+    try {
+      const { blob, fileName } = await downloadDocument(downloadSession.credential)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = fileName || 'document'
+      link.click()
+      URL.revokeObjectURL(url)
+
+      setDownloadSession(prev => prev && prev.allowance ? {
+        ...prev,
+        allowance: {
+          ...prev.allowance,
+          used: prev.allowance.used + 1,
+          remaining: Math.max(0, prev.allowance.remaining - 1),
+          lastDownloadAt: new Date().toISOString()
+        }
+      } : prev)
+    } catch (err) {
+      console.error('Document download error:', err)
+      setDownloadError(err instanceof Error ? err.message : 'Failed to download document')
+    } finally {
+      setDownloading(false)
+    }
+  }
+
   // Password submission handler
   const handlePasswordSubmit = () => {
     if (!passwordValue) {
@@ -217,8 +364,25 @@ export default function SecureViewer({ sessionId }: SecureViewerProps) {
     
     let isCompleted = false
 
+    // The backend keeps the stream open after completion to report revocation
+    const clearRevokedDocument = (reason?: string | null) => {
+      pdfDocumentsRef.current.splice(0).forEach(pdf => pdf.destroy())
+      setViewerPages(null)
+      setImageUrl(null)
+      setDownloadSession(null)
+      setShowScreenshotShield(false)
+      setPasswordRequired(false)
+      passwordCallbackRef.current = null
+      setError(reason ? `Access to this document was revoked: ${reason}` : 'Access to this document was revoked.')
+      setLoading(false)
+      eventSource.close()
+    }
+
     eventSource.onopen = () => {
       console.log('SSE connection opened')
+      if (isCompleted) {
+        return
+      }
       setProgressMessage(`Verifying session ${sessionId.slice(-8)} on KRNL network...`)
       setProgressValue(prev => Math.max(prev, 20))
     }
@@ -227,7 +391,12 @@ export default function SecureViewer({ sessionId }: SecureViewerProps) {
       try {
         const data = JSON.parse(event.data)
         
-        if (data.type === 'connected') {
+        if (data.type === 'revoked') {
+          clearRevokedDocument(data.reason)
+        } else if (isCompleted) {
+          // Reconnected after completion: only a revocation matters now
+          return
+        } else if (data.type === 'connected') {
           setProgressMessage('Connection Established')
           setProgressValue(prev => Math.max(prev, 10))
         } else if (data.type === 'progress') {
@@ -270,7 +439,6 @@ export default function SecureViewer({ sessionId }: SecureViewerProps) {
             
             // Small delay to show 100% before loading
             setTimeout(() => {
-              eventSource.close()
               loadDocument()
             }, 500)
           } else if (data.state === 'FAILED') {
@@ -293,10 +461,12 @@ export default function SecureViewer({ sessionId }: SecureViewerProps) {
     }
 
     eventSource.onerror = () => {
-      if (!isCompleted) {
-        setError('Connection lost. Retrying...')
-        setLoading(false)
+      if (isCompleted) {
+        // Let EventSource reconnect so a revocation still reaches this viewer
+        return
       }
+      setError('Connection lost. Retrying...')
+      setLoading(false)
       eventSource.close()
     }
 
@@ -330,6 +500,16 @@ export default function SecureViewer({ sessionId }: SecureViewerProps) {
         </div>
         
         <div className="flex items-center gap-3">
+          {viewMode === 'rasterized' && (
+            <div
+              className="flex items-center gap-2 px-3 py-1.5 rounded-full text-sm font-medium border bg-secondary text-secondary-foreground border-border"
+              title="Pages are delivered as images; text cannot be selected or extracted"
+            >
+              <ScanLine className="w-4 h-4" />
+              <span>View-only</span>
+            </div>
+          )}
+
           {timeRemaining && (
             <div className={`flex items-center gap-2 px-3 py-1.5 rounded-full text-sm font-medium border ${
               timeRemaining === 'Expired' 
@@ -361,7 +541,13 @@ export default function SecureViewer({ sessionId }: SecureViewerProps) {
       </div>
 
       {/* Main Content Area */}
-      <div className="flex-1 relative w-full h-full overflow-y-auto overflow-x-hidden bg-dot-pattern scroll-smooth">
+      <div
+        className="flex-1 relative w-full h-full overflow-y-auto overflow-x-hidden bg-dot-pattern scroll-smooth"
+        onScroll={(e) => {
+          const { scrollTop, clientHeight, scrollHeight } = e.currentTarget
+          telemetryRef.current?.scrolled((scrollTop + clientHeight) / scrollHeight)
+        }}
+      >
         {/* Background Pattern - fixed to viewport */}
         <div className="fixed inset-0 bg-[radial-gradient(#e5e7eb_1px,transparent_1px)] [background-size:16px_16px] opacity-[0.05] pointer-events-none" />
 
@@ -389,13 +575,81 @@ export default function SecureViewer({ sessionId }: SecureViewerProps) {
           
           {error && (
             <div className="w-full max-w-md animate-in fade-in zoom-in duration-300 mt-20">
-              <ErrorMessage message={error} isDarkMode={isDarkMode} />
+              {integrityFailure ? (
+                <ErrorMessage
+                  title="Document Integrity Check Failed"
+                  message={`${integrityFailure.details}. This document was not displayed.`}
+                  isDarkMode={isDarkMode}
+                  details={[
+                    { label: 'Registered hash', value: integrityFailure.documentHash },
+                    { label: 'Stored file hash', value: integrityFailure.storedHash },
+                    ...(integrityFailure.tamperEventId
+                      ? [{ label: 'Incident reference', value: integrityFailure.tamperEventId }]
+                      : [])
+                  ]}
+                />
+              ) : (
+                <ErrorMessage message={error} isDarkMode={isDarkMode} />
+              )}
             </div>
           )}
           
-          {pdfDocument && !loading && !error && (
+          {viewerPages && !loading && !error && (
+            <div className="relative w-full max-w-5xl flex flex-col items-center animate-in fade-in slide-in-from-bottom-4 duration-700">
+              <PDFCanvas
+                pageCount={viewerPages.pageCount}
+                pageSizes={viewerPages.pageSizes}
+                loadPage={viewerPages.loadPage}
+                onPageChange={pageNumber => telemetryRef.current?.pageChanged(pageNumber)}
+                isDarkMode={isDarkMode}
+              />
+            </div>
+          )}
+
+          {downloadSession && !loading && !error && (
+            <div className="w-full max-w-md p-8 rounded-2xl border border-border bg-card/50 backdrop-blur-sm shadow-2xl space-y-6 text-center animate-in fade-in zoom-in duration-500">
+              <div className="w-16 h-16 mx-auto rounded-2xl bg-primary/10 flex items-center justify-center">
+                <Download className="w-8 h-8 text-primary" />
+              </div>
+              <div className="space-y-2">
+                <h2 className="text-2xl font-bold tracking-tight">Download Ready</h2>
+                <p className="text-muted-foreground text-sm leading-relaxed">
+                  This download was logged on-chain. Your copy is watermarked with your
+                  identity and access hash.
+                </p>
+              </div>
+
+              {downloadError && (
+                <Alert variant="destructive" className="bg-destructive/10 border-destructive/20 text-destructive text-left">
+                  <AlertCircle className="h-4 w-4" />
+                  <AlertDescription>{downloadError}</AlertDescription>
+                </Alert>
+              )}
+
+              <Button
+                className="w-full h-11 text-base font-medium shadow-lg shadow-primary/20"
+                onClick={handleDownload}
+                disabled={downloading || downloadSession.allowance?.remaining === 0}
+              >
+                {downloading ? 'Preparing watermarked copy...' : 'Download Watermarked Copy'}
+              </Button>
+
+              {downloadSession.allowance && (
+                <p className="text-xs font-medium text-muted-foreground uppercase tracking-widest">
+                  {downloadSession.allowance.remaining} of {downloadSession.allowance.limit} downloads remaining
+                </p>
+              )}
+            </div>
+          )}
+
+          {imageUrl && !loading && !error && (
             <div className="relative w-full max-w-5xl flex flex-col items-center animate-in fade-in slide-in-from-bottom-4 duration-700">
-              <PDFCanvas pdfDocument={pdfDocument} isDarkMode={isDarkMode} />
+              <img
+                src={imageUrl}
+                alt="Protected document"
+                draggable={false}
+                className="max-w-full h-auto rounded-lg shadow-lg select-none"
+              />
             </div>
           )}
         </div>
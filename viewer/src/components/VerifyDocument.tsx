@@ -0,0 +1,296 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { ShieldCheck, ShieldAlert, ShieldX, Upload, FileText, ExternalLink, Loader2, RotateCcw } from 'lucide-react'
+import { verifyDocumentHash } from '../api/client'
+import { sha256File } from '../lib/hash'
+import { verifyInclusion } from '../lib/merkle'
+import { DocumentVerification } from '../types'
+import { Button } from './ui/button'
+import ErrorMessage from './ErrorMessage'
+
+type Phase = 'idle' | 'hashing' | 'verifying' | 'done' | 'error'
+type ResultKey = DocumentVerification['status'] | 'VERIFIED_BATCH' | 'PROOF_MISMATCH'
+
+const EXPLORERS: Record<number, string> = {
+  1: 'https://etherscan.io',
+  11155111: 'https://sepolia.etherscan.io',
+  17000: 'https://holesky.etherscan.io'
+}
+
+function explorerBaseUrl(chainId: number): string | null {
+  return import.meta.env.VITE_EXPLORER_URL || EXPLORERS[chainId] || null
+}
+
+function formatBytes(size: number): string {
+  if (size < 1024) return `${size} B`
+  if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`
+  return `${(size / (1024 * 1024)).toFixed(1)} MB`
+}
+
+const RESULT_STYLES = {
+  VERIFIED: {
+    icon: ShieldCheck,
+    title: 'Authentic document',
+    description: 'This exact file is registered on-chain and active.',
+    className: 'border-green-500/30 bg-green-500/10 text-green-500'
+  },
+  VERIFIED_BATCH: {
+    icon: ShieldCheck,
+    title: 'Authentic document',
+    description: 'This exact file is part of a batch anchored on-chain. Its inclusion proof was checked in this browser against the anchored root.',
+    className: 'border-green-500/30 bg-green-500/10 text-green-500'
+  },
+  PROOF_MISMATCH: {
+    icon: ShieldX,
+    title: 'Inclusion proof failed',
+    description: 'The inclusion proof returned for this file does not lead to the anchored batch root when checked in this browser. Do not trust this file.',
+    className: 'border-destructive/30 bg-destructive/10 text-destructive'
+  },
+  NOT_REGISTERED: {
+    icon: ShieldAlert,
+    title: 'Not registered',
+    description: 'No on-chain registration exists for this file. It may have been modified, or it was never issued through KRNL.',
+    className: 'border-amber-500/30 bg-amber-500/10 text-amber-500'
+  },
+  DEACTIVATED: {
+    icon: ShieldX,
+    title: 'Deactivated',
+    description: 'This file was registered on-chain but has since been deactivated by its issuer.',
+    className: 'border-destructive/30 bg-destructive/10 text-destructive'
+  }
+} as const satisfies Record<ResultKey, unknown>
+
+function resultKey(result: DocumentVerification, proofValid: boolean | null): ResultKey {
+  if (result.inclusion && result.verified) {
+    return proofValid ? 'VERIFIED_BATCH' : 'PROOF_MISMATCH'
+  }
+  return result.status
+}
+
+export default function VerifyDocument() {
+  const [phase, setPhase] = useState<Phase>('idle')
+  const [file, setFile] = useState<{ name: string; size: number } | null>(null)
+  const [documentHash, setDocumentHash] = useState<string | null>(null)
+  const [result, setResult] = useState<DocumentVerification | null>(null)
+  const [proofValid, setProofValid] = useState<boolean | null>(null)
+  const [error, setError] = useState<string | null>(null)
+  const [isDragging, setIsDragging] = useState(false)
+  const inputRef = useRef<HTMLInputElement | null>(null)
+
+  useEffect(() => {
+    document.documentElement.classList.add('dark')
+  }, [])
+
+  const verifyFile = useCallback(async (selected: File) => {
+    setFile({ name: selected.name, size: selected.size })
+    setDocumentHash(null)
+    setResult(null)
+    setProofValid(null)
+    setError(null)
+
+    try {
+      // Hash locally: only the digest is sent to the backend
+      setPhase('hashing')
+      const hash = await sha256File(selected)
+      setDocumentHash(hash)
+
+      setPhase('verifying')
+      const verification = await verifyDocumentHash(hash)
+      // Batched documents are only trusted once their proof checks out here,
+      // from the hash computed in this browser
+      const { inclusion } = verification
+      if (inclusion) {
+        setProofValid(await verifyInclusion(hash, inclusion.salesforceRecordId, inclusion.proof, inclusion.merkleRoot))
+      }
+      setResult(verification)
+      setPhase('done')
+    } catch (err) {
+      console.error('Document verification error:', err)
+      setError(err instanceof Error ? err.message : 'Failed to verify document')
+      setPhase('error')
+    }
+  }, [])
+
+  const handleDrop = (e: React.DragEvent<HTMLDivElement>) => {
+    e.preventDefault()
+    setIsDragging(false)
+    const dropped = e.dataTransfer.files?.[0]
+    if (dropped) {
+      verifyFile(dropped)
+    }
+  }
+
+  const reset = () => {
+    setPhase('idle')
+    setFile(null)
+    setDocumentHash(null)
+    setResult(null)
+    setProofValid(null)
+    setError(null)
+    if (inputRef.current) {
+      inputRef.current.value = ''
+    }
+  }
+
+  const busy = phase === 'hashing' || phase === 'verifying'
+  const explorer = result ? explorerBaseUrl(result.registry.chainId) : null
+  const resultStyle = result ? RESULT_STYLES[resultKey(result, proofValid)] : null
+
+  const txLink = (txHash: string) => explorer
+    ? (
+      <a href={`${explorer}/tx/${txHash}`} target="_blank" rel="noreferrer" className="inline-flex items-center gap-1 text-primary hover:underline break-all">
+        {txHash}
+        <ExternalLink className="w-3 h-3 shrink-0" />
+      </a>
+    )
+    : <span className="break-all">{txHash}</span>
+
+  return (
+    <div className="relative w-full h-full flex flex-col bg-background text-foreground overflow-hidden">
+      {/* Header Bar */}
+      <div className="px-6 py-4 flex items-center gap-4 bg-background/80 backdrop-blur-md border-b border-border/50">
+        <div className="flex items-center justify-center w-10 h-10 rounded-xl bg-primary/10 text-primary shadow-sm">
+          <ShieldCheck className="w-5 h-5" />
+        </div>
+        <h1 className="font-semibold text-sm tracking-wide uppercase text-muted-foreground">Document Verification</h1>
+      </div>
+
+      <div className="flex-1 overflow-y-auto">
+        <div className="w-full max-w-2xl mx-auto px-4 py-12 space-y-6">
+          <div className="text-center space-y-2">
+            <h2 className="text-2xl font-bold tracking-tight">Check a document&apos;s authenticity</h2>
+            <p className="text-muted-foreground text-sm">
+              Your file is hashed in this browser and never uploaded. Only its SHA-256 fingerprint is checked against the on-chain registry.
+            </p>
+          </div>
+
+          {/* Drop zone */}
+          <div
+            onDragOver={(e) => { e.preventDefault(); setIsDragging(true) }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+            onClick={() => !busy && inputRef.current?.click()}
+            className={`flex flex-col items-center justify-center gap-3 p-10 rounded-2xl border-2 border-dashed cursor-pointer transition-colors ${
+              isDragging ? 'border-primary bg-primary/5' : 'border-border bg-card/50 hover:border-primary/50'
+            }`}
+          >
+            {busy ? <Loader2 className="w-10 h-10 text-primary animate-spin" /> : <Upload className="w-10 h-10 text-muted-foreground" />}
+            <p className="text-sm font-medium">
+              {phase === 'hashing' && 'Computing fingerprint...'}
+              {phase === 'verifying' && 'Checking the on-chain registry...'}
+              {!busy && 'Drag a file here, or click to choose one'}
+            </p>
+            <input
+              ref={inputRef}
+              type="file"
+              className="hidden"
+              onChange={(e) => {
+                const selected = e.target.files?.[0]
+                if (selected) {
+                  verifyFile(selected)
+                }
+              }}
+            />
+          </div>
+
+          {file && (
+            <div className="flex items-start gap-3 p-4 rounded-xl border border-border bg-card/50 text-sm">
+              <FileText className="w-5 h-5 mt-0.5 text-muted-foreground shrink-0" />
+              <div className="min-w-0 space-y-1">
+                <p className="font-medium truncate">{file.name} <span className="text-muted-foreground font-normal">({formatBytes(file.size)})</span></p>
+                {documentHash && <p className="font-mono text-xs text-muted-foreground break-all">SHA-256 {documentHash}</p>}
+              </div>
+            </div>
+          )}
+
+          {phase === 'error' && error && <ErrorMessage message={error} isDarkMode />}
+
+          {result && resultStyle && (
+            <div className="rounded-2xl border border-border bg-card/50 overflow-hidden">
+              <div className={`flex items-start gap-3 p-5 border-b ${resultStyle.className}`}>
+                <resultStyle.icon className="w-6 h-6 shrink-0" />
+                <div>
+                  <p className="font-semibold">{resultStyle.title}</p>
+                  <p className="text-sm opacity-90">{resultStyle.description}</p>
+                </div>
+              </div>
+
+              {result.record && (
+                <dl className="grid grid-cols-[max-content_1fr] gap-x-6 gap-y-3 p-5 text-sm">
+                  <dt className="text-muted-foreground">{result.anchoring === 'batch' ? 'Anchored' : 'Registered'}</dt>
+                  <dd>{new Date(result.record.registeredAt).toLocaleString()}</dd>
+
+                  <dt className="text-muted-foreground">Registrant</dt>
+                  <dd className="font-mono text-xs break-all">
+                    {explorer
+                      ? <a href={`${explorer}/address/${result.record.registeredBy}`} target="_blank" rel="noreferrer" className="text-primary hover:underline">{result.record.registeredBy}</a>
+                      : result.record.registeredBy}
+                  </dd>
+
+                  {result.registration && (
+                    <>
+                      <dt className="text-muted-foreground">Transaction</dt>
+                      <dd className="font-mono text-xs">{txLink(result.registration.txHash)}</dd>
+
+                      <dt className="text-muted-foreground">Block</dt>
+                      <dd className="font-mono text-xs">{result.registration.blockNumber}</dd>
+                    </>
+                  )}
+
+                  {result.deactivation && (
+                    <>
+                      <dt className="text-muted-foreground">Deactivated in</dt>
+                      <dd className="font-mono text-xs">{txLink(result.deactivation.txHash)}</dd>
+                    </>
+                  )}
+
+                  {result.inclusion && (
+                    <>
+                      <dt className="text-muted-foreground">Batch</dt>
+                      <dd className="font-mono text-xs break-all">
+                        {result.inclusion.batchId} <span className="text-muted-foreground">({result.inclusion.documentCount} documents)</span>
+                      </dd>
+
+                      <dt className="text-muted-foreground">Merkle root</dt>
+                      <dd className="font-mono text-xs break-all">{result.inclusion.merkleRoot}</dd>
+
+                      <dt className="text-muted-foreground">Inclusion proof</dt>
+                      <dd className="text-xs">
+                        {result.inclusion.proof.length} {result.inclusion.proof.length === 1 ? 'step' : 'steps'},{' '}
+                        {proofValid ? 'valid in this browser' : 'invalid in this browser'}
+                      </dd>
+                    </>
+                  )}
+
+                  <dt className="text-muted-foreground">Record</dt>
+                  <dd className="font-mono text-xs break-all">{result.record.salesforceRecordId}</dd>
+
+                  <dt className="text-muted-foreground">Registry</dt>
+                  <dd className="font-mono text-xs break-all">
+                    {result.registry.address} <span className="text-muted-foreground">(chain {result.registry.chainId})</span>
+                  </dd>
+                </dl>
+              )}
+
+              {result.warnings.length > 0 && (
+                <p className="px-5 pb-4 text-xs text-muted-foreground">{result.warnings.join(' ')}</p>
+              )}
+            </div>
+          )}
+
+          {(phase === 'done' || phase === 'error') && (
+            <div className="flex justify-center">
+              <Button variant="outline" onClick={reset}>
+                <RotateCcw className="w-4 h-4 mr-2" />
+                Verify another file
+              </Button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="px-6 py-3 text-center text-[10px] font-semibold tracking-widest text-muted-foreground/50 uppercase border-t border-border/50">
+        Powered by KRNL Protocol
+      </div>
+    </div>
+  )
+}
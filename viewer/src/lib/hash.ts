@@ -0,0 +1,11 @@
+/**
+ * SHA-256 of a file computed locally with WebCrypto, formatted like the
+ * backend's document hashes (`0x`-prefixed lowercase hex).
+ */
+export async function sha256File(file: Blob): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer())
+  const hex = Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('')
+  return `0x${hex}`
+}
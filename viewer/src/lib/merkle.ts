@@ -0,0 +1,66 @@
+/**
+ * Offline check of a document's inclusion proof in a Merkle batch, hashed the
+ * way the backend builds batches and DocumentAccessRegistry checks them:
+ * leaf = SHA-256(0x00 || documentHash || salesforceRecordId), and each step
+ * up = SHA-256(0x01 || smaller || larger) of the node and the next sibling.
+ */
+
+function fromHex(hex: string): Uint8Array {
+  const clean = hex.replace(/^0x/, '')
+  const bytes = new Uint8Array(clean.length / 2)
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(clean.substr(i * 2, 2), 16)
+  }
+  return bytes
+}
+
+function toHex(bytes: Uint8Array): string {
+  return `0x${Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('')}`
+}
+
+function compare(a: Uint8Array, b: Uint8Array): number {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return a[i] - b[i]
+  }
+  return a.length - b.length
+}
+
+async function sha256(prefix: number, ...parts: Uint8Array[]): Promise<Uint8Array> {
+  const data = new Uint8Array(1 + parts.reduce((sum, part) => sum + part.length, 0))
+  data[0] = prefix
+  let offset = 1
+  for (const part of parts) {
+    data.set(part, offset)
+    offset += part.length
+  }
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', data))
+}
+
+export async function documentLeaf(documentHash: string, salesforceRecordId: string): Promise<string> {
+  return toHex(await sha256(0x00, fromHex(documentHash), new TextEncoder().encode(salesforceRecordId)))
+}
+
+export async function computeRoot(leaf: string, proof: string[]): Promise<string> {
+  let node = fromHex(leaf)
+  for (const siblingHex of proof) {
+    const sibling = fromHex(siblingHex)
+    node = compare(node, sibling) < 0
+      ? await sha256(0x01, node, sibling)
+      : await sha256(0x01, sibling, node)
+  }
+  return toHex(node)
+}
+
+/**
+ * Whether the proof takes the locally computed document hash to the root.
+ * The leaf is recomputed here rather than taken from the backend.
+ */
+export async function verifyInclusion(
+  documentHash: string,
+  salesforceRecordId: string,
+  proof: string[],
+  merkleRoot: string
+): Promise<boolean> {
+  const root = await computeRoot(await documentLeaf(documentHash, salesforceRecordId), proof)
+  return root.toLowerCase() === merkleRoot.toLowerCase()
+}
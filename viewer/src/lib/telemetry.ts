@@ -0,0 +1,113 @@
+import { sendViewerEvents, ViewerCredential } from '../api/client'
+import { ViewerEvent, ViewerEventType } from '../types'
+
+const FLUSH_INTERVAL_MS = 10_000
+// Matches the backend's per-request limit, and keeps keepalive bodies small
+const MAX_BATCH_SIZE = 100
+
+/**
+ * Collects read telemetry for a viewer session and sends it in batches once
+ * the viewer's credential is known.
+ *
+ * Time on page is counted for the page currently in view, and only while the
+ * viewer has focus.
+ */
+export class ViewerTelemetry {
+  private credential: ViewerCredential | null = null
+  private queue: ViewerEvent[] = []
+  private flushTimer: number | null = null
+  private currentPage: number | null = null
+  private pageShownAt: number | null = null
+  private focused = true
+  private closed = false
+  private maxScrollDepth = 0
+
+  start() {
+    this.flushTimer = window.setInterval(() => this.flush(), FLUSH_INTERVAL_MS)
+  }
+
+  setCredential(credential: ViewerCredential) {
+    this.credential = credential
+    this.flush()
+  }
+
+  record(type: ViewerEventType, fields: Omit<ViewerEvent, 'type' | 'at'> = {}) {
+    this.queue.push({ type, at: new Date().toISOString(), ...fields })
+  }
+
+  pageChanged(page: number) {
+    if (page === this.currentPage) return
+    this.endDwell()
+    this.currentPage = page
+    this.pageShownAt = this.focused ? Date.now() : null
+    this.record('page_view', { page })
+  }
+
+  focusChanged(focused: boolean) {
+    if (focused === this.focused) return
+    this.focused = focused
+    if (focused) {
+      this.pageShownAt = this.currentPage !== null ? Date.now() : null
+    } else {
+      this.endDwell()
+    }
+    this.record(focused ? 'focus' : 'blur')
+  }
+
+  /** Report scroll depth in steps of 10% so scrolling does not flood the queue */
+  scrolled(depth: number) {
+    const step = Math.floor(Math.min(1, Math.max(0, depth)) * 10) / 10
+    if (step <= this.maxScrollDepth) return
+    this.maxScrollDepth = step
+    this.record('scroll_depth', { scrollDepth: step })
+  }
+
+  close() {
+    if (this.closed) return
+    this.closed = true
+    if (this.flushTimer !== null) {
+      window.clearInterval(this.flushTimer)
+      this.flushTimer = null
+    }
+    this.endDwell()
+    this.record('viewer_close')
+    this.flush({ keepalive: true })
+  }
+
+  private endDwell() {
+    if (this.currentPage === null || this.pageShownAt === null) return
+    this.record('page_dwell', { page: this.currentPage, durationMs: Date.now() - this.pageShownAt })
+    this.pageShownAt = null
+  }
+
+  private async flush({ keepalive = false }: { keepalive?: boolean } = {}) {
+    const credential = this.credential
+    if (!credential) return
+
+    const batches: ViewerEvent[][] = []
+    while (this.queue.length > 0) {
+      batches.push(this.queue.splice(0, MAX_BATCH_SIZE))
+    }
+
+    if (keepalive) {
+      // The page is going away: send everything now, nothing can be retried
+      batches.forEach(batch => {
+        sendViewerEvents(credential, batch, { keepalive }).catch(err => {
+          console.error('Failed to send viewer telemetry:', err)
+        })
+      })
+      return
+    }
+
+    for (let index = 0; index < batches.length; index++) {
+      try {
+        await sendViewerEvents(credential, batches[index])
+      } catch (err) {
+        console.error('Failed to send viewer telemetry:', err)
+        // Retry with the next flush
+        this.queue.unshift(...batches.slice(index).flat())
+        return
+      }
+    }
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Client side of viewer token binding: the device fingerprint and the
+ * proof-of-possession key a bound viewer session is tied to. The private key
+ * is generated non-extractable and kept in IndexedDB, so it never leaves this
+ * browser and survives reloads of the viewer.
+ */
+
+const DEVICE_ID_KEY = 'krnl_device_id'
+const KEY_DB_NAME = 'krnl-viewer'
+const KEY_STORE = 'keys'
+const PROOF_KEY_ID = 'proof'
+
+let proofKeyPromise: Promise<CryptoKeyPair> | null = null
+
+function toHex(buffer: ArrayBuffer): string {
+  return Array.from(new Uint8Array(buffer))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('')
+}
+
+function toBase64Url(buffer: ArrayBuffer): string {
+  const binary = String.fromCharCode(...new Uint8Array(buffer))
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function randomId(): string {
+  return toHex(crypto.getRandomValues(new Uint8Array(16)).buffer)
+}
+
+/**
+ * SHA-256 (hex) of stable browser characteristics plus a random id kept in
+ * localStorage, sent as X-Krnl-Device.
+ */
+export async function deviceFingerprint(): Promise<string> {
+  let deviceId: string | null = null
+  try {
+    deviceId = localStorage.getItem(DEVICE_ID_KEY)
+    if (!deviceId) {
+      deviceId = randomId()
+      localStorage.setItem(DEVICE_ID_KEY, deviceId)
+    }
+  } catch {
+    // Without localStorage the browser characteristics alone are used
+  }
+
+  const traits = [
+    deviceId,
+    navigator.userAgent,
+    navigator.language,
+    navigator.hardwareConcurrency,
+    screen.width,
+    screen.height,
+    screen.colorDepth,
+    Intl.DateTimeFormat().resolvedOptions().timeZone
+  ]
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(traits)))
+  return toHex(digest)
+}
+
+function openKeyStore(): Promise<IDBDatabase> {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(KEY_DB_NAME, 1)
+    request.onupgradeneeded = () => request.result.createObjectStore(KEY_STORE)
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function keyStoreRequest<T>(db: IDBDatabase, mode: IDBTransactionMode, run: (store: IDBObjectStore) => IDBRequest): Promise<T> {
+  return new Promise((resolve, reject) => {
+    const request = run(db.transaction(KEY_STORE, mode).objectStore(KEY_STORE))
+    request.onsuccess = () => resolve(request.result as T)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+async function loadOrCreateProofKey(): Promise<CryptoKeyPair> {
+  let db: IDBDatabase | null = null
+  try {
+    db = await openKeyStore()
+    const stored = await keyStoreRequest<CryptoKeyPair | undefined>(db, 'readonly', store => store.get(PROOF_KEY_ID))
+    if (stored) {
+      return stored
+    }
+  } catch {
+    // Private browsing may refuse IndexedDB: the key then lasts as long as the page
+  }
+
+  const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign', 'verify'])
+  if (db) {
+    await keyStoreRequest(db, 'readwrite', store => store.put(keyPair, PROOF_KEY_ID)).catch(() => undefined)
+  }
+  return keyPair
+}
+
+/**
+ * The key pair bound sessions prove possession of.
+ */
+export function getProofKey(): Promise<CryptoKeyPair> {
+  if (!proofKeyPromise) {
+    proofKeyPromise = loadOrCreateProofKey()
+  }
+  return proofKeyPromise
+}
+
+export async function exportProofPublicKey(keyPair: CryptoKeyPair): Promise<JsonWebKey> {
+  const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', keyPair.publicKey)
+  return { kty, crv, x, y }
+}
+
+/**
+ * X-Krnl-Proof header for one request: `<timestamp>.<nonce>.<signature>`, the
+ * signature covering the method, path and query, timestamp and nonce.
+ */
+export async function signProof(keyPair: CryptoKeyPair, method: string, url: string): Promise<string> {
+  const { pathname, search } = new URL(url)
+  const timestamp = Math.floor(Date.now() / 1000).toString()
+  const nonce = randomId()
+  const signed = [method.toUpperCase(), pathname + search, timestamp, nonce].join('\n')
+
+  const signature = await crypto.subtle.sign(
+    { name: 'ECDSA', hash: 'SHA-256' },
+    keyPair.privateKey,
+    new TextEncoder().encode(signed)
+  )
+  return `${timestamp}.${nonce}.${toBase64Url(signature)}`
+}
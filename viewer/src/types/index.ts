@@ -11,4 +11,118 @@ export interface ViewerTokenResponse {
   token: string
   expiresAt?: string
   sessionId: string
+  /** 'rasterized' documents arrive as page images with the watermark burned in */
+  viewMode?: 'standard' | 'rasterized'
+  /** 'download' tokens fetch a watermarked attachment instead of viewing pages */
+  scope?: 'view' | 'download'
+  downloads?: DownloadAllowance | null
+  /** Non-empty when the token must be redeemed for a client-bound session first */
+  binding?: TokenBindingMode[]
+}
+
+/** How a viewer session is tied to the client that redeemed its token */
+export type TokenBindingMode = 'ip' | 'device' | 'pop' | 'single-use'
+
+/** Downloads a download session has taken and how many it has left */
+export interface DownloadAllowance {
+  limit: number
+  used: number
+  remaining: number
+  lastDownloadAt: string | null
+}
+
+/** Page size in PDF points, as displayed */
+export interface PageSize {
+  width: number
+  height: number
+}
+
+/** Response of /api/view/pages: how a document can be delivered */
+export interface DocumentPages {
+  type: 'pdf' | 'image'
+  fileName: string
+  pageCount?: number
+  pages?: PageSize[]
+  viewMode?: 'standard' | 'rasterized'
+  /** False for encrypted PDFs, which are only served whole */
+  pageByPage?: boolean
+}
+
+export type ViewerEventType =
+  | 'viewer_open'
+  | 'viewer_close'
+  | 'page_view'
+  | 'page_dwell'
+  | 'scroll_depth'
+  | 'focus'
+  | 'blur'
+  | 'screenshot_shield'
+
+/** Read telemetry sent to /api/view/events */
+export interface ViewerEvent {
+  type: ViewerEventType
+  at: string
+  page?: number
+  durationMs?: number
+  /** Share of the document scrolled past, 0 to 1 */
+  scrollDepth?: number
+  reason?: string
+}
+
+export interface OnChainDocumentRecord {
+  documentHash: string
+  salesforceRecordId: string
+  registeredBy: string
+  registrationTimestamp: number
+  isActive: boolean
+  metadata: string
+}
+
+export interface IntegrityFailure {
+  error: string
+  code: 'HASH_MISMATCH' | 'NOT_REGISTERED' | 'DOCUMENT_DEACTIVATED'
+  details: string
+  documentHash: string
+  storedHash: string
+  onChain: OnChainDocumentRecord | null
+  tamperEventId: string | null
+}
+
+export interface RegistryTransaction {
+  txHash: string
+  blockNumber: number
+}
+
+export interface BatchInclusion {
+  batchId: string
+  merkleRoot: string
+  documentCount: number
+  salesforceRecordId: string
+  leaf: string
+  proof: string[]
+  anchored: boolean
+}
+
+export interface DocumentVerification {
+  success: boolean
+  documentHash: string
+  verified: boolean
+  status: 'VERIFIED' | 'NOT_REGISTERED' | 'DEACTIVATED'
+  anchoring: 'direct' | 'batch' | null
+  registry: {
+    address: string
+    chainId: number
+  }
+  record: {
+    salesforceRecordId: string
+    registeredBy: string
+    registeredAt: string
+    isActive: boolean
+    metadata: Record<string, unknown> | string | null
+  } | null
+  registration: (RegistryTransaction & { registeredBy: string }) | null
+  deactivation: (RegistryTransaction & { deactivatedBy: string }) | null
+  inclusion: BatchInclusion | null
+  warnings: string[]
+  checkedAt: string
 }